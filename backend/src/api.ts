@@ -6,7 +6,8 @@
  * 
  * Features:
  * - Express.js server with CORS support
- * - Video file upload handling using multer
+ * - Streaming, disk-backed upload handling using multer
+ * - Persistent SQLite post store
  * - Environment variable configuration
  * - Modular file structure for future expansion
  */
@@ -16,9 +17,47 @@ import cors from 'cors';
 import multer, { MulterError } from 'multer';
 import dotenv from 'dotenv';
 import { computeHashes } from './hash-engine.js';
-import { pinToIpfs, pinJSONToIPFS } from './ipfs-storage.js';
-import { detectRepostOnChain, registerAssetOnChain } from './blockchain.js';
+import { pinToIpfs, pinJSONToIPFS, IpfsResult, getStorageProvider, getIpfsGateway, ipfsGatewayUrl, retrieveFromIpfs } from './ipfs-storage.js';
+import { LocalStorageProvider } from './storage-provider.js';
+import {
+  detectRepostOnChain,
+  hasLicenseOnChain,
+  canDeriveFromOnChain,
+  recordRepostCall,
+  registerVideoCall,
+  getProvider,
+  getSigner,
+  getContractAddress,
+  CONTRACT_ABI,
+  CONTRACT_DEPLOYMENT_BLOCK
+} from './blockchain.js';
+import { SimilarityIndex } from './similarity-index.js';
+import { HashingDiskStorage, UploadedFile, getUploadLimits, removeUpload } from './upload-storage.js';
+import { JobQueue, JobContext, JobInputTimeoutError, UploadJob, isJobOwner, publicJob } from './upload-jobs.js';
+import { openDatabase } from './database.js';
+import { Post, PostRepository, SqlitePostRepository } from './post-store.js';
+import { ChainStore } from './chain-store.js';
+import { ChainIndexer } from './chain-indexer.js';
+import { VerificationError, verifyOriginalClaim, verifyPostContent, verifyRepostClaim } from './post-verification.js';
+import { WalletAuth, WalletSession, walletSessionMiddleware } from './wallet-auth.js';
+import { PinReconciler } from './pin-reconciler.js';
+import { RegistrationRelayer, RelayError } from './relayer.js';
+import { TrackedTransaction, TransactionError, TransactionManager, TxStatus } from './tx-manager.js';
+import { AssetLicense, DEFAULT_LICENSE, LicenseValidationError, parseLicense, permitsReuse } from './license.js';
+import { buildLineage, Derivation, DerivativeType, normalizeExactHash, parseDerivativeType } from './provenance.js';
+import {
+  authorshipTypedData,
+  checkPostFields,
+  createMetadata,
+  MetadataInput,
+  MetadataValidationError,
+  parseMetadata,
+  PostMetadata,
+  postFieldsFromMetadata
+} from './post-metadata.js';
 import axios from 'axios';
+import path from 'path';
+import { Readable, pipeline } from 'stream';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -26,55 +65,239 @@ dotenv.config();
 // Initialize Express application
 const app: Application = express();
 
-// ============ IN-MEMORY STORAGE ============
-/**
- * In-memory posts storage
- * In production, this would be replaced with a blockchain smart contract
- * or decentralized database. For MVP, we store post metadata in memory.
- */
-interface Post {
-  id: string;
-  mediaCid: string;              // CID of the raw media file
-  mediaGatewayUrl: string;       // Gateway URL for media file
-  metadataCid: string;           // CID of the metadata JSON
-  metadataGatewayUrl: string;    // Gateway URL for metadata JSON
-  walletAddress: string;         // Creator's wallet address
-  caption?: string;
-  exactHash: string;
-  perceptualHash: string;
-  audioHash: string | null;
-  assetType: string;
-  mimeType: string;
-  fileName: string;
-  fileSize: number;
-  status: 'ORIGINAL' | 'REPOST_DETECTED';
-  originalCreator?: string;      // For reposts: original creator address
-  matchType?: string;            // For reposts: type of match detected
-  confidence?: number;           // For reposts: confidence percentage
-  timestamp: string;
-  onChain?: {                    // Blockchain data (only for originals)
-    txHash: string;
-    blockNumber: number;
-    contractAddress: string;
-    gasUsed: string;
+// ============ PERSISTENT STORAGE ============
+/**
+ * Post storage
+ * Posts are persisted in the embedded SQLite database and survive restarts.
+ * Pinata is only consulted to rebuild an empty store (see rebuildPostsFromPinata).
+ */
+const database = openDatabase(process.env.DATABASE_PATH || path.join(process.cwd(), 'data', 'blockpost.db'));
+const postStore: PostRepository = new SqlitePostRepository(database);
+const chainStore = new ChainStore(database);
+
+/**
+ * Chain event indexer (started on boot when POLYGON_RPC is configured)
+ */
+let chainIndexer: ChainIndexer | null = null;
+
+/**
+ * Hours between scheduled pin reconciliations
+ * Default 0: not scheduled, only run on demand via POST /pins/reconcile
+ */
+const PIN_GC_INTERVAL_HOURS = parseFloat(process.env.PIN_GC_INTERVAL_HOURS || '0');
+
+/**
+ * Garbage collection of orphaned IPFS pins (scheduled when PIN_GC_INTERVAL_HOURS > 0)
+ */
+const pinReconciler = new PinReconciler(database, postStore, chainStore, {
+  gracePeriodMs: parseFloat(process.env.PIN_GC_GRACE_HOURS || '72') * 60 * 60 * 1000,
+  dryRun: process.env.PIN_GC_DRY_RUN !== 'false',
+  ...(PIN_GC_INTERVAL_HOURS > 0 && { intervalMs: PIN_GC_INTERVAL_HOURS * 60 * 60 * 1000 })
+});
+
+/**
+ * Whether the backend can send transactions (POLYGON_RPC and a backend key)
+ */
+const backendSignerConfigured = Boolean(
+  process.env.POLYGON_RPC && (process.env.BACKEND_PRIVATE_KEY || process.env.PRIVATE_KEY)
+);
+
+/**
+ * Backend signer transactions: nonce queue, fee bumping and persisted
+ * tracking (started on boot when POLYGON_RPC and a backend key are configured)
+ */
+const transactions = new TransactionManager(database, getSigner, {
+  pollIntervalMs: parseInt(process.env.TX_POLL_SECONDS || '5', 10) * 1000,
+  bumpAfterMs: parseInt(process.env.TX_BUMP_AFTER_SECONDS || '120', 10) * 1000,
+  bumpPercent: parseInt(process.env.TX_BUMP_PERCENT || '20', 10),
+  maxFeePerGasGwei: parseFloat(process.env.TX_MAX_FEE_GWEI || '1000')
+});
+
+/**
+ * Gasless registrations: creators sign, the backend wallet pays
+ * (disabled with RELAYER_ENABLED=false)
+ */
+const relayerEnabled = process.env.RELAYER_ENABLED !== 'false';
+const RELAYER_SIGNATURE_TTL_SECONDS = parseInt(process.env.RELAYER_SIGNATURE_TTL_SECONDS || '600', 10);
+const relayer = new RegistrationRelayer(transactions, {
+  maxPerHour: parseInt(process.env.RELAYER_MAX_PER_HOUR || '10', 10),
+  signatureTtlSeconds: RELAYER_SIGNATURE_TTL_SECONDS
+});
+
+/**
+ * Off-chain similarity index of registered originals
+ * Finds near-duplicates (re-encodes, crops, trimmed clips, edited text) that the contract's
+ * exact string lookups miss. Thresholds are configurable via environment.
+ */
+const similarityIndex = new SimilarityIndex({
+  hammingThreshold: parseInt(process.env.PERCEPTUAL_HAMMING_THRESHOLD || '10', 10),
+  minVideoSimilarity: parseFloat(process.env.VIDEO_MATCH_MIN_SIMILARITY || '60'),
+  minAudioSimilarity: parseFloat(process.env.AUDIO_MATCH_MIN_SIMILARITY || '85'),
+  minTextSimilarity: parseFloat(process.env.TEXT_MATCH_MIN_SIMILARITY || '85')
+});
+
+/**
+ * Add an original post to the similarity index
+ */
+function indexOriginalPost(post: Post): void {
+  // A revoked registration no longer counts as the original (the chain indexer reports the revocation)
+  if (post.revoked) {
+    if (similarityIndex.get(post.exactHash)?.metadataCid === post.metadataCid) {
+      similarityIndex.remove(post.exactHash);
+    }
+    return;
+  }
+  // Reposts are never indexed, nor originals whose registration did not go through
+  if (post.status !== 'ORIGINAL' || post.txStatus === 'failed' || post.txStatus === 'replaced') {
+    return;
+  }
+  similarityIndex.add({
+    exactHash: post.exactHash,
+    perceptualHash: post.perceptualHash,
+    audioHash: post.audioHash,
+    imageFingerprint: post.imageFingerprint,
+    creator: post.walletAddress,
+    metadataCid: post.metadataCid,
+    assetType: post.assetType
+  });
+}
+
+/**
+ * Write a settled registration transaction through to its post
+ */
+async function updatePostTxStatus(record: TrackedTransaction): Promise<void> {
+  const post = record.reference ? await postStore.findById(record.reference) : null;
+  // recordRepost transactions also reference their post but say nothing about it
+  if (!post || post.status !== 'ORIGINAL') {
+    return;
+  }
+
+  const updated: Post = {
+    ...post,
+    txStatus: record.status,
+    onChain: {
+      txHash: record.txHash,
+      blockNumber: record.blockNumber ?? 0,
+      contractAddress: post.onChain?.contractAddress || record.to,
+      gasUsed: record.gasUsed ?? ''
+    }
   };
+  await postStore.save(updated);
+  if (record.status === 'confirmed') {
+    indexOriginalPost(updated);
+  }
+}
+
+/**
+ * Count a repost in the contract's statistics (recordRepost), in the background
+ *
+ * Only reposts the contract itself matches can be recorded; near-duplicates
+ * found by the similarity index and licensed reuse are skipped. Failures
+ * are logged, never surfaced: the post is stored either way.
+ *
+ * @param post - Stored REPOST_DETECTED post
+ * @param matchedOnChain - Whether detectRepost already matched it (skips the lookup)
+ */
+function recordRepost(post: Post, matchedOnChain = false): void {
+  if (!backendSignerConfigured || post.licensedReuse) {
+    return;
+  }
+
+  (async () => {
+    const audioHash = post.audioHash || 'no_audio';
+    if (!matchedOnChain) {
+      const match = await detectRepostOnChain(post.exactHash, post.perceptualHash, audioHash);
+      if (!match.isDuplicate) {
+        return;
+      }
+    }
+    const tx = await transactions.submit(recordRepostCall(post.exactHash, post.perceptualHash, audioHash), post.id);
+    console.log(`[TX] Recording repost ${post.id} in ${tx.id}`);
+  })().catch((error) => {
+    console.warn(`[TX] Could not record repost ${post.id}:`, error instanceof Error ? error.message : error);
+  });
+}
+
+/**
+ * Whether a wallet bought a reuse license of an original (VideoGuard.purchaseLicense)
+ *
+ * Without a reachable chain nobody counts as a license holder; the chain
+ * indexer updates the repost once it sees the purchase.
+ *
+ * @param originalHash - Exact hash of the matched original
+ * @param walletAddress - Uploader's wallet
+ */
+async function holdsPurchasedLicense(originalHash: string, walletAddress: string): Promise<boolean> {
+  if (!process.env.POLYGON_RPC) {
+    return false;
+  }
+  try {
+    return await hasLicenseOnChain(originalHash, walletAddress);
+  } catch (error) {
+    console.warn('[UPLOAD] Could not check for a purchased license:', error instanceof Error ? error.message : error);
+    return false;
+  }
+}
+
+/**
+ * Whether an upload may be registered as a derivative of a matched work
+ *
+ * The uploader must be allowed to adapt the parent on-chain (its license
+ * permits derivatives, they bought a reuse license, or it is their own
+ * work). In backend mode the uploader signs the derivative and the relayer
+ * sends it (registerDerivativeFor), so without the relayer derivatives are
+ * refused. Lookup failures refuse the derivative.
+ */
+async function mayRegisterDerivative(parentHash: string, walletAddress: string, backendMode: boolean): Promise<boolean> {
+  if (!process.env.POLYGON_RPC || (backendMode && !relayerEnabled)) {
+    return false;
+  }
+  try {
+    return await canDeriveFromOnChain(parentHash, walletAddress);
+  } catch (error) {
+    console.warn('[UPLOAD] Could not check derivative permission:', error instanceof Error ? error.message : error);
+    return false;
+  }
 }
 
-const posts: Post[] = [];
+transactions.on('settled', (record: TrackedTransaction) => {
+  updatePostTxStatus(record).catch((error) => {
+    console.error(`[TX] Could not update post ${record.reference}:`, error instanceof Error ? error.message : error);
+  });
+});
+
+/**
+ * Index every stored original in the similarity index
+ */
+async function loadSimilarityIndex(): Promise<void> {
+  const originals = await postStore.list({ status: 'ORIGINAL' });
+  for (const post of originals) {
+    indexOriginalPost(post);
+  }
+  console.log(`[STARTUP] ✓ Similarity index holds ${similarityIndex.size} originals`);
+}
 
 /**
- * Load all existing posts from Pinata on server startup
+ * Rebuild the post store from metadata JSON pinned on Pinata
+ * 
+ * Used when the store is empty (fresh deployment, lost database) or when
+ * REBUILD_POSTS_FROM_PINATA=true. Posts already stored are left untouched.
  */
-async function loadPostsFromPinata(): Promise<void> {
+async function rebuildPostsFromPinata(): Promise<void> {
   try {
-    console.log('[STARTUP] Loading existing posts from Pinata...');
+    if (getStorageProvider().name !== 'pinata') {
+      console.log(`[STARTUP] Storage provider is ${getStorageProvider().name}, skipping Pinata rebuild`);
+      return;
+    }
+
+    console.log('[STARTUP] Rebuilding posts from Pinata...');
     
     const pinataApiKey = process.env.PINATA_API_KEY;
     const pinataSecretKey = process.env.PINATA_API_SECRET;
     const pinataJwt = process.env.PINATA_JWT;
     
     if (!pinataApiKey && !pinataJwt) {
-      console.log('[STARTUP] No Pinata credentials found, skipping post loading');
+      console.log('[STARTUP] No Pinata credentials found, skipping rebuild');
       return;
     }
 
@@ -104,64 +327,82 @@ async function loadPostsFromPinata(): Promise<void> {
     console.log(`[STARTUP] Found ${metadataFiles.length} metadata files`);
 
     // Load each metadata file and reconstruct post
+    let restored = 0;
     for (const file of metadataFiles) {
       try {
         const metadataCid = file.ipfs_pin_hash;
-        const metadataUrl = `https://gateway.pinata.cloud/ipfs/${metadataCid}`;
+        const metadataUrl = ipfsGatewayUrl(metadataCid);
         
-        // Fetch metadata JSON
-        const metadataResponse = await axios.get(metadataUrl);
-        const metadata = metadataResponse.data;
-
-        // Find corresponding media file CID from metadata
-        const mediaCid = metadata.mediaCid || metadata.fileCid;
-        if (!mediaCid) {
-          console.log(`[STARTUP] Skipping metadata ${metadataCid} - no media CID found`);
-          continue;
-        }
-
         // Check if post already exists
-        const existingPost = posts.find(p => p.metadataCid === metadataCid);
+        const existingPost = await postStore.findByMetadataCid(metadataCid);
         if (existingPost) {
           console.log(`[STARTUP] Post ${metadataCid} already loaded, skipping`);
           continue;
         }
 
+        // Fetch metadata JSON (legacy documents are migrated to the current format)
+        const metadata = parseMetadata(await retrieveFromIpfs(metadataCid));
+
         // Reconstruct post object
+        const fields = postFieldsFromMetadata(metadata);
         const post: Post = {
-          id: metadata.id || metadataCid,
-          mediaCid: mediaCid,
-          mediaGatewayUrl: `https://gateway.pinata.cloud/ipfs/${mediaCid}`,
+          ...fields,
+          id: metadataCid,
+          mediaGatewayUrl: ipfsGatewayUrl(fields.mediaCid),
           metadataCid: metadataCid,
           metadataGatewayUrl: metadataUrl,
-          walletAddress: metadata.creator || metadata.walletAddress || 'unknown',
-          caption: metadata.caption || metadata.description,
-          exactHash: metadata.exactHash || '',
-          perceptualHash: metadata.perceptualHash || '',
-          audioHash: metadata.audioHash || null,
-          assetType: metadata.assetType || 'unknown',
-          mimeType: metadata.mimeType || 'application/octet-stream',
-          fileName: metadata.fileName || 'unknown',
-          fileSize: metadata.fileSize || 0,
-          status: metadata.status || 'ORIGINAL',
-          timestamp: metadata.createdAt || metadata.timestamp || new Date().toISOString(),
-          ...(metadata.onChain && { onChain: metadata.onChain }),
-          ...(metadata.originalCreator && { originalCreator: metadata.originalCreator }),
-          ...(metadata.matchType && { matchType: metadata.matchType }),
-          ...(metadata.confidence && { confidence: metadata.confidence })
+          status: 'ORIGINAL'
         };
 
-        posts.push(post);
-        console.log(`[STARTUP] ✓ Loaded post: ${post.id} (${post.assetType})`);
+        await postStore.save(post);
+        restored++;
+        console.log(`[STARTUP] ✓ Restored post: ${post.id} (${post.assetType})`);
       } catch (error) {
         console.error(`[STARTUP] Failed to load metadata file ${file.ipfs_pin_hash}:`, error);
       }
     }
 
-    console.log(`[STARTUP] ✓ Successfully loaded ${posts.length} posts from Pinata`);
+    console.log(`[STARTUP] ✓ Restored ${restored} posts from Pinata`);
   } catch (error) {
-    console.error('[STARTUP] Error loading posts from Pinata:', error);
+    console.error('[STARTUP] Error rebuilding posts from Pinata:', error);
+  }
+}
+
+/**
+ * Start following VideoGuard events so the feed is derived from the chain
+ */
+function startChainIndexer(): void {
+  if (process.env.INDEXER_ENABLED === 'false') {
+    console.log('[STARTUP] Chain indexer disabled (INDEXER_ENABLED=false)');
+    return;
+  }
+  if (!process.env.POLYGON_RPC) {
+    console.log('[STARTUP] No POLYGON_RPC configured, chain indexer not started');
+    return;
+  }
+
+  chainIndexer = new ChainIndexer(chainStore, postStore, {
+    provider: getProvider(),
+    contractAddress: getContractAddress(),
+    abi: CONTRACT_ABI,
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK || String(CONTRACT_DEPLOYMENT_BLOCK), 10),
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '5', 10),
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000', 10),
+    pollIntervalMs: parseInt(process.env.INDEXER_POLL_SECONDS || '15', 10) * 1000,
+    onPostIndexed: indexOriginalPost
+  });
+  chainIndexer.start();
+}
+
+/**
+ * Resume and follow the backend signer's pending transactions
+ */
+function startTransactionManager(): void {
+  if (!backendSignerConfigured) {
+    console.log('[STARTUP] No POLYGON_RPC or backend key configured, transaction manager not started');
+    return;
   }
+  transactions.start();
 }
 
 // ============ MIDDLEWARE CONFIGURATION ============
@@ -203,14 +444,63 @@ app.use(express.json());
  */
 app.use(express.urlencoded({ extended: true }));
 
+// ============ WALLET AUTHENTICATION ============
+
+/**
+ * Sign-In with Ethereum sessions (see wallet-auth.ts)
+ * Messages must name one of the frontend hosts (AUTH_DOMAINS, default: the
+ * CORS origins) and CHAIN_ID; tokens are signed with JWT_SECRET
+ */
+if (!process.env.JWT_SECRET) {
+  console.warn('[AUTH] ⚠️  JWT_SECRET not set - using a random key, sessions end when the server restarts');
+}
+
+const chainId = parseInt(process.env.CHAIN_ID || '80002', 10);
+
+const walletAuth = new WalletAuth({
+  domains: process.env.AUTH_DOMAINS
+    ? process.env.AUTH_DOMAINS.split(',')
+    : allowedOrigins.filter(origin => origin !== '*').map(origin => new URL(origin).host),
+  chainId,
+  secret: process.env.JWT_SECRET,
+  sessionTtlMs: parseInt(process.env.AUTH_SESSION_MINUTES || '60', 10) * 60 * 1000
+});
+
+/**
+ * Session Middleware
+ * Requires `Authorization: Bearer <token>` from POST /auth/verify and
+ * exposes the session as res.locals.session
+ */
+const requireWalletSession = walletSessionMiddleware(walletAuth);
+
+/**
+ * Admin Middleware
+ * Use after requireWalletSession; only wallets listed in ADMIN_ADDRESSES pass
+ */
+const adminAddresses = new Set(
+  (process.env.ADMIN_ADDRESSES || '').split(',').map(address => address.trim().toLowerCase()).filter(Boolean)
+);
+
+const requireAdmin = (_req: Request, res: Response, next: NextFunction): void => {
+  const session = res.locals.session as WalletSession;
+  if (!adminAddresses.has(session.address.toLowerCase())) {
+    res.status(403).json({
+      success: false,
+      error: 'This endpoint is restricted to admin wallets (ADMIN_ADDRESSES)'
+    });
+    return;
+  }
+  next();
+};
+
 // ============ FILE UPLOAD CONFIGURATION ============
 
 /**
  * Multer Storage Configuration
- * Stores uploaded files in memory as Buffer objects
- * This is suitable for processing files before storing them elsewhere (IPFS)
+ * Streams uploaded files to a temporary file on disk, computing SHA-256 on the
+ * way through and enforcing the per-asset-type size limit (MAX_UPLOAD_MB_*)
  */
-const storage = multer.memoryStorage();
+const storage = new HashingDiskStorage();
 
 /**
  * File Filter Function
@@ -274,16 +564,13 @@ const fileFilter = (_req: Request, file: Express.Multer.File, cb: multer.FileFil
 /**
  * Multer Upload Middleware
  * Configures file upload with:
- * - Memory storage
+ * - Disk storage with incremental hashing
  * - File type validation
- * - 100MB file size limit
+ * - Per-asset-type size limits (enforced by the storage engine)
  */
 const upload = multer({
   storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB limit
-  }
+  fileFilter: fileFilter
 });
 
 // ============ ROUTES ============
@@ -301,6 +588,237 @@ app.get('/health', (_req: Request, res: Response): void => {
   });
 });
 
+/**
+ * Sign-In Nonce Endpoint
+ * GET /auth/nonce
+ * 
+ * Issues a single-use nonce for an EIP-4361 (Sign-In with Ethereum) message.
+ * 
+ * Response:
+ * - Success: { success: true, nonce, expiresAt }
+ */
+app.get('/auth/nonce', (_req: Request, res: Response): void => {
+  res.json({
+    success: true,
+    ...walletAuth.issueNonce()
+  });
+});
+
+/**
+ * Sign-In Verification Endpoint
+ * POST /auth/verify
+ * 
+ * Request body:
+ * - message: EIP-4361 message containing a nonce from GET /auth/nonce
+ * - signature: personal_sign signature of the message
+ * 
+ * Response:
+ * - Success: { success: true, token, address, issuedAt, expiresAt }
+ * - Error (401): { success: false, error: "Reason" }
+ */
+app.post('/auth/verify', async (req: Request, res: Response): Promise<void> => {
+  const { message, signature } = req.body;
+
+  if (typeof message !== 'string' || typeof signature !== 'string') {
+    res.status(400).json({
+      success: false,
+      error: 'message and signature are required'
+    });
+    return;
+  }
+
+  try {
+    const session = await walletAuth.verify(message, signature);
+    console.log(`[AUTH] ✓ Signed in: ${session.address}`);
+    res.json({
+      success: true,
+      ...session
+    });
+  } catch (error) {
+    console.warn('[AUTH] ✗ Sign-in rejected:', error instanceof Error ? error.message : error);
+    res.status(401).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Sign-in failed'
+    });
+  }
+});
+
+/**
+ * IPFS Content Endpoint
+ * GET /ipfs/:cid
+ * 
+ * Serves the media and metadata of stored posts without relying on a single
+ * public gateway:
+ * - STORAGE_PROVIDER=local: straight from the local content-addressed store,
+ *   so gateway URLs work without an IPFS network
+ * - Other providers: proxied block by block from the gateway pool; every
+ *   block is verified against its CID and cached on disk (see ipfs-gateway.ts)
+ * 
+ * Supports range requests for media seeking. Only CIDs of stored posts are
+ * proxied, so the backend does not act as an open gateway.
+ * 
+ * Response:
+ * - Success (200/206): the content, with the MIME type it was pinned with
+ * - Error (404): { success: false, error: "Content not found" }
+ * - Error (416): requested range outside the content
+ * - Error (502): { success: false, error: "Content unavailable from IPFS gateways" }
+ */
+app.get('/ipfs/:cid', async (req: Request, res: Response): Promise<void> => {
+  const { cid } = req.params;
+  const storage = getStorageProvider();
+
+  if (storage instanceof LocalStorageProvider) {
+    const located = await storage.locate(cid);
+    if (!located) {
+      res.status(404).json({
+        success: false,
+        error: 'Content not found'
+      });
+      return;
+    }
+
+    res.type(located.record.mimeType);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.sendFile(located.path);
+    return;
+  }
+
+  const post = await postStore.findByCid(cid);
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      error: 'Content not found'
+    });
+    return;
+  }
+
+  const gateway = getIpfsGateway();
+  let size: number;
+  try {
+    size = await gateway.fileSize(cid);
+  } catch (error) {
+    console.error(`[IPFS ERROR] Could not fetch ${cid}:`, error instanceof Error ? error.message : error);
+    res.status(502).json({
+      success: false,
+      error: 'Content unavailable from IPFS gateways'
+    });
+    return;
+  }
+
+  let start = 0;
+  let end = size - 1;
+  const ranges = req.headers.range ? req.range(size) : undefined;
+  if (ranges === -1) {
+    res.status(416).setHeader('Content-Range', `bytes */${size}`);
+    res.end();
+    return;
+  }
+  // Malformed and multi-range requests get the whole content
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    ({ start, end } = ranges[0]);
+    res.status(206).setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  res.type(cid === post.metadataCid ? 'application/json' : post.mimeType);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Length', end - start + 1);
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  res.setHeader('ETag', `"${cid}"`);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  // A block failing verification mid-stream aborts the response
+  pipeline(Readable.from(gateway.read(cid, start, end + 1)), res, (error) => {
+    if (error && (error as NodeJS.ErrnoException).code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`[IPFS ERROR] Streaming ${cid} failed:`, error.message);
+    }
+  });
+});
+
+/**
+ * IPFS Gateway Status Endpoint
+ * GET /gateways/status
+ * 
+ * Response:
+ * - Success: { success: true, gateways: [{ url, score, successRate, latencyMs, coolingDownUntil, ... }], cache: { blocks, bytes, maxBytes } }
+ *   (gateways best first)
+ */
+app.get('/gateways/status', (_req: Request, res: Response): void => {
+  res.json({
+    success: true,
+    ...getIpfsGateway().status()
+  });
+});
+
+/**
+ * Chain Indexer Status Endpoint
+ * GET /indexer/status
+ * 
+ * Response:
+ * - Success: { success: true, indexer: { running, indexedBlock, headBlock, lastSyncAt, lastError, ... } }
+ * - Indexer not started: { success: true, indexer: null }
+ */
+app.get('/indexer/status', (_req: Request, res: Response): void => {
+  res.json({
+    success: true,
+    indexer: chainIndexer ? chainIndexer.status() : null
+  });
+});
+
+/**
+ * Pin Reconciliation Endpoint
+ * POST /pins/reconcile
+ * 
+ * Compares the storage provider's pins with the post store and chain state
+ * (see pin-reconciler.ts). Admin wallets only.
+ * 
+ * Request body (optional): { dryRun: boolean } - default true; with false,
+ * orphans past the grace period (PIN_GC_GRACE_HOURS) are unpinned
+ * 
+ * Response:
+ * - Success: { success: true, report: { dryRun, totalPins, referencedPins, orphans: [{ cid, name, pinnedAt, reason }], pendingOrphans, unpinned, failed, skippedReason, ... } }
+ * - Error (409): { success: false, error: "Pin reconciliation already in progress" }
+ * - Error (502): { success: false, error: "IPFS pin listing failed: ..." }
+ */
+app.post('/pins/reconcile', requireWalletSession, requireAdmin, async (req: Request, res: Response): Promise<void> => {
+  if (pinReconciler.busy) {
+    res.status(409).json({
+      success: false,
+      error: 'Pin reconciliation already in progress'
+    });
+    return;
+  }
+
+  try {
+    const report = await pinReconciler.reconcile(req.body?.dryRun !== false);
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('[PINS] Reconciliation failed:', error instanceof Error ? error.message : error);
+    res.status(502).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Pin reconciliation failed'
+    });
+  }
+});
+
+/**
+ * Upload Limits Endpoint
+ * GET /upload/limits
+ * Returns the maximum upload size in bytes per asset type
+ * (configured with MAX_UPLOAD_MB_VIDEO / _IMAGE / _AUDIO / _OTHER)
+ */
+app.get('/upload/limits', (_req: Request, res: Response): void => {
+  res.json({
+    success: true,
+    limits: getUploadLimits()
+  });
+});
+
 /**
  * Get All Posts Endpoint
  * GET /posts
@@ -312,12 +830,10 @@ app.get('/health', (_req: Request, res: Response): void => {
  * - Success: { success: true, posts: [...] }
  * - Error: { success: false, error: "Error message" }
  */
-app.get('/posts', (_req: Request, res: Response): void => {
+app.get('/posts', async (_req: Request, res: Response): Promise<void> => {
   try {
-    // Sort posts by timestamp (newest first)
-    const sortedPosts = [...posts].sort((a, b) => 
-      new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
-    );
+    // Newest first
+    const sortedPosts = await postStore.list();
 
     console.log(`[GET POSTS] Returning ${sortedPosts.length} posts`);
 
@@ -336,330 +852,1085 @@ app.get('/posts', (_req: Request, res: Response): void => {
 });
 
 /**
- * Asset Upload Endpoint
- * POST /upload
- * 
- * Accepts media file uploads (video, image, audio) via multipart/form-data
+ * Post Integrity Endpoint
+ * GET /posts/:id/verify
  * 
- * Request:
- * - Content-Type: multipart/form-data
- * - Field name: "video" (for any media type)
- * - Additional fields: walletAddress (required), title, description
+ * Re-downloads the post's metadata and media and checks that they hash to
+ * their CIDs, that the media matches its SHA-256 exact hash, and (for
+ * originals) that the on-chain record of that hash points at the metadata.
  * 
  * Response:
- * - Success: Returns status (REPOST_DETECTED or NEW_ASSET_REGISTERED) with IPFS and blockchain data
- * - Error: { success: false, error: "Error message" }
+ * - Success: { success: true, postId, verified, signedByCreator, checks: { metadata, media, onChain } }
+ *   where each check is { ok, error? } (onChain is null for reposts)
+ * - Error (404): { success: false, error: "Post not found" }
  */
-app.post('/upload', upload.single('video'), async (req: Request, res: Response): Promise<void> => {
+app.get('/posts/:id/verify', async (req: Request, res: Response): Promise<void> => {
   try {
-    // Check if file was uploaded
-    if (!req.file) {
-      console.log('[UPLOAD] No file received in request');
-      res.status(400).json({
+    const post = await postStore.findById(req.params.id);
+    if (!post) {
+      res.status(404).json({
         success: false,
-        error: 'No file provided. Please upload a file with the field name "video".'
+        error: 'Post not found'
       });
       return;
     }
 
-    // Extract wallet address and optional fields from request body
-    const walletAddress = req.body.walletAddress || req.headers['x-wallet-address'] as string;
-    const username = req.body.username || null;
-    const displayName = req.body.displayName || null;
-    const title = req.body.title || null;
-    const description = req.body.description || null;
+    const report = await verifyPostContent(post);
+    console.log(`[VERIFY] Post ${post.id}: ${report.verified ? '✓ verified' : '✗ FAILED'}`);
 
-    if (!walletAddress) {
-      res.status(400).json({
-        success: false,
-        error: 'Wallet address is required. Please provide walletAddress in request body or X-Wallet-Address header.'
-      });
-      return;
-    }
+    res.json({
+      success: true,
+      postId: post.id,
+      ...report
+    });
+  } catch (error) {
+    console.error('[VERIFY ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify post'
+    });
+  }
+});
 
-    // Log upload details
-    console.log('[UPLOAD] Asset file received:');
-    console.log(`  - Original name: ${req.file.originalname}`);
-    console.log(`  - MIME type: ${req.file.mimetype}`);
-    console.log(`  - Size: ${(req.file.size / (1024 * 1024)).toFixed(2)} MB`);
-    console.log(`  - Wallet: ${walletAddress}`);
+/**
+ * Upload request handed from POST /upload to the job queue
+ */
+interface UploadRequest {
+  file: UploadedFile;
+  walletAddress: string;
+  username: string | null;
+  displayName: string | null;
+  title: string | null;
+  description: string | null;
+  signMetadata: boolean;        // Wait for the creator's EIP-712 signature before pinning metadata
+  gasless: boolean;             // Register through the relayer so the creator owns the asset
+  license: AssetLicense;        // Reuse terms registered with new assets
+  derivativeType: DerivativeType | null; // Register a match as this kind of derivative of its original
+}
 
-    // PHASE 1: Generate all hashes using multi-asset detection
-    console.log('[UPLOAD] Starting multi-asset hash generation...');
-    const hashStartTime = Date.now();
-    
-    const hashResult = await computeHashes(req.file.buffer, req.file.mimetype);
-    
-    const hashDuration = Date.now() - hashStartTime;
-    console.log(`[UPLOAD] ✓ Hash generation completed in ${hashDuration}ms`);
-    console.log(`[UPLOAD] Asset Type: ${hashResult.assetType}`);
+/**
+ * Result of a finished upload job (REPOST_DETECTED, READY_FOR_BLOCKCHAIN or NEW_ASSET_REGISTERED)
+ */
+type UploadResult = Record<string, unknown>;
 
-    // PHASE 2: Pin raw media file to IPFS
-    console.log('[UPLOAD] Pinning media file to IPFS...');
-    const mediaIpfsStart = Date.now();
-    
-    const mediaResult = await pinToIpfs(
-      req.file.buffer,
-      req.file.originalname,
-      req.file.mimetype,
-      {
-        assetType: hashResult.assetType,
-        exactHash: hashResult.exactHash
-      }
-    );
-    
-    const mediaIpfsDuration = Date.now() - mediaIpfsStart;
-    console.log(`[UPLOAD] ✓ Media file pinned: ${mediaResult.cid}`);
+/**
+ * Upload job queue
+ * Hashing, IPFS pinning, detection and registration run outside the HTTP
+ * request; clients follow progress via GET /jobs/:id or its SSE stream.
+ */
+const uploadJobs = new JobQueue<UploadResult>({
+  concurrency: parseInt(process.env.UPLOAD_JOB_CONCURRENCY || '1', 10),
+  defaultRetries: parseInt(process.env.UPLOAD_JOB_RETRIES || '2', 10),
+  retentionMs: parseInt(process.env.UPLOAD_JOB_RETENTION_MINUTES || '60', 10) * 60 * 1000
+});
+
+/**
+ * Contract reverts are final; only transport errors (RPC timeouts, dropped connections) are retried
+ */
+function isRetryableChainError(error: unknown): boolean {
+  const message = error instanceof Error ? error.message : '';
+  return !/CALL_EXCEPTION|execution reverted|already registered|insufficient funds/i.test(message);
+}
+
+/**
+ * How long an upload waits for the creator to sign its metadata
+ */
+const METADATA_SIGNATURE_TIMEOUT_MS = parseInt(process.env.METADATA_SIGNATURE_TIMEOUT_SECONDS || '300', 10) * 1000;
+
+/**
+ * Invalid signatures and signatures that never arrive will not fix themselves on retry
+ */
+function isRetryablePinError(error: unknown): boolean {
+  return !(error instanceof MetadataValidationError || error instanceof JobInputTimeoutError);
+}
+
+/**
+ * A registration is retried when the chain was unreachable or another
+ * transaction took its nonce; reverts and refused or missing creator
+ * signatures are final
+ */
+function isRetryableRegistrationError(error: unknown): boolean {
+  if (error instanceof RelayError) {
+    return error.code === 'CHAIN_UNAVAILABLE';
+  }
+  if (error instanceof TransactionError) {
+    return error.record.status === 'replaced';
+  }
+  return !(error instanceof JobInputTimeoutError) && isRetryableChainError(error);
+}
+
+/**
+ * Run the upload pipeline for a stored file
+ * 
+ * Phases (tracked on the job):
+ * 1. hashing      - multi-asset hash generation
+ * 2. ipfs         - pin raw media file + metadata JSON (signed by the creator
+ *                   if requested: the job waits for POST /jobs/:id/signature)
+ * 3. detection    - off-chain similarity index, then on-chain detectRepost (backend mode)
+ * 4. registration - registerVideo(WithLicense) transaction (backend mode, new
+ *                   assets only); with gasless, the job waits for the creator's
+ *                   signed registration and relays it as registerVideoFor
+ * 
+ * With a derivativeType, a match that is not an exact duplicate is registered
+ * as a derivative of the matched original instead of being stored as a
+ * repost. The creator always signs it (as with gasless) and the relayer sends
+ * registerDerivativeFor, so the uploader owns the derivative. This requires
+ * the relayer, and that the original's license permits derivatives or the
+ * uploader bought a reuse license of it (see mayRegisterDerivative);
+ * otherwise it is a repost with
+ * `derivativeNotPermitted` set. In frontend mode the result carries the
+ * `derivation` for the browser to register.
+ * 
+ * 
+ * Matches whose original is licensed for this kind of reuse, or whose
+ * uploader bought a reuse license of the original, are stored as reposts
+ * with licensedReuse set (and are not recorded on-chain as reposts).
+ * 
+ * @param request - Stored file and form fields
+ * @param job - Job context used to run and report phases
+ * @returns The upload result served as the job's `result`
+ */
+async function processUpload(request: UploadRequest, job: JobContext): Promise<UploadResult> {
+  const { file, walletAddress, username, displayName, title, description, signMetadata, gasless, license, derivativeType } = request;
+  const blockchainMode = process.env.BLOCKCHAIN_MODE || 'backend';
+
+  const fileInfo = {
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    sizeInMB: (file.size / (1024 * 1024)).toFixed(2)
+  };
+
+  // PHASE 1: Generate all hashes using multi-asset detection
+  console.log('[UPLOAD] Starting multi-asset hash generation...');
+  const hashStartTime = Date.now();
+
+  const hashResult = await job.runPhase(
+    'hashing',
+    () => computeHashes(file.path, file.mimetype, file.sha256),
+    { retries: 0 }  // Deterministic: a failure will not go away on retry
+  );
+
+  const hashDuration = Date.now() - hashStartTime;
+  console.log(`[UPLOAD] ✓ Hash generation completed in ${hashDuration}ms`);
+  console.log(`[UPLOAD] Asset Type: ${hashResult.assetType}`);
+
+  const hashes = {
+    exactHash: hashResult.exactHash,
+    perceptualHash: hashResult.perceptualHash,
+    audioHash: hashResult.audioHash,
+    imageFingerprint: hashResult.imageFingerprint
+  };
+
+  // PHASE 2: Pin raw media file and metadata JSON to IPFS
+  // (the media CID and creator signature are kept across retries so a metadata failure
+  // does not re-upload the file or ask for another signature)
+  const ipfsStartTime = Date.now();
+  const createdAt = new Date().toISOString();
+  let mediaResult: IpfsResult | null = null;
+  let authorship: PostMetadata['authorship'];
+  let signatureRequested = false;
+
+  const metadataResult = await job.runPhase('ipfs', async () => {
+    if (!mediaResult) {
+      console.log('[UPLOAD] Pinning media file to IPFS...');
+      mediaResult = await pinToIpfs(
+        file.path,
+        file.originalname,
+        file.mimetype,
+        {
+          assetType: hashResult.assetType,
+          exactHash: hashResult.exactHash
+        },
+        (fraction) => job.reportProgress('ipfs', fraction * 0.9)
+      );
+      console.log(`[UPLOAD] ✓ Media file pinned: ${mediaResult.cid}`);
+    }
 
-    // PHASE 3: Create and pin metadata JSON to IPFS
     console.log('[UPLOAD] Creating and pinning metadata JSON...');
-    const metadataIpfsStart = Date.now();
-    
-    const metadata = {
+    const fields: MetadataInput = {
       creator: walletAddress,
       creatorName: displayName || username || null,
       creatorUsername: username || null,
-      createdAt: new Date().toISOString(),
-      assetType: hashResult.assetType,
-      mediaCid: mediaResult.cid,
-      mediaMimeType: req.file.mimetype,
       title: title,
       description: description,
-      fileName: req.file.originalname,
-      fileSize: req.file.size
+      assetType: hashResult.assetType,
+      mediaCid: mediaResult.cid,
+      mimeType: file.mimetype,
+      fileName: file.originalname,
+      fileSize: file.size,
+      exactHash: hashResult.exactHash,
+      perceptualHash: hashResult.perceptualHash,
+      audioHash: hashResult.audioHash,
+      imageFingerprint: hashResult.imageFingerprint,
+      createdAt
     };
-    
-    console.log('[UPLOAD] ✓ Metadata includes author info:', {
-      creator: metadata.creator,
-      creatorName: metadata.creatorName,
-      creatorUsername: metadata.creatorUsername
-    });
 
-    const metadataResult = await pinJSONToIPFS(
+    if (signMetadata && !signatureRequested) {
+      console.log('[UPLOAD] Waiting for the creator to sign the metadata...');
+      const signature = await job.waitForInput<string | null>(
+        'metadata-signature',
+        authorshipTypedData(createMetadata(fields), chainId),
+        METADATA_SIGNATURE_TIMEOUT_MS
+      );
+      signatureRequested = true;
+      if (signature) {
+        authorship = { scheme: 'eip712', chainId, signature };
+      } else {
+        console.log('[UPLOAD] Creator declined to sign, metadata stays unsigned');
+      }
+    }
+
+    // Rejects signatures not made by the uploading wallet
+    const metadata = createMetadata({ ...fields, authorship });
+
+    console.log(`[UPLOAD] ✓ Metadata (${metadata.schema}${authorship ? ', signed by creator' : ''}) includes author info:`, metadata.creator);
+
+    const pinned = await pinJSONToIPFS(
       metadata,
       `metadata-${hashResult.exactHash.substring(0, 16)}`
     );
-    
-    const metadataIpfsDuration = Date.now() - metadataIpfsStart;
-    const totalIpfsDuration = mediaIpfsDuration + metadataIpfsDuration;
-    console.log(`[UPLOAD] ✓ Metadata JSON pinned: ${metadataResult.cid}`);
+    console.log(`[UPLOAD] ✓ Metadata JSON pinned: ${pinned.cid}`);
+    return pinned;
+  }, { isRetryable: isRetryablePinError });
+
+  const media = mediaResult!;
+  const totalIpfsDuration = Date.now() - ipfsStartTime;
+
+  const ipfs = {
+    mediaCid: media.cid,
+    mediaGatewayUrl: media.gatewayUrl,
+    metadataCid: metadataResult.cid,
+    metadataGatewayUrl: metadataResult.gatewayUrl
+  };
 
-    // PHASE 4: Check blockchain mode
-    const blockchainMode = process.env.BLOCKCHAIN_MODE || 'backend';
-    
-    if (blockchainMode === 'frontend') {
-      // Frontend mode: Return hashes and IPFS data, let frontend handle blockchain
-      const totalDuration = hashDuration + totalIpfsDuration;
-      
-      console.log(`[UPLOAD] ✓ Asset processed (frontend blockchain mode)`);
-      console.log(`[UPLOAD] Hashes generated, IPFS uploaded (media + metadata)`);
-      console.log(`[UPLOAD] Frontend will handle blockchain transaction\n`);
-      
-      res.json({
-        success: true,
-        status: 'READY_FOR_BLOCKCHAIN',
-        assetType: hashResult.assetType,
-        fileInfo: {
-          originalName: req.file.originalname,
-          mimeType: req.file.mimetype,
-          size: req.file.size,
-          sizeInMB: (req.file.size / (1024 * 1024)).toFixed(2)
-        },
-        hashes: {
-          exactHash: hashResult.exactHash,
-          perceptualHash: hashResult.perceptualHash,
-          audioHash: hashResult.audioHash
-        },
-        ipfs: {
-          mediaCid: mediaResult.cid,
-          mediaGatewayUrl: mediaResult.gatewayUrl,
-          metadataCid: metadataResult.cid,
-          metadataGatewayUrl: metadataResult.gatewayUrl
-        },
-        processingTime: {
-          hashing: `${hashDuration}ms`,
-          ipfs: `${totalIpfsDuration}ms`,
-          total: `${totalDuration}ms`
-        }
-      });
-      return;
+  // Common fields of the in-memory post entry
+  const postBase = {
+    mediaCid: media.cid,
+    mediaGatewayUrl: media.gatewayUrl,
+    metadataCid: metadataResult.cid,
+    metadataGatewayUrl: metadataResult.gatewayUrl,
+    walletAddress: walletAddress,
+    caption: title || undefined,
+    exactHash: hashResult.exactHash,
+    perceptualHash: hashResult.perceptualHash,
+    audioHash: hashResult.audioHash,
+    imageFingerprint: hashResult.imageFingerprint,
+    assetType: hashResult.assetType,
+    mimeType: file.mimetype,
+    fileName: file.originalname,
+    fileSize: file.size
+  };
+
+  // PHASE 3: Detection - off-chain similarity index, then the contract (backend mode)
+  const detectionStartTime = Date.now();
+
+  const { similarMatches, detectResult } = await job.runPhase('detection', async () => {
+    // Identical files the index holds, then near-duplicates the contract cannot see
+    console.log('[UPLOAD] Querying similarity index...');
+    const matches = similarityIndex.findMatches(hashResult);
+
+    if (matches[0]?.matchType === 'EXACT_DUPLICATE' || blockchainMode === 'frontend') {
+      return { similarMatches: matches, detectResult: null };
     }
 
     // Backend mode: Server handles blockchain transactions
     console.log('[UPLOAD] Backend blockchain mode - detecting repost...');
-    const blockchainStartTime = Date.now();
-    
-    const detectResult = await detectRepostOnChain(
+    const onChain = await detectRepostOnChain(
       hashResult.exactHash,
       hashResult.perceptualHash,
       hashResult.audioHash || 'no_audio'
     );
 
-    const blockchainDuration = Date.now() - blockchainStartTime;
-
-    if (detectResult.isDuplicate) {
-      // REPOST DETECTED - Do not register on blockchain, but allow upload
-      const totalDuration = hashDuration + totalIpfsDuration + blockchainDuration;
-      
-      console.log(`[UPLOAD] ⚠️  REPOST DETECTED!`);
-      console.log(`[UPLOAD] Original Creator: ${detectResult.originalCreator}`);
-      console.log(`[UPLOAD] Match Type: ${detectResult.matchType}`);
-      console.log(`[UPLOAD] Confidence: ${detectResult.confidence}%`);
-      console.log(`[UPLOAD] Upload allowed but NOT registered on-chain`);
-      console.log(`[UPLOAD] Total processing time: ${totalDuration}ms\n`);
-
-      // Store in memory as a repost
-      const repostEntry: Post = {
-        id: `repost-${Date.now()}-${Math.random().toString(36).substring(7)}`,
-        mediaCid: mediaResult.cid,
-        mediaGatewayUrl: mediaResult.gatewayUrl,
-        metadataCid: metadataResult.cid,
-        metadataGatewayUrl: metadataResult.gatewayUrl,
-        walletAddress: walletAddress,
-        caption: title || undefined,
-        exactHash: hashResult.exactHash,
-        perceptualHash: hashResult.perceptualHash,
-        audioHash: hashResult.audioHash,
-        assetType: hashResult.assetType,
-        mimeType: req.file.mimetype,
-        fileName: req.file.originalname,
-        fileSize: req.file.size,
-        status: 'REPOST_DETECTED',
-        originalCreator: detectResult.originalCreator,
-        matchType: detectResult.matchType,
-        confidence: detectResult.confidence,
-        timestamp: new Date().toISOString()
-      };
-      posts.push(repostEntry);
-
-      res.json({
-        success: true,
-        status: 'REPOST_DETECTED',
-        assetType: hashResult.assetType,
-        fileInfo: {
-          originalName: req.file.originalname,
-          mimeType: req.file.mimetype,
-          size: req.file.size,
-          sizeInMB: (req.file.size / (1024 * 1024)).toFixed(2)
-        },
-        hashes: {
-          exactHash: hashResult.exactHash,
-          perceptualHash: hashResult.perceptualHash,
-          audioHash: hashResult.audioHash
-        },
-        ipfs: {
-          mediaCid: mediaResult.cid,
-          mediaGatewayUrl: mediaResult.gatewayUrl,
-          metadataCid: metadataResult.cid,
-          metadataGatewayUrl: metadataResult.gatewayUrl
-        },
-        repost: {
-          originalCreator: detectResult.originalCreator,
-          matchType: detectResult.matchType,
-          confidence: detectResult.confidence
-        },
-        processingTime: {
-          hashing: `${hashDuration}ms`,
-          ipfs: `${totalIpfsDuration}ms`,
-          blockchain: `${blockchainDuration}ms`,
-          total: `${totalDuration}ms`
-        }
-      });
-      return;
+    // An identical file on-chain outranks the index's near-duplicates
+    if (onChain.matchType === 'EXACT_DUPLICATE' || matches.length === 0) {
+      return { similarMatches: [], detectResult: onChain };
     }
+    return { similarMatches: matches, detectResult: null };
+  }, { isRetryable: isRetryableChainError });
+
+  const detectionDuration = Date.now() - detectionStartTime;
+
+  // Remixes, reactions and edits credit the matched original as their parent
+  // (an identical file is a repost, not a derivative) if they may adapt it
+  const parent = similarMatches.length > 0
+    ? { exactHash: similarMatches[0].exactHash, creator: similarMatches[0].creator, matchType: similarMatches[0].matchType }
+    : detectResult?.isDuplicate
+      ? { exactHash: detectResult.originalHash, creator: detectResult.originalCreator, matchType: detectResult.matchType }
+      : null;
+  const derivativeRequested = Boolean(derivativeType && parent && parent.matchType !== 'EXACT_DUPLICATE');
+  const derivativePermitted = derivativeRequested && await mayRegisterDerivative(parent!.exactHash, walletAddress, blockchainMode === 'backend');
+  const derivation: Derivation | undefined = derivativePermitted
+    ? { parentHash: normalizeExactHash(parent!.exactHash), derivativeType: derivativeType! }
+    : undefined;
+  if (derivation) {
+    console.log(`[UPLOAD] Registering as ${derivation.derivativeType} of ${derivation.parentHash.substring(0, 16)}... (${parent!.matchType})`);
+  } else if (derivativeRequested) {
+    console.log(`[UPLOAD] ${derivativeType} of ${parent!.exactHash.substring(0, 16)}... not permitted by its license, treating as a repost`);
+  }
 
-    // PHASE 5: NEW ASSET - Register on blockchain (use metadataCid, not mediaCid)
-    console.log('[UPLOAD] New asset detected, registering on blockchain...');
-    
-    const receipt = await registerAssetOnChain({
-      exactHash: hashResult.exactHash,
-      perceptualHash: hashResult.perceptualHash,
-      audioHash: hashResult.audioHash || 'no_audio',
-      ipfsCid: metadataResult.cid,  // Store metadata CID on-chain, NOT media CID
-      assetType: hashResult.assetType
+  if (similarMatches.length > 0 && !derivation) {
+    const bestMatch = similarMatches[0];
+    const totalDuration = hashDuration + totalIpfsDuration + detectionDuration;
+    const original = await postStore.findByMetadataCid(bestMatch.metadataCid);
+    const originalLicense = original?.license ?? DEFAULT_LICENSE;
+    const permitted = permitsReuse(originalLicense, bestMatch.matchType);
+    const licensePurchased = !permitted && await holdsPurchasedLicense(bestMatch.exactHash, walletAddress);
+    const licensedReuse = permitted || licensePurchased;
+
+    console.log(licensedReuse
+      ? `[UPLOAD] ✓ LICENSED REUSE (off-chain index, ${licensePurchased ? 'purchased license' : originalLicense.type})`
+      : `[UPLOAD] ⚠️  NEAR-DUPLICATE DETECTED (off-chain index)!`);
+    console.log(`[UPLOAD] Original Creator: ${bestMatch.creator}`);
+    console.log(`[UPLOAD] Match Type: ${bestMatch.matchType}`);
+    console.log(`[UPLOAD] Similarity: ${bestMatch.similarity}%`);
+    console.log(`[UPLOAD] Upload allowed but NOT registered on-chain`);
+    console.log(`[UPLOAD] Total processing time: ${totalDuration}ms\n`);
+
+    // Store as a repost
+    await postStore.save({
+      id: `repost-${Date.now()}-${Math.random().toString(36).substring(7)}`,
+      ...postBase,
+      status: 'REPOST_DETECTED',
+      originalCreator: bestMatch.creator,
+      matchType: bestMatch.matchType,
+      confidence: bestMatch.similarity,
+      originalHash: bestMatch.exactHash,
+      matches: similarMatches,
+      license: originalLicense,
+      licensedReuse,
+      licensePurchased,
+      timestamp: new Date().toISOString()
     });
+    job.skipPhase('registration');
 
-    const totalBlockchainDuration = Date.now() - blockchainStartTime;
-    const totalDuration = hashDuration + totalIpfsDuration + totalBlockchainDuration;
+    return {
+      success: true,
+      status: 'REPOST_DETECTED',
+      assetType: hashResult.assetType,
+      fileInfo,
+      hashes,
+      ipfs,
+      repost: {
+        detectedBy: 'similarity-index',
+        originalCreator: bestMatch.creator,
+        matchType: bestMatch.matchType,
+        confidence: bestMatch.similarity,
+        originalHash: bestMatch.exactHash,
+        matches: similarMatches,
+        license: originalLicense,
+        licensedReuse,
+        licensePurchased
+      },
+      ...(derivativeRequested && { derivativeNotPermitted: true }),
+      processingTime: {
+        hashing: `${hashDuration}ms`,
+        ipfs: `${totalIpfsDuration}ms`,
+        similarity: `${detectionDuration}ms`,
+        total: `${totalDuration}ms`
+      }
+    };
+  }
 
-    console.log(`[UPLOAD] ✓ NEW ASSET REGISTERED!`);
-    console.log(`[UPLOAD] Transaction Hash: ${receipt.hash}`);
-    console.log(`[UPLOAD] Block Number: ${receipt.blockNumber}`);
-    console.log(`[UPLOAD] Metadata CID stored on-chain: ${metadataResult.cid}`);
-    console.log(`[UPLOAD] Total processing time: ${totalDuration}ms\n`);
+  if (blockchainMode === 'frontend') {
+    // Frontend mode: Return hashes and IPFS data, let frontend handle blockchain
+    const totalDuration = hashDuration + totalIpfsDuration + detectionDuration;
 
-    // Store in memory as original
-    const originalEntry: Post = {
-      id: `original-${Date.now()}-${Math.random().toString(36).substring(7)}`,
-      mediaCid: mediaResult.cid,
-      mediaGatewayUrl: mediaResult.gatewayUrl,
-      metadataCid: metadataResult.cid,
-      metadataGatewayUrl: metadataResult.gatewayUrl,
-      walletAddress: walletAddress,
-      caption: title || undefined,
-      exactHash: hashResult.exactHash,
-      perceptualHash: hashResult.perceptualHash,
-      audioHash: hashResult.audioHash,
+    console.log(`[UPLOAD] ✓ Asset processed (frontend blockchain mode)`);
+    console.log(`[UPLOAD] Hashes generated, IPFS uploaded (media + metadata)`);
+    console.log(`[UPLOAD] Frontend will handle blockchain transaction\n`);
+    job.skipPhase('registration');
+
+    return {
+      success: true,
+      status: 'READY_FOR_BLOCKCHAIN',
       assetType: hashResult.assetType,
-      mimeType: req.file.mimetype,
-      fileName: req.file.originalname,
-      fileSize: req.file.size,
-      status: 'ORIGINAL',
-      timestamp: new Date().toISOString(),
-      onChain: {
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber || 0,
-        contractAddress: process.env.CONTRACT_ADDRESS || '',
-        gasUsed: receipt.gasUsed.toString()
+      fileInfo,
+      hashes,
+      ipfs,
+      ...(derivation && { derivation: { ...derivation, parentCreator: parent!.creator } }),
+      processingTime: {
+        hashing: `${hashDuration}ms`,
+        ipfs: `${totalIpfsDuration}ms`,
+        total: `${totalDuration}ms`
       }
     };
-    posts.push(originalEntry);
+  }
 
-    res.json({
+  if (detectResult?.isDuplicate && !derivation) {
+    // REPOST DETECTED - Do not register on blockchain, but allow upload
+    const totalDuration = hashDuration + totalIpfsDuration + detectionDuration;
+    const permitted = permitsReuse(detectResult.license, detectResult.matchType);
+    const licensePurchased = !permitted && await holdsPurchasedLicense(detectResult.originalHash, walletAddress);
+    const licensedReuse = permitted || licensePurchased;
+
+    console.log(licensedReuse
+      ? `[UPLOAD] ✓ LICENSED REUSE (${licensePurchased ? 'purchased license' : detectResult.license.type})`
+      : `[UPLOAD] ⚠️  REPOST DETECTED!`);
+    console.log(`[UPLOAD] Original Creator: ${detectResult.originalCreator}`);
+    console.log(`[UPLOAD] Match Type: ${detectResult.matchType}`);
+    console.log(`[UPLOAD] Confidence: ${detectResult.confidence}%`);
+    console.log(`[UPLOAD] Upload allowed but NOT registered on-chain`);
+    console.log(`[UPLOAD] Total processing time: ${totalDuration}ms\n`);
+
+    // Store as a repost
+    const repostPost: Post = {
+      id: `repost-${Date.now()}-${Math.random().toString(36).substring(7)}`,
+      ...postBase,
+      status: 'REPOST_DETECTED',
+      originalCreator: detectResult.originalCreator,
+      matchType: detectResult.matchType,
+      confidence: detectResult.confidence,
+      originalHash: detectResult.originalHash,
+      license: detectResult.license,
+      licensedReuse,
+      licensePurchased,
+      timestamp: new Date().toISOString()
+    };
+    await postStore.save(repostPost);
+    recordRepost(repostPost, true);
+    job.skipPhase('registration');
+
+    return {
       success: true,
-      status: 'NEW_ASSET_REGISTERED',
+      status: 'REPOST_DETECTED',
       assetType: hashResult.assetType,
-      fileInfo: {
-        originalName: req.file.originalname,
-        mimeType: req.file.mimetype,
-        size: req.file.size,
-        sizeInMB: (req.file.size / (1024 * 1024)).toFixed(2)
-      },
-      hashes: {
-        exactHash: hashResult.exactHash,
-        perceptualHash: hashResult.perceptualHash,
-        audioHash: hashResult.audioHash
-      },
-      ipfs: {
-        mediaCid: mediaResult.cid,
-        mediaGatewayUrl: mediaResult.gatewayUrl,
-        metadataCid: metadataResult.cid,
-        metadataGatewayUrl: metadataResult.gatewayUrl
-      },
-      onChain: {
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        contractAddress: process.env.CONTRACT_ADDRESS,
-        gasUsed: receipt.gasUsed.toString()
+      fileInfo,
+      hashes,
+      ipfs,
+      repost: {
+        detectedBy: 'contract',
+        originalCreator: detectResult.originalCreator,
+        matchType: detectResult.matchType,
+        confidence: detectResult.confidence,
+        originalHash: detectResult.originalHash,
+        license: detectResult.license,
+        licensedReuse,
+        licensePurchased
       },
+      ...(derivativeRequested && { derivativeNotPermitted: true }),
       processingTime: {
         hashing: `${hashDuration}ms`,
         ipfs: `${totalIpfsDuration}ms`,
-        blockchain: `${totalBlockchainDuration}ms`,
+        blockchain: `${detectionDuration}ms`,
         total: `${totalDuration}ms`
       }
+    };
+  }
+
+  // PHASE 4: NEW ASSET - Register on blockchain (use metadataCid, not mediaCid)
+  console.log('[UPLOAD] New asset detected, registering on blockchain...');
+  const registrationStartTime = Date.now();
+
+  // The post is stored as soon as the transaction is sent (txStatus "pending")
+  // and updated when it settles, so a restart does not lose it
+  const postId = `original-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+  const registration = {
+    creator: walletAddress,
+    exactHash: hashResult.exactHash,
+    perceptualHash: hashResult.perceptualHash,
+    audioHash: hashResult.audioHash || 'no_audio',
+    ipfsCid: metadataResult.cid,  // Store metadata CID on-chain, NOT media CID
+    license,
+    derivation
+  };
+  let submitted: TrackedTransaction | null = null;
+
+  const receipt = await job.runPhase('registration', async () => {
+    if (!submitted) {
+      // Sent by the backend wallet, a derivative would be registered to it
+      if (derivation || (gasless && relayerEnabled)) {
+        const typedData = await relayer.prepare(registration);
+
+        // Up to RELAYER_SIGNATURE_TTL_SECONDS: the job frees its worker slot meanwhile
+        console.log('[UPLOAD] Waiting for the creator to sign the registration...');
+        const signature = await job.waitForInput<string | null>(
+          'registration-signature',
+          typedData,
+          RELAYER_SIGNATURE_TTL_SECONDS * 1000
+        );
+        if (!signature) {
+          throw new RelayError('INVALID_SIGNATURE', 'Creator declined to sign the registration');
+        }
+        submitted = await relayer.relay(registration, typedData.message.deadline, signature, postId);
+      } else {
+        submitted = await transactions.submit(registerVideoCall(registration), postId);
+      }
+
+      await postStore.save({
+        id: postId,
+        ...postBase,
+        status: 'ORIGINAL',
+        license,
+        ...derivation,
+        txStatus: 'pending',
+        timestamp: new Date().toISOString(),
+        onChain: {
+          txHash: submitted.txHash,
+          blockNumber: 0,
+          contractAddress: process.env.CONTRACT_ADDRESS || '',
+          gasUsed: ''
+        }
+      });
+      console.log(`[UPLOAD] Transaction ${submitted.txHash} pending, waiting for confirmation...`);
+    }
+
+    try {
+      return await transactions.wait(submitted.id);
+    } catch (error) {
+      // A replaced transaction is submitted again on retry
+      submitted = null;
+      throw error;
+    }
+  }, { isRetryable: isRetryableRegistrationError });
+
+  const totalBlockchainDuration = detectionDuration + (Date.now() - registrationStartTime);
+  const totalDuration = hashDuration + totalIpfsDuration + totalBlockchainDuration;
+
+  console.log(`[UPLOAD] ✓ NEW ASSET REGISTERED!`);
+  console.log(`[UPLOAD] Transaction Hash: ${receipt.hash}`);
+  console.log(`[UPLOAD] Block Number: ${receipt.blockNumber}`);
+  console.log(`[UPLOAD] Metadata CID stored on-chain: ${metadataResult.cid}`);
+  console.log(`[UPLOAD] Total processing time: ${totalDuration}ms\n`);
+
+  return {
+    success: true,
+    status: 'NEW_ASSET_REGISTERED',
+    assetType: hashResult.assetType,
+    fileInfo,
+    hashes,
+    ipfs,
+    license,
+    ...(derivation && { derivation: { ...derivation, parentCreator: parent!.creator } }),
+    onChain: {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      contractAddress: process.env.CONTRACT_ADDRESS,
+      gasUsed: receipt.gasUsed.toString()
+    },
+    processingTime: {
+      hashing: `${hashDuration}ms`,
+      ipfs: `${totalIpfsDuration}ms`,
+      blockchain: `${totalBlockchainDuration}ms`,
+      total: `${totalDuration}ms`
+    }
+  };
+}
+
+/**
+ * Asset Upload Endpoint
+ * POST /upload
+ * 
+ * Accepts media file uploads (video, image, audio, text) via multipart/form-data.
+ * The file is streamed to disk and a processing job is queued; the response
+ * returns immediately with the job ID.
+ * 
+ * Request:
+ * - Authorization: Bearer <token> (POST /auth/verify); the signed-in wallet
+ *   is the creator
+ * - Content-Type: multipart/form-data
+ * - Field name: "video" (for any media type)
+ * - Additional fields: title, description, username, displayName
+ * - signMetadata=true: have the creator sign the metadata (EIP-712); the job
+ *   then waits with `awaiting: { input: "metadata-signature", payload: <typed data> }`
+ *   until the signature is sent to POST /jobs/:id/signature
+ * - gasless=true (backend mode): register new assets through the relayer so
+ *   the creator's wallet owns them; the job waits with
+ *   `awaiting: { input: "registration-signature", payload: <typed data> }`
+ * - licenseType (ALL_RIGHTS_RESERVED, CC0, CC_BY, CC_BY_SA, CC_BY_NC,
+ *   CC_BY_NC_SA, CC_BY_ND, CC_BY_NC_ND or CUSTOM) and licenseTermsCid
+ *   (CUSTOM only): reuse terms registered with new assets (backend mode)
+ * - derivativeType (REMIX, REACTION or EDIT): register an upload that matches
+ *   a registered work as a derivative of it instead of a repost
+ * 
+ * Response:
+ * - Success (202): { success: true, status: "QUEUED", jobId, statusUrl, eventsUrl }
+ * - Error: { success: false, error: "Error message" } (401 without a valid session,
+ *   400 if a field exceeds the metadata schema limits or the license or
+ *   derivative type is invalid)
+ * 
+ * The finished job's `result` holds the upload outcome (REPOST_DETECTED,
+ * READY_FOR_BLOCKCHAIN or NEW_ASSET_REGISTERED) with IPFS and blockchain data.
+ * A repost's `repost.detectedBy` is "similarity-index" (indexed identical
+ * files and near-duplicates, including re-encoded audio) or "contract"
+ * (identical on-chain fingerprints). An identical file is always reported
+ * as an EXACT_DUPLICATE of itself, never as a near-duplicate of another work.
+ */
+app.post('/upload', requireWalletSession, upload.single('video'), async (req: Request, res: Response): Promise<void> => {
+  // Check if file was uploaded
+  if (!req.file) {
+    console.log('[UPLOAD] No file received in request');
+    res.status(400).json({
+      success: false,
+      error: 'No file provided. Please upload a file with the field name "video".'
+    });
+    return;
+  }
+
+  const file = req.file as UploadedFile;
+
+  // The creator is the signed-in wallet, never a client-supplied address
+  const walletAddress = (res.locals.session as WalletSession).address;
+
+  // Log upload details
+  console.log('[UPLOAD] Asset file received:');
+  console.log(`  - Original name: ${file.originalname}`);
+  console.log(`  - MIME type: ${file.mimetype}`);
+  console.log(`  - Size: ${(file.size / (1024 * 1024)).toFixed(2)} MB`);
+  console.log(`  - Wallet: ${walletAddress}`);
+
+  const fields = {
+    username: req.body.username || null,
+    displayName: req.body.displayName || null,
+    title: req.body.title || null,
+    description: req.body.description || null,
+    signMetadata: req.body.signMetadata === 'true',
+    gasless: req.body.gasless === 'true'
+  };
+
+  // Reject fields the metadata schema does not accept before any work is queued
+  const fieldErrors = checkPostFields({
+    title: fields.title,
+    description: fields.description,
+    creatorName: fields.displayName || fields.username,
+    creatorUsername: fields.username
+  });
+  if (fieldErrors.length > 0) {
+    await removeUpload(file.path);
+    res.status(400).json({
+      success: false,
+      error: `Invalid post fields: ${fieldErrors.join('; ')}`
     });
+    return;
+  }
 
+  let license: AssetLicense;
+  try {
+    license = parseLicense(req.body.licenseType, req.body.licenseTermsCid);
   } catch (error) {
-    // Log error details
-    console.error('[UPLOAD ERROR]', error instanceof Error ? error.message : 'Unknown error');
-    
-    // Return error response
-    res.status(500).json({
+    await removeUpload(file.path);
+    res.status(400).json({
+      success: false,
+      error: `Invalid license: ${error instanceof Error ? error.message : 'Unknown error'}`
+    });
+    return;
+  }
+
+  let derivativeType: DerivativeType | null;
+  try {
+    derivativeType = parseDerivativeType(req.body.derivativeType);
+  } catch (error) {
+    await removeUpload(file.path);
+    res.status(400).json({
+      success: false,
+      error: `Invalid derivative type: ${error instanceof Error ? error.message : 'Unknown error'}`
+    });
+    return;
+  }
+
+  const job = uploadJobs.enqueue(
+    (context) => processUpload({ file, walletAddress, ...fields, license, derivativeType }, context),
+    {
+      owner: walletAddress,
+      // The upload lives on disk only while its job is being processed
+      onSettled: () => removeUpload(file.path)
+    }
+  );
+
+  res.status(202).json({
+    success: true,
+    status: 'QUEUED',
+    jobId: job.id,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`
+  });
+});
+
+/**
+ * Upload Job Status Endpoint
+ * GET /jobs/:id
+ * 
+ * Response:
+ * - Success: { success: true, job: { id, owner, status, phase, progress, phases, awaiting?, result?, error? } }
+ * - Error (404): { success: false, error: "Job not found" }
+ * 
+ * `awaiting` only names the input and its expiry; the job's owner reads the
+ * payload to sign from GET /jobs/:id/awaiting.
+ */
+app.get('/jobs/:id', (req: Request, res: Response): void => {
+  const job = uploadJobs.get(req.params.id);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return;
+  }
+
+  res.json({
+    success: true,
+    job: publicJob(job)
+  });
+});
+
+/**
+ * Awaited Job Input Endpoint
+ * GET /jobs/:id/awaiting
+ * 
+ * Returns what a job waiting for input needs from its owner (e.g. the typed
+ * data to sign for POST /jobs/:id/signature).
+ * 
+ * Request:
+ * - Authorization: Bearer <token> of the wallet that queued the job
+ * 
+ * Response:
+ * - Success: { success: true, awaiting: { input, payload, expiresAt } }
+ * - Error: { success: false, error } (403 for another wallet, 404 if the job
+ *   does not exist, 409 if it is not waiting for input)
+ */
+app.get('/jobs/:id/awaiting', requireWalletSession, (req: Request, res: Response): void => {
+  const job = uploadJobs.get(req.params.id);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return;
+  }
+  if (!isJobOwner(job, (res.locals.session as WalletSession).address)) {
+    res.status(403).json({
+      success: false,
+      error: 'Only the wallet that queued this job can read its input'
+    });
+    return;
+  }
+  if (!job.awaiting) {
+    res.status(409).json({
+      success: false,
+      error: 'Job is not waiting for input'
+    });
+    return;
+  }
+
+  res.json({
+    success: true,
+    awaiting: job.awaiting
+  });
+});
+
+/**
+ * Upload Job Progress Stream
+ * GET /jobs/:id/events
+ * 
+ * Server-Sent Events stream: sends a "job" event with the full job state on
+ * connect and on every change, and closes once the job completes or fails.
+ */
+app.get('/jobs/:id/events', (req: Request, res: Response): void => {
+  const job = uploadJobs.get(req.params.id);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  let unsubscribe = (): void => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const send = (update: UploadJob<UploadResult>): void => {
+    res.write(`event: job\ndata: ${JSON.stringify(publicJob(update))}\n\n`);
+    if (update.status === 'completed' || update.status === 'failed') {
+      unsubscribe();
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+  });
+
+  send(job);
+  if (job.status !== 'completed' && job.status !== 'failed') {
+    unsubscribe = uploadJobs.subscribe(job.id, send);
+  }
+});
+
+/**
+ * Upload Signature Endpoint
+ * POST /jobs/:id/signature
+ * 
+ * Completes an upload waiting for a signature (signMetadata=true or
+ * gasless=true): the creator signs the typed data from
+ * GET /jobs/:id/awaiting (eth_signTypedData_v4) and sends the signature here.
+ * The job verifies it came from the uploading wallet and then embeds it in
+ * the metadata ("metadata-signature") or relays the registration
+ * ("registration-signature").
+ * 
+ * Request:
+ * - Authorization: Bearer <token> of the wallet that queued the job
+ * - Body: { signature: "0x..." }, or { signature: null } to decline (metadata
+ *   is published unsigned, a gasless registration fails)
+ * 
+ * Response:
+ * - Success: { success: true }
+ * - Error: { success: false, error } (403 for another wallet, 404 if the job
+ *   does not exist, 409 if it is not waiting for a signature)
+ */
+app.post('/jobs/:id/signature', requireWalletSession, (req: Request, res: Response): void => {
+  const { signature } = req.body;
+
+  if (signature !== null && (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature))) {
+    res.status(400).json({
+      success: false,
+      error: 'signature must be a 65-byte hex string or null'
+    });
+    return;
+  }
+
+  const job = uploadJobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return;
+  }
+  if (!isJobOwner(job, (res.locals.session as WalletSession).address)) {
+    res.status(403).json({
+      success: false,
+      error: 'Only the wallet that queued this job can sign for it'
+    });
+    return;
+  }
+
+  const awaiting = job.awaiting?.input;
+  if (!awaiting?.endsWith('-signature') || !uploadJobs.provideInput(job.id, awaiting, signature)) {
+    res.status(409).json({
+      success: false,
+      error: 'Job is not waiting for a signature'
+    });
+    return;
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * Send a RelayError (or an unexpected failure) as the response of a relay endpoint
+ */
+function sendRelayError(res: Response, error: unknown): void {
+  if (error instanceof RelayError) {
+    console.warn(`[RELAYER] ✗ Refused (${error.code}): ${error.message}`);
+    res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+    return;
+  }
+  console.error('[RELAYER ERROR]', error);
+  res.status(500).json({
+    success: false,
+    error: error instanceof Error ? error.message : 'Relayed registration failed'
+  });
+}
+
+/**
+ * License fields of a relay request (licenseType, licenseTermsCid)
+ */
+function relayLicense(body: { licenseType?: unknown; licenseTermsCid?: unknown }): AssetLicense {
+  try {
+    return parseLicense(body.licenseType, body.licenseTermsCid);
+  } catch (error) {
+    if (error instanceof LicenseValidationError) {
+      throw new RelayError('INVALID_REQUEST', error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gasless Registration - Prepare Endpoint
+ * POST /relay/registration/prepare
+ * 
+ * Returns the EIP-712 RegisterVideo message the signed-in wallet signs
+ * (eth_signTypedData_v4) to have the platform register an asset on its
+ * behalf. The signature is valid until message.deadline
+ * (RELAYER_SIGNATURE_TTL_SECONDS).
+ * 
+ * Request:
+ * - Authorization: Bearer <token>; the signed-in wallet is the creator
+ * - Body: { exactHash, perceptualHash, audioHash, ipfsCid, licenseType?, licenseTermsCid? }
+ *   (ipfsCid = metadata CID; the license is part of the signed message)
+ * 
+ * Response:
+ * - Success: { success: true, typedData: { domain, types, primaryType, message } }
+ * - Error: { success: false, error, code } (400 malformed, 503 chain unavailable
+ *   or relayer disabled)
+ */
+app.post('/relay/registration/prepare', requireWalletSession, express.json(), async (req: Request, res: Response): Promise<void> => {
+  if (!relayerEnabled) {
+    res.status(503).json({
+      success: false,
+      error: 'Gasless registration is disabled'
+    });
+    return;
+  }
+
+  try {
+    const { exactHash, perceptualHash, audioHash, ipfsCid } = req.body;
+    const typedData = await relayer.prepare({
+      creator: (res.locals.session as WalletSession).address,
+      exactHash,
+      perceptualHash,
+      audioHash,
+      ipfsCid,
+      license: relayLicense(req.body)
+    });
+    res.json({
+      success: true,
+      typedData
+    });
+  } catch (error) {
+    sendRelayError(res, error);
+  }
+});
+
+/**
+ * Gasless Registration - Relay Endpoint
+ * POST /relay/registration
+ * 
+ * Submits a registration signed with the typed data from
+ * /relay/registration/prepare as registerVideoFor. The signed-in wallet
+ * becomes the on-chain creator; the backend wallet pays the gas.
+ * Follow the transaction at statusUrl until it is confirmed, then store
+ * the post with POST /register-post as for any frontend registration.
+ * 
+ * Request:
+ * - Authorization: Bearer <token>; the signed-in wallet is the creator
+ * - Body: { exactHash, perceptualHash, audioHash, ipfsCid, licenseType?, licenseTermsCid?, deadline, signature }
+ * 
+ * Response:
+ * - Success (202): { success: true, transaction: TransactionSummary, statusUrl }
+ * - Error: { success: false, error, code } where code is a RelayErrorCode
+ *   (400 malformed/expired/invalid signature, 409 already registered,
+ *   429 hourly quota used up, 503 chain unavailable or relayer disabled)
+ */
+app.post('/relay/registration', requireWalletSession, express.json(), async (req: Request, res: Response): Promise<void> => {
+  if (!relayerEnabled) {
+    res.status(503).json({
       success: false,
-      error: error instanceof Error ? error.message : 'An error occurred while processing the upload'
+      error: 'Gasless registration is disabled'
     });
+    return;
   }
+
+  try {
+    const { exactHash, perceptualHash, audioHash, ipfsCid, deadline, signature } = req.body;
+    const creator = (res.locals.session as WalletSession).address;
+    const tx = await relayer.relay(
+      { creator, exactHash, perceptualHash, audioHash, ipfsCid, license: relayLicense(req.body) },
+      Number(deadline),
+      signature
+    );
+
+    console.log(`[RELAYER] ✓ Relayed ${String(exactHash).substring(0, 16)}... for ${creator} in tx ${tx.txHash}`);
+    res.status(202).json({
+      success: true,
+      transaction: toTransactionSummary(tx),
+      statusUrl: `/transactions/${tx.id}`
+    });
+  } catch (error) {
+    sendRelayError(res, error);
+  }
+});
+
+/**
+ * Public view of a backend transaction (no calldata or fee details)
+ */
+function toTransactionSummary(tx: TrackedTransaction) {
+  return {
+    id: tx.id,
+    method: tx.method,
+    status: tx.status,
+    txHash: tx.txHash,
+    blockNumber: tx.blockNumber,
+    contractAddress: tx.to,
+    gasUsed: tx.gasUsed,
+    error: tx.error,
+    submittedAt: tx.submittedAt,
+    updatedAt: tx.updatedAt
+  };
+}
+
+/**
+ * Backend Transaction Status Endpoint
+ * GET /transactions/:id
+ * 
+ * Status of a transaction sent by the backend wallet (relayed
+ * registrations): pending until mined, then confirmed, failed (reverted)
+ * or replaced (its nonce was used by another transaction). Stuck
+ * transactions are re-sent with higher fees; txHash follows the latest.
+ * 
+ * Response:
+ * - Success: { success: true, transaction: { id, method, status, txHash, blockNumber, contractAddress, gasUsed, error, submittedAt, updatedAt } }
+ * - Error (404): { success: false, error: "Transaction not found" }
+ */
+app.get('/transactions/:id', (req: Request, res: Response): void => {
+  const tx = transactions.get(req.params.id);
+
+  if (!tx) {
+    res.status(404).json({
+      success: false,
+      error: 'Transaction not found'
+    });
+    return;
+  }
+
+  res.json({
+    success: true,
+    transaction: toTransactionSummary(tx)
+  });
+});
+
+/**
+ * Backend Transaction Listing Endpoint
+ * GET /transactions?status=pending
+ * 
+ * Full records of the backend wallet's transactions, newest first (nonce,
+ * every broadcast hash, fees). Admin wallets only.
+ * 
+ * Response:
+ * - Success: { success: true, count, transactions: TrackedTransaction[] }
+ */
+app.get('/transactions', requireWalletSession, requireAdmin, (req: Request, res: Response): void => {
+  const status = req.query.status as TxStatus | undefined;
+  if (status && !['pending', 'confirmed', 'replaced', 'failed'].includes(status)) {
+    res.status(400).json({
+      success: false,
+      error: 'status must be pending, confirmed, replaced or failed'
+    });
+    return;
+  }
+
+  const list = transactions.list(status);
+  res.json({
+    success: true,
+    count: list.length,
+    transactions: list
+  });
 });
 
 /**
@@ -668,11 +1939,35 @@ app.post('/upload', upload.single('video'), async (req: Request, res: Response):
  * 
  * Called by frontend after successful blockchain transaction to store post in backend
  * 
+ * Requires Authorization: Bearer <token>; the signed-in wallet is the creator
+ * 
  * Request body:
  * - status: 'ORIGINAL' | 'REPOST_DETECTED'
- * - mediaCid, metadataCid, walletAddress, hashes, etc.
+ * - mediaCid, metadataCid, hashes, etc.
+ * - onChain.txHash (originals) / repost.originalHash (reposts)
+ *
+ * Claims are verified against the chain before anything is stored
+ * (see post-verification.ts):
+ * - ORIGINAL: onChain.txHash must be a successful registerVideo (registerVideoWithLicense,
+ *   registerDerivative, or relayed registerVideoFor) call on our contract whose
+ *   VideoRegistered event matches exactHash, the signed-in wallet and metadataCid.
+ *   Stored on-chain data, the license and a derivative's parent are read from the receipt.
+ *   The post's fingerprints are read from the registered metadata (they must
+ *   match the VideoRegistered event), never from the body.
+ * - REPOST_DETECTED: repost.originalHash must be registered on-chain, owned by
+ *   repost.originalCreator, and what the contract's detectRepost matches the
+ *   body's hashes to; the match type is the contract's. The original's on-chain license, or a
+ *   reuse license the signed-in wallet bought (purchaseLicense), makes the post
+ *   licensed reuse; other reposts the contract matches are then recorded
+ *   on-chain (recordRepost) by the backend wallet.
+ *
+ * Response: { success: true, postId, licensedReuse? }
+ *
+ * Error response: { success: false, error, code } where code is a
+ * VerificationErrorCode (400 malformed, 404 unknown tx, 422 mismatch,
+ * 503 chain or metadata unavailable)
  */
-app.post('/register-post', express.json(), async (req: Request, res: Response): Promise<void> => {
+app.post('/register-post', requireWalletSession, express.json(), async (req: Request, res: Response): Promise<void> => {
   try {
     const {
       status,
@@ -680,10 +1975,10 @@ app.post('/register-post', express.json(), async (req: Request, res: Response):
       mediaGatewayUrl,
       metadataCid,
       metadataGatewayUrl,
-      walletAddress,
       exactHash,
       perceptualHash,
       audioHash,
+      imageFingerprint,
       assetType,
       mimeType,
       fileName,
@@ -693,54 +1988,118 @@ app.post('/register-post', express.json(), async (req: Request, res: Response):
       repost
     } = req.body;
 
+    // Registering the same metadata twice (retried request) returns the stored post
+    const existingPost = metadataCid ? await postStore.findByMetadataCid(metadataCid) : null;
+    if (existingPost) {
+      console.log(`[REGISTER POST] Post for ${metadataCid} already registered: ${existingPost.id}`);
+      res.json({
+        success: true,
+        message: 'Post already registered',
+        postId: existingPost.id
+      });
+      return;
+    }
+
+    const walletAddress = (res.locals.session as WalletSession).address;
+    let verifiedOnChain: Post['onChain'];
+    let creator = walletAddress;
+    let originalCreator = repost?.originalCreator;
+    let license: AssetLicense;
+    let derivation: Derivation | null = null;
+    let licensedReuse = false;
+    let licensePurchased = false;
+    let matchType: string | undefined;
+    let fingerprints = { perceptualHash, audioHash, imageFingerprint };
+
+    if (status === 'ORIGINAL') {
+      const {
+        creator: registeredBy, license: registeredLicense, derivation: registeredDerivation, fingerprints: registered,
+        ...registration
+      } = await verifyOriginalClaim({
+        txHash: onChain?.txHash,
+        exactHash,
+        walletAddress,
+        metadataCid
+      });
+      verifiedOnChain = registration;
+      creator = registeredBy;
+      license = registeredLicense;
+      derivation = registeredDerivation;
+      // Originals feed the similarity index: use the registered fingerprints, not the body's
+      fingerprints = registered;
+    } else if (status === 'REPOST_DETECTED') {
+      ({ originalCreator, matchType, license, licensePurchased } = await verifyRepostClaim({
+        exactHash,
+        perceptualHash,
+        audioHash,
+        originalHash: repost?.originalHash,
+        originalCreator: repost?.originalCreator,
+        uploader: walletAddress
+      }));
+      licensedReuse = permitsReuse(license, matchType) || licensePurchased;
+    } else {
+      throw new VerificationError('INVALID_REQUEST', `Invalid status: ${status}`);
+    }
+
     const newPost: Post = {
       id: `${status === 'ORIGINAL' ? 'original' : 'repost'}-${Date.now()}-${Math.random().toString(36).substring(7)}`,
       mediaCid,
       mediaGatewayUrl,
       metadataCid,
       metadataGatewayUrl,
-      walletAddress,
+      walletAddress: creator,
       caption: title || undefined,
       exactHash,
-      perceptualHash,
-      audioHash,
+      ...fingerprints,
       assetType,
       mimeType,
       fileName,
       fileSize,
       status,
+      license,
+      ...derivation,
       timestamp: new Date().toISOString(),
-      ...(status === 'REPOST_DETECTED' && repost && {
-        originalCreator: repost.originalCreator,
-        matchType: repost.matchType,
-        confidence: repost.confidence
+      ...(status === 'REPOST_DETECTED' && {
+        originalCreator,
+        matchType,
+        confidence: 100,
+        originalHash: repost.originalHash,
+        licensedReuse,
+        licensePurchased
       }),
-      ...(status === 'ORIGINAL' && onChain && {
-        onChain: {
-          txHash: onChain.txHash,
-          blockNumber: onChain.blockNumber,
-          contractAddress: onChain.contractAddress,
-          gasUsed: onChain.gasUsed
-        }
-      })
+      ...(verifiedOnChain && { onChain: verifiedOnChain, txStatus: 'confirmed' as const })
     };
 
-    posts.push(newPost);
+    await postStore.save(newPost);
+    indexOriginalPost(newPost);
+    if (newPost.status === 'REPOST_DETECTED') {
+      recordRepost(newPost);
+    }
 
     console.log(`[REGISTER POST] ✓ Post registered: ${newPost.id} (${status})`);
     console.log(`[REGISTER POST] Asset Type: ${assetType}`);
     console.log(`[REGISTER POST] Media CID: ${mediaCid}`);
     console.log(`[REGISTER POST] Metadata CID: ${metadataCid}`);
-    console.log(`[REGISTER POST] Total posts in array: ${posts.length}`);
+    console.log(`[REGISTER POST] Total stored posts: ${await postStore.count()}`);
     console.log(`[REGISTER POST] Full post data:`, JSON.stringify(newPost, null, 2));
 
     res.json({
       success: true,
       message: 'Post registered successfully',
-      postId: newPost.id
+      postId: newPost.id,
+      ...(status === 'REPOST_DETECTED' && { licensedReuse })
     });
 
   } catch (error) {
+    if (error instanceof VerificationError) {
+      console.warn(`[REGISTER POST] ✗ Rejected (${error.code}): ${error.message}`);
+      res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+      return;
+    }
     console.error('[REGISTER POST ERROR]', error);
     res.status(500).json({
       success: false,
@@ -756,20 +2115,16 @@ app.post('/register-post', express.json(), async (req: Request, res: Response):
  * Returns a list of all uploaded assets (both original and reposts)
  * with complete IPFS and blockchain data.
  * 
- * In production, this would fetch from contract events or a decentralized database.
- * For now, returns in-memory posts array.
+ * Reads from the persistent post store.
  * 
  * Response:
  * - Success: { success: true, count: number, assets: AssetSummary[] }
  */
 app.get('/assets', async (_req: Request, res: Response): Promise<void> => {
   try {
-    // Sort by timestamp (newest first)
-    const sortedAssets = [...posts].sort((a, b) => 
-      new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
-    );
+    // Newest first
+    const sortedAssets = await postStore.list();
 
-    console.log(`[GET ASSETS] Total posts in memory: ${posts.length}`);
     console.log(`[GET ASSETS] Returning ${sortedAssets.length} assets`);
     console.log(`[GET ASSETS] Asset types:`, sortedAssets.map(a => a.assetType).join(', '));
     console.log(`[GET ASSETS] Asset IDs:`, sortedAssets.map(a => a.id).join(', '));
@@ -784,10 +2139,12 @@ app.get('/assets', async (_req: Request, res: Response): Promise<void> => {
         mediaGatewayUrl: post.mediaGatewayUrl,
         metadataCid: post.metadataCid,
         metadataGatewayUrl: post.metadataGatewayUrl,
+        walletAddress: post.walletAddress,
         hashes: {
           exactHash: post.exactHash,
           perceptualHash: post.perceptualHash,
-          audioHash: post.audioHash
+          audioHash: post.audioHash,
+          imageFingerprint: post.imageFingerprint
         },
         status: post.status,
         timestamp: post.timestamp,
@@ -796,13 +2153,25 @@ app.get('/assets', async (_req: Request, res: Response): Promise<void> => {
           repost: {
             originalCreator: post.originalCreator,
             matchType: post.matchType,
-            confidence: post.confidence
+            confidence: post.confidence,
+            originalHash: post.originalHash,
+            matches: post.matches,
+            license: post.license ?? DEFAULT_LICENSE,
+            licensedReuse: Boolean(post.licensedReuse),
+            licensePurchased: Boolean(post.licensePurchased)
           }
         }),
         // Include blockchain data if it's an original
         ...(post.status === 'ORIGINAL' && post.onChain && {
           onChain: post.onChain
-        })
+        }),
+        ...(post.status === 'ORIGINAL' && { license: post.license ?? DEFAULT_LICENSE }),
+        ...(post.parentHash && {
+          derivation: { parentHash: post.parentHash, derivativeType: post.derivativeType }
+        }),
+        ...(post.txStatus && { txStatus: post.txStatus }),
+        ...(post.disputed && { disputed: true }),
+        ...(post.revoked && { revoked: true })
       }))
     });
   } catch (error) {
@@ -814,6 +2183,52 @@ app.get('/assets', async (_req: Request, res: Response): Promise<void> => {
   }
 });
 
+/**
+ * Asset Lineage Endpoint
+ * GET /assets/:hash/lineage
+ * 
+ * Walks the provenance graph of a registered asset: the works it derives
+ * from (registerDerivative parent links, up to the root original) and the
+ * remixes, reactions and edits derived from it, as stored in the post store.
+ * 
+ * Response:
+ * - Success: { success: true, asset, ancestors, derivatives, truncated } where
+ *   ancestors run from the parent to the root original, and derivatives is a
+ *   tree of { ...node, derivatives } (see provenance.ts)
+ * - Error: { success: false, error } (400 malformed hash, 404 no registered asset)
+ */
+app.get('/assets/:hash/lineage', async (req: Request, res: Response): Promise<void> => {
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(req.params.hash)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid exact hash'
+    });
+    return;
+  }
+
+  try {
+    const lineage = await buildLineage(postStore, req.params.hash);
+    if (!lineage) {
+      res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+      return;
+    }
+
+    res.json({
+      success: true,
+      ...lineage
+    });
+  } catch (error) {
+    console.error('[GET LINEAGE ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build lineage'
+    });
+  }
+});
+
 /**
  * 404 Handler
  * Catches all undefined routes
@@ -838,7 +2253,7 @@ app.use((error: Error, _req: Request, res: Response, _next: NextFunction): void
     if (error.code === 'LIMIT_FILE_SIZE') {
       res.status(400).json({
         success: false,
-        error: 'File size exceeds the 100MB limit'
+        error: error.message
       });
       return;
     }
@@ -870,11 +2285,23 @@ app.listen(PORT, async (): Promise<void> => {
   console.log('=================================');
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  console.log(`Wallet sign-in: GET /auth/nonce, POST /auth/verify`);
   console.log(`Upload endpoint: POST http://localhost:${PORT}/upload`);
+  console.log(`Job status: GET http://localhost:${PORT}/jobs/:id (SSE: /jobs/:id/events)`);
   console.log('=================================');
   
-  // Load existing posts from Pinata
-  await loadPostsFromPinata();
+  // Pinata is only a rebuild source for an empty (or explicitly rebuilt) store
+  const storedPosts = await postStore.count();
+  console.log(`[STARTUP] Post store holds ${storedPosts} posts`);
+  if (storedPosts === 0 || process.env.REBUILD_POSTS_FROM_PINATA === 'true') {
+    await rebuildPostsFromPinata();
+  }
+  await loadSimilarityIndex();
+  startChainIndexer();
+  startTransactionManager();
+  if (PIN_GC_INTERVAL_HOURS > 0) {
+    pinReconciler.start();
+  }
   
   console.log('=================================');
   console.log('Waiting for requests...\n');
@@ -0,0 +1,368 @@
+/**
+ * Audio Fingerprint Module - Chromaprint-style acoustic fingerprinting
+ *
+ * This module turns decoded mono PCM into a compact sequence of 32-bit
+ * sub-fingerprints, following the pipeline used by Chromaprint (AcoustID):
+ *
+ * 1. Frame the signal (4096 samples @ 11025 Hz, 1/3 frame hop, Hamming window)
+ * 2. FFT each frame and fold the power spectrum into 12 chroma (pitch class) bins
+ * 3. Smooth the chroma image over time and normalize each row
+ * 4. Run 16 classifiers (Haar-like filters + quantizers) over the chroma image
+ * 5. Gray-code each 2-bit quantized classifier output into one 32-bit word
+ *
+ * Because chroma discards timbre and absolute loudness, the same recording
+ * re-encoded at another bitrate or in another container yields (nearly) the
+ * same sub-fingerprint sequence. Fingerprints are compared with a bit error
+ * rate over the best time alignment rather than by string equality.
+ *
+ * @module audio-fingerprint
+ */
+
+/**
+ * Sample rate the PCM input must be decoded to
+ */
+export const FINGERPRINT_SAMPLE_RATE = 11025;
+
+/**
+ * Prefix identifying the fingerprint encoding version
+ */
+export const FINGERPRINT_PREFIX = 'cp1:';
+
+const FRAME_SIZE = 4096;
+const FRAME_HOP = FRAME_SIZE / 3 | 0;
+const MIN_FREQ = 28;
+const MAX_FREQ = 3520;
+const CHROMA_BANDS = 12;
+const CHROMA_FILTER_COEFFICIENTS = [0.25, 0.75, 1.0, 0.75, 0.25];
+const GRAY_CODE = [0, 1, 3, 2];
+
+/**
+ * Haar-like filter over the chroma image
+ * type: comparison shape, y: first chroma band, height: bands, width: frames
+ */
+interface Classifier {
+  type: number;
+  y: number;
+  height: number;
+  width: number;
+  thresholds: [number, number, number];
+}
+
+/**
+ * Classifier set trained for Chromaprint's default (TEST2) algorithm
+ */
+const CLASSIFIERS: Classifier[] = [
+  { type: 0, y: 4, height: 3, width: 15, thresholds: [1.98215, 2.35817, 2.63523] },
+  { type: 4, y: 4, height: 6, width: 15, thresholds: [-1.03809, -0.651211, -0.282167] },
+  { type: 1, y: 0, height: 4, width: 16, thresholds: [-0.298702, 0.119262, 0.558497] },
+  { type: 3, y: 8, height: 2, width: 12, thresholds: [-0.105439, 0.0153946, 0.135898] },
+  { type: 3, y: 4, height: 4, width: 8, thresholds: [-0.142891, 0.0258736, 0.200632] },
+  { type: 4, y: 0, height: 3, width: 5, thresholds: [-0.826319, -0.590612, -0.368214] },
+  { type: 1, y: 2, height: 2, width: 9, thresholds: [-0.557409, -0.233035, 0.0534525] },
+  { type: 2, y: 7, height: 3, width: 4, thresholds: [-0.0646826, 0.00620476, 0.0784847] },
+  { type: 2, y: 6, height: 2, width: 16, thresholds: [-0.192387, -0.029699, 0.215855] },
+  { type: 2, y: 1, height: 3, width: 2, thresholds: [-0.0397818, -0.00568076, 0.0292026] },
+  { type: 5, y: 10, height: 1, width: 15, thresholds: [-0.53823, -0.369934, -0.190235] },
+  { type: 3, y: 6, height: 2, width: 10, thresholds: [-0.124877, 0.0296483, 0.139239] },
+  { type: 2, y: 1, height: 1, width: 14, thresholds: [-0.101475, 0.0225617, 0.231971] },
+  { type: 3, y: 5, height: 6, width: 4, thresholds: [-0.0799915, -0.00729616, 0.063262] },
+  { type: 1, y: 9, height: 2, width: 12, thresholds: [-0.272556, 0.019424, 0.302559] },
+  { type: 3, y: 4, height: 2, width: 14, thresholds: [-0.164292, -0.0321188, 0.0846339] }
+];
+
+const MAX_FILTER_WIDTH = Math.max(...CLASSIFIERS.map(c => c.width));
+
+/**
+ * In-place iterative radix-2 FFT
+ *
+ * @param re - Real parts (length must be a power of two)
+ * @param im - Imaginary parts
+ */
+function fft(re: Float64Array, im: Float64Array): void {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Compute the raw (unfiltered) chroma vector for every analysis frame
+ */
+function computeChromaFrames(samples: Int16Array): Float64Array[] {
+  const window = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1));
+  }
+
+  // Map each FFT bin in the analysed range to its pitch class
+  const minIndex = Math.max(1, Math.round(FRAME_SIZE * MIN_FREQ / FINGERPRINT_SAMPLE_RATE));
+  const maxIndex = Math.min(FRAME_SIZE / 2, Math.round(FRAME_SIZE * MAX_FREQ / FINGERPRINT_SAMPLE_RATE));
+  const notes = new Int8Array(maxIndex);
+  for (let i = minIndex; i < maxIndex; i++) {
+    const freq = i * FINGERPRINT_SAMPLE_RATE / FRAME_SIZE;
+    const octave = Math.log2(freq / (440 / 16));
+    notes[i] = Math.floor(CHROMA_BANDS * (octave - Math.floor(octave)));
+  }
+
+  const frames: Float64Array[] = [];
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += FRAME_HOP) {
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = samples[offset + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const chroma = new Float64Array(CHROMA_BANDS);
+    for (let i = minIndex; i < maxIndex; i++) {
+      chroma[notes[i]] += re[i] * re[i] + im[i] * im[i];
+    }
+    frames.push(chroma);
+  }
+
+  return frames;
+}
+
+/**
+ * Smooth chroma over time with a 5-tap FIR filter, then L2-normalize each row
+ */
+function filterAndNormalize(frames: Float64Array[]): Float64Array[] {
+  const taps = CHROMA_FILTER_COEFFICIENTS.length;
+  const result: Float64Array[] = [];
+
+  for (let t = 0; t + taps <= frames.length; t++) {
+    const row = new Float64Array(CHROMA_BANDS);
+    for (let k = 0; k < taps; k++) {
+      for (let band = 0; band < CHROMA_BANDS; band++) {
+        row[band] += frames[t + k][band] * CHROMA_FILTER_COEFFICIENTS[k];
+      }
+    }
+
+    let norm = 0;
+    for (let band = 0; band < CHROMA_BANDS; band++) {
+      norm += row[band] * row[band];
+    }
+    norm = Math.sqrt(norm);
+
+    for (let band = 0; band < CHROMA_BANDS; band++) {
+      row[band] = norm < 0.01 ? 0 : row[band] / norm;
+    }
+    result.push(row);
+  }
+
+  return result;
+}
+
+/**
+ * Build a summed-area table so any rectangle of the chroma image is O(1)
+ * Row t+1, column b+1 holds the sum of rows [0, t] and bands [0, b].
+ */
+function buildIntegralImage(rows: Float64Array[]): Float64Array[] {
+  const image: Float64Array[] = [new Float64Array(CHROMA_BANDS + 1)];
+  for (let t = 0; t < rows.length; t++) {
+    const line = new Float64Array(CHROMA_BANDS + 1);
+    let rowSum = 0;
+    for (let band = 0; band < CHROMA_BANDS; band++) {
+      rowSum += rows[t][band];
+      line[band + 1] = image[t][band + 1] + rowSum;
+    }
+    image.push(line);
+  }
+  return image;
+}
+
+/**
+ * Apply one classifier at time offset x and return its quantized value (0-3)
+ */
+function classify(image: Float64Array[], x: number, c: Classifier): number {
+  const area = (x1: number, y1: number, x2: number, y2: number): number =>
+    image[x2][y2] - image[x1][y2] - image[x2][y1] + image[x1][y1];
+
+  const { type, y, height: h, width: w } = c;
+  let a = 0;
+  let b = 0;
+
+  switch (type) {
+    case 0:
+      a = area(x, y, x + w, y + h);
+      break;
+    case 1: {
+      const h2 = h >> 1;
+      a = area(x, y + h2, x + w, y + h);
+      b = area(x, y, x + w, y + h2);
+      break;
+    }
+    case 2: {
+      const w2 = w >> 1;
+      a = area(x + w2, y, x + w, y + h);
+      b = area(x, y, x + w2, y + h);
+      break;
+    }
+    case 3: {
+      const w2 = w >> 1;
+      const h2 = h >> 1;
+      a = area(x, y + h2, x + w2, y + h) + area(x + w2, y, x + w, y + h2);
+      b = area(x, y, x + w2, y + h2) + area(x + w2, y + h2, x + w, y + h);
+      break;
+    }
+    case 4: {
+      const h3 = h / 3 | 0;
+      a = area(x, y + h3, x + w, y + 2 * h3);
+      b = area(x, y, x + w, y + h3) + area(x, y + 2 * h3, x + w, y + h);
+      break;
+    }
+    case 5: {
+      const w3 = w / 3 | 0;
+      a = area(x + w3, y, x + 2 * w3, y + h);
+      b = area(x, y, x + w3, y + h) + area(x + 2 * w3, y, x + w, y + h);
+      break;
+    }
+  }
+
+  const value = Math.log(1 + a) - Math.log(1 + b);
+  const [t0, t1, t2] = c.thresholds;
+  if (value < t0) return 0;
+  if (value < t1) return 1;
+  if (value < t2) return 2;
+  return 3;
+}
+
+/**
+ * Compute the sub-fingerprint sequence for mono 16-bit PCM
+ *
+ * @param samples - Mono PCM samples at FINGERPRINT_SAMPLE_RATE
+ * @returns One unsigned 32-bit sub-fingerprint per ~124ms of audio
+ *          (empty when the input is shorter than ~2.5 seconds)
+ */
+export function computeFingerprint(samples: Int16Array): Uint32Array {
+  const chroma = filterAndNormalize(computeChromaFrames(samples));
+  const image = buildIntegralImage(chroma);
+  const count = Math.max(0, chroma.length - MAX_FILTER_WIDTH + 1);
+  const fingerprint = new Uint32Array(count);
+
+  for (let x = 0; x < count; x++) {
+    let bits = 0;
+    for (const classifier of CLASSIFIERS) {
+      bits = ((bits << 2) | GRAY_CODE[classify(image, x, classifier)]) >>> 0;
+    }
+    fingerprint[x] = bits;
+  }
+
+  return fingerprint;
+}
+
+/**
+ * Encode a sub-fingerprint sequence as a compact, versioned string
+ *
+ * @param fingerprint - Sub-fingerprints from computeFingerprint
+ * @returns "cp1:" followed by base64url of the big-endian words
+ */
+export function encodeFingerprint(fingerprint: Uint32Array): string {
+  const bytes = Buffer.alloc(fingerprint.length * 4);
+  fingerprint.forEach((word, i) => bytes.writeUInt32BE(word, i * 4));
+  return FINGERPRINT_PREFIX + bytes.toString('base64url');
+}
+
+/**
+ * Decode a string produced by encodeFingerprint
+ *
+ * @param encoded - Encoded fingerprint
+ * @returns Sub-fingerprint sequence, or null if the string is not a cp1 fingerprint
+ */
+export function decodeFingerprint(encoded: string): Uint32Array | null {
+  if (!encoded.startsWith(FINGERPRINT_PREFIX)) {
+    return null;
+  }
+  const bytes = Buffer.from(encoded.slice(FINGERPRINT_PREFIX.length), 'base64url');
+  const fingerprint = new Uint32Array(bytes.length >> 2);
+  for (let i = 0; i < fingerprint.length; i++) {
+    fingerprint[i] = bytes.readUInt32BE(i * 4);
+  }
+  return fingerprint;
+}
+
+/**
+ * Count set bits in a 32-bit word
+ */
+function popcount(word: number): number {
+  word -= (word >>> 1) & 0x55555555;
+  word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+  return (((word + (word >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Compare two sub-fingerprint sequences
+ *
+ * Slides one sequence over the other (up to maxOffset sub-fingerprints,
+ * ~124ms each) and returns the similarity at the best alignment, measured
+ * as 100% minus the bit error rate over the overlapping region.
+ *
+ * Similarity Interpretation:
+ * - 90-100%: Same recording (re-encode, different bitrate/container)
+ * - 75-89%: Same recording with heavy processing or background noise
+ * - ~50%: Unrelated audio (random bits agree half the time)
+ *
+ * @param a - First sub-fingerprint sequence
+ * @param b - Second sub-fingerprint sequence
+ * @param maxOffset - Largest time shift to try in either direction
+ * @returns Similarity percentage (0-100) rounded to 2 decimal places
+ */
+export function compareFingerprints(a: Uint32Array, b: Uint32Array, maxOffset = 80): number {
+  const minOverlap = Math.min(a.length, b.length, 16);
+  if (minOverlap === 0) {
+    return 0;
+  }
+
+  let best = 0;
+  for (let offset = -maxOffset; offset <= maxOffset; offset++) {
+    const startA = Math.max(0, offset);
+    const startB = Math.max(0, -offset);
+    const overlap = Math.min(a.length - startA, b.length - startB);
+    if (overlap < minOverlap) {
+      continue;
+    }
+
+    let errors = 0;
+    for (let i = 0; i < overlap; i++) {
+      errors += popcount(a[startA + i] ^ b[startB + i]);
+    }
+    best = Math.max(best, 1 - errors / (overlap * 32));
+  }
+
+  return Math.round(best * 10000) / 100;
+}
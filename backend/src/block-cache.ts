@@ -0,0 +1,181 @@
+/**
+ * Block Cache Module - Bounded on-disk LRU cache of verified IPFS blocks
+ *
+ * Blocks fetched from gateways are stored as `<dir>/<cid>` so feed reloads
+ * and video seeks do not hit the gateways again. The cache holds at most
+ * `maxBytes`; the least recently used blocks are evicted first. Recency
+ * survives restarts through file modification times.
+ *
+ * Blocks that do not hash to their CID are refused, and blocks are verified
+ * again when read back, so a corrupted cache file is dropped instead of served.
+ *
+ * @module block-cache
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseCid, verifyBlock } from './cid.js';
+
+/**
+ * Cache usage, as reported by GET /gateways/status
+ */
+export interface BlockCacheStats {
+  blocks: number;
+  bytes: number;
+  maxBytes: number;
+}
+
+function isCid(name: string): boolean {
+  try {
+    parseCid(name);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * On-disk LRU cache of IPFS blocks keyed by CID
+ *
+ * @example
+ * ```typescript
+ * const cache = new BlockCache('./data/ipfs-cache', 1024 * 1024 * 1024);
+ * await cache.put(cid, block);
+ * const cached = await cache.get(cid);
+ * ```
+ */
+export class BlockCache {
+  /** CID -> block size, least recently used first */
+  private readonly entries = new Map<string, number>();
+  private totalBytes = 0;
+
+  constructor(private readonly directory: string, private readonly maxBytes: number) {
+    fs.mkdirSync(directory, { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Cached block, or null on a miss
+   */
+  async get(cid: string): Promise<Buffer | null> {
+    if (!this.entries.has(cid)) {
+      return null;
+    }
+
+    let block: Buffer;
+    try {
+      block = await fs.promises.readFile(this.blockPath(cid));
+    } catch {
+      this.forget(cid);
+      return null;
+    }
+    if (!verifyBlock(cid, block)) {
+      console.warn(`[IPFS] Dropping corrupted cached block ${cid}`);
+      await this.remove(cid);
+      return null;
+    }
+
+    this.touch(cid);
+    return block;
+  }
+
+  /**
+   * Store a block, evicting least recently used blocks to stay within budget
+   *
+   * @throws Error if the block does not hash to the CID
+   */
+  async put(cid: string, block: Buffer): Promise<void> {
+    if (!verifyBlock(cid, block)) {
+      throw new Error(`Block does not match ${cid}`);
+    }
+    if (this.entries.has(cid)) {
+      this.touch(cid);
+      return;
+    }
+    if (block.length > this.maxBytes) {
+      return;
+    }
+
+    const tmp = `${this.blockPath(cid)}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, block);
+      await fs.promises.rename(tmp, this.blockPath(cid));
+    } catch (error) {
+      await fs.promises.rm(tmp, { force: true });
+      console.warn(`[IPFS] Could not cache block ${cid}:`, error instanceof Error ? error.message : error);
+      return;
+    }
+
+    // A concurrent put may have stored the same block meanwhile
+    if (!this.entries.has(cid)) {
+      this.entries.set(cid, block.length);
+      this.totalBytes += block.length;
+    }
+    await this.evict();
+  }
+
+  stats(): BlockCacheStats {
+    return { blocks: this.entries.size, bytes: this.totalBytes, maxBytes: this.maxBytes };
+  }
+
+  private blockPath(cid: string): string {
+    return path.join(this.directory, cid);
+  }
+
+  /**
+   * Index blocks left by previous runs, oldest first
+   */
+  private load(): void {
+    const blocks: { cid: string; size: number; mtimeMs: number }[] = [];
+    for (const name of fs.readdirSync(this.directory)) {
+      const file = path.join(this.directory, name);
+      if (name.endsWith('.tmp')) {
+        fs.rmSync(file, { force: true });
+        continue;
+      }
+      const stat = fs.statSync(file);
+      if (stat.isFile() && isCid(name)) {
+        blocks.push({ cid: name, size: stat.size, mtimeMs: stat.mtimeMs });
+      }
+    }
+
+    blocks.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const block of blocks) {
+      this.entries.set(block.cid, block.size);
+      this.totalBytes += block.size;
+    }
+  }
+
+  /**
+   * Mark a block as most recently used
+   */
+  private touch(cid: string): void {
+    const size = this.entries.get(cid)!;
+    this.entries.delete(cid);
+    this.entries.set(cid, size);
+
+    const now = new Date();
+    fs.promises.utimes(this.blockPath(cid), now, now).catch(() => undefined);
+  }
+
+  private forget(cid: string): void {
+    const size = this.entries.get(cid);
+    if (size !== undefined) {
+      this.entries.delete(cid);
+      this.totalBytes -= size;
+    }
+  }
+
+  private async remove(cid: string): Promise<void> {
+    this.forget(cid);
+    await fs.promises.rm(this.blockPath(cid), { force: true });
+  }
+
+  private async evict(): Promise<void> {
+    while (this.totalBytes > this.maxBytes) {
+      const oldest = this.entries.keys().next().value as string;
+      await this.remove(oldest);
+    }
+  }
+}
@@ -160,7 +160,7 @@ class VideoGuardBlockchain {
         audioFingerprint
       );
 
-      const [isRepost, originalCreator, originalIpfsHash, matchType, originalHash] = result;
+      const [isRepost, originalCreator, originalIpfsHash, matchType, originalHash, license] = result;
 
       console.log(isRepost ? "⚠️  Repost detected!" : "✅ Original content");
       if (isRepost) {
@@ -174,6 +174,7 @@ class VideoGuardBlockchain {
         originalIpfsHash,
         matchType,
         originalHash,
+        license: { licenseType: Number(license.licenseType), termsCid: license.termsCid },
       };
     } catch (error) {
       console.error("❌ Failed to detect repost:", error.message);
@@ -181,6 +182,35 @@ class VideoGuardBlockchain {
     }
   }
 
+  /**
+   * Record a detected repost in the contract's statistics (reverts if nothing matches)
+   * @param {string} exactHash - SHA-256 hash
+   * @param {string} perceptualHash - Visual fingerprint
+   * @param {string} audioFingerprint - Audio signature
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async recordRepost(exactHash, perceptualHash, audioFingerprint) {
+    try {
+      if (!this.signer) {
+        throw new Error("Signer required for transactions");
+      }
+
+      const hashBytes32 = exactHash.startsWith("0x") ? exactHash : `0x${exactHash}`;
+      const tx = await this.contract.recordRepost(hashBytes32, perceptualHash, audioFingerprint);
+      await tx.wait();
+
+      console.log("✅ Repost recorded");
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+      };
+    } catch (error) {
+      console.error("❌ Failed to record repost:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get video information by hash
    * @param {string} exactHash - SHA-256 hash
@@ -251,12 +281,13 @@ class VideoGuardBlockchain {
   }
 
   /**
-   * Raise a dispute for a video
+   * Raise a dispute for a video, paying the contract's dispute stake
    * @param {string} videoHash - Video exact hash
    * @param {string} reason - Dispute reason
+   * @param {string} evidenceCid - IPFS CID of the evidence
    * @returns {Promise<Object>} Transaction receipt with dispute ID
    */
-  async raiseDispute(videoHash, reason) {
+  async raiseDispute(videoHash, reason, evidenceCid) {
     try {
       if (!this.signer) {
         throw new Error("Signer required for transactions");
@@ -265,7 +296,8 @@ class VideoGuardBlockchain {
       const hashBytes32 = videoHash.startsWith("0x") ? videoHash : `0x${videoHash}`;
       
       console.log("🚨 Raising dispute...");
-      const tx = await this.contract.raiseDispute(hashBytes32, reason);
+      const stake = await this.contract.disputeStake();
+      const tx = await this.contract.raiseDispute(hashBytes32, reason, evidenceCid, { value: stake });
       const receipt = await tx.wait();
       
       // Parse dispute ID from events
@@ -393,12 +425,15 @@ class VideoGuardBlockchain {
       this.contract.off("DisputeRaised", this.eventListeners.disputeRaised);
     }
 
-    const listener = (disputeId, videoHash, accuser, reason, event) => {
+    const listener = (disputeId, videoHash, accuser, reason, evidenceCid, stake, deadline, event) => {
       callback({
         disputeId: Number(disputeId),
         videoHash,
         accuser,
         reason,
+        evidenceCid,
+        stake: ethers.formatEther(stake),
+        deadline: Number(deadline),
         blockNumber: event.log.blockNumber,
         transactionHash: event.log.transactionHash,
       });
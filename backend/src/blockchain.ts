@@ -6,14 +6,25 @@
  * 
  * Features:
  * - Repost detection using on-chain hash comparison
- * - Asset registration with ownership tracking
+ * - Asset registration with ownership tracking (calls are sent by the
+ *   transaction manager, see tx-manager.ts)
+ * - Gasless registration: creator-signed registerVideoFor sent by the backend wallet
+ * - Licenses: reuse terms set at registration and returned by detectRepost
+ * - Bounded on-chain fingerprints: temporal video signatures and audio
+ *   fingerprints are stored as a digest
+ * - Derivative works: registerDerivative links a remix, reaction or edit to a parent
+ *   whose license (or a purchased license) permits it
+ * - One backend signer per process
  * - Type-safe contract interactions using ethers.js v6
+ * - Read-only provider access for the chain indexer
  * 
  * @module blockchain
  */
 
 import { ethers } from 'ethers';
 import contractData from './VideoGuardContract.json';
+import { AssetLicense, DEFAULT_LICENSE, licenseFromChain, licenseToChain } from './license.js';
+import { Derivation, derivativeTypeToChain } from './provenance.js';
 
 /**
  * Result of detecting whether an asset is a repost
@@ -22,64 +33,101 @@ export interface DetectResult {
   isDuplicate: boolean;
   originalCreator: string;
   matchType: string;    // e.g. "EXACT_DUPLICATE", "VISUAL_MATCH", "AUDIO_MATCH", "NEW_ASSET"
-  confidence: number;   // e.g. 100, 95, 92, 0
+  confidence: number;   // 100 for any on-chain match (layers compare exact strings), 0 otherwise
+  originalHash: string; // Exact hash of the matched original (ZeroHash if none)
+  license: AssetLicense; // The matched original's license (all rights reserved if none)
 }
 
 /**
- * Contract interaction response structure from smart contract
- * Matches the actual detectRepost return values from VideoGuard.sol
- * Currently unused but kept for future reference
+ * VideoGuard contract ABI
  */
-// interface ContractDetectResponse {
-//   isRepost: boolean;
-//   originalCreator: string;
-//   originalIpfsHash: string;
-//   matchType: string;
-//   originalHash: string;
-// }
+export const CONTRACT_ABI = contractData.abi;
 
 /**
- * Get initialized contract instance with signer
+ * Block the VideoGuard contract was deployed in (recorded by deploy-Amoy.js)
+ */
+export const CONTRACT_DEPLOYMENT_BLOCK: number = contractData.deploymentBlock;
+
+/**
+ * Resolve the VideoGuard contract address
  * 
- * @returns ethers.Contract instance connected to VideoGuard contract
- * @throws Error if environment variables are missing or invalid
+ * @returns CONTRACT_ADDRESS from environment, or the deployed address from contract data
+ * @throws Error if no address is configured
  */
-export function getContract(): ethers.Contract {
-  const rpcUrl = process.env.POLYGON_RPC;
-  const privateKey = process.env.BACKEND_PRIVATE_KEY || process.env.PRIVATE_KEY;
+export function getContractAddress(): string {
   const contractAddress = process.env.CONTRACT_ADDRESS || contractData.address;
+  if (!contractAddress) {
+    throw new Error('CONTRACT_ADDRESS not found in environment variables or contract data');
+  }
+  return contractAddress;
+}
 
+/**
+ * Get a read-only JSON-RPC provider for the configured network
+ * 
+ * @returns ethers.JsonRpcProvider connected to POLYGON_RPC
+ * @throws Error if POLYGON_RPC is missing
+ */
+export function getProvider(): ethers.JsonRpcProvider {
+  const rpcUrl = process.env.POLYGON_RPC;
   if (!rpcUrl) {
     throw new Error('POLYGON_RPC not found in environment variables');
   }
+  return new ethers.JsonRpcProvider(rpcUrl);
+}
 
-  if (!privateKey) {
-    throw new Error('BACKEND_PRIVATE_KEY or PRIVATE_KEY not found in environment variables');
-  }
+let backendSigner: ethers.Wallet | null = null;
+let backendContract: ethers.Contract | null = null;
 
-  if (!contractAddress) {
-    throw new Error('CONTRACT_ADDRESS not found in environment variables or contract data');
+/**
+ * Get the backend wallet (created once per process)
+ * 
+ * All backend transactions must be sent from this instance through the
+ * transaction manager, which owns its nonces.
+ * 
+ * @returns ethers.Wallet connected to POLYGON_RPC
+ * @throws Error if environment variables are missing or invalid
+ */
+export function getSigner(): ethers.Wallet {
+  if (backendSigner) {
+    return backendSigner;
   }
 
-  console.log('[BLOCKCHAIN] Initializing contract connection...');
-  console.log(`[BLOCKCHAIN] RPC: ${rpcUrl}`);
-  console.log(`[BLOCKCHAIN] Contract: ${contractAddress}`);
-
-  // Create provider
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const privateKey = process.env.BACKEND_PRIVATE_KEY || process.env.PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error('BACKEND_PRIVATE_KEY or PRIVATE_KEY not found in environment variables');
+  }
 
   // Normalize private key (add 0x prefix if missing)
   const normalizedPrivateKey = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
 
-  // Create signer
-  const signer = new ethers.Wallet(normalizedPrivateKey, provider);
-
-  // Create contract instance
-  const contract = new ethers.Contract(contractAddress, contractData.abi, signer);
+  backendSigner = new ethers.Wallet(normalizedPrivateKey, getProvider());
+  console.log(`[BLOCKCHAIN] ✓ Backend signer: ${backendSigner.address}`);
+  return backendSigner;
+}
 
-  console.log(`[BLOCKCHAIN] ✓ Contract initialized with signer: ${signer.address}`);
+/**
+ * Get the contract instance connected to the backend signer (created once per process)
+ * 
+ * @returns ethers.Contract instance connected to VideoGuard contract
+ * @throws Error if environment variables are missing or invalid
+ */
+export function getContract(): ethers.Contract {
+  if (!backendContract) {
+    const contractAddress = getContractAddress();
+    console.log(`[BLOCKCHAIN] Contract: ${contractAddress}`);
+    backendContract = new ethers.Contract(contractAddress, CONTRACT_ABI, getSigner());
+  }
+  return backendContract;
+}
 
-  return contract;
+/**
+ * An encoded contract call, ready to be sent by the transaction manager
+ */
+export interface ContractCall {
+  method: string;                // Contract function (for logs and records)
+  to: string;
+  data: string;
 }
 
 /**
@@ -88,20 +136,62 @@ export function getContract(): ethers.Contract {
  * @param hash - Hash string (with or without 0x prefix)
  * @returns Hash with 0x prefix
  */
-function normalizeHash(hash: string): string {
+export function normalizeHash(hash: string): string {
   if (hash.startsWith('0x')) {
     return hash;
   }
   return `0x${hash}`;
 }
 
+/**
+ * Prefixes of on-chain fingerprint digests, by full fingerprint prefix
+ */
+export const FINGERPRINT_DIGEST_PREFIXES: Record<string, string> = {
+  'tv1:': 'tv1k:',              // Temporal video signature
+  'cp1:': 'cp1k:'               // Chromaprint audio fingerprint
+};
+
+/**
+ * Fingerprint string stored in and looked up on the contract
+ * 
+ * A temporal video signature holds 16 hex chars per shot of the whole
+ * video, and a 30s Chromaprint fingerprint is ~1.3KB that differs by a few
+ * bits between re-encodes. Storing them verbatim costs gas without ever
+ * matching a re-encode, so the contract stores their keccak256 digest
+ * instead: an on-chain VISUAL_MATCH or AUDIO_MATCH means the fingerprint is
+ * identical, and re-encodes and clips are matched off-chain by the
+ * similarity index against the full fingerprint kept in the metadata and
+ * post store. Single-frame dHashes, text SimHashes and the
+ * "no_video"/"no_audio" sentinels pass through unchanged.
+ * 
+ * @param fingerprint - Perceptual hash or audio fingerprint
+ * @returns The on-chain key (e.g. "tv1k:<keccak256 hex>" for a temporal signature)
+ */
+export function chainFingerprint(fingerprint: string): string {
+  for (const [prefix, digestPrefix] of Object.entries(FINGERPRINT_DIGEST_PREFIXES)) {
+    if (fingerprint.startsWith(prefix)) {
+      return digestPrefix + ethers.id(fingerprint).slice(2);
+    }
+  }
+  return fingerprint;
+}
+
 /**
  * Detect if an asset is a repost by checking on-chain records
  * 
  * Calls the smart contract's detectRepost function which compares:
- * - Exact hash (SHA-256) - 100% confidence match
- * - Perceptual hash (dHash) - 95% confidence for visual similarity
- * - Audio hash (fingerprint) - 92% confidence for audio similarity
+ * - Exact hash (SHA-256)
+ * - Perceptual hash (dHash / temporal signature string)
+ * - Audio hash (fingerprint string)
+ * 
+ * Every on-chain layer is an exact string lookup, so a match is always
+ * reported with 100% confidence. Fuzzy near-duplicates (re-encodes and
+ * clips, see chainFingerprint) are found off-chain by the similarity index
+ * before this is called.
+ * 
+ * detectRepost is a view function: this only reads through the provider and
+ * needs no backend key. Record a match in the contract's statistics with
+ * recordRepostCall().
  * 
  * @param exactHash - SHA-256 hash of the asset
  * @param perceptualHash - dHash perceptual hash (or "no_video" for non-visual assets)
@@ -135,32 +225,27 @@ export async function detectRepostOnChain(
   const startTime = Date.now();
 
   try {
-    const contract = getContract();
+    const contract = new ethers.Contract(getContractAddress(), CONTRACT_ABI, getProvider());
 
     // Normalize exact hash to 0x format (contract expects bytes32)
     const normalizedExactHash = normalizeHash(exactHash);
 
     // Call contract view function (no gas cost)
-    const result: any = await contract.detectRepost(
+    const result = await contract.detectRepost(
       normalizedExactHash,
-      perceptualHash,
-      audioHash
+      chainFingerprint(perceptualHash),
+      chainFingerprint(audioHash)
     );
 
     const duration = Date.now() - startTime;
 
-    // Handle contract response - check multiple possible field names
-    const isRepost = result.isRepost ?? result.isDuplicate ?? result[0] ?? false;
-    const originalCreator = result.originalCreator ?? result.creator ?? result[1] ?? '0x0000000000000000000000000000000000000000';
-    const matchType = result.matchType ?? result[3] ?? 'NONE';
-
-    console.log('[BLOCKCHAIN] Raw contract response:', JSON.stringify(result, null, 2));
-
     const detectResult: DetectResult = {
-      isDuplicate: Boolean(isRepost),
-      originalCreator: originalCreator,
-      matchType: matchType,
-      confidence: matchType === 'EXACT_MATCH' ? 100 : matchType === 'PERCEPTUAL_MATCH' ? 95 : matchType === 'AUDIO_MATCH' ? 92 : 0
+      isDuplicate: Boolean(result.isRepost),
+      originalCreator: result.originalCreator,
+      matchType: result.matchType,
+      confidence: result.isRepost ? 100 : 0,
+      originalHash: result.originalHash,
+      license: licenseFromChain(result.license.licenseType, result.license.termsCid)
     };
 
     console.log(`[BLOCKCHAIN] ✓ Detection completed in ${duration}ms`);
@@ -169,6 +254,7 @@ export async function detectRepostOnChain(
       console.log(`[BLOCKCHAIN] Original Creator: ${detectResult.originalCreator}`);
       console.log(`[BLOCKCHAIN] Match Type: ${detectResult.matchType}`);
       console.log(`[BLOCKCHAIN] Confidence: ${detectResult.confidence}%`);
+      console.log(`[BLOCKCHAIN] License: ${detectResult.license.type}`);
     }
     console.log('');
 
@@ -181,82 +267,377 @@ export async function detectRepostOnChain(
 }
 
 /**
- * Register a new asset on the blockchain
+ * Encode a recordRepost call counting a detected repost on-chain
+ * 
+ * Adds the upload to totalRepostsDetected and emits RepostDetected. The
+ * contract reverts unless detectRepost matches and the upload's exact hash
+ * has not been recorded before, so only send it for on-chain matches.
+ * 
+ * @param exactHash - SHA-256 hash of the repost
+ * @param perceptualHash - dHash or "no_video"
+ * @param audioHash - Audio fingerprint or "no_audio"
+ * @returns Encoded call
+ */
+export function recordRepostCall(exactHash: string, perceptualHash: string, audioHash: string): ContractCall {
+  const iface = new ethers.Interface(CONTRACT_ABI);
+  return {
+    method: 'recordRepost',
+    to: getContractAddress(),
+    data: iface.encodeFunctionData('recordRepost', [
+      normalizeHash(exactHash),
+      chainFingerprint(perceptualHash),
+      chainFingerprint(audioHash)
+    ])
+  };
+}
+
+/**
+ * Encode a registerVideo call registering a new asset
  * 
- * Creates an on-chain ownership record for a new asset.
- * This function costs gas and requires the backend wallet to have MATIC.
+ * The backend wallet becomes the on-chain owner and pays the gas. Send the
+ * call with TransactionManager.submit(). Assets with a license other than
+ * all rights reserved are registered with registerVideoWithLicense, and
+ * derivative works with registerDerivative.
  * 
  * @param params - Asset registration parameters
  * @param params.exactHash - SHA-256 hash
  * @param params.perceptualHash - dHash or "no_video"
  * @param params.audioHash - Audio fingerprint or "no_audio"
  * @param params.ipfsCid - IPFS Content Identifier
- * @param params.assetType - "video", "image", "audio", or "other"
- * @returns Transaction receipt with confirmation details
+ * @param params.license - Reuse terms (default: all rights reserved)
+ * @param params.derivation - Parent work, for remixes, reactions and edits
+ * @returns Encoded call
  * 
  * @example
  * ```typescript
- * const receipt = await registerAssetOnChain({
+ * const tx = await transactions.submit(registerVideoCall({
  *   exactHash: "a1b2c3d4...",
  *   perceptualHash: "1010110011...",
  *   audioHash: "audio_fp_...",
  *   ipfsCid: "QmXxXxXx...",
- *   assetType: "video"
- * });
+ *   license: { type: "CC_BY" }
+ * }), postId);
  * 
+ * const receipt = await transactions.wait(tx.id);
  * console.log(`Registered! TX: ${receipt.hash}`);
- * console.log(`Block: ${receipt.blockNumber}`);
- * console.log(`Gas used: ${receipt.gasUsed.toString()}`);
  * ```
  */
-export async function registerAssetOnChain(params: {
+export function registerVideoCall(params: {
   exactHash: string;
   perceptualHash: string;
   audioHash: string;
   ipfsCid: string;
-  assetType: string;
-}): Promise<ethers.TransactionReceipt> {
-  console.log('\n[BLOCKCHAIN] Registering new asset on smart contract...');
-  console.log(`[BLOCKCHAIN] Asset Type: ${params.assetType}`);
-  console.log(`[BLOCKCHAIN] IPFS CID: ${params.ipfsCid}`);
-  console.log(`[BLOCKCHAIN] Exact Hash: ${params.exactHash.substring(0, 16)}...`);
+  license?: AssetLicense;
+  derivation?: Derivation;
+}): ContractCall {
+  const iface = new ethers.Interface(CONTRACT_ABI);
+  const args = [
+    normalizeHash(params.exactHash),
+    chainFingerprint(params.perceptualHash),
+    chainFingerprint(params.audioHash),
+    params.ipfsCid
+  ];
+
+  if (params.derivation) {
+    const [exactHash, ...fingerprintsAndCid] = args;
+    return {
+      method: 'registerDerivative',
+      to: getContractAddress(),
+      data: iface.encodeFunctionData('registerDerivative', [
+        exactHash,
+        normalizeHash(params.derivation.parentHash),
+        ...fingerprintsAndCid,
+        derivativeTypeToChain(params.derivation.derivativeType),
+        licenseToChain(params.license ?? DEFAULT_LICENSE)
+      ])
+    };
+  }
 
-  const startTime = Date.now();
+  if (params.license && params.license.type !== DEFAULT_LICENSE.type) {
+    return {
+      method: 'registerVideoWithLicense',
+      to: getContractAddress(),
+      data: iface.encodeFunctionData('registerVideoWithLicense', [...args, licenseToChain(params.license)])
+    };
+  }
+  return {
+    method: 'registerVideo',
+    to: getContractAddress(),
+    data: iface.encodeFunctionData('registerVideo', args)
+  };
+}
 
+/**
+ * EIP-712 types of VideoGuard.registerVideoFor
+ */
+export const REGISTRATION_TYPES = {
+  RegisterVideo: [
+    { name: 'creator', type: 'address' },
+    { name: 'exactHash', type: 'bytes32' },
+    { name: 'perceptualHash', type: 'string' },
+    { name: 'audioFingerprint', type: 'string' },
+    { name: 'ipfsHash', type: 'string' },
+    { name: 'license', type: 'License' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  License: [
+    { name: 'licenseType', type: 'uint8' },
+    { name: 'termsCid', type: 'string' }
+  ]
+};
+
+/**
+ * EIP-712 types of VideoGuard.registerDerivativeFor
+ */
+export const DERIVATIVE_REGISTRATION_TYPES = {
+  RegisterDerivative: [
+    { name: 'creator', type: 'address' },
+    { name: 'exactHash', type: 'bytes32' },
+    { name: 'parentHash', type: 'bytes32' },
+    { name: 'perceptualHash', type: 'string' },
+    { name: 'audioFingerprint', type: 'string' },
+    { name: 'ipfsHash', type: 'string' },
+    { name: 'derivativeType', type: 'uint8' },
+    { name: 'license', type: 'License' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  License: REGISTRATION_TYPES.License
+};
+
+/**
+ * Registration fields a creator signs
+ */
+export interface RegistrationParams {
+  creator: string;
+  exactHash: string;
+  perceptualHash: string;
+  audioHash: string;
+  ipfsCid: string;               // Metadata CID
+  license?: AssetLicense;        // Default: all rights reserved
+  derivation?: Derivation;       // Parent work: signed as a RegisterDerivative
+}
+
+/**
+ * EIP-712 payload of a gasless registration (as passed to eth_signTypedData_v4)
+ */
+export interface RegistrationTypedData {
+  domain: { name: string; version: string; chainId: number; verifyingContract: string };
+  types: typeof REGISTRATION_TYPES | typeof DERIVATIVE_REGISTRATION_TYPES;
+  primaryType: 'RegisterVideo' | 'RegisterDerivative';
+  message: {
+    creator: string;
+    exactHash: string;
+    parentHash?: string;         // RegisterDerivative only
+    derivativeType?: number;     // RegisterDerivative only (see derivativeTypeToChain)
+    perceptualHash: string;      // On-chain key (see chainFingerprint)
+    audioFingerprint: string;    // On-chain key (see chainFingerprint)
+    ipfsHash: string;
+    license: { licenseType: number; termsCid: string };
+    nonce: string;               // Decimal (uint256)
+    deadline: number;            // Unix seconds
+  };
+}
+
+/**
+ * Build the registration payload a creator signs for registerVideoFor
+ * 
+ * Derivative works are signed as a RegisterDerivative for
+ * registerDerivativeFor instead. Reads the creator's current contract nonce
+ * (shared by both), so the payload is only valid until the creator's next
+ * gasless registration.
+ * 
+ * @param params - Creator and asset to register
+ * @param deadline - Unix time (seconds) after which the contract rejects the signature
+ * @returns Typed data for the creator's wallet
+ */
+export async function getRegistrationTypedData(params: RegistrationParams, deadline: number): Promise<RegistrationTypedData> {
   try {
-    const contract = getContract();
+    const provider = getProvider();
+    const contractAddress = getContractAddress();
+    const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, provider);
+    const [network, nonce] = await Promise.all([provider.getNetwork(), contract.nonces(params.creator)]);
+    const { derivation } = params;
+
+    return {
+      domain: { name: 'VideoGuard', version: '1', chainId: Number(network.chainId), verifyingContract: contractAddress },
+      types: derivation ? DERIVATIVE_REGISTRATION_TYPES : REGISTRATION_TYPES,
+      primaryType: derivation ? 'RegisterDerivative' : 'RegisterVideo',
+      message: {
+        creator: params.creator,
+        exactHash: normalizeHash(params.exactHash),
+        ...(derivation && {
+          parentHash: normalizeHash(derivation.parentHash),
+          derivativeType: derivativeTypeToChain(derivation.derivativeType)
+        }),
+        perceptualHash: chainFingerprint(params.perceptualHash),
+        audioFingerprint: chainFingerprint(params.audioHash),
+        ipfsHash: params.ipfsCid,
+        license: licenseToChain(params.license ?? DEFAULT_LICENSE),
+        nonce: nonce.toString(),
+        deadline
+      }
+    };
+  } catch (error) {
+    throw new Error(`Registration payload failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+}
 
-    // Normalize exact hash to 0x format
-    const normalizedExactHash = normalizeHash(params.exactHash);
+/**
+ * Encode a registerVideoFor call registering an asset on behalf of its creator
+ * 
+ * The backend wallet pays the gas; the on-chain record is owned by the
+ * creator who signed the payload. Derivative works are registered with
+ * registerDerivativeFor, which checks the creator's right to derive.
+ * 
+ * @param params - Signed registration fields
+ * @param deadline - Deadline the creator signed
+ * @param signature - Creator's EIP-712 signature
+ * @returns Encoded call
+ */
+export function registerVideoForCall(
+  params: RegistrationParams,
+  deadline: number,
+  signature: string
+): ContractCall {
+  const iface = new ethers.Interface(CONTRACT_ABI);
+  if (params.derivation) {
+    return {
+      method: 'registerDerivativeFor',
+      to: getContractAddress(),
+      data: iface.encodeFunctionData('registerDerivativeFor', [
+        params.creator,
+        {
+          exactHash: normalizeHash(params.exactHash),
+          parentHash: normalizeHash(params.derivation.parentHash),
+          perceptualHash: chainFingerprint(params.perceptualHash),
+          audioFingerprint: chainFingerprint(params.audioHash),
+          ipfsHash: params.ipfsCid,
+          derivativeType: derivativeTypeToChain(params.derivation.derivativeType),
+          license: licenseToChain(params.license ?? DEFAULT_LICENSE)
+        },
+        deadline,
+        signature
+      ])
+    };
+  }
+  return {
+    method: 'registerVideoFor',
+    to: getContractAddress(),
+    data: iface.encodeFunctionData('registerVideoFor', [
+      params.creator,
+      normalizeHash(params.exactHash),
+      chainFingerprint(params.perceptualHash),
+      chainFingerprint(params.audioHash),
+      params.ipfsCid,
+      licenseToChain(params.license ?? DEFAULT_LICENSE),
+      deadline,
+      signature
+    ])
+  };
+}
 
-    // Call contract function (costs gas)
-    // Note: Contract registerVideo takes 4 params: exactHash, perceptualHash, audioFingerprint, ipfsHash
-    console.log('[BLOCKCHAIN] Sending transaction...');
-    const tx = await contract.registerVideo(
-      normalizedExactHash,
-      params.perceptualHash,
-      params.audioHash,
-      params.ipfsCid
-    );
+/**
+ * On-chain ownership record (VideoGuard VideoRecord)
+ */
+export interface OnChainVideo {
+  creator: string;
+  exactHash: string;
+  perceptualHash: string;        // On-chain key (see chainFingerprint)
+  audioFingerprint: string;      // On-chain key (see chainFingerprint)
+  ipfsHash: string;              // Metadata CID
+  timestamp: number;
+  isDisputed: boolean;
+}
 
-    console.log(`[BLOCKCHAIN] Transaction sent: ${tx.hash}`);
-    console.log('[BLOCKCHAIN] Waiting for confirmation (1 block)...');
+/**
+ * Read the ownership record of an exact hash (read-only, no gas)
+ * 
+ * @param exactHash - SHA-256 hash (with or without 0x prefix)
+ * @returns The record, or null if the hash was never registered
+ * 
+ * @example
+ * ```typescript
+ * const original = await getVideoOnChain(repost.originalHash);
+ * if (original) console.log(`Owned by ${original.creator}`);
+ * ```
+ */
+export async function getVideoOnChain(exactHash: string): Promise<OnChainVideo | null> {
+  try {
+    const contract = new ethers.Contract(getContractAddress(), CONTRACT_ABI, getProvider());
+    const record = await contract.videosByExactHash(normalizeHash(exactHash));
 
-    // Wait for 1 confirmation
-    const receipt = await tx.wait(1);
+    if (record.creator === ethers.ZeroAddress) {
+      return null;
+    }
 
-    const duration = Date.now() - startTime;
+    return {
+      creator: record.creator,
+      exactHash: record.exactHash,
+      perceptualHash: record.perceptualHash,
+      audioFingerprint: record.audioFingerprint,
+      ipfsHash: record.ipfsHash,
+      timestamp: Number(record.timestamp),
+      isDisputed: record.isDisputed
+    };
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] videosByExactHash failed:', error);
+    throw new Error(`Video lookup failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+}
 
-    console.log(`[BLOCKCHAIN] ✓ Asset registered in ${duration}ms`);
-    console.log(`[BLOCKCHAIN] Transaction Hash: ${receipt.hash}`);
-    console.log(`[BLOCKCHAIN] Block Number: ${receipt.blockNumber}`);
-    console.log(`[BLOCKCHAIN] Gas Used: ${receipt.gasUsed.toString()}`);
-    console.log('');
+/**
+ * Whether an account bought a reuse license of a registered exact hash (read-only, no gas)
+ * 
+ * @param exactHash - SHA-256 hash of the original (with or without 0x prefix)
+ * @param account - Buyer wallet address
+ * @returns true if VideoGuard.purchaseLicense succeeded for the account
+ */
+export async function hasLicenseOnChain(exactHash: string, account: string): Promise<boolean> {
+  try {
+    const contract = new ethers.Contract(getContractAddress(), CONTRACT_ABI, getProvider());
+    return await contract.hasLicense(normalizeHash(exactHash), account);
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] hasLicense failed:', error);
+    throw new Error(`License purchase lookup failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+}
 
-    return receipt;
+/**
+ * Whether an account may register derivatives of a registered exact hash (read-only, no gas)
+ * 
+ * Mirrors the check of VideoGuard.registerDerivative: the parent's license
+ * allows adaptations, the account bought a reuse license of it, or the
+ * account is its on-chain creator.
+ * 
+ * @param parentHash - SHA-256 hash of the parent (with or without 0x prefix)
+ * @param account - Wallet that would send registerDerivative
+ * @returns true if registerDerivative would accept the parent
+ */
+export async function canDeriveFromOnChain(parentHash: string, account: string): Promise<boolean> {
+  try {
+    const contract = new ethers.Contract(getContractAddress(), CONTRACT_ABI, getProvider());
+    return await contract.canDeriveFrom(normalizeHash(parentHash), account);
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] canDeriveFrom failed:', error);
+    throw new Error(`Derivative permission lookup failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+}
 
+/**
+ * Read the license of a registered exact hash (read-only, no gas)
+ * 
+ * @param exactHash - SHA-256 hash (with or without 0x prefix)
+ * @returns The license; all rights reserved if none was set or the hash is unregistered
+ */
+export async function getLicenseOnChain(exactHash: string): Promise<AssetLicense> {
+  try {
+    const contract = new ethers.Contract(getContractAddress(), CONTRACT_ABI, getProvider());
+    const license = await contract.licenses(normalizeHash(exactHash));
+    return licenseFromChain(license.licenseType, license.termsCid);
   } catch (error) {
-    console.error('[BLOCKCHAIN ERROR] registerAsset failed:', error);
-    throw new Error(`Asset registration failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    console.error('[BLOCKCHAIN ERROR] licenses failed:', error);
+    throw new Error(`License lookup failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
 }
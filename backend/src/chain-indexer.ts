@@ -0,0 +1,438 @@
+/**
+ * Chain Indexer Module - Derive the feed from VideoGuard contract logs
+ *
+ * The feed used to be only as accurate as what the frontend chose to POST
+ * to /register-post. The indexer makes the contract the source of truth:
+ *
+ * 1. Backfill: read registration, repost, license and dispute lifecycle logs
+ *    (see INDEXED_EVENTS) from the deployment block onwards, in batches
+ * 2. Follow: poll for new blocks, staying `confirmations` behind the head
+ * 3. Reorgs: before each pass the hash of the last indexed block is checked;
+ *    on mismatch the indexer walks back to the newest block whose hash still
+ *    matches, rolls the store back to it and re-indexes from there
+ *
+ * Every ownership change is written through to the post store: registered
+ * posts get the on-chain creator (which an upheld dispute can transfer),
+ * transaction, license, dispute and revocation flags and (for derivative
+ * works) parent link, and posts nobody reported to the backend are created
+ * from their metadata JSON.
+ * License purchases turn the buyer's reposts of that original into licensed
+ * reuse (and back, if the purchase is rolled back).
+ *
+ * @module chain-indexer
+ */
+
+import { ethers } from 'ethers';
+import { chainFingerprint } from './blockchain.js';
+import { ChainEvent, ChainEventName, ChainStore, ChainVideo } from './chain-store.js';
+import { ipfsGatewayUrl, retrieveFromIpfs } from './ipfs-storage.js';
+import { permitsReuse } from './license.js';
+import { MetadataValidationError, parseMetadata, PostMetadata, postFieldsFromMetadata } from './post-metadata.js';
+import { Post, PostRepository } from './post-store.js';
+
+/**
+ * Events the indexer stores
+ */
+const INDEXED_EVENTS: ChainEventName[] = [
+  'VideoRegistered',
+  'DerivativeRegistered',
+  'RepostDetected',
+  'LicenseSet',
+  'LicensePurchased',
+  'DisputeRaised',
+  'EvidenceSubmitted',
+  'DisputeResolved',
+  'DisputeAppealed',
+  'DisputeFinalized',
+  'VideoOwnershipTransferred',
+  'VideoRevoked'
+];
+
+/**
+ * Indexer configuration
+ */
+export interface ChainIndexerOptions {
+  provider: ethers.Provider;
+  contractAddress: string;
+  abi: ethers.InterfaceAbi;
+  startBlock: number;            // Contract deployment block
+  confirmations?: number;        // Blocks to stay behind the head (default 5)
+  batchSize?: number;            // Max blocks per eth_getLogs call (default 2000)
+  pollIntervalMs?: number;       // Delay between passes (default 15000)
+  reorgDepth?: number;           // Block hashes kept for reorg detection (default 256)
+  onPostIndexed?: (post: Post) => void;
+}
+
+/**
+ * Indexer progress as reported by GET /indexer/status
+ */
+export interface ChainIndexerStatus {
+  running: boolean;
+  contractAddress: string;
+  startBlock: number;
+  indexedBlock: number | null;   // Last fully indexed block
+  headBlock: number | null;      // Chain head seen in the last pass
+  lastSyncAt: string | null;
+  lastError: string | null;
+}
+
+/**
+ * Convert decoded log arguments to JSON-safe values
+ *
+ * Integers too large for a number (token amounts in wei) are kept as decimal strings.
+ */
+function toPlainArgs(log: ethers.LogDescription): Record<string, string | number | boolean> {
+  const args: Record<string, string | number | boolean> = {};
+  log.fragment.inputs.forEach((input, i) => {
+    const value = log.args[i];
+    if (typeof value !== 'bigint') {
+      args[input.name] = value;
+    } else {
+      args[input.name] = Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+    }
+  });
+  return args;
+}
+
+/**
+ * Follows VideoGuard logs into the chain store and post store
+ *
+ * @example
+ * ```typescript
+ * const indexer = new ChainIndexer(new ChainStore(db), postStore, {
+ *   provider: getProvider(),
+ *   contractAddress: getContractAddress(),
+ *   abi: CONTRACT_ABI,
+ *   startBlock: CONTRACT_DEPLOYMENT_BLOCK
+ * });
+ * indexer.start();
+ * ```
+ */
+export class ChainIndexer {
+  private readonly iface: ethers.Interface;
+  private readonly options: Required<Omit<ChainIndexerOptions, 'onPostIndexed'>> & Pick<ChainIndexerOptions, 'onPostIndexed'>;
+  private timer: NodeJS.Timeout | null = null;
+  private running = false;
+  private headBlock: number | null = null;
+  private lastSyncAt: string | null = null;
+  private lastError: string | null = null;
+
+  constructor(
+    private readonly chain: ChainStore,
+    private readonly posts: PostRepository,
+    options: ChainIndexerOptions
+  ) {
+    this.iface = new ethers.Interface(options.abi);
+    this.options = {
+      confirmations: 5,
+      batchSize: 2000,
+      pollIntervalMs: 15000,
+      reorgDepth: 256,
+      ...options
+    };
+  }
+
+  /**
+   * Start backfilling and following new blocks
+   */
+  start(): void {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    console.log(`[INDEXER] Starting from block ${this.options.startBlock} (${this.options.confirmations} confirmations)`);
+
+    const loop = async (): Promise<void> => {
+      try {
+        await this.sync();
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error instanceof Error ? error.message : 'Unknown error';
+        console.error('[INDEXER] Sync failed:', this.lastError);
+      }
+      if (this.running) {
+        this.timer = setTimeout(loop, this.options.pollIntervalMs);
+        this.timer.unref();
+      }
+    };
+    void loop();
+  }
+
+  /**
+   * Stop following new blocks
+   */
+  stop(): void {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Current indexer progress
+   */
+  status(): ChainIndexerStatus {
+    return {
+      running: this.running,
+      contractAddress: this.options.contractAddress,
+      startBlock: this.options.startBlock,
+      indexedBlock: this.chain.getCursor(this.options.contractAddress),
+      headBlock: this.headBlock,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Run one indexing pass: reorg check, then index up to head - confirmations
+   */
+  async sync(): Promise<void> {
+    const { provider, contractAddress, startBlock, confirmations, batchSize, reorgDepth } = this.options;
+
+    this.headBlock = await provider.getBlockNumber();
+    const target = this.headBlock - confirmations;
+
+    let cursor = await this.handleReorg(this.chain.getCursor(contractAddress) ?? startBlock - 1);
+
+    while (cursor < target) {
+      const fromBlock = cursor + 1;
+      const toBlock = Math.min(cursor + batchSize, target);
+
+      const logs = await provider.getLogs({ address: contractAddress, fromBlock, toBlock });
+      const events = logs
+        .map(log => this.decode(log))
+        .filter((event): event is ChainEvent => event !== null);
+
+      // Remember the batch end and every block we took events from
+      const end = await provider.getBlock(toBlock);
+      if (!end || !end.hash) {
+        throw new Error(`Block ${toBlock} not available from provider`);
+      }
+      const blocks = new Map<number, string>([[toBlock, end.hash]]);
+      for (const event of events) {
+        blocks.set(event.blockNumber, event.blockHash);
+      }
+
+      const affected = this.chain.applyBatch(
+        contractAddress,
+        events,
+        [...blocks].map(([number, hash]) => ({ number, hash })),
+        toBlock
+      );
+
+      if (events.length > 0) {
+        console.log(`[INDEXER] Blocks ${fromBlock}-${toBlock}: ${events.length} events`);
+      }
+      await this.syncPosts(affected);
+      await this.syncLicensePurchases(events);
+      cursor = toBlock;
+    }
+
+    this.chain.pruneBlocks(cursor - reorgDepth);
+    await this.retryUnsyncedPosts();
+    this.lastSyncAt = new Date().toISOString();
+  }
+
+  /**
+   * Roll back to the newest indexed block that is still canonical
+   *
+   * @param cursor - Last indexed block
+   * @returns Block to continue indexing after
+   */
+  private async handleReorg(cursor: number): Promise<number> {
+    const { provider, contractAddress, startBlock, reorgDepth } = this.options;
+
+    const recorded = this.chain.getRecentBlocks(cursor, reorgDepth);
+    if (recorded.length === 0 || recorded[0].number !== cursor) {
+      return cursor;
+    }
+
+    let ancestor = Math.max(startBlock - 1, recorded[recorded.length - 1].number - 1);
+    for (const block of recorded) {
+      const canonical = await provider.getBlock(block.number);
+      if (canonical && canonical.hash === block.hash) {
+        ancestor = block.number;
+        break;
+      }
+    }
+
+    if (ancestor === cursor) {
+      return cursor;
+    }
+
+    console.warn(`[INDEXER] ⚠️  Reorg detected: rolling back from block ${cursor} to ${ancestor}`);
+    const { removed, affected } = this.chain.rollback(contractAddress, ancestor);
+
+    // Registrations that are gone from the canonical chain lose their on-chain data
+    for (const event of removed) {
+      if (event.event !== 'VideoRegistered' || this.chain.getVideo(event.videoHash!)) {
+        continue;
+      }
+      const post = await this.posts.findByMetadataCid(String(event.args.ipfsHash));
+      if (post && post.onChain?.txHash === event.txHash) {
+        await this.posts.save({ ...post, onChain: undefined, disputed: false, revoked: false, txStatus: undefined });
+      }
+    }
+    await this.syncPosts(affected);
+    await this.syncLicensePurchases(removed);
+
+    return ancestor;
+  }
+
+  /**
+   * Decode a VideoGuard log (null for events the indexer does not track)
+   */
+  private decode(log: ethers.Log): ChainEvent | null {
+    let parsed: ethers.LogDescription | null;
+    try {
+      parsed = this.iface.parseLog({ topics: [...log.topics], data: log.data });
+    } catch {
+      return null;
+    }
+    if (!parsed || !INDEXED_EVENTS.includes(parsed.name as ChainEventName)) {
+      return null;
+    }
+
+    const args = toPlainArgs(parsed);
+    const videoHash = (args.exactHash ?? args.uploadedHash ?? args.videoHash ?? null) as string | null;
+    const disputeId = (args.disputeId ?? null) as number | null;
+
+    return {
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      event: parsed.name as ChainEventName,
+      videoHash,
+      disputeId,
+      args
+    };
+  }
+
+  private async syncPosts(exactHashes: string[]): Promise<void> {
+    for (const exactHash of exactHashes) {
+      const video = this.chain.getVideo(exactHash);
+      if (video) {
+        await this.syncPost(video);
+      }
+    }
+  }
+
+  /**
+   * Re-evaluate the buyer's reposts of each original in LicensePurchased events
+   */
+  private async syncLicensePurchases(events: ChainEvent[]): Promise<void> {
+    for (const event of events) {
+      if (event.event !== 'LicensePurchased' || event.videoHash === null) {
+        continue;
+      }
+      const buyer = String(event.args.buyer);
+      const originalHash = event.videoHash.replace(/^0x/, '').toLowerCase();
+      const reposts = await this.posts.list({ status: 'REPOST_DETECTED', walletAddress: buyer });
+
+      for (const post of reposts) {
+        if (post.originalHash?.replace(/^0x/, '').toLowerCase() !== originalHash) {
+          continue;
+        }
+        const licensePurchased = this.chain.hasPurchasedLicense(event.videoHash, buyer);
+        const licensedReuse = licensePurchased || permitsReuse(post.license, post.matchType ?? '');
+        if (Boolean(post.licensePurchased) !== licensePurchased || Boolean(post.licensedReuse) !== licensedReuse) {
+          await this.posts.save({ ...post, licensePurchased, licensedReuse });
+          console.log(`[INDEXER] Repost ${post.id} ${licensePurchased ? 'is now licensed reuse (license purchased)' : 'lost its purchased license'}`);
+        }
+      }
+    }
+  }
+
+  private async retryUnsyncedPosts(): Promise<void> {
+    for (const video of this.chain.listUnsyncedVideos(20)) {
+      await this.syncPost(video);
+    }
+  }
+
+  /**
+   * Write an ownership record through to the post store
+   *
+   * Failures (e.g. metadata gateway timeouts) leave the record unsynced so
+   * the next pass retries it.
+   */
+  private async syncPost(video: ChainVideo): Promise<void> {
+    const onChain = {
+      txHash: video.txHash,
+      blockNumber: video.blockNumber,
+      contractAddress: this.options.contractAddress
+    };
+
+    try {
+      const existing = await this.posts.findByMetadataCid(video.ipfsHash);
+      let post: Post;
+
+      if (existing) {
+        // Chain truth wins: the registering wallet owns the post, and it is an original
+        const {
+          originalCreator, matchType, confidence, originalHash, matches, licensedReuse, licensePurchased,
+          parentHash, derivativeType, ...rest
+        } = existing;
+        post = {
+          ...rest,
+          walletAddress: video.creator,
+          status: 'ORIGINAL',
+          disputed: video.isDisputed,
+          revoked: video.revoked,
+          license: video.license,
+          ...video.derivation,
+          txStatus: 'confirmed',
+          onChain: {
+            ...onChain,
+            gasUsed: existing.onChain?.txHash === video.txHash ? existing.onChain.gasUsed : ''
+          }
+        };
+      } else {
+        let metadata: PostMetadata;
+        try {
+          metadata = parseMetadata(await retrieveFromIpfs(video.ipfsHash));
+        } catch (error) {
+          if (!(error instanceof MetadataValidationError)) {
+            throw error;
+          }
+          console.warn(`[INDEXER] Metadata ${video.ipfsHash} is invalid, not adding to feed: ${error.errors.join('; ')}`);
+          this.chain.markPostSynced(video.exactHash);
+          return;
+        }
+
+        const fields = postFieldsFromMetadata(metadata);
+        post = {
+          ...fields,
+          id: video.ipfsHash,
+          mediaGatewayUrl: ipfsGatewayUrl(fields.mediaCid),
+          metadataCid: video.ipfsHash,
+          metadataGatewayUrl: ipfsGatewayUrl(video.ipfsHash),
+          walletAddress: video.creator,
+          exactHash: video.exactHash.replace(/^0x/, ''),
+          // The contract stores digests: keep the metadata's full fingerprints if they match
+          perceptualHash: chainFingerprint(fields.perceptualHash) === video.perceptualHash
+            ? fields.perceptualHash
+            : video.perceptualHash,
+          audioHash: fields.audioHash && chainFingerprint(fields.audioHash) === video.audioFingerprint
+            ? fields.audioHash
+            : video.audioFingerprint,
+          status: 'ORIGINAL',
+          disputed: video.isDisputed,
+          revoked: video.revoked,
+          license: video.license,
+          ...video.derivation,
+          txStatus: 'confirmed',
+          onChain: { ...onChain, gasUsed: '' }
+        };
+      }
+
+      await this.posts.save(post);
+      this.chain.markPostSynced(video.exactHash);
+      this.options.onPostIndexed?.(post);
+    } catch (error) {
+      console.warn(`[INDEXER] Could not sync post for ${video.exactHash.substring(0, 18)}... (will retry):`,
+        error instanceof Error ? error.message : error);
+    }
+  }
+}
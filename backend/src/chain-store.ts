@@ -0,0 +1,570 @@
+/**
+ * Chain Store Module - Persistence for indexed VideoGuard events
+ *
+ * Stores the raw contract logs seen by the chain indexer together with the
+ * state derived from them: on-chain ownership records (with their current
+ * creator and license and, for derivative works, their parent) and disputes
+ * (with their lifecycle). Purchased reuse licenses are answered straight
+ * from the LicensePurchased events. Derived
+ * rows are never edited directly; they are recomputed from the remaining
+ * event log whenever events are added or rolled back after a reorg, so they
+ * always equal a replay of the canonical chain.
+ *
+ * @module chain-store
+ */
+
+import Database from 'better-sqlite3';
+import { AssetLicense, DEFAULT_LICENSE, licenseFromChain } from './license.js';
+import { Derivation, derivationFromChain } from './provenance.js';
+
+/**
+ * VideoGuard event names indexed from the contract
+ */
+export type ChainEventName =
+  | 'VideoRegistered'
+  | 'DerivativeRegistered'
+  | 'RepostDetected'
+  | 'LicenseSet'
+  | 'LicensePurchased'
+  | 'DisputeRaised'
+  | 'EvidenceSubmitted'
+  | 'DisputeResolved'
+  | 'DisputeAppealed'
+  | 'DisputeFinalized'
+  | 'VideoOwnershipTransferred'
+  | 'VideoRevoked';
+
+/**
+ * Dispute rulings in the order of VideoGuard.Ruling (the on-chain value is the index)
+ */
+export const DISPUTE_RULINGS = ['NONE', 'REJECTED', 'TRANSFER_OWNERSHIP', 'REVOKE'] as const;
+
+export type DisputeRuling = typeof DISPUTE_RULINGS[number];
+
+/**
+ * Stage of a dispute (VideoGuard.DisputeStatus)
+ */
+export type DisputeStatus = 'OPEN' | 'RESOLVED' | 'APPEALED' | 'FINALIZED';
+
+/**
+ * A decoded contract log
+ */
+export interface ChainEvent {
+  blockNumber: number;
+  logIndex: number;
+  blockHash: string;
+  txHash: string;
+  event: ChainEventName;
+  videoHash: string | null;      // Exact hash (0x bytes32) the event refers to
+  disputeId: number | null;      // Dispute ID for dispute events
+  args: Record<string, string | number | boolean>;
+}
+
+/**
+ * On-chain ownership record, as derived from VideoRegistered, DerivativeRegistered, LicenseSet and dispute events
+ */
+export interface ChainVideo {
+  exactHash: string;
+  creator: string;               // Registrant, or the accuser of an upheld ownership dispute
+  perceptualHash: string;
+  audioFingerprint: string;
+  ipfsHash: string;              // Metadata CID registered on-chain
+  registeredAt: number;          // Block timestamp (seconds)
+  blockNumber: number;
+  txHash: string;
+  isDisputed: boolean;           // Some dispute against it is not finalized yet
+  revoked: boolean;              // Revoked by an upheld dispute
+  license: AssetLicense;         // Latest LicenseSet (all rights reserved if none)
+  derivation: Derivation | null; // Parent of a derivative work (DerivativeRegistered)
+  postSynced: boolean;           // Post store entry created/updated for this record
+}
+
+/**
+ * Dispute record, as derived from its lifecycle events (raised, resolved, appealed, finalized)
+ */
+export interface ChainDispute {
+  disputeId: number;
+  videoHash: string;
+  accuser: string;
+  reason: string;
+  evidenceCid: string;           // Evidence submitted with the dispute
+  stake: string;                 // Accuser's stake (wei, decimal string)
+  raisedBlock: number;
+  raisedTx: string;
+  status: DisputeStatus;
+  deadline: number;              // Ruling due (OPEN/APPEALED) or end of the appeal window (RESOLVED), seconds
+  resolved: boolean;             // An arbitrator has ruled
+  upheld: boolean | null;        // Latest ruling
+  ruling: DisputeRuling | null;  // Latest ruling (NONE once an unruled dispute expired)
+  resolver: string | null;
+  resolvedBlock: number | null;
+  appellant: string | null;
+  finalizedBlock: number | null;
+}
+
+interface EventRow {
+  block_number: number;
+  log_index: number;
+  block_hash: string;
+  tx_hash: string;
+  event: ChainEventName;
+  video_hash: string | null;
+  dispute_id: number | null;
+  args: string;
+}
+
+function toEvent(row: EventRow): ChainEvent {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    txHash: row.tx_hash,
+    event: row.event,
+    videoHash: row.video_hash,
+    disputeId: row.dispute_id,
+    args: JSON.parse(row.args)
+  };
+}
+
+/**
+ * SQLite-backed store for the chain indexer
+ *
+ * @example
+ * ```typescript
+ * const chain = new ChainStore(openDatabase('./data/blockpost.db'));
+ * const cursor = chain.getCursor(contractAddress);
+ * ```
+ */
+export class ChainStore {
+  constructor(private readonly db: Database.Database) {}
+
+  /**
+   * Last fully indexed block for a contract
+   *
+   * Indexed state of a different contract address is discarded.
+   *
+   * @param contractAddress - Indexed contract
+   * @returns Block number, or null if nothing has been indexed yet
+   */
+  getCursor(contractAddress: string): number | null {
+    const row = this.db.prepare('SELECT contract_address, block_number FROM chain_cursor WHERE id = 1').get() as
+      { contract_address: string; block_number: number } | undefined;
+
+    if (!row) {
+      return null;
+    }
+    if (row.contract_address.toLowerCase() !== contractAddress.toLowerCase()) {
+      console.warn(`[INDEXER] Contract changed from ${row.contract_address}, discarding indexed chain state`);
+      this.reset();
+      return null;
+    }
+    return row.block_number;
+  }
+
+  /**
+   * Recorded hash of an indexed block
+   */
+  getBlockHash(blockNumber: number): string | null {
+    const row = this.db.prepare('SELECT block_hash FROM chain_blocks WHERE block_number = ?').get(blockNumber) as
+      { block_hash: string } | undefined;
+    return row ? row.block_hash : null;
+  }
+
+  /**
+   * Recorded blocks at or below a height, newest first (reorg ancestor search)
+   */
+  getRecentBlocks(atOrBelow: number, limit: number): Array<{ number: number; hash: string }> {
+    const rows = this.db
+      .prepare('SELECT block_number, block_hash FROM chain_blocks WHERE block_number <= ? ORDER BY block_number DESC LIMIT ?')
+      .all(atOrBelow, limit) as Array<{ block_number: number; block_hash: string }>;
+    return rows.map(row => ({ number: row.block_number, hash: row.block_hash }));
+  }
+
+  /**
+   * Store a batch of events and advance the cursor atomically
+   *
+   * @param contractAddress - Indexed contract
+   * @param events - Decoded logs of the batch
+   * @param blocks - Hashes of the batch's blocks worth remembering for reorg checks
+   * @param cursor - Last block covered by the batch
+   * @returns Exact hashes whose derived state changed
+   */
+  applyBatch(
+    contractAddress: string,
+    events: ChainEvent[],
+    blocks: Array<{ number: number; hash: string }>,
+    cursor: number
+  ): string[] {
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO chain_events (block_number, log_index, block_hash, tx_hash, event, video_hash, dispute_id, args)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertBlock = this.db.prepare('INSERT OR REPLACE INTO chain_blocks (block_number, block_hash) VALUES (?, ?)');
+    const disputedVideo = this.db.prepare("SELECT video_hash FROM chain_events WHERE event = 'DisputeRaised' AND dispute_id = ?");
+
+    return this.db.transaction(() => {
+      for (const e of events) {
+        // Later dispute events do not carry the video hash; link them through the raising event
+        if (e.disputeId !== null && e.videoHash === null) {
+          const raised = disputedVideo.get(e.disputeId) as { video_hash: string } | undefined;
+          e.videoHash = raised ? raised.video_hash : null;
+        }
+        insertEvent.run(e.blockNumber, e.logIndex, e.blockHash, e.txHash, e.event, e.videoHash, e.disputeId, JSON.stringify(e.args));
+      }
+      for (const block of blocks) {
+        insertBlock.run(block.number, block.hash);
+      }
+      this.setCursor(contractAddress, cursor);
+      return this.refresh(events);
+    })();
+  }
+
+  /**
+   * Drop everything above a block (chain reorganization)
+   *
+   * @param contractAddress - Indexed contract
+   * @param toBlock - Last block still on the canonical chain
+   * @returns Removed events and the exact hashes whose derived state changed
+   */
+  rollback(contractAddress: string, toBlock: number): { removed: ChainEvent[]; affected: string[] } {
+    return this.db.transaction(() => {
+      const removed = (this.db
+        .prepare('SELECT * FROM chain_events WHERE block_number > ? ORDER BY block_number, log_index')
+        .all(toBlock) as EventRow[]).map(toEvent);
+
+      this.db.prepare('DELETE FROM chain_events WHERE block_number > ?').run(toBlock);
+      this.db.prepare('DELETE FROM chain_blocks WHERE block_number > ?').run(toBlock);
+      this.setCursor(contractAddress, toBlock);
+
+      return { removed, affected: this.refresh(removed) };
+    })();
+  }
+
+  /**
+   * Forget block hashes below a height (older blocks are considered final)
+   */
+  pruneBlocks(below: number): void {
+    this.db.prepare('DELETE FROM chain_blocks WHERE block_number < ?').run(below);
+  }
+
+  /**
+   * Look up an on-chain ownership record
+   */
+  getVideo(exactHash: string): ChainVideo | null {
+    const row = this.db.prepare('SELECT * FROM chain_videos WHERE exact_hash = ?').get(exactHash) as any;
+    return row ? this.toVideo(row) : null;
+  }
+
+  /**
+   * All ownership records, oldest first
+   */
+  listVideos(): ChainVideo[] {
+    const rows = this.db.prepare('SELECT * FROM chain_videos ORDER BY block_number').all() as any[];
+    return rows.map(row => this.toVideo(row));
+  }
+
+  /**
+   * Ownership records whose post has not been written yet (e.g. metadata fetch failed)
+   */
+  listUnsyncedVideos(limit: number): ChainVideo[] {
+    const rows = this.db
+      .prepare('SELECT * FROM chain_videos WHERE post_synced = 0 ORDER BY block_number LIMIT ?')
+      .all(limit) as any[];
+    return rows.map(row => this.toVideo(row));
+  }
+
+  /**
+   * Record that the post for an ownership record is up to date
+   */
+  markPostSynced(exactHash: string): void {
+    this.db.prepare('UPDATE chain_videos SET post_synced = 1 WHERE exact_hash = ?').run(exactHash);
+  }
+
+  /**
+   * Whether an indexed LicensePurchased event gives a wallet a reuse license of a video
+   *
+   * Like the contract, only purchases since the latest registration count
+   * (licenses bought from a revoked registration do not carry over).
+   *
+   * @param exactHash - Exact hash (0x bytes32) of the original
+   * @param buyer - Wallet address
+   */
+  hasPurchasedLicense(exactHash: string, buyer: string): boolean {
+    const row = this.db.prepare(`
+      SELECT 1 FROM chain_events
+      WHERE video_hash = ? AND event = 'LicensePurchased' AND json_extract(args, '$.buyer') = ? COLLATE NOCASE
+        AND (block_number, log_index) > (
+          SELECT block_number, log_index FROM chain_events
+          WHERE video_hash = ? AND event = 'VideoRegistered'
+          ORDER BY block_number DESC, log_index DESC LIMIT 1
+        )
+      LIMIT 1
+    `).get(exactHash, buyer, exactHash);
+    return row !== undefined;
+  }
+
+  /**
+   * List disputes, newest first
+   *
+   * @param videoHash - Only disputes against this exact hash
+   */
+  listDisputes(videoHash?: string): ChainDispute[] {
+    const rows = (videoHash
+      ? this.db.prepare('SELECT * FROM chain_disputes WHERE video_hash = ? ORDER BY dispute_id DESC').all(videoHash)
+      : this.db.prepare('SELECT * FROM chain_disputes ORDER BY dispute_id DESC').all()) as any[];
+
+    return rows.map(row => ({
+      disputeId: row.dispute_id,
+      videoHash: row.video_hash,
+      accuser: row.accuser,
+      reason: row.reason,
+      evidenceCid: row.evidence_cid,
+      stake: row.stake,
+      raisedBlock: row.raised_block,
+      raisedTx: row.raised_tx,
+      status: row.status,
+      deadline: row.deadline,
+      resolved: row.resolved === 1,
+      upheld: row.upheld === null ? null : row.upheld === 1,
+      ruling: row.ruling,
+      resolver: row.resolver,
+      resolvedBlock: row.resolved_block,
+      appellant: row.appellant,
+      finalizedBlock: row.finalized_block
+    }));
+  }
+
+  private toVideo(row: any): ChainVideo {
+    return {
+      exactHash: row.exact_hash,
+      creator: row.creator,
+      perceptualHash: row.perceptual_hash,
+      audioFingerprint: row.audio_fingerprint,
+      ipfsHash: row.ipfs_hash,
+      registeredAt: row.registered_at,
+      blockNumber: row.block_number,
+      txHash: row.tx_hash,
+      isDisputed: row.is_disputed === 1,
+      revoked: row.revoked === 1,
+      license: row.license_terms_cid === null
+        ? { type: row.license_type }
+        : { type: row.license_type, termsCid: row.license_terms_cid },
+      derivation: row.parent_hash === null
+        ? null
+        : { parentHash: row.parent_hash, derivativeType: row.derivative_type },
+      postSynced: row.post_synced === 1
+    };
+  }
+
+  private setCursor(contractAddress: string, blockNumber: number): void {
+    this.db.prepare(`
+      INSERT INTO chain_cursor (id, contract_address, block_number) VALUES (1, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET contract_address = excluded.contract_address, block_number = excluded.block_number
+    `).run(contractAddress, blockNumber);
+  }
+
+  private reset(): void {
+    this.db.transaction(() => {
+      for (const table of ['chain_cursor', 'chain_blocks', 'chain_events', 'chain_videos', 'chain_disputes']) {
+        this.db.prepare(`DELETE FROM ${table}`).run();
+      }
+    })();
+  }
+
+  /**
+   * Recompute derived rows touched by a set of events
+   *
+   * @returns Exact hashes whose ownership record was recomputed
+   */
+  private refresh(events: ChainEvent[]): string[] {
+    const disputeIds = new Set<number>();
+    const videoHashes = new Set<string>();
+
+    for (const e of events) {
+      if (e.disputeId !== null) disputeIds.add(e.disputeId);
+      // Reposts and license purchases do not change the ownership record
+      if (e.videoHash !== null && e.event !== 'RepostDetected' && e.event !== 'LicensePurchased') videoHashes.add(e.videoHash);
+    }
+
+    // Disputes first: their video's flag is replayed from the remaining dispute events
+    for (const id of disputeIds) {
+      const videoHash = this.refreshDispute(id);
+      if (videoHash) videoHashes.add(videoHash);
+    }
+    for (const hash of videoHashes) {
+      this.refreshVideo(hash);
+    }
+
+    return [...videoHashes];
+  }
+
+  /**
+   * Rebuild a dispute from its events
+   *
+   * @returns Exact hash of the disputed video, if any
+   */
+  private refreshDispute(disputeId: number): string | null {
+    const events = (this.db
+      .prepare('SELECT * FROM chain_events WHERE dispute_id = ? ORDER BY block_number, log_index')
+      .all(disputeId) as EventRow[]).map(toEvent);
+
+    const previous = this.db.prepare('SELECT video_hash FROM chain_disputes WHERE dispute_id = ?').get(disputeId) as
+      { video_hash: string } | undefined;
+    const raised = events.find(e => e.event === 'DisputeRaised');
+
+    if (!raised) {
+      this.db.prepare('DELETE FROM chain_disputes WHERE dispute_id = ?').run(disputeId);
+      return previous ? previous.video_hash : null;
+    }
+
+    // Replay the lifecycle like the contract
+    let status: DisputeStatus = 'OPEN';
+    let deadline = Number(raised.args.deadline);
+    let resolved: ChainEvent | null = null;
+    let ruling: DisputeRuling | null = null;
+    let appellant: string | null = null;
+    let finalized: ChainEvent | null = null;
+    for (const e of events) {
+      if (e.event === 'DisputeResolved') {
+        resolved = e;
+        ruling = DISPUTE_RULINGS[Number(e.args.ruling)];
+        if (status === 'OPEN') {
+          status = 'RESOLVED';
+          deadline = Number(e.args.appealDeadline);
+        }
+      } else if (e.event === 'DisputeAppealed') {
+        status = 'APPEALED';
+        appellant = String(e.args.appellant);
+        deadline = Number(e.args.deadline);
+      } else if (e.event === 'DisputeFinalized') {
+        status = 'FINALIZED';
+        ruling = DISPUTE_RULINGS[Number(e.args.ruling)];
+        finalized = e;
+      }
+    }
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO chain_disputes
+        (dispute_id, video_hash, accuser, reason, evidence_cid, stake, raised_block, raised_tx, status, deadline,
+         resolved, upheld, ruling, resolver, resolved_block, appellant, finalized_block)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      disputeId,
+      raised.videoHash,
+      raised.args.accuser,
+      raised.args.reason,
+      raised.args.evidenceCid,
+      String(raised.args.stake),
+      raised.blockNumber,
+      raised.txHash,
+      status,
+      deadline,
+      resolved ? 1 : 0,
+      resolved ? (resolved.args.upheld ? 1 : 0) : null,
+      ruling,
+      resolved ? resolved.args.resolver : null,
+      resolved ? resolved.blockNumber : null,
+      appellant,
+      finalized ? finalized.blockNumber : null
+    );
+    return raised.videoHash;
+  }
+
+  /**
+   * Rebuild an ownership record by replaying its events in chain order
+   *
+   * A revoked video can be registered again: only the latest registration
+   * and the events after it make up the record.
+   */
+  private refreshVideo(exactHash: string): void {
+    const registration = this.db
+      .prepare("SELECT * FROM chain_events WHERE video_hash = ? AND event = 'VideoRegistered' ORDER BY block_number DESC, log_index DESC LIMIT 1")
+      .get(exactHash) as EventRow | undefined;
+
+    if (!registration) {
+      this.db.prepare('DELETE FROM chain_videos WHERE exact_hash = ?').run(exactHash);
+      return;
+    }
+    const since = [exactHash, registration.block_number, registration.log_index];
+
+    // Replay dispute outcomes like the contract: the video is disputed while any dispute is not finalized,
+    // and upheld disputes transfer it to the accuser or revoke it
+    const disputeEvents = (this.db
+      .prepare(`
+        SELECT * FROM chain_events
+        WHERE video_hash = ? AND event IN ('DisputeRaised', 'DisputeFinalized', 'VideoOwnershipTransferred', 'VideoRevoked')
+          AND (block_number, log_index) > (?, ?)
+        ORDER BY block_number, log_index
+      `)
+      .all(...since) as EventRow[]).map(toEvent);
+    let openDisputes = 0;
+    let creator = String(toEvent(registration).args.creator);
+    let revoked = false;
+    for (const e of disputeEvents) {
+      if (e.event === 'DisputeRaised') {
+        openDisputes++;
+      } else if (e.event === 'DisputeFinalized') {
+        openDisputes--;
+      } else if (e.event === 'VideoOwnershipTransferred') {
+        creator = String(e.args.to);
+      } else {
+        revoked = true;
+      }
+    }
+
+    // The latest LicenseSet is the license in force
+    const licenseEvent = this.db
+      .prepare(`
+        SELECT * FROM chain_events WHERE video_hash = ? AND event = 'LicenseSet' AND (block_number, log_index) > (?, ?)
+        ORDER BY block_number DESC, log_index DESC LIMIT 1
+      `)
+      .get(...since) as EventRow | undefined;
+    let license: AssetLicense = DEFAULT_LICENSE;
+    if (licenseEvent) {
+      const { args } = toEvent(licenseEvent);
+      license = licenseFromChain(Number(args.licenseType), String(args.termsCid));
+    }
+
+    const derivativeEvent = this.db
+      .prepare(`
+        SELECT * FROM chain_events WHERE video_hash = ? AND event = 'DerivativeRegistered' AND (block_number, log_index) > (?, ?)
+        LIMIT 1
+      `)
+      .get(...since) as EventRow | undefined;
+    let derivation: Derivation | null = null;
+    if (derivativeEvent) {
+      const { args } = toEvent(derivativeEvent);
+      derivation = derivationFromChain(String(args.parentHash), Number(args.derivativeType));
+    }
+
+    const event = toEvent(registration);
+    this.db.prepare(`
+      INSERT INTO chain_videos
+        (exact_hash, creator, perceptual_hash, audio_fingerprint, ipfs_hash, registered_at, block_number, tx_hash,
+         is_disputed, revoked, license_type, license_terms_cid, parent_hash, derivative_type, post_synced)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+      ON CONFLICT (exact_hash) DO UPDATE SET
+        creator = excluded.creator, perceptual_hash = excluded.perceptual_hash,
+        audio_fingerprint = excluded.audio_fingerprint, ipfs_hash = excluded.ipfs_hash,
+        registered_at = excluded.registered_at, block_number = excluded.block_number,
+        tx_hash = excluded.tx_hash, is_disputed = excluded.is_disputed, revoked = excluded.revoked,
+        license_type = excluded.license_type, license_terms_cid = excluded.license_terms_cid,
+        parent_hash = excluded.parent_hash, derivative_type = excluded.derivative_type, post_synced = 0
+    `).run(
+      exactHash,
+      creator,
+      event.args.perceptualHash,
+      event.args.audioFingerprint,
+      event.args.ipfsHash,
+      event.args.timestamp,
+      event.blockNumber,
+      event.txHash,
+      openDisputes > 0 ? 1 : 0,
+      revoked ? 1 : 0,
+      license.type,
+      license.termsCid ?? null,
+      derivation?.parentHash ?? null,
+      derivation?.derivativeType ?? null
+    );
+  }
+}
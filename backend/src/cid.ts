@@ -0,0 +1,433 @@
+/**
+ * CID Module - Compute IPFS CIDv1 values locally
+ *
+ * Produces the same CIDs as `ipfs add --cid-version=1` (Kubo defaults) and
+ * Pinata with `cidVersion: 1`:
+ *
+ * - Content is split into fixed 256 KiB chunks stored as raw leaves
+ * - A single-chunk file is addressed by its raw leaf (bafkrei...)
+ * - Larger files get a balanced UnixFS DAG of dag-pb nodes with at most
+ *   174 links each (bafybei...)
+ * - Every CID uses sha2-256 and is encoded as base32 (multibase "b")
+ *
+ * No IPFS libraries are needed; the dag-pb and UnixFS protobuf messages used
+ * here are small enough to encode (and, for blocks fetched from gateways,
+ * decode and verify) by hand.
+ *
+ * @module cid
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+/** UnixFS chunk size used by Kubo and Pinata (size-262144 chunker) */
+export const CHUNK_SIZE = 262144;
+
+/** Max links per dag-pb node in the balanced layout */
+export const MAX_LINKS = 174;
+
+const CID_VERSION = 0x01;
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * A node of the DAG under construction
+ */
+interface DagNode {
+  cid: Buffer;                  // Binary CID
+  fileSize: number;             // Bytes of file content below this node
+  totalSize: number;            // Bytes of all blocks below and including this node (link Tsize)
+}
+
+function varint(value: number): Buffer {
+  const bytes: number[] = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+/** Protobuf length-delimited field */
+function bytesField(field: number, value: Buffer): Buffer {
+  return Buffer.concat([varint((field << 3) | 2), varint(value.length), value]);
+}
+
+/** Protobuf varint field */
+function varintField(field: number, value: number): Buffer {
+  return Buffer.concat([varint(field << 3), varint(value)]);
+}
+
+function binaryCid(codec: number, block: Buffer): Buffer {
+  const digest = crypto.createHash('sha256').update(block).digest();
+  return Buffer.concat([Buffer.from([CID_VERSION, codec, MULTIHASH_SHA2_256, digest.length]), digest]);
+}
+
+function base32(bytes: Buffer): string {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Render a binary CID as a base32 CIDv1 string
+ */
+function cidToString(cid: Buffer): string {
+  return `b${base32(cid)}`;
+}
+
+function base32Decode(text: string): Buffer | null {
+  const bytes: number[] = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      return null;
+    }
+    buffer = ((buffer << 5) | value) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function base58(bytes: Buffer): string {
+  let value = BigInt(`0x${bytes.toString('hex') || '0'}`);
+  let output = '';
+  while (value > 0n) {
+    output = BASE58_ALPHABET[Number(value % 58n)] + output;
+    value /= 58n;
+  }
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    output = `1${output}`;
+  }
+  return output;
+}
+
+function base58Decode(text: string): Buffer | null {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  const hex = value > 0n ? value.toString(16) : '';
+  const leadingZeros = text.length - text.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex')]);
+}
+
+function readVarint(bytes: Buffer, offset: number): [value: number, next: number] {
+  let value = 0;
+  let scale = 1;
+  for (let i = offset; i < bytes.length; i++) {
+    value += (bytes[i] & 0x7f) * scale;
+    if ((bytes[i] & 0x80) === 0) {
+      return [value, i + 1];
+    }
+    scale *= 0x80;
+  }
+  throw new Error('Truncated varint');
+}
+
+/**
+ * Iterate the varint and length-delimited fields of a protobuf message
+ */
+function* protobufFields(message: Buffer): Generator<{ field: number; value: number | Buffer }> {
+  let offset = 0;
+  while (offset < message.length) {
+    const [key, afterKey] = readVarint(message, offset);
+    const wireType = key % 8;
+    const field = Math.floor(key / 8);
+
+    if (wireType === 0) {
+      const [value, next] = readVarint(message, afterKey);
+      yield { field, value };
+      offset = next;
+    } else if (wireType === 2) {
+      const [length, start] = readVarint(message, afterKey);
+      if (start + length > message.length) {
+        throw new Error('Truncated protobuf field');
+      }
+      yield { field, value: message.subarray(start, start + length) };
+      offset = start + length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+function rawLeaf(chunk: Buffer): DagNode {
+  return { cid: binaryCid(CODEC_RAW, chunk), fileSize: chunk.length, totalSize: chunk.length };
+}
+
+/**
+ * Build a UnixFS file node linking to `children`
+ */
+function fileNode(children: DagNode[]): DagNode {
+  const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+
+  const unixfs = Buffer.concat([
+    varintField(1, UNIXFS_FILE),
+    varintField(3, fileSize),
+    ...children.map(child => varintField(4, child.fileSize))
+  ]);
+
+  // dag-pb canonical form: Links (field 2) before Data (field 1)
+  const block = Buffer.concat([
+    ...children.map(child => bytesField(2, Buffer.concat([
+      bytesField(1, child.cid),
+      bytesField(2, Buffer.alloc(0)),
+      varintField(3, child.totalSize)
+    ]))),
+    bytesField(1, unixfs)
+  ]);
+
+  return {
+    cid: binaryCid(CODEC_DAG_PB, block),
+    fileSize,
+    totalSize: block.length + children.reduce((sum, child) => sum + child.totalSize, 0)
+  };
+}
+
+/**
+ * Reduce leaves to a single root, MAX_LINKS children per node
+ */
+function balancedRoot(leaves: DagNode[]): DagNode {
+  if (leaves.length === 1) {
+    return leaves[0];
+  }
+
+  let level = leaves;
+  do {
+    const parents: DagNode[] = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      parents.push(fileNode(level.slice(i, i + MAX_LINKS)));
+    }
+    level = parents;
+  } while (level.length > 1);
+
+  return level[0];
+}
+
+/**
+ * Split a stream of buffers into CHUNK_SIZE leaves
+ */
+async function leavesOf(source: AsyncIterable<Buffer> | Iterable<Buffer>): Promise<DagNode[]> {
+  const leaves: DagNode[] = [];
+  let pending: Buffer = Buffer.alloc(0);
+
+  for await (const data of source) {
+    pending = pending.length > 0 ? Buffer.concat([pending, data]) : data;
+    while (pending.length >= CHUNK_SIZE) {
+      leaves.push(rawLeaf(pending.subarray(0, CHUNK_SIZE)));
+      pending = pending.subarray(CHUNK_SIZE);
+    }
+  }
+
+  // The final partial chunk (or the empty file's only chunk)
+  if (pending.length > 0 || leaves.length === 0) {
+    leaves.push(rawLeaf(pending));
+  }
+  return leaves;
+}
+
+/**
+ * Compute the CIDv1 IPFS assigns to some content
+ *
+ * @param content - Content as a Buffer, or the path of a file on disk (streamed)
+ * @returns Base32 CIDv1 string
+ *
+ * @example
+ * ```typescript
+ * const cid = await computeCid('/tmp/upload.mp4');
+ * // "bafybei..." (files over 256 KiB) or "bafkrei..." (single chunk)
+ * ```
+ */
+export async function computeCid(content: Buffer | string): Promise<string> {
+  const source = typeof content === 'string'
+    ? fs.createReadStream(content, { highWaterMark: CHUNK_SIZE })
+    : [content];
+  return cidToString(balancedRoot(await leavesOf(source)).cid);
+}
+
+/**
+ * Codec and digest of a CID
+ */
+export interface ParsedCid {
+  version: 0 | 1;
+  codec: 'raw' | 'dag-pb';
+  digest: Buffer;               // sha2-256 digest of the block
+}
+
+/**
+ * Parse a binary CID (as found in dag-pb links)
+ */
+function parseBinaryCid(bytes: Buffer): ParsedCid {
+  // CIDv0 is a bare sha2-256 multihash
+  if (bytes.length === 34 && bytes[0] === MULTIHASH_SHA2_256 && bytes[1] === 32) {
+    return { version: 0, codec: 'dag-pb', digest: bytes.subarray(2) };
+  }
+
+  const [version, afterVersion] = readVarint(bytes, 0);
+  const [codec, afterCodec] = readVarint(bytes, afterVersion);
+  if (version !== CID_VERSION || (codec !== CODEC_RAW && codec !== CODEC_DAG_PB)) {
+    throw new Error(`Unsupported CID (version ${version}, codec 0x${codec.toString(16)})`);
+  }
+  if (bytes[afterCodec] !== MULTIHASH_SHA2_256 || bytes[afterCodec + 1] !== 32 || bytes.length !== afterCodec + 34) {
+    throw new Error('Unsupported CID hash (only sha2-256 is supported)');
+  }
+  return { version: 1, codec: codec === CODEC_RAW ? 'raw' : 'dag-pb', digest: bytes.subarray(afterCodec + 2) };
+}
+
+/**
+ * Render a parsed CID in its canonical string form (base58 for CIDv0, base32 for CIDv1)
+ */
+function formatCid(cid: ParsedCid): string {
+  const multihash = Buffer.concat([Buffer.from([MULTIHASH_SHA2_256, cid.digest.length]), cid.digest]);
+  if (cid.version === 0) {
+    return base58(multihash);
+  }
+  return cidToString(Buffer.concat([Buffer.from([CID_VERSION, cid.codec === 'raw' ? CODEC_RAW : CODEC_DAG_PB]), multihash]));
+}
+
+/**
+ * Parse a CID string (CIDv0 "Qm..." or base32 CIDv1 "b...")
+ *
+ * @param cid - CID string
+ * @returns Version, codec and digest
+ * @throws Error if the CID is malformed or uses an unsupported codec or hash
+ */
+export function parseCid(cid: string): ParsedCid {
+  const bytes = /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid) ? base58Decode(cid)
+    : /^b[a-z2-7]+$/.test(cid) ? base32Decode(cid.slice(1))
+      : null;
+  if (!bytes) {
+    throw new Error(`Invalid CID "${cid}"`);
+  }
+  return parseBinaryCid(bytes);
+}
+
+/**
+ * Check that a block hashes to its CID
+ *
+ * @param cid - CID the block was requested by
+ * @param block - Block bytes
+ * @returns true if the block's sha2-256 digest matches the CID
+ */
+export function verifyBlock(cid: string, block: Buffer): boolean {
+  const digest = crypto.createHash('sha256').update(block).digest();
+  return digest.equals(parseCid(cid).digest);
+}
+
+/**
+ * A link from a UnixFS file node to a child block
+ */
+export interface FileLink {
+  cid: string;
+  fileSize: number;             // Bytes of file content below the child
+}
+
+/**
+ * A decoded UnixFS file block: inline data followed by the content of its links
+ */
+export interface FileNode {
+  data: Buffer;
+  links: FileLink[];
+  fileSize: number;
+}
+
+/**
+ * Decode a block of a UnixFS file (raw leaf or dag-pb file node)
+ *
+ * @param cid - CID of the block
+ * @param block - Verified block bytes
+ * @returns Inline data and child links
+ * @throws Error if the block is not part of a UnixFS file (e.g. a directory)
+ */
+export function decodeFileNode(cid: string, block: Buffer): FileNode {
+  if (parseCid(cid).codec === 'raw') {
+    return { data: block, links: [], fileSize: block.length };
+  }
+
+  const hashes: string[] = [];
+  let unixfs: Buffer | null = null;
+  for (const { field, value } of protobufFields(block)) {
+    if (field === 2 && Buffer.isBuffer(value)) {
+      for (const link of protobufFields(value)) {
+        if (link.field === 1 && Buffer.isBuffer(link.value)) {
+          hashes.push(formatCid(parseBinaryCid(link.value)));
+        }
+      }
+    } else if (field === 1 && Buffer.isBuffer(value)) {
+      unixfs = value;
+    }
+  }
+  if (!unixfs) {
+    throw new Error(`${cid} is not a UnixFS node`);
+  }
+
+  let type = -1;
+  let data: Buffer = Buffer.alloc(0);
+  let declaredSize: number | null = null;
+  const blockSizes: number[] = [];
+  for (const { field, value } of protobufFields(unixfs)) {
+    if (field === 1 && typeof value === 'number') {
+      type = value;
+    } else if (field === 2 && Buffer.isBuffer(value)) {
+      data = value;
+    } else if (field === 3 && typeof value === 'number') {
+      declaredSize = value;
+    } else if (field === 4) {
+      if (typeof value === 'number') {
+        blockSizes.push(value);
+      } else {
+        // Packed encoding
+        for (let offset = 0; offset < value.length;) {
+          const [size, next] = readVarint(value, offset);
+          blockSizes.push(size);
+          offset = next;
+        }
+      }
+    }
+  }
+
+  // 0 = Raw, 2 = File
+  if (type !== 0 && type !== UNIXFS_FILE) {
+    throw new Error(`${cid} is not a file (UnixFS type ${type})`);
+  }
+  if (blockSizes.length !== hashes.length) {
+    throw new Error(`${cid} has ${hashes.length} links but ${blockSizes.length} block sizes`);
+  }
+
+  const links = hashes.map((linkCid, i) => ({ cid: linkCid, fileSize: blockSizes[i] }));
+  const fileSize = data.length + blockSizes.reduce((sum, size) => sum + size, 0);
+  if (declaredSize !== null && declaredSize !== fileSize) {
+    throw new Error(`${cid} declares ${declaredSize} bytes but links to ${fileSize}`);
+  }
+  return { data, links, fileSize };
+}
@@ -0,0 +1,275 @@
+/**
+ * Database Module - Embedded SQLite database with versioned migrations
+ *
+ * The backend keeps its durable state (posts, and anything else that must
+ * survive a restart) in a single SQLite file. Schema changes are expressed
+ * as numbered migrations that run in order, each inside a transaction, and
+ * are recorded in the `schema_migrations` table so every migration is
+ * applied exactly once per database file.
+ *
+ * To change the schema, append a migration to MIGRATIONS - never edit one
+ * that has already shipped.
+ *
+ * Configuration (environment):
+ * - DATABASE_PATH: SQLite file (default: ./data/blockpost.db)
+ *
+ * @module database
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+/**
+ * A single schema migration
+ */
+export interface Migration {
+  version: number;          // Strictly increasing
+  name: string;             // Short description, stored for reference
+  up: string;               // SQL applied in a transaction
+}
+
+/**
+ * Ordered schema migrations
+ */
+export const MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    name: 'create_posts',
+    up: `
+      CREATE TABLE posts (
+        id                   TEXT PRIMARY KEY,
+        media_cid            TEXT NOT NULL,
+        media_gateway_url    TEXT NOT NULL,
+        metadata_cid         TEXT NOT NULL,
+        metadata_gateway_url TEXT NOT NULL,
+        wallet_address       TEXT NOT NULL,
+        caption              TEXT,
+        exact_hash           TEXT NOT NULL,
+        perceptual_hash      TEXT NOT NULL,
+        audio_hash           TEXT,
+        image_fingerprint    TEXT,
+        asset_type           TEXT NOT NULL,
+        mime_type            TEXT NOT NULL,
+        file_name            TEXT NOT NULL,
+        file_size            INTEGER NOT NULL,
+        status               TEXT NOT NULL CHECK (status IN ('ORIGINAL', 'REPOST_DETECTED')),
+        original_creator     TEXT,
+        match_type           TEXT,
+        confidence           REAL,
+        original_hash        TEXT,
+        matches              TEXT,
+        tx_hash              TEXT,
+        block_number         INTEGER,
+        contract_address     TEXT,
+        gas_used             TEXT,
+        timestamp            TEXT NOT NULL
+      );
+      CREATE UNIQUE INDEX posts_metadata_cid ON posts (metadata_cid);
+      CREATE INDEX posts_timestamp ON posts (timestamp);
+      CREATE INDEX posts_wallet_address ON posts (wallet_address);
+      CREATE INDEX posts_exact_hash ON posts (exact_hash);
+    `
+  },
+  {
+    version: 2,
+    name: 'create_chain_index',
+    up: `
+      CREATE TABLE chain_cursor (
+        id               INTEGER PRIMARY KEY CHECK (id = 1),
+        contract_address TEXT NOT NULL,
+        block_number     INTEGER NOT NULL
+      );
+      CREATE TABLE chain_blocks (
+        block_number INTEGER PRIMARY KEY,
+        block_hash   TEXT NOT NULL
+      );
+      CREATE TABLE chain_events (
+        block_number INTEGER NOT NULL,
+        log_index    INTEGER NOT NULL,
+        block_hash   TEXT NOT NULL,
+        tx_hash      TEXT NOT NULL,
+        event        TEXT NOT NULL,
+        video_hash   TEXT,
+        dispute_id   INTEGER,
+        args         TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+      );
+      CREATE INDEX chain_events_video_hash ON chain_events (video_hash);
+      CREATE INDEX chain_events_dispute_id ON chain_events (dispute_id);
+      CREATE TABLE chain_videos (
+        exact_hash        TEXT PRIMARY KEY,
+        creator           TEXT NOT NULL,
+        perceptual_hash   TEXT NOT NULL,
+        audio_fingerprint TEXT NOT NULL,
+        ipfs_hash         TEXT NOT NULL,
+        registered_at     INTEGER NOT NULL,
+        block_number      INTEGER NOT NULL,
+        tx_hash           TEXT NOT NULL,
+        is_disputed       INTEGER NOT NULL DEFAULT 0,
+        post_synced       INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX chain_videos_creator ON chain_videos (creator);
+      CREATE TABLE chain_disputes (
+        dispute_id     INTEGER PRIMARY KEY,
+        video_hash     TEXT NOT NULL,
+        accuser        TEXT NOT NULL,
+        reason         TEXT NOT NULL,
+        raised_block   INTEGER NOT NULL,
+        raised_tx      TEXT NOT NULL,
+        resolved       INTEGER NOT NULL DEFAULT 0,
+        upheld         INTEGER,
+        resolver       TEXT,
+        resolved_block INTEGER
+      );
+      CREATE INDEX chain_disputes_video_hash ON chain_disputes (video_hash);
+      ALTER TABLE posts ADD COLUMN disputed INTEGER NOT NULL DEFAULT 0;
+    `
+  },
+  {
+    version: 3,
+    name: 'index_posts_media_cid',
+    up: `
+      CREATE INDEX posts_media_cid ON posts (media_cid);
+    `
+  },
+  {
+    version: 4,
+    name: 'create_pin_observations',
+    up: `
+      CREATE TABLE pin_observations (
+        cid           TEXT PRIMARY KEY,
+        first_seen_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'create_transactions',
+    up: `
+      CREATE TABLE transactions (
+        id                       TEXT PRIMARY KEY,
+        reference                TEXT,
+        method                   TEXT NOT NULL,
+        from_address             TEXT NOT NULL,
+        nonce                    INTEGER NOT NULL,
+        to_address               TEXT NOT NULL,
+        data                     TEXT NOT NULL,
+        gas_limit                TEXT NOT NULL,
+        max_fee_per_gas          TEXT NOT NULL,
+        max_priority_fee_per_gas TEXT NOT NULL,
+        tx_hash                  TEXT NOT NULL,
+        hashes                   TEXT NOT NULL,
+        status                   TEXT NOT NULL CHECK (status IN ('pending', 'confirmed', 'replaced', 'failed')),
+        block_number             INTEGER,
+        gas_used                 TEXT,
+        error                    TEXT,
+        submitted_at             TEXT NOT NULL,
+        broadcast_at             TEXT NOT NULL,
+        updated_at               TEXT NOT NULL
+      );
+      CREATE INDEX transactions_status ON transactions (status, from_address);
+      CREATE INDEX transactions_reference ON transactions (reference);
+      ALTER TABLE posts ADD COLUMN tx_status TEXT CHECK (tx_status IN ('pending', 'confirmed', 'replaced', 'failed'));
+    `
+  },
+  {
+    version: 6,
+    name: 'add_licenses',
+    up: `
+      ALTER TABLE posts ADD COLUMN license_type TEXT;
+      ALTER TABLE posts ADD COLUMN license_terms_cid TEXT;
+      ALTER TABLE posts ADD COLUMN licensed_reuse INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE chain_videos ADD COLUMN license_type TEXT NOT NULL DEFAULT 'ALL_RIGHTS_RESERVED';
+      ALTER TABLE chain_videos ADD COLUMN license_terms_cid TEXT;
+    `
+  },
+  {
+    version: 7,
+    name: 'add_license_purchases',
+    up: `
+      ALTER TABLE posts ADD COLUMN license_purchased INTEGER NOT NULL DEFAULT 0;
+    `
+  },
+  {
+    version: 8,
+    name: 'add_derivatives',
+    up: `
+      ALTER TABLE posts ADD COLUMN parent_hash TEXT;
+      ALTER TABLE posts ADD COLUMN derivative_type TEXT;
+      CREATE INDEX posts_parent_hash ON posts (parent_hash);
+      ALTER TABLE chain_videos ADD COLUMN parent_hash TEXT;
+      ALTER TABLE chain_videos ADD COLUMN derivative_type TEXT;
+    `
+  },
+  {
+    version: 9,
+    name: 'add_dispute_lifecycle',
+    up: `
+      ALTER TABLE chain_disputes ADD COLUMN evidence_cid TEXT;
+      ALTER TABLE chain_disputes ADD COLUMN stake TEXT;
+      ALTER TABLE chain_disputes ADD COLUMN status TEXT NOT NULL DEFAULT 'OPEN';
+      ALTER TABLE chain_disputes ADD COLUMN ruling TEXT;
+      ALTER TABLE chain_disputes ADD COLUMN deadline INTEGER;
+      ALTER TABLE chain_disputes ADD COLUMN appellant TEXT;
+      ALTER TABLE chain_disputes ADD COLUMN finalized_block INTEGER;
+      ALTER TABLE chain_videos ADD COLUMN revoked INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE posts ADD COLUMN revoked INTEGER NOT NULL DEFAULT 0;
+    `
+  }
+];
+
+/**
+ * Open (creating if needed) the SQLite database and apply pending migrations
+ *
+ * @param filePath - Database file, or ":memory:"
+ * @returns Open database handle
+ *
+ * @example
+ * ```typescript
+ * const db = openDatabase(process.env.DATABASE_PATH || './data/blockpost.db');
+ * ```
+ */
+export function openDatabase(filePath: string): Database.Database {
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  migrate(db);
+  return db;
+}
+
+/**
+ * Apply migrations newer than the database's current schema version
+ *
+ * @param db - Open database handle
+ * @returns Number of migrations applied
+ */
+export function migrate(db: Database.Database): number {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const row = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get() as { version: number | null };
+  const current = row.version ?? 0;
+  const pending = MIGRATIONS.filter(migration => migration.version > current);
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  for (const migration of pending) {
+    db.transaction(() => {
+      db.exec(migration.up);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`[DB] ✓ Applied migration ${migration.version}: ${migration.name}`);
+  }
+
+  return pending.length;
+}
@@ -6,9 +6,11 @@
  * 
  * Detection Layers:
  * 1. Exact Hash (SHA-256) - 100% accuracy for byte-identical files
- * 2. Perceptual Hash (dHash) - 95% accuracy for re-encoded videos
+ * 2. Perceptual Hash (temporal dHash) - 95% accuracy for re-encoded/trimmed videos
  * 3. Audio Fingerprint (Chromaprint) - 92% accuracy for audio reuse
  * 
+ * Text posts and PDFs carry a SimHash text fingerprint in the perceptual slot.
+ * 
  * Performance Target: <8 seconds per video
  * 
  * @module hash-engine
@@ -17,11 +19,38 @@
 import crypto from 'crypto';
 import sharp from 'sharp';
 import ffmpeg from 'fluent-ffmpeg';
-import { promises as fs } from 'fs';
+import { promises as fs, createReadStream } from 'fs';
 import path from 'path';
 import os from 'os';
 import ffmpegPath from 'ffmpeg-static';
 import ffprobePath from 'ffprobe-static';
+import {
+  FINGERPRINT_SAMPLE_RATE,
+  computeFingerprint,
+  encodeFingerprint,
+  decodeFingerprint,
+  compareFingerprints
+} from './audio-fingerprint.js';
+import {
+  SubsequenceMatch,
+  buildTemporalSignature,
+  encodeTemporalSignature,
+  decodeTemporalSignature,
+  findMatchingSubsequence
+} from './video-fingerprint.js';
+import {
+  ImageComparison,
+  computeImageFingerprint,
+  encodeImageFingerprint,
+  decodeImageFingerprint,
+  compareImageFingerprints
+} from './image-fingerprint.js';
+import {
+  computeSimHash,
+  encodeTextFingerprint,
+  decodeTextFingerprint,
+  extractPdfText
+} from './text-fingerprint.js';
 
 // Configure fluent-ffmpeg to use static binaries
 if (ffmpegPath) {
@@ -31,6 +60,34 @@ if (ffprobePath && typeof ffprobePath === 'object' && 'path' in ffprobePath) {
   ffmpeg.setFfprobePath(ffprobePath.path);
 }
 
+/**
+ * Seconds of audio decoded for fingerprinting
+ * Keeps the fingerprint string bounded (~1.3KB for 30s); the contract only
+ * stores its digest (see chainFingerprint in the blockchain module)
+ */
+const AUDIO_FINGERPRINT_SECONDS = 30;
+
+/**
+ * Seconds between sampled video frames for the temporal signature
+ */
+const VIDEO_FRAME_INTERVAL_SECONDS = 2;
+
+/**
+ * Hard cap on frames decoded per video (40 minutes at the default interval)
+ */
+const MAX_SAMPLED_FRAMES = 1200;
+
+/**
+ * RMS level (16-bit PCM) below which a track is treated as silent
+ */
+const SILENCE_RMS_THRESHOLD = 30;
+
+/**
+ * Asset content: an in-memory buffer or the path of a file on disk
+ * (uploads are streamed to disk, so large videos are never buffered)
+ */
+export type AssetInput = Buffer | string;
+
 /**
  * Asset type classification based on MIME type
  */
@@ -41,8 +98,8 @@ export type AssetType = "video" | "image" | "audio" | "other";
  */
 export interface VideoHashes {
   exactHash: string;           // SHA-256 hex string (64 chars)
-  perceptualHash: string;       // dHash binary string (64 bits)
-  audioHash: string;            // Audio fingerprint (placeholder for now)
+  perceptualHash: string;       // Temporal dHash signature (video), 64-bit dHash (image) or text SimHash
+  audioHash: string;            // Audio fingerprint ("cp1:..." or "no_audio")
 }
 
 /**
@@ -53,6 +110,7 @@ export interface HashResult {
   exactHash: string;
   perceptualHash: string;
   audioHash: string;
+  imageFingerprint?: string;    // Robust "if1:..." fingerprint (images only)
 }
 
 /**
@@ -76,6 +134,16 @@ export function getAssetType(mimeType: string): AssetType {
   return 'other';
 }
 
+/**
+ * Whether an "other" asset carries text that can be fingerprinted
+ * 
+ * @param mimeType - The MIME type of the uploaded file
+ * @returns True for plain text, JSON and PDF documents
+ */
+export function isTextDocument(mimeType: string): boolean {
+  return mimeType.startsWith('text/') || mimeType === 'application/json' || mimeType === 'application/pdf';
+}
+
 /**
  * Hash Engine - Core detection logic for VideoGuard
  */
@@ -112,86 +180,144 @@ class HashEngine {
   }
 
   /**
-   * Generate perceptual hash (dHash) for visual similarity detection
+   * Generate SHA-256 hash of a file on disk without loading it into memory
    * 
-   * This detects re-encoded videos, resolution changes, and format conversions.
-   * Uses difference hashing (dHash) algorithm:
+   * @param filePath - Path of the file to hash
+   * @returns SHA-256 hash as hexadecimal string (64 characters)
+   */
+  static async generateExactHashFromFile(filePath: string): Promise<string> {
+    const startTime = Date.now();
+    const hasher = crypto.createHash('sha256');
+
+    for await (const chunk of createReadStream(filePath)) {
+      hasher.update(chunk);
+    }
+
+    const hash = hasher.digest('hex');
+    console.log(`[HASH ENGINE] SHA-256 (streamed) computed in ${Date.now() - startTime}ms`);
+    console.log(`[HASH ENGINE] Exact Hash: ${hash.substring(0, 16)}...`);
+
+    return hash;
+  }
+
+  /**
+   * Compute a 64-bit dHash for a single still image
    * 
    * Algorithm Steps:
-   * 1. Extract first frame from video using ffmpeg
-   * 2. Resize frame to 9x8 pixels (72 pixels total)
-   * 3. Convert to grayscale
-   * 4. Compare adjacent pixels horizontally
-   * 5. Generate 64-bit binary hash (8 rows × 8 comparisons)
+   * 1. Resize image to 9x8 pixels (72 pixels total)
+   * 2. Convert to grayscale
+   * 3. Compare adjacent pixels horizontally
+   * 4. Generate 64-bit binary hash (8 rows × 8 comparisons)
    * 
-   * Performance: ~2-3 seconds (frame extraction + processing)
+   * @param image - Encoded image (PNG, JPEG, ...) as buffer or file path
+   * @returns 64-bit binary string
+   */
+  static async computeDHash(image: AssetInput): Promise<string> {
+    // Step 1: Resize to 9x8 (need 9 columns for 8 comparisons)
+    const resized = await sharp(image)
+      .resize(9, 8, { fit: 'fill' })
+      .grayscale()
+      .raw()
+      .toBuffer();
+
+    // Step 2: Generate dHash by comparing adjacent pixels
+    let hash = '';
+
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const leftPixel = resized[row * 9 + col];
+        const rightPixel = resized[row * 9 + col + 1];
+
+        // If left pixel is brighter than right, append '1', else '0'
+        hash += leftPixel > rightPixel ? '1' : '0';
+      }
+    }
+
+    return hash;
+  }
+
+  /**
+   * Generate temporal perceptual signature for visual similarity detection
+   * 
+   * This detects re-encoded videos, resolution changes and format conversions,
+   * and - unlike a single first-frame hash - survives trimmed intros, black
+   * lead-ins, title cards and clipped or spliced reposts.
+   * 
+   * Algorithm Steps:
+   * 1. Sample one frame every VIDEO_FRAME_INTERVAL_SECONDS across the whole video
+   * 2. dHash each frame (see computeDHash)
+   * 3. Drop low-detail frames and collapse repeated shots (see video-fingerprint module)
+   * 4. Encode the ordered frame hashes as "tv1:<16 hex chars per frame>"
+   * 
+   * The signature spans the whole video (up to MAX_SAMPLED_FRAMES samples),
+   * so it is kept off-chain; the contract stores its digest (see
+   * chainFingerprint in the blockchain module).
+   * 
+   * Performance: ~2-5 seconds depending on video length
    * Accuracy: 95% for re-encoded videos (720p vs 1080p, H264 vs H265)
    * 
-   * @param buffer - The video file buffer
-   * @returns 64-bit binary string (e.g., "1011010010110100...")
+   * @param input - The video file buffer, or its path on disk (used in place)
+   * @returns Encoded temporal signature (e.g., "tv1:a3f0c1...")
    * 
    * @example
    * ```typescript
    * const perceptualHash = await HashEngine.generatePerceptualHash(buffer);
-   * // Result: "1010110011001010110010101100101011001010110010101100101011001010"
+   * // Result: "tv1:ad9ca5c9ad9ca5c9e1f0b2a39d8c7b6a..."
    * 
-   * // Compare two videos
-   * const similarity = HashEngine.comparePerceptualHashes(hash1, hash2);
-   * // If similarity > 90%, likely re-encoded version
+   * // Compare two videos (finds the best matching stretch)
+   * const match = HashEngine.compareVideoSignatures(clipHash, originalHash);
+   * // If match.similarity > 80%, the clip is taken from the original
    * ```
    */
-  static async generatePerceptualHash(buffer: Buffer): Promise<string> {
+  static async generatePerceptualHash(input: AssetInput): Promise<string> {
     const startTime = Date.now();
-    let tempVideoPath: string | null = null;
-    let tempFramePath: string | null = null;
+    let tempDir: string | null = null;
 
     try {
-      // Create temporary file for video (ffmpeg needs file path)
-      tempVideoPath = path.join(os.tmpdir(), `video_${Date.now()}.mp4`);
-      await fs.writeFile(tempVideoPath, buffer);
+      // Create temporary directory for frames (and the video, if given as a buffer)
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'video_'));
+      let tempVideoPath: string;
+      if (typeof input === 'string') {
+        tempVideoPath = input;
+      } else {
+        tempVideoPath = path.join(tempDir, 'input');
+        await fs.writeFile(tempVideoPath, input);
+      }
 
-      // Extract first frame using ffmpeg
-      tempFramePath = path.join(os.tmpdir(), `frame_${Date.now()}.png`);
-      
+      // Sample frames at a fixed interval across the whole video
       await new Promise<void>((resolve, reject) => {
-        ffmpeg(tempVideoPath!)
-          .screenshots({
-            count: 1,
-            filename: path.basename(tempFramePath!),
-            folder: path.dirname(tempFramePath!),
-            size: '320x240'  // Extract at reasonable size
-          })
+        ffmpeg(tempVideoPath)
+          .outputOptions([
+            '-vf', `fps=1/${VIDEO_FRAME_INTERVAL_SECONDS},scale=320:240`,
+            '-frames:v', String(MAX_SAMPLED_FRAMES)
+          ])
+          .output(path.join(tempDir!, 'frame_%04d.png'))
           .on('end', () => resolve())
-          .on('error', (err) => reject(err));
+          .on('error', (err) => reject(err))
+          .run();
       });
 
-      console.log(`[HASH ENGINE] Frame extracted in ${Date.now() - startTime}ms`);
+      const frameFiles = (await fs.readdir(tempDir))
+        .filter(name => name.startsWith('frame_'))
+        .sort();
 
-      // Process frame with dHash algorithm using sharp
-      const frameBuffer = await fs.readFile(tempFramePath);
-      
-      // Step 1: Resize to 9x8 (need 9 columns for 8 comparisons)
-      const resized = await sharp(frameBuffer)
-        .resize(9, 8, { fit: 'fill' })
-        .grayscale()
-        .raw()
-        .toBuffer();
-
-      // Step 2: Generate dHash by comparing adjacent pixels
-      let hash = '';
-      
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const leftPixel = resized[row * 9 + col];
-          const rightPixel = resized[row * 9 + col + 1];
-          
-          // If left pixel is brighter than right, append '1', else '0'
-          hash += leftPixel > rightPixel ? '1' : '0';
-        }
+      if (frameFiles.length === 0) {
+        throw new Error('No frames could be extracted from video');
       }
 
+      console.log(`[HASH ENGINE] ${frameFiles.length} frames extracted in ${Date.now() - startTime}ms`);
+
+      const frameHashes: string[] = [];
+      for (const frameFile of frameFiles) {
+        const frameBuffer = await fs.readFile(path.join(tempDir, frameFile));
+        frameHashes.push(await this.computeDHash(frameBuffer));
+      }
+
+      const signature = buildTemporalSignature(frameHashes);
+      const hash = encodeTemporalSignature(signature);
+
       const duration = Date.now() - startTime;
-      console.log(`[HASH ENGINE] dHash computed in ${duration}ms`);
+      console.log(`[HASH ENGINE] Temporal dHash computed in ${duration}ms (${signature.length} signature frames)`);
       console.log(`[HASH ENGINE] Perceptual Hash: ${hash.substring(0, 16)}...`);
 
       return hash;
@@ -203,34 +329,184 @@ class HashEngine {
     } finally {
       // Cleanup temporary files
       try {
-        if (tempVideoPath) await fs.unlink(tempVideoPath);
-        if (tempFramePath) await fs.unlink(tempFramePath);
+        if (tempDir) await fs.rm(tempDir, { recursive: true, force: true });
       } catch (cleanupError) {
         console.warn('[HASH ENGINE] Cleanup warning:', cleanupError);
       }
     }
   }
 
+  /**
+   * Compare two temporal video signatures
+   * 
+   * Aligns the signatures frame-by-frame and returns the best matching
+   * stretch, so a clip taken from the middle of a registered video, or an
+   * upload with a new intro, still links back to the original.
+   * 
+   * @param querySignature - Signature of the uploaded video ("tv1:...")
+   * @param referenceSignature - Signature of a registered video ("tv1:...")
+   * @returns Best matching subsequence (similarity 0 if either is not a signature)
+   * 
+   * @example
+   * ```typescript
+   * const match = HashEngine.compareVideoSignatures(uploaded, registered);
+   * console.log(`${match.similarity}% of the clip matches frames ${match.referenceStart}-${match.referenceEnd}`);
+   * ```
+   */
+  static compareVideoSignatures(querySignature: string, referenceSignature: string): SubsequenceMatch {
+    const query = decodeTemporalSignature(querySignature) || [];
+    const reference = decodeTemporalSignature(referenceSignature) || [];
+    return findMatchingSubsequence(query, reference);
+  }
+
   /**
    * Generate audio fingerprint for detecting audio reuse
    * 
-   * This will detect when the same audio is used in different videos
+   * This detects when the same audio is used in different videos
    * (e.g., same music track, voice-over, or soundtrack).
    * 
+   * Algorithm Steps:
+   * 1. Probe the file and skip assets without an audio stream
+   * 2. Decode the first AUDIO_FINGERPRINT_SECONDS to mono 16-bit PCM @ 11025 Hz
+   * 3. Compute Chromaprint-style chroma sub-fingerprints (see audio-fingerprint module)
+   * 4. Encode as "cp1:<base64url>" for metadata and the similarity index
+   * 
+   * Silent tracks and clips too short to fingerprint return "no_audio",
+   * so they never match each other on the audio layer.
+   * 
+   * A re-encode yields a fingerprint a few bits away from the original, not
+   * the same string: compare fingerprints with compareAudioFingerprints (as
+   * the similarity index does). The contract stores a digest of the string,
+   * so an on-chain AUDIO_MATCH only fires for identical fingerprints.
+   * 
    * Implementation: Chromaprint algorithm (used by AcoustID)
-   * Performance: ~5-8 seconds
+   * Performance: ~1-2 seconds
    * Accuracy: 92% for audio similarity
    * 
-   * Status: PLACEHOLDER - Will be implemented in next phase
+   * @param input - The video or audio file buffer, or its path on disk (used in place)
+   * @returns Encoded audio fingerprint, or "no_audio"
+   * 
+   * @example
+   * ```typescript
+   * const fp1 = await HashEngine.generateAudioFingerprint(song128kbps);
+   * const fp2 = await HashEngine.generateAudioFingerprint(song320kbps);
+   * HashEngine.compareAudioFingerprints(fp1, fp2);
+   * // Output: 97.8 (same recording)
+   * ```
+   */
+  static async generateAudioFingerprint(input: AssetInput): Promise<string> {
+    const startTime = Date.now();
+    let tempMediaPath: string | null = null;
+
+    try {
+      // ffmpeg needs a seekable input for mp4/mov: buffers go to a temporary file
+      let mediaPath: string;
+      if (typeof input === 'string') {
+        mediaPath = input;
+      } else {
+        tempMediaPath = path.join(os.tmpdir(), `audio_${crypto.randomUUID()}`);
+        await fs.writeFile(tempMediaPath, input);
+        mediaPath = tempMediaPath;
+      }
+
+      const hasAudio = await new Promise<boolean>((resolve, reject) => {
+        ffmpeg.ffprobe(mediaPath, (err, data) => {
+          if (err) return reject(err);
+          resolve(data.streams.some(stream => stream.codec_type === 'audio'));
+        });
+      });
+
+      if (!hasAudio) {
+        console.log('[HASH ENGINE] No audio stream found, audio hash: no_audio');
+        return 'no_audio';
+      }
+
+      // Decode to raw mono PCM
+      const pcm = await new Promise<Buffer>((resolve, reject) => {
+        const chunks: Buffer[] = [];
+        const output = ffmpeg(mediaPath)
+          .noVideo()
+          .duration(AUDIO_FINGERPRINT_SECONDS)
+          .audioChannels(1)
+          .audioFrequency(FINGERPRINT_SAMPLE_RATE)
+          .audioCodec('pcm_s16le')
+          .format('s16le')
+          .on('error', (err) => reject(err))
+          .pipe();
+
+        output.on('data', (chunk: Buffer) => chunks.push(chunk));
+        output.on('end', () => resolve(Buffer.concat(chunks)));
+        output.on('error', (err: Error) => reject(err));
+      });
+
+      console.log(`[HASH ENGINE] Audio decoded in ${Date.now() - startTime}ms`);
+
+      const samples = new Int16Array(pcm.length >> 1);
+      let energy = 0;
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcm.readInt16LE(i * 2);
+        energy += samples[i] * samples[i];
+      }
+
+      const rms = samples.length > 0 ? Math.sqrt(energy / samples.length) : 0;
+      if (rms < SILENCE_RMS_THRESHOLD) {
+        console.log('[HASH ENGINE] Audio track is silent, audio hash: no_audio');
+        return 'no_audio';
+      }
+
+      const fingerprint = computeFingerprint(samples);
+      if (fingerprint.length === 0) {
+        console.log('[HASH ENGINE] Audio too short to fingerprint, audio hash: no_audio');
+        return 'no_audio';
+      }
+
+      const audioHash = encodeFingerprint(fingerprint);
+
+      const duration = Date.now() - startTime;
+      console.log(`[HASH ENGINE] Audio fingerprint computed in ${duration}ms (${fingerprint.length} sub-fingerprints)`);
+      console.log(`[HASH ENGINE] Audio Hash: ${audioHash.substring(0, 16)}...`);
+
+      return audioHash;
+
+    } catch (error) {
+      console.error('[HASH ENGINE ERROR] Audio fingerprint failed:', error);
+      throw new Error(`Audio fingerprint generation failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+
+    } finally {
+      // Cleanup temporary file
+      try {
+        if (tempMediaPath) await fs.unlink(tempMediaPath);
+      } catch (cleanupError) {
+        console.warn('[HASH ENGINE] Cleanup warning:', cleanupError);
+      }
+    }
+  }
+
+  /**
+   * Compare two audio fingerprints for similarity
+   * 
+   * Decodes both fingerprints and returns the similarity at the best time
+   * alignment (100% minus bit error rate). Sentinel values such as
+   * "no_audio" never match anything.
    * 
-   * @param buffer - The video file buffer
-   * @returns Audio fingerprint string
+   * Similarity Interpretation:
+   * - 90-100%: Same recording (different bitrate, codec or container)
+   * - 75-89%: Same recording with heavy processing
+   * - ~50%: Unrelated audio
+   * 
+   * @param hash1 - First encoded audio fingerprint
+   * @param hash2 - Second encoded audio fingerprint
+   * @returns Similarity percentage (0-100)
    */
-  static async generateAudioFingerprint(_buffer: Buffer): Promise<string> {
-    // TODO: Implement Chromaprint audio fingerprinting
-    // For now, return a placeholder to maintain API consistency
-    console.log('[HASH ENGINE] Audio fingerprint generation - placeholder');
-    return 'audio_fingerprint_placeholder_' + Date.now();
+  static compareAudioFingerprints(hash1: string, hash2: string): number {
+    const fp1 = decodeFingerprint(hash1);
+    const fp2 = decodeFingerprint(hash2);
+
+    if (!fp1 || !fp2) {
+      return 0;
+    }
+
+    return compareFingerprints(fp1, fp2);
   }
 
   /**
@@ -245,8 +521,8 @@ class HashEngine {
    * 
    * Total Time: <8 seconds target
    * - Exact hash: ~0.5s
-   * - Perceptual hash: ~2-3s
-   * - Audio hash: ~5-8s (when implemented)
+   * - Perceptual hash: ~2-5s
+   * - Audio hash: ~1-2s
    * 
    * @param buffer - The video file buffer from multer
    * @returns Object containing all three hashes
@@ -257,8 +533,8 @@ class HashEngine {
    * console.log(hashes);
    * // {
    * //   exactHash: "a1b2c3d4e5f6...",
-   * //   perceptualHash: "10110100101101...",
-   * //   audioHash: "placeholder..."
+   * //   perceptualHash: "tv1:ad9ca5c9...",
+   * //   audioHash: "cp1:n2xKq0B8..."
    * // }
    * ```
    */
@@ -270,10 +546,10 @@ class HashEngine {
       // Layer 1: Exact Hash (SHA-256) - Fast synchronous operation
       const exactHash = this.generateExactHash(buffer);
 
-      // Layer 2: Perceptual Hash (dHash) - Video frame analysis
+      // Layer 2: Perceptual Hash (temporal dHash) - Video frame analysis
       const perceptualHash = await this.generatePerceptualHash(buffer);
 
-      // Layer 3: Audio Fingerprint - Placeholder for now
+      // Layer 3: Audio Fingerprint (Chromaprint-style)
       const audioHash = await this.generateAudioFingerprint(buffer);
 
       const totalDuration = Date.now() - overallStart;
@@ -304,6 +580,8 @@ class HashEngine {
    * - 85-94%: Possibly similar content
    * - <85%: Different videos
    * 
+   * For temporal video signatures ("tv1:..."), use compareVideoSignatures.
+   * 
    * @param hash1 - First perceptual hash (64-bit binary string)
    * @param hash2 - Second perceptual hash (64-bit binary string)
    * @returns Similarity percentage (0-100)
@@ -376,31 +654,15 @@ class HashEngine {
    * Performance: ~0.5-1 second
    * Accuracy: 95% for similar images (crops, filters, resizes)
    * 
-   * @param buffer - The image file buffer
+   * @param input - The image file buffer or path
    * @returns 64-bit binary string (dHash)
    */
-  static async generateImagePerceptualHash(buffer: Buffer): Promise<string> {
+  static async generateImagePerceptualHash(input: AssetInput): Promise<string> {
     const startTime = Date.now();
 
     try {
       // Process image directly with dHash algorithm
-      const resized = await sharp(buffer)
-        .resize(9, 8, { fit: 'fill' })
-        .grayscale()
-        .raw()
-        .toBuffer();
-
-      // Generate dHash by comparing adjacent pixels
-      let hash = '';
-      
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const leftPixel = resized[row * 9 + col];
-          const rightPixel = resized[row * 9 + col + 1];
-          
-          hash += leftPixel > rightPixel ? '1' : '0';
-        }
-      }
+      const hash = await this.computeDHash(input);
 
       const duration = Date.now() - startTime;
       console.log(`[HASH ENGINE] Image dHash computed in ${duration}ms`);
@@ -413,6 +675,121 @@ class HashEngine {
       throw new Error(`Image perceptual hash generation failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
   }
+
+  /**
+   * Generate the crop-, flip- and watermark-robust image fingerprint
+   * 
+   * Computed alongside the legacy dHash: DCT pHashes of the full frame,
+   * center crops and top/bottom bands (plus their mirrored versions) and a
+   * 4x4 grid of block pHashes.
+   * 
+   * Performance: ~0.1-0.3 seconds
+   * 
+   * @param input - The image file buffer or path
+   * @returns Encoded fingerprint ("if1:...")
+   */
+  static async generateImageFingerprint(input: AssetInput): Promise<string> {
+    const startTime = Date.now();
+
+    try {
+      const fingerprint = encodeImageFingerprint(await computeImageFingerprint(input));
+
+      const duration = Date.now() - startTime;
+      console.log(`[HASH ENGINE] Image fingerprint computed in ${duration}ms`);
+      console.log(`[HASH ENGINE] Image Fingerprint: ${fingerprint.substring(0, 20)}...`);
+
+      return fingerprint;
+
+    } catch (error) {
+      console.error('[HASH ENGINE ERROR] Image fingerprint failed:', error);
+      throw new Error(`Image fingerprint generation failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Compare two robust image fingerprints over their best-matching region
+   * 
+   * Similarity Interpretation:
+   * - 90-100%: Same image (possibly mirrored, cropped or watermarked)
+   * - 80-89%: Likely the same image with heavier edits
+   * - <75%: Different images
+   * 
+   * @param fingerprint1 - Encoded fingerprint of the upload
+   * @param fingerprint2 - Encoded fingerprint of a registered image
+   * @returns Best region comparison (similarity 0 if either is not "if1:")
+   */
+  static compareImageFingerprints(fingerprint1: string, fingerprint2: string): ImageComparison {
+    const fp1 = decodeImageFingerprint(fingerprint1);
+    const fp2 = decodeImageFingerprint(fingerprint2);
+
+    if (!fp1 || !fp2) {
+      return { similarity: 0, region: 'full', mirrored: false };
+    }
+
+    return compareImageFingerprints(fp1, fp2);
+  }
+
+  /**
+   * Generate a near-duplicate fingerprint for text posts and documents
+   * 
+   * Text is decoded as UTF-8; PDFs go through a best-effort content-stream
+   * text extraction first. The normalized words are shingled and reduced to
+   * a 64-bit SimHash.
+   * 
+   * Performance: ~10-50ms for typical posts, <1s for large documents
+   * 
+   * @param input - The text or PDF file buffer or path
+   * @param mimeType - The MIME type of the uploaded file
+   * @returns Encoded fingerprint ("ts1:..."), or "no_video" if no text was found
+   */
+  static async generateTextFingerprint(input: AssetInput, mimeType: string): Promise<string> {
+    const startTime = Date.now();
+
+    try {
+      const buffer = typeof input === 'string' ? await fs.readFile(input) : input;
+      const text = mimeType === 'application/pdf' ? extractPdfText(buffer) : buffer.toString('utf8');
+      const simHash = computeSimHash(text);
+
+      if (!simHash) {
+        console.log('[HASH ENGINE] No extractable text, returning no_video');
+        return 'no_video';
+      }
+
+      const fingerprint = encodeTextFingerprint(simHash);
+      const duration = Date.now() - startTime;
+      console.log(`[HASH ENGINE] Text fingerprint computed in ${duration}ms (${text.length} chars)`);
+      console.log(`[HASH ENGINE] Text Fingerprint: ${fingerprint}`);
+
+      return fingerprint;
+
+    } catch (error) {
+      console.error('[HASH ENGINE ERROR] Text fingerprint failed:', error);
+      throw new Error(`Text fingerprint generation failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Compare two text fingerprints for similarity
+   * 
+   * Similarity Interpretation:
+   * - 90-100%: Same text with small edits (typos, a changed word, reformatting)
+   * - 80-89%: Lightly rewritten text
+   * - ~50%: Unrelated text
+   * 
+   * @param hash1 - First encoded text fingerprint
+   * @param hash2 - Second encoded text fingerprint
+   * @returns Similarity percentage (0-100), 0 if either is not "ts1:"
+   */
+  static compareTextFingerprints(hash1: string, hash2: string): number {
+    const simHash1 = decodeTextFingerprint(hash1);
+    const simHash2 = decodeTextFingerprint(hash2);
+
+    if (!simHash1 || !simHash2) {
+      return 0;
+    }
+
+    return this.comparePerceptualHashes(simHash1, simHash2);
+  }
 }
 
 /**
@@ -422,41 +799,50 @@ class HashEngine {
  * It automatically detects the asset type and applies appropriate hash strategies.
  * 
  * Asset Type Strategies:
- * - video: SHA-256 + frame dHash + audio placeholder
- * - image: SHA-256 + direct dHash + no audio
- * - audio: SHA-256 + no video + audio placeholder
- * - other: SHA-256 + no video + no audio
+ * - video: SHA-256 + temporal frame dHash signature + audio fingerprint
+ * - image: SHA-256 + direct dHash + robust region/block fingerprint + no audio
+ * - audio: SHA-256 + no video + audio fingerprint
+ * - other: SHA-256 + text SimHash (text/PDF) or no video + no audio
  * 
  * Performance:
  * - video: ~3-4 seconds
  * - image: ~0.5-1 second
- * - audio: ~0.5 seconds
+ * - audio: ~1-2 seconds
  * - other: ~0.5 seconds
  * 
- * @param buffer - The asset file buffer from multer
+ * @param input - The asset file buffer, or the path of the file on disk
  * @param mimeType - The MIME type of the uploaded file
+ * @param knownExactHash - SHA-256 already computed while streaming the upload (skips re-reading the file)
  * @returns HashResult with assetType and all applicable hashes
  * 
  * @example
  * ```typescript
+ * // Streamed upload on disk (SHA-256 computed by the storage engine)
+ * const result = await computeHashes(req.file.path, req.file.mimetype, req.file.sha256);
+ * 
  * // Video file
  * const result = await computeHashes(videoBuffer, "video/mp4");
- * // { assetType: "video", exactHash: "...", perceptualHash: "101...", audioHash: "placeholder..." }
+ * // { assetType: "video", exactHash: "...", perceptualHash: "tv1:...", audioHash: "cp1:..." }
  * 
  * // Image file
  * const result = await computeHashes(imageBuffer, "image/jpeg");
- * // { assetType: "image", exactHash: "...", perceptualHash: "110...", audioHash: "no_audio" }
+ * // { assetType: "image", exactHash: "...", perceptualHash: "110...", audioHash: "no_audio",
+ * //   imageFingerprint: "if1:..." }
  * 
  * // Audio file
  * const result = await computeHashes(audioBuffer, "audio/mpeg");
- * // { assetType: "audio", exactHash: "...", perceptualHash: "no_video", audioHash: "placeholder..." }
+ * // { assetType: "audio", exactHash: "...", perceptualHash: "no_video", audioHash: "cp1:..." }
  * 
- * // Other file (text, pdf, etc.)
+ * // Text post or PDF
  * const result = await computeHashes(textBuffer, "text/plain");
+ * // { assetType: "other", exactHash: "...", perceptualHash: "ts1:9f3a...", audioHash: "no_audio" }
+ * 
+ * // Other binary file (zip, etc.)
+ * const result = await computeHashes(zipBuffer, "application/zip");
  * // { assetType: "other", exactHash: "...", perceptualHash: "no_video", audioHash: "no_audio" }
  * ```
  */
-export async function computeHashes(buffer: Buffer, mimeType: string): Promise<HashResult> {
+export async function computeHashes(input: AssetInput, mimeType: string, knownExactHash?: string): Promise<HashResult> {
   console.log('\n[HASH ENGINE] Starting multi-asset hash computation...');
   console.log(`[HASH ENGINE] Asset type: ${mimeType}`);
   const overallStart = Date.now();
@@ -465,43 +851,57 @@ export async function computeHashes(buffer: Buffer, mimeType: string): Promise<H
     const assetType = getAssetType(mimeType);
     
     // Layer 1: Exact Hash (SHA-256) - Always computed for all asset types
-    const exactHash = HashEngine.generateExactHash(buffer);
+    let exactHash: string;
+    if (knownExactHash) {
+      exactHash = knownExactHash;
+      console.log(`[HASH ENGINE] Exact Hash (computed during upload): ${exactHash.substring(0, 16)}...`);
+    } else if (typeof input === 'string') {
+      exactHash = await HashEngine.generateExactHashFromFile(input);
+    } else {
+      exactHash = HashEngine.generateExactHash(input);
+    }
 
     let perceptualHash: string;
     let audioHash: string;
+    let imageFingerprint: string | undefined;
 
     // Layer 2 & 3: Asset-specific hashing strategies
     switch (assetType) {
       case 'video':
-        // Video: Extract frame + dHash, audio placeholder
+        // Video: Sampled frames -> temporal dHash signature, audio fingerprint of the soundtrack
         console.log('[HASH ENGINE] Processing VIDEO asset...');
-        perceptualHash = await HashEngine.generatePerceptualHash(buffer);
-        audioHash = await HashEngine.generateAudioFingerprint(buffer);
+        perceptualHash = await HashEngine.generatePerceptualHash(input);
+        audioHash = await HashEngine.generateAudioFingerprint(input);
         break;
 
       case 'image':
-        // Image: Direct dHash on image, no audio
+        // Image: Direct dHash on image (legacy, on-chain) + robust fingerprint, no audio
         console.log('[HASH ENGINE] Processing IMAGE asset...');
-        perceptualHash = await HashEngine.generateImagePerceptualHash(buffer);
+        perceptualHash = await HashEngine.generateImagePerceptualHash(input);
+        imageFingerprint = await HashEngine.generateImageFingerprint(input);
         audioHash = 'no_audio';
         console.log('[HASH ENGINE] Audio hash: no_audio (image has no audio)');
         break;
 
       case 'audio':
-        // Audio: No visual hash, audio placeholder
+        // Audio: No visual hash, audio fingerprint
         console.log('[HASH ENGINE] Processing AUDIO asset...');
         perceptualHash = 'no_video';
-        audioHash = await HashEngine.generateAudioFingerprint(buffer);
+        audioHash = await HashEngine.generateAudioFingerprint(input);
         console.log('[HASH ENGINE] Perceptual hash: no_video (audio has no visuals)');
         break;
 
       case 'other':
       default:
-        // Other (text, pdf, etc.): Only exact hash
+        // Other: text/PDF get a SimHash text fingerprint, binaries only the exact hash
         console.log('[HASH ENGINE] Processing OTHER asset (text/binary)...');
-        perceptualHash = 'no_video';
+        if (isTextDocument(mimeType)) {
+          perceptualHash = await HashEngine.generateTextFingerprint(input, mimeType);
+        } else {
+          perceptualHash = 'no_video';
+          console.log('[HASH ENGINE] Perceptual hash: no_video (not visual content)');
+        }
         audioHash = 'no_audio';
-        console.log('[HASH ENGINE] Perceptual hash: no_video (not visual content)');
         console.log('[HASH ENGINE] Audio hash: no_audio (not audio content)');
         break;
     }
@@ -514,7 +914,8 @@ export async function computeHashes(buffer: Buffer, mimeType: string): Promise<H
       assetType,
       exactHash,
       perceptualHash,
-      audioHash
+      audioHash,
+      imageFingerprint
     };
 
   } catch (error) {
@@ -0,0 +1,282 @@
+/**
+ * Image Fingerprint Module - Crop-, flip- and watermark-robust image hashing
+ *
+ * The legacy image dHash resizes the whole picture to 9x8, so mirroring the
+ * image, cropping 10% off an edge or adding a platform watermark bar moves
+ * it far away from the original. This module builds a richer fingerprint:
+ *
+ * - Region pHashes (DCT): full frame, 90%/80% center crops and top/bottom
+ *   85% bands, each also computed on the horizontally mirrored image
+ * - Block pHashes over a 4x4 grid of the full frame
+ *
+ * Two fingerprints are compared over the best-matching region: every region
+ * of one image is tried against every (mirrored or not) region of the
+ * other, and the block grid is scored while ignoring the worst quarter of
+ * blocks (where a watermark or overlay usually sits).
+ *
+ * Encoded as "if1:" followed by 16 hex chars per 64-bit hash.
+ *
+ * @module image-fingerprint
+ */
+
+import sharp from 'sharp';
+
+/**
+ * Prefix identifying the image fingerprint encoding version
+ */
+export const IMAGE_FINGERPRINT_PREFIX = 'if1:';
+
+/**
+ * Regions hashed for every image, as fractions of width/height
+ */
+export const IMAGE_REGIONS = [
+  { name: 'full', left: 0, top: 0, width: 1, height: 1 },
+  { name: 'center90', left: 0.05, top: 0.05, width: 0.9, height: 0.9 },
+  { name: 'center80', left: 0.1, top: 0.1, width: 0.8, height: 0.8 },
+  { name: 'top85', left: 0, top: 0, width: 1, height: 0.85 },
+  { name: 'bottom85', left: 0, top: 0.15, width: 1, height: 0.85 }
+] as const;
+
+const GRID_SIZE = 4;
+const PHASH_SAMPLE = 32;
+const PHASH_BITS = 8;
+const WORKING_SIZE = 512;
+
+/**
+ * Decoded robust image fingerprint (all hashes are 64-bit binary strings)
+ */
+export interface ImageFingerprint {
+  regions: string[];        // pHash per IMAGE_REGIONS entry
+  mirrored: string[];       // pHash per IMAGE_REGIONS entry of the mirrored image
+  blocks: string[];         // pHash per grid block, row-major
+}
+
+/**
+ * Result of comparing two image fingerprints
+ */
+export interface ImageComparison {
+  similarity: number;       // Percentage (0-100), 2 decimal places
+  region: string;           // Best matching region name, or "blocks"
+  mirrored: boolean;        // True if the best match was against the mirrored image
+}
+
+/**
+ * Precomputed DCT-II basis: cos((2x + 1) * u * PI / 2N)
+ */
+const DCT_BASIS: Float64Array[] = Array.from({ length: PHASH_BITS }, (_, u) => {
+  const row = new Float64Array(PHASH_SAMPLE);
+  for (let x = 0; x < PHASH_SAMPLE; x++) {
+    row[x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SAMPLE));
+  }
+  return row;
+});
+
+/**
+ * Compute a 64-bit DCT perceptual hash from 32x32 grayscale pixels
+ *
+ * Takes the 8x8 lowest-frequency DCT coefficients and sets a bit for every
+ * coefficient above their median (the DC term is excluded from the median).
+ */
+function pHashFromPixels(pixels: Buffer): string {
+  // Separable 2D DCT: rows first, then columns, low frequencies only
+  const rowPass: Float64Array[] = [];
+  for (let y = 0; y < PHASH_SAMPLE; y++) {
+    const out = new Float64Array(PHASH_BITS);
+    for (let u = 0; u < PHASH_BITS; u++) {
+      let sum = 0;
+      for (let x = 0; x < PHASH_SAMPLE; x++) {
+        sum += pixels[y * PHASH_SAMPLE + x] * DCT_BASIS[u][x];
+      }
+      out[u] = sum;
+    }
+    rowPass.push(out);
+  }
+
+  const coefficients: number[] = [];
+  for (let v = 0; v < PHASH_BITS; v++) {
+    for (let u = 0; u < PHASH_BITS; u++) {
+      let sum = 0;
+      for (let y = 0; y < PHASH_SAMPLE; y++) {
+        sum += rowPass[y][u] * DCT_BASIS[v][y];
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[(sorted.length - 1) >> 1] + sorted[sorted.length >> 1]) / 2;
+
+  return coefficients.map(c => (c > median ? '1' : '0')).join('');
+}
+
+/**
+ * pHash a pixel rectangle of a decoded grayscale image
+ */
+async function pHashRegion(
+  raw: Buffer,
+  width: number,
+  height: number,
+  area: { left: number; top: number; width: number; height: number },
+  mirror: boolean
+): Promise<string> {
+  let pipeline = sharp(raw, { raw: { width, height, channels: 1 } }).extract(area);
+  if (mirror) {
+    pipeline = pipeline.flop();
+  }
+  const pixels = await pipeline
+    .resize(PHASH_SAMPLE, PHASH_SAMPLE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  return pHashFromPixels(pixels);
+}
+
+/**
+ * Compute the robust fingerprint of an encoded image
+ *
+ * @param image - Encoded image (JPEG, PNG, WebP, ...) as buffer or file path
+ * @returns Region, mirrored-region and block pHashes
+ */
+export async function computeImageFingerprint(image: Buffer | string): Promise<ImageFingerprint> {
+  // Decode once to a bounded grayscale working copy
+  const { data: raw, info } = await sharp(image)
+    .rotate()
+    .resize(WORKING_SIZE, WORKING_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const gray = info.channels === 1 ? raw : extractFirstChannel(raw, info.channels);
+
+  const toArea = (r: { left: number; top: number; width: number; height: number }) => ({
+    left: Math.floor(r.left * width),
+    top: Math.floor(r.top * height),
+    width: Math.max(1, Math.floor(r.width * width)),
+    height: Math.max(1, Math.floor(r.height * height))
+  });
+
+  const regions: string[] = [];
+  const mirrored: string[] = [];
+  for (const region of IMAGE_REGIONS) {
+    regions.push(await pHashRegion(gray, width, height, toArea(region), false));
+    mirrored.push(await pHashRegion(gray, width, height, toArea(region), true));
+  }
+
+  const blocks: string[] = [];
+  for (let row = 0; row < GRID_SIZE; row++) {
+    for (let col = 0; col < GRID_SIZE; col++) {
+      blocks.push(await pHashRegion(gray, width, height, toArea({
+        left: col / GRID_SIZE,
+        top: row / GRID_SIZE,
+        width: 1 / GRID_SIZE,
+        height: 1 / GRID_SIZE
+      }), false));
+    }
+  }
+
+  return { regions, mirrored, blocks };
+}
+
+/**
+ * Keep only the first channel of interleaved pixel data
+ */
+function extractFirstChannel(raw: Buffer, channels: number): Buffer {
+  const out = Buffer.alloc(raw.length / channels);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = raw[i * channels];
+  }
+  return out;
+}
+
+/**
+ * Encode a fingerprint as "if1:<hex>"
+ *
+ * @param fingerprint - Fingerprint from computeImageFingerprint
+ * @returns Encoded fingerprint string
+ */
+export function encodeImageFingerprint(fingerprint: ImageFingerprint): string {
+  const hashes = [...fingerprint.regions, ...fingerprint.mirrored, ...fingerprint.blocks];
+  return IMAGE_FINGERPRINT_PREFIX + hashes
+    .map(hash => BigInt('0b' + hash).toString(16).padStart(16, '0'))
+    .join('');
+}
+
+/**
+ * Decode a string produced by encodeImageFingerprint
+ *
+ * @param encoded - Encoded fingerprint
+ * @returns Decoded fingerprint, or null if not a valid if1 fingerprint
+ */
+export function decodeImageFingerprint(encoded: string): ImageFingerprint | null {
+  const regionCount = IMAGE_REGIONS.length;
+  const expected = (regionCount * 2 + GRID_SIZE * GRID_SIZE) * 16;
+  const hex = encoded.startsWith(IMAGE_FINGERPRINT_PREFIX) ? encoded.slice(IMAGE_FINGERPRINT_PREFIX.length) : '';
+
+  if (hex.length !== expected || !/^[0-9a-f]+$/.test(hex)) {
+    return null;
+  }
+
+  const hashes: string[] = [];
+  for (let i = 0; i < hex.length; i += 16) {
+    hashes.push(BigInt('0x' + hex.slice(i, i + 16)).toString(2).padStart(64, '0'));
+  }
+
+  return {
+    regions: hashes.slice(0, regionCount),
+    mirrored: hashes.slice(regionCount, regionCount * 2),
+    blocks: hashes.slice(regionCount * 2)
+  };
+}
+
+/**
+ * Bit similarity (0-1) of two equal-length binary strings
+ */
+function bitSimilarity(a: string, b: string): number {
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+/**
+ * Compare two robust image fingerprints over their best-matching region
+ *
+ * @param a - First fingerprint
+ * @param b - Second fingerprint
+ * @returns Similarity with the region (and orientation) that produced it
+ *
+ * @example
+ * ```typescript
+ * compareImageFingerprints(mirroredCrop, original);
+ * // { similarity: 93.75, region: "center90", mirrored: true }
+ * ```
+ */
+export function compareImageFingerprints(a: ImageFingerprint, b: ImageFingerprint): ImageComparison {
+  let best: ImageComparison = { similarity: 0, region: 'full', mirrored: false };
+
+  for (let i = 0; i < a.regions.length; i++) {
+    for (let j = 0; j < b.regions.length; j++) {
+      const direct = bitSimilarity(a.regions[i], b.regions[j]);
+      if (direct > best.similarity) {
+        best = { similarity: direct, region: IMAGE_REGIONS[j].name, mirrored: false };
+      }
+      const flipped = bitSimilarity(a.regions[i], b.mirrored[j]);
+      if (flipped > best.similarity) {
+        best = { similarity: flipped, region: IMAGE_REGIONS[j].name, mirrored: true };
+      }
+    }
+  }
+
+  // Block grid: drop the worst quarter of blocks (watermarks, overlays)
+  const blockScores = a.blocks
+    .map((hash, i) => bitSimilarity(hash, b.blocks[i]))
+    .sort((x, y) => y - x)
+    .slice(0, Math.ceil(a.blocks.length * 0.75));
+  const blockSimilarity = blockScores.reduce((sum, s) => sum + s, 0) / blockScores.length;
+  if (blockSimilarity > best.similarity) {
+    best = { similarity: blockSimilarity, region: 'blocks', mirrored: false };
+  }
+
+  return { ...best, similarity: Math.round(best.similarity * 10000) / 100 };
+}
@@ -0,0 +1,420 @@
+/**
+ * IPFS Gateway Module - Verified retrieval from a pool of gateways
+ *
+ * Reading content through a single gateway URL made every feed load depend
+ * on that gateway; when Pinata's public gateway rate-limits, metadata fails
+ * to load. Content is now fetched as individual blocks (trustless gateway
+ * requests, `?format=raw`) from a pool of gateways:
+ *
+ * - Health scoring: each gateway's success rate and latency are tracked;
+ *   requests go to the best-scoring gateways first, and gateways that keep
+ *   failing (or answer 429/503) cool down for a while
+ * - Racing: each block is requested from several gateways in parallel; the
+ *   first response that hashes to the block's CID wins and the others are
+ *   aborted
+ * - Verification: every block is checked against its CID before use, so
+ *   no gateway can substitute content
+ * - Caching: verified blocks are kept in a bounded on-disk LRU cache
+ *   (block-cache.ts)
+ *
+ * Files are read by walking their UnixFS DAG, fetching only the blocks a
+ * byte range needs - which is what lets GET /ipfs/:cid answer range
+ * requests for video seeking without downloading the whole file.
+ *
+ * Configuration (environment):
+ * - IPFS_GATEWAYS: comma-separated gateways used besides the storage
+ *   provider's own (default: ipfs.io, dweb.link, trustless-gateway.link)
+ * - IPFS_GATEWAY_RACE_WIDTH: gateways raced per block (default: 2)
+ * - IPFS_GATEWAY_TIMEOUT_MS: per-request timeout (default: 15000)
+ * - IPFS_CACHE_DIR: block cache directory (default: ./data/ipfs-cache)
+ * - IPFS_CACHE_MAX_MB: block cache size limit (default: 1024)
+ *
+ * @module ipfs-gateway
+ */
+
+import axios from 'axios';
+import path from 'path';
+import { BlockCache, BlockCacheStats } from './block-cache.js';
+import { FileNode, decodeFileNode, parseCid, verifyBlock } from './cid.js';
+
+const DEFAULT_GATEWAYS = [
+  'https://ipfs.io/ipfs/',
+  'https://dweb.link/ipfs/',
+  'https://trustless-gateway.link/ipfs/'
+];
+
+/** Largest block accepted from a gateway (Kubo's limit is 1 MiB; leaves here are 256 KiB) */
+const MAX_BLOCK_SIZE = 2 * 1024 * 1024;
+
+/** Child blocks fetched ahead of the one being read */
+const READ_AHEAD = 4;
+
+/** Weight of the newest sample in the success-rate and latency averages */
+const SMOOTHING = 0.2;
+
+/** Consecutive failures before a gateway cools down */
+const FAILURES_BEFORE_COOLDOWN = 3;
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+/**
+ * Health of a gateway, as reported by GET /gateways/status
+ */
+export interface GatewayHealth {
+  url: string;
+  score: number;                    // 0-1, higher is better
+  successRate: number;              // Smoothed, 0-1
+  latencyMs: number | null;         // Smoothed latency of successful requests
+  successes: number;
+  failures: number;
+  consecutiveFailures: number;
+  coolingDownUntil: string | null;
+  lastError: string | null;
+}
+
+interface GatewayState {
+  url: string;
+  successRate: number;
+  latencyMs: number | null;
+  successes: number;
+  failures: number;
+  consecutiveFailures: number;
+  coolingDownUntil: number;
+  lastError: string | null;
+}
+
+function withTrailingSlash(url: string): string {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Score from success rate and latency (a gateway not yet measured is assumed to take 1s)
+ */
+function score(gateway: GatewayState): number {
+  const latency = gateway.latencyMs ?? 1000;
+  return gateway.successRate * 1000 / (1000 + latency);
+}
+
+/**
+ * Cooldown requested by a rate-limited or overloaded gateway (Retry-After), if any
+ */
+function retryAfterMs(error: unknown): number | null {
+  if (!axios.isAxiosError(error) || (error.response?.status !== 429 && error.response?.status !== 503)) {
+    return null;
+  }
+  const seconds = parseInt(String(error.response.headers['retry-after'] ?? ''), 10);
+  return Math.min(Number.isFinite(seconds) ? seconds * 1000 : BASE_COOLDOWN_MS, MAX_COOLDOWN_MS);
+}
+
+function describeError(error: unknown): string {
+  if (axios.isAxiosError(error)) {
+    return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Pool of IPFS gateways ranked by health
+ *
+ * @example
+ * ```typescript
+ * const pool = new GatewayPool(['https://ipfs.io/ipfs/', 'https://dweb.link/ipfs/']);
+ * const block = await pool.fetchBlock('bafkrei...');   // verified against its CID
+ * ```
+ */
+export class GatewayPool {
+  private readonly gateways: GatewayState[];
+  private readonly raceWidth: number;
+  private readonly timeoutMs: number;
+
+  constructor(urls: string[], options: { raceWidth?: number; timeoutMs?: number } = {}) {
+    const unique = [...new Set(urls.map(withTrailingSlash))];
+    if (unique.length === 0) {
+      throw new Error('Gateway pool needs at least one gateway');
+    }
+
+    this.gateways = unique.map(url => ({
+      url,
+      successRate: 1,
+      latencyMs: null,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      coolingDownUntil: 0,
+      lastError: null
+    }));
+    this.raceWidth = Math.max(1, options.raceWidth ?? 2);
+    this.timeoutMs = options.timeoutMs ?? 15000;
+  }
+
+  /**
+   * Fetch a block, racing the healthiest gateways and falling back to the rest
+   *
+   * @param cid - Block CID
+   * @returns Block bytes, verified against the CID
+   * @throws Error if no gateway returns the block
+   */
+  async fetchBlock(cid: string): Promise<Buffer> {
+    const errors: string[] = [];
+    const ranked = this.ranked();
+
+    for (let i = 0; i < ranked.length; i += this.raceWidth) {
+      try {
+        return await this.race(cid, ranked.slice(i, i + this.raceWidth), errors);
+      } catch {
+        // Every gateway of this round failed; try the next ones
+      }
+    }
+    throw new Error(`No gateway returned block ${cid} (${errors.join('; ')})`);
+  }
+
+  health(): GatewayHealth[] {
+    return this.ranked().map(gateway => ({
+      url: gateway.url,
+      score: Number(score(gateway).toFixed(3)),
+      successRate: Number(gateway.successRate.toFixed(3)),
+      latencyMs: gateway.latencyMs === null ? null : Math.round(gateway.latencyMs),
+      successes: gateway.successes,
+      failures: gateway.failures,
+      consecutiveFailures: gateway.consecutiveFailures,
+      coolingDownUntil: gateway.coolingDownUntil > Date.now() ? new Date(gateway.coolingDownUntil).toISOString() : null,
+      lastError: gateway.lastError
+    }));
+  }
+
+  /**
+   * Gateways best first; cooling-down gateways last (soonest available first)
+   */
+  private ranked(): GatewayState[] {
+    const now = Date.now();
+    return [...this.gateways].sort((a, b) => {
+      const aCooling = a.coolingDownUntil > now;
+      const bCooling = b.coolingDownUntil > now;
+      if (aCooling !== bCooling) {
+        return aCooling ? 1 : -1;
+      }
+      return aCooling ? a.coolingDownUntil - b.coolingDownUntil : score(b) - score(a);
+    });
+  }
+
+  /**
+   * Request a block from several gateways at once; resolve with the first verified block
+   */
+  private race(cid: string, gateways: GatewayState[], errors: string[]): Promise<Buffer> {
+    const controller = new AbortController();
+
+    return new Promise((resolve, reject) => {
+      let pending = gateways.length;
+      for (const gateway of gateways) {
+        this.request(gateway, cid, controller.signal).then(
+          (block) => {
+            controller.abort();
+            resolve(block);
+          },
+          (error: unknown) => {
+            if (!controller.signal.aborted) {
+              errors.push(`${gateway.url}: ${describeError(error)}`);
+            }
+            if (--pending === 0) {
+              reject(new Error(`All gateways failed for ${cid}`));
+            }
+          }
+        );
+      }
+    });
+  }
+
+  private async request(gateway: GatewayState, cid: string, signal: AbortSignal): Promise<Buffer> {
+    const startTime = Date.now();
+
+    try {
+      const response = await axios.get(`${gateway.url}${cid}`, {
+        params: { format: 'raw' },
+        headers: { Accept: 'application/vnd.ipld.raw' },
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_BLOCK_SIZE,
+        timeout: this.timeoutMs,
+        signal
+      });
+      const block = Buffer.from(response.data);
+
+      // Gateways without trustless support answer with the file instead of the block
+      if (!verifyBlock(cid, block)) {
+        throw new Error('response does not match the CID');
+      }
+
+      this.recordSuccess(gateway, Date.now() - startTime);
+      return block;
+    } catch (error) {
+      // Losing a race is not the gateway's fault
+      if (!axios.isCancel(error)) {
+        this.recordFailure(gateway, error);
+      }
+      throw error;
+    }
+  }
+
+  private recordSuccess(gateway: GatewayState, latencyMs: number): void {
+    gateway.successes++;
+    gateway.consecutiveFailures = 0;
+    gateway.coolingDownUntil = 0;
+    gateway.successRate = gateway.successRate * (1 - SMOOTHING) + SMOOTHING;
+    gateway.latencyMs = gateway.latencyMs === null
+      ? latencyMs
+      : gateway.latencyMs * (1 - SMOOTHING) + latencyMs * SMOOTHING;
+  }
+
+  private recordFailure(gateway: GatewayState, error: unknown): void {
+    gateway.failures++;
+    gateway.consecutiveFailures++;
+    gateway.successRate *= 1 - SMOOTHING;
+    gateway.lastError = describeError(error);
+
+    const requested = retryAfterMs(error);
+    if (requested !== null) {
+      gateway.coolingDownUntil = Date.now() + requested;
+    } else if (gateway.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+      const backoff = BASE_COOLDOWN_MS * 2 ** (gateway.consecutiveFailures - FAILURES_BEFORE_COOLDOWN);
+      gateway.coolingDownUntil = Date.now() + Math.min(backoff, MAX_COOLDOWN_MS);
+    }
+    if (gateway.coolingDownUntil > Date.now()) {
+      console.warn(`[IPFS] Gateway ${gateway.url} cooling down until ${new Date(gateway.coolingDownUntil).toISOString()} (${gateway.lastError})`);
+    }
+  }
+}
+
+/**
+ * Verified file retrieval: blocks come from the cache or the gateway pool
+ *
+ * @example
+ * ```typescript
+ * const gateway = createIpfsGateway('https://gateway.pinata.cloud/ipfs/');
+ * const size = await gateway.fileSize(cid);
+ * for await (const chunk of gateway.read(cid, 0, 1024)) {
+ *   // first KiB of the file, every block verified
+ * }
+ * ```
+ */
+export class IpfsGateway {
+  private readonly inFlight = new Map<string, Promise<Buffer>>();
+
+  constructor(private readonly pool: GatewayPool, private readonly cache: BlockCache) {}
+
+  /**
+   * A verified block (concurrent requests for the same block share one fetch)
+   */
+  getBlock(cid: string): Promise<Buffer> {
+    const existing = this.inFlight.get(cid);
+    if (existing) {
+      return existing;
+    }
+
+    const fetching = (async () => {
+      const cached = await this.cache.get(cid);
+      if (cached) {
+        return cached;
+      }
+      const block = await this.pool.fetchBlock(cid);
+      await this.cache.put(cid, block);
+      return block;
+    })().finally(() => this.inFlight.delete(cid));
+
+    this.inFlight.set(cid, fetching);
+    return fetching;
+  }
+
+  /**
+   * Size of a file in bytes (only its root block is fetched)
+   *
+   * @throws Error for invalid CIDs, non-file content or unreachable blocks
+   */
+  async fileSize(cid: string): Promise<number> {
+    parseCid(cid);
+    return decodeFileNode(cid, await this.getBlock(cid)).fileSize;
+  }
+
+  /**
+   * Read a byte range of a file, fetching only the blocks it covers
+   *
+   * @param cid - File CID
+   * @param start - First byte (inclusive)
+   * @param end - Last byte (exclusive, default: end of file)
+   */
+  async *read(cid: string, start = 0, end = Infinity): AsyncGenerator<Buffer> {
+    parseCid(cid);
+    yield* this.readNode(decodeFileNode(cid, await this.getBlock(cid)), start, end);
+  }
+
+  /**
+   * Whole file as a Buffer
+   */
+  async retrieve(cid: string): Promise<Buffer> {
+    const chunks: Buffer[] = [];
+    for await (const chunk of this.read(cid)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Gateway health and cache usage
+   */
+  status(): { gateways: GatewayHealth[]; cache: BlockCacheStats } {
+    return { gateways: this.pool.health(), cache: this.cache.stats() };
+  }
+
+  private async *readNode(node: FileNode, start: number, end: number): AsyncGenerator<Buffer> {
+    if (node.data.length > 0 && start < node.data.length && end > 0) {
+      yield node.data.subarray(Math.max(start, 0), Math.min(end, node.data.length));
+    }
+
+    // Children overlapping [start, end), with their offsets in this node's content
+    const children: { cid: string; offset: number }[] = [];
+    let offset = node.data.length;
+    for (const link of node.links) {
+      if (offset + link.fileSize > start && offset < end) {
+        children.push({ cid: link.cid, offset });
+      }
+      offset += link.fileSize;
+    }
+
+    const prefetch = (index: number): void => {
+      if (index < children.length) {
+        this.getBlock(children[index].cid).catch(() => undefined);
+      }
+    };
+    for (let i = 1; i <= READ_AHEAD; i++) {
+      prefetch(i);
+    }
+
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      const block = await this.getBlock(child.cid);
+      prefetch(i + READ_AHEAD + 1);
+      yield* this.readNode(decodeFileNode(child.cid, block), start - child.offset, end - child.offset);
+    }
+  }
+
+}
+
+/**
+ * Create the gateway pool and block cache from the environment
+ *
+ * @param primaryGateway - The storage provider's gateway, tried alongside IPFS_GATEWAYS
+ * @param env - Environment to read configuration from
+ */
+export function createIpfsGateway(primaryGateway: string | null, env: NodeJS.ProcessEnv = process.env): IpfsGateway {
+  const extra = env.IPFS_GATEWAYS
+    ? env.IPFS_GATEWAYS.split(',').map(url => url.trim()).filter(Boolean)
+    : DEFAULT_GATEWAYS;
+
+  const pool = new GatewayPool(primaryGateway ? [primaryGateway, ...extra] : extra, {
+    raceWidth: parseInt(env.IPFS_GATEWAY_RACE_WIDTH || '2', 10),
+    timeoutMs: parseInt(env.IPFS_GATEWAY_TIMEOUT_MS || '15000', 10)
+  });
+  const cache = new BlockCache(
+    env.IPFS_CACHE_DIR || path.join(process.cwd(), 'data', 'ipfs-cache'),
+    parseInt(env.IPFS_CACHE_MAX_MB || '1024', 10) * 1024 * 1024
+  );
+  return new IpfsGateway(pool, cache);
+}
@@ -1,21 +1,31 @@
 /**
- * IPFS Storage Module - Pinata Integration
+ * IPFS Storage Module - Pinning and retrieval through a storage provider
  * 
- * This module handles pinning files to IPFS using Pinata's HTTP API.
- * Pinata provides reliable IPFS pinning with fast gateways and CDN support.
+ * This module pins files and metadata JSON to IPFS and retrieves them again.
+ * The actual backend is the StorageProvider selected by STORAGE_PROVIDER
+ * (Pinata by default, a Kubo node, or a local content-addressed directory -
+ * see storage-provider.ts).
  * 
  * Features:
- * - Pin files to IPFS via Pinata
+ * - Pin files to IPFS (buffers or files streamed from disk)
  * - Attach custom metadata (creator, timestamp, assetType)
  * - Generate gateway URLs for immediate access
- * - Support both JWT and API key/secret authentication
+ * - CIDv1 content addressing on every provider
+ * - Integrity: CIDs are computed locally before pinning and must match what
+ *   the provider reports; retrieved content is re-hashed against its CID
+ *   (and optionally its SHA-256 exact hash) before it is used
+ * - Retrieval from a pool of gateways with a local block cache
+ *   (ipfs-gateway.ts), except for the local store, which is read directly
+ * - Unpinning and pin listing for garbage collection (pin-reconciler.ts)
  * 
  * @module ipfs-storage
  */
 
-import FormData from 'form-data';
-import axios from 'axios';
-import { Readable } from 'stream';
+import crypto from 'crypto';
+import fs from 'fs';
+import { computeCid } from './cid.js';
+import { IpfsGateway, createIpfsGateway } from './ipfs-gateway.js';
+import { LocalStorageProvider, PinInfo, StorageProvider, createStorageProvider, serializeJson } from './storage-provider.js';
 
 /**
  * IPFS pinning result containing CID and gateway URL (single file)
@@ -35,35 +45,77 @@ export interface DualIpfsResult {
   metadataGatewayUrl: string;   // Gateway URL for metadata JSON
 }
 
+let provider: StorageProvider | null = null;
+let gateway: IpfsGateway | null = null;
+
+/**
+ * Fail unless the CID a provider reported is the one computed locally
+ */
+function assertSameCid(reported: string, expected: string): void {
+  if (reported !== expected) {
+    throw new Error(`CID mismatch: provider reported ${reported}, content hashes to ${expected}`);
+  }
+}
+
 /**
- * Pinata API response structure
+ * The configured storage provider (created from the environment on first use)
+ * 
+ * @returns Active StorageProvider
+ * @throws Error if STORAGE_PROVIDER names an unknown provider
  */
-interface PinataResponse {
-  IpfsHash: string;
-  PinSize: number;
-  Timestamp: string;
+export function getStorageProvider(): StorageProvider {
+  if (!provider) {
+    provider = createStorageProvider();
+    console.log(`[IPFS] Using ${provider.name} storage provider`);
+  }
+  return provider;
 }
 
 /**
- * Pin a file to IPFS using Pinata API
+ * Gateway pool and block cache used for retrieval (created on first use)
+ * 
+ * @returns Active IpfsGateway
+ */
+export function getIpfsGateway(): IpfsGateway {
+  if (!gateway) {
+    const storage = getStorageProvider();
+    // gatewayUrl('') is the provider's gateway base URL; the local store's
+    // gateway is this backend itself, so it is left out of the pool
+    gateway = createIpfsGateway(storage instanceof LocalStorageProvider ? null : storage.gatewayUrl(''));
+  }
+  return gateway;
+}
+
+/**
+ * Public gateway URL of a CID on the configured provider
+ * 
+ * @param cid - The IPFS Content Identifier
+ * @returns URL the content can be fetched from
+ */
+export function ipfsGatewayUrl(cid: string): string {
+  return getStorageProvider().gatewayUrl(cid);
+}
+
+/**
+ * Pin a file to IPFS
  * 
  * This function uploads any file (video, image, audio, text) to IPFS
- * using Pinata's pinning service. The file is permanently stored and
- * accessible via IPFS gateways.
+ * through the configured storage provider. The file is permanently stored
+ * and accessible via IPFS gateways.
  * 
- * Authentication Methods:
- * 1. JWT Token (preferred): Set PINATA_JWT environment variable
- * 2. API Key/Secret: Set PINATA_API_KEY and PINATA_API_SECRET
+ * Files on disk are streamed to the provider, so large videos are never
+ * loaded into memory.
  * 
- * Performance: ~2-5 seconds depending on file size and network
+ * Performance: ~2-5 seconds on Pinata depending on file size and network
  * 
- * @param buffer - The file content as a Buffer
+ * @param content - The file content as a Buffer, or the path of a file on disk
  * @param fileName - Original filename (with extension)
  * @param mimeType - MIME type of the file (e.g., "video/mp4", "image/jpeg")
  * @param metadata - Optional metadata object to attach (creator, timestamp, etc.)
+ * @param onProgress - Optional callback with the fraction (0-1) of bytes sent
  * @returns Promise<IpfsResult> containing CID and gateway URL
  * 
- * @throws Error if Pinata credentials are missing or API request fails
+ * @throws Error if the provider is misconfigured or the upload fails
  * 
  * @example
  * ```typescript
@@ -82,94 +134,38 @@ interface PinataResponse {
  * console.log(`IPFS CID: ${result.cid}`);
  * console.log(`Gateway URL: ${result.gatewayUrl}`);
  * // Output:
- * // IPFS CID: QmXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXx
- * // Gateway URL: https://gateway.pinata.cloud/ipfs/QmXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXx
+ * // IPFS CID: bafybeiXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxX
+ * // Gateway URL: https://gateway.pinata.cloud/ipfs/bafybeiXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxXxX
  * ```
  */
 export async function pinToIpfs(
-  buffer: Buffer,
+  content: Buffer | string,
   fileName: string,
   mimeType: string,
-  metadata?: Record<string, any>
+  metadata?: Record<string, any>,
+  onProgress?: (fraction: number) => void
 ): Promise<IpfsResult> {
-  console.log('\n[IPFS] Starting file pinning to IPFS via Pinata...');
-  console.log(`[IPFS] File: ${fileName}`);
-  console.log(`[IPFS] Size: ${(buffer.length / (1024 * 1024)).toFixed(2)} MB`);
-  console.log(`[IPFS] MIME Type: ${mimeType}`);
-  
   const startTime = Date.now();
 
   try {
-    // Check for Pinata credentials
-    const pinataJWT = process.env.PINATA_JWT;
-    const pinataApiKey = process.env.PINATA_API_KEY;
-    const pinataApiSecret = process.env.PINATA_API_SECRET;
-
-    if (!pinataJWT && (!pinataApiKey || !pinataApiSecret)) {
-      throw new Error(
-        'Pinata credentials not found. ' +
-        'Set PINATA_JWT or both PINATA_API_KEY and PINATA_API_SECRET in .env file'
-      );
-    }
+    const storage = getStorageProvider();
+    const size = typeof content === 'string' ? (await fs.promises.stat(content)).size : content.length;
+    console.log(`\n[IPFS] Starting file pinning to IPFS via ${storage.name}...`);
+    console.log(`[IPFS] File: ${fileName}`);
+    console.log(`[IPFS] Size: ${(size / (1024 * 1024)).toFixed(2)} MB`);
+    console.log(`[IPFS] MIME Type: ${mimeType}`);
 
-    // Create FormData for multipart upload
-    const formData = new FormData();
+    const expectedCid = await computeCid(content);
+    console.log(`[IPFS] Local CID: ${expectedCid}`);
 
-    // Convert buffer to readable stream for FormData
-    const stream = Readable.from(buffer);
-    formData.append('file', stream, {
-      filename: fileName,
-      contentType: mimeType
-    });
-
-    // Add optional metadata
-    if (metadata) {
-      const pinataMetadata = {
-        name: fileName,
-        keyvalues: {
-          ...metadata,
-          uploadedAt: new Date().toISOString()
-        }
-      };
-      formData.append('pinataMetadata', JSON.stringify(pinataMetadata));
-    }
-
-    // Configure pinning options (optional)
-    const pinataOptions = {
-      cidVersion: 1  // Use CIDv1 for better compatibility
-    };
-    formData.append('pinataOptions', JSON.stringify(pinataOptions));
-
-    // Prepare authentication headers
-    const headers: Record<string, string> = {
-      ...formData.getHeaders()
-    };
-
-    if (pinataJWT) {
-      headers['Authorization'] = `Bearer ${pinataJWT}`;
-      console.log('[IPFS] Using JWT authentication');
-    } else {
-      headers['pinata_api_key'] = pinataApiKey!;
-      headers['pinata_secret_api_key'] = pinataApiSecret!;
-      console.log('[IPFS] Using API key/secret authentication');
-    }
-
-    // Make API request to Pinata
-    console.log('[IPFS] Uploading to Pinata...');
-    const response = await axios.post<PinataResponse>(
-      'https://api.pinata.cloud/pinning/pinFileToIPFS',
-      formData,
-      { headers }
-    );
-
-    const cid = response.data.IpfsHash;
-    const gatewayUrl = `https://gateway.pinata.cloud/ipfs/${cid}`;
+    const cid = await storage.pinFile(content, { fileName, mimeType, metadata, onProgress });
+    assertSameCid(cid, expectedCid);
+    const gatewayUrl = storage.gatewayUrl(cid);
 
     const duration = Date.now() - startTime;
     console.log(`[IPFS] ✓ File pinned successfully in ${duration}ms`);
     console.log(`[IPFS] CID: ${cid}`);
-    console.log(`[IPFS] Gateway URL: ${gatewayUrl}`);
-    console.log(`[IPFS] Pin Size: ${response.data.PinSize} bytes\n`);
+    console.log(`[IPFS] Gateway URL: ${gatewayUrl}\n`);
 
     return {
       cid,
@@ -178,17 +174,7 @@ export async function pinToIpfs(
 
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`[IPFS ERROR] Pinning failed after ${duration}ms:`, error);
-
-    if (axios.isAxiosError(error)) {
-      if (error.response) {
-        console.error('[IPFS ERROR] Pinata API response:', error.response.data);
-        throw new Error(`Pinata API error: ${JSON.stringify(error.response.data)}`);
-      } else if (error.request) {
-        throw new Error('No response from Pinata API. Check network connection.');
-      }
-    }
-
+    console.error(`[IPFS ERROR] Pinning failed after ${duration}ms:`, error instanceof Error ? error.message : error);
     throw new Error(`IPFS pinning failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
 }
@@ -196,29 +182,56 @@ export async function pinToIpfs(
 /**
  * Retrieve a file from IPFS by CID
  * 
- * @param cid - The IPFS Content Identifier
- * @returns Promise<Buffer> containing the file content
+ * Content is fetched block by block from the gateway pool (or read from the
+ * local store) and only returned if it hashes back to `cid`, so a gateway
+ * or provider cannot substitute other bytes. Pass the SHA-256 exact hash to
+ * also check the content against the hash registered on-chain.
+ * 
+ * @param cid - The IPFS Content Identifier (CIDv1)
+ * @param exactHash - Optional expected SHA-256 of the content (hex, with or without 0x)
+ * @returns Promise<Buffer> containing the verified file content
+ * @throws Error if retrieval fails or the content does not match
+ * 
+ * @example
+ * ```typescript
+ * const media = await retrieveFromIpfs(post.mediaCid, post.exactHash);
+ * ```
  */
-export async function retrieveFromIpfs(cid: string): Promise<Buffer> {
+export async function retrieveFromIpfs(cid: string, exactHash?: string): Promise<Buffer> {
   console.log(`[IPFS] Retrieving file from IPFS: ${cid}`);
   
   try {
-    const gatewayUrl = `https://gateway.pinata.cloud/ipfs/${cid}`;
-    const response = await axios.get(gatewayUrl, {
-      responseType: 'arraybuffer'
-    });
+    const storage = getStorageProvider();
+    let content: Buffer;
+
+    if (storage instanceof LocalStorageProvider) {
+      content = await storage.retrieve(cid);
+      const actualCid = await computeCid(content);
+      if (actualCid !== cid) {
+        throw new Error(`Content integrity check failed: ${cid} retrieved content hashing to ${actualCid}`);
+      }
+    } else {
+      // Every block is checked against its CID as it arrives
+      content = await getIpfsGateway().retrieve(cid);
+    }
+    if (exactHash) {
+      const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+      if (sha256 !== exactHash.replace(/^0x/, '').toLowerCase()) {
+        throw new Error(`Content integrity check failed: SHA-256 of ${cid} does not match exact hash ${exactHash.substring(0, 18)}...`);
+      }
+    }
 
-    console.log(`[IPFS] ✓ File retrieved successfully (${response.data.length} bytes)`);
-    return Buffer.from(response.data);
+    console.log(`[IPFS] ✓ File retrieved and verified (${content.length} bytes)`);
+    return content;
 
   } catch (error) {
-    console.error('[IPFS ERROR] File retrieval failed:', error);
+    console.error('[IPFS ERROR] File retrieval failed:', error instanceof Error ? error.message : error);
     throw new Error(`IPFS retrieval failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
 }
 
 /**
- * Pin a JSON object to IPFS using Pinata API
+ * Pin a JSON object to IPFS
  * 
  * This function uploads a JSON metadata object to IPFS.
  * Use this for storing post metadata separately from media files.
@@ -233,7 +246,7 @@ export async function retrieveFromIpfs(cid: string): Promise<Buffer> {
  *   creator: "0x123...",
  *   createdAt: new Date().toISOString(),
  *   assetType: "image",
- *   mediaCid: "QmXxXx..."
+ *   mediaCid: "bafybei..."
  * };
  * const result = await pinJSONToIPFS(metadata, "metadata-image-123");
  * ```
@@ -242,60 +255,18 @@ export async function pinJSONToIPFS(
   jsonData: Record<string, any>,
   name: string
 ): Promise<IpfsResult> {
-  console.log('\n[IPFS] Starting JSON pinning to IPFS via Pinata...');
-  console.log(`[IPFS] Name: ${name}`);
-  console.log(`[IPFS] Data keys: ${Object.keys(jsonData).join(', ')}`);
-  
   const startTime = Date.now();
 
   try {
-    // Check for Pinata credentials
-    const pinataJWT = process.env.PINATA_JWT;
-    const pinataApiKey = process.env.PINATA_API_KEY;
-    const pinataApiSecret = process.env.PINATA_API_SECRET;
+    const storage = getStorageProvider();
+    console.log(`\n[IPFS] Starting JSON pinning to IPFS via ${storage.name}...`);
+    console.log(`[IPFS] Name: ${name}`);
+    console.log(`[IPFS] Data keys: ${Object.keys(jsonData).join(', ')}`);
 
-    if (!pinataJWT && (!pinataApiKey || !pinataApiSecret)) {
-      throw new Error(
-        'Pinata credentials not found. ' +
-        'Set PINATA_JWT or both PINATA_API_KEY and PINATA_API_SECRET in .env file'
-      );
-    }
-
-    // Prepare authentication headers
-    const headers: Record<string, string> = {
-      'Content-Type': 'application/json'
-    };
-
-    if (pinataJWT) {
-      headers['Authorization'] = `Bearer ${pinataJWT}`;
-      console.log('[IPFS] Using JWT authentication');
-    } else {
-      headers['pinata_api_key'] = pinataApiKey!;
-      headers['pinata_secret_api_key'] = pinataApiSecret!;
-      console.log('[IPFS] Using API key/secret authentication');
-    }
-
-    // Prepare request body
-    const body = {
-      pinataContent: jsonData,
-      pinataMetadata: {
-        name: name
-      },
-      pinataOptions: {
-        cidVersion: 1
-      }
-    };
-
-    // Make API request to Pinata
-    console.log('[IPFS] Uploading JSON to Pinata...');
-    const response = await axios.post<PinataResponse>(
-      'https://api.pinata.cloud/pinning/pinJSONToIPFS',
-      body,
-      { headers }
-    );
-
-    const cid = response.data.IpfsHash;
-    const gatewayUrl = `https://gateway.pinata.cloud/ipfs/${cid}`;
+    const expectedCid = await computeCid(serializeJson(jsonData));
+    const cid = await storage.pinJSON(jsonData, name);
+    assertSameCid(cid, expectedCid);
+    const gatewayUrl = storage.gatewayUrl(cid);
 
     const duration = Date.now() - startTime;
     console.log(`[IPFS] ✓ JSON pinned successfully in ${duration}ms`);
@@ -309,54 +280,55 @@ export async function pinJSONToIPFS(
 
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`[IPFS ERROR] JSON pinning failed after ${duration}ms:`, error);
-
-    if (axios.isAxiosError(error)) {
-      if (error.response) {
-        console.error('[IPFS ERROR] Pinata API response:', error.response.data);
-        throw new Error(`Pinata API error: ${JSON.stringify(error.response.data)}`);
-      } else if (error.request) {
-        throw new Error('No response from Pinata API. Check network connection.');
-      }
-    }
-
+    console.error(`[IPFS ERROR] JSON pinning failed after ${duration}ms:`, error instanceof Error ? error.message : error);
     throw new Error(`IPFS JSON pinning failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
 }
 
 /**
- * Check if a CID is pinned on Pinata
+ * Check if a CID is pinned by the storage provider
  * 
  * @param cid - The IPFS Content Identifier
  * @returns Promise<boolean> true if pinned, false otherwise
  */
 export async function isPinned(cid: string): Promise<boolean> {
   try {
-    const pinataJWT = process.env.PINATA_JWT;
-    const pinataApiKey = process.env.PINATA_API_KEY;
-    const pinataApiSecret = process.env.PINATA_API_SECRET;
-
-    if (!pinataJWT && (!pinataApiKey || !pinataApiSecret)) {
-      throw new Error('Pinata credentials not found');
-    }
-
-    const headers: Record<string, string> = {};
-    if (pinataJWT) {
-      headers['Authorization'] = `Bearer ${pinataJWT}`;
-    } else {
-      headers['pinata_api_key'] = pinataApiKey!;
-      headers['pinata_secret_api_key'] = pinataApiSecret!;
-    }
-
-    const response = await axios.get(
-      `https://api.pinata.cloud/data/pinList?hashContains=${cid}`,
-      { headers }
-    );
+    return await getStorageProvider().isPinned(cid);
+  } catch (error) {
+    console.error('[IPFS ERROR] Pin status check failed:', error instanceof Error ? error.message : error);
+    return false;
+  }
+}
 
-    return response.data.count > 0;
+/**
+ * Remove the storage provider's pin for a CID
+ * 
+ * Unpinned content may still be served by other IPFS nodes (and gateway
+ * caches) for a while, but the provider no longer keeps it.
+ * 
+ * @param cid - The IPFS Content Identifier
+ * @throws Error if the provider rejects the request
+ */
+export async function unpinFromIpfs(cid: string): Promise<void> {
+  try {
+    await getStorageProvider().unpin(cid);
+    console.log(`[IPFS] ✓ Unpinned ${cid}`);
+  } catch (error) {
+    console.error(`[IPFS ERROR] Unpinning ${cid} failed:`, error instanceof Error ? error.message : error);
+    throw new Error(`IPFS unpin failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+}
 
+/**
+ * List every pin held by the storage provider
+ * 
+ * @returns Pins with their names and pin times (where the provider records them)
+ * @throws Error if the provider cannot be reached
+ */
+export async function listPins(): Promise<PinInfo[]> {
+  try {
+    return await getStorageProvider().listPins();
   } catch (error) {
-    console.error('[IPFS ERROR] Pin status check failed:', error);
-    return false;
+    throw new Error(`IPFS pin listing failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
 }
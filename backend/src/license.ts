@@ -0,0 +1,134 @@
+/**
+ * License Module - Reuse terms attached to registered works
+ *
+ * Creators publish a work under a license, either at registration
+ * (registerVideoWithLicense / the signed gasless registration) or later
+ * (setLicense). The contract stores it next to the ownership record and
+ * returns the original's license from detectRepost.
+ *
+ * A match against an original is "licensed reuse" instead of a repost when
+ * the original's terms allow it:
+ * - CC0 and the adaptable CC licenses (BY, BY-SA, BY-NC, BY-NC-SA) allow any
+ *   match; posting on BlockPost is non-commercial sharing
+ * - NoDerivatives licenses (BY-ND, BY-NC-ND) only allow unmodified copies
+ *   (EXACT_DUPLICATE)
+ * - All rights reserved never allows reuse, and custom terms are a
+ *   document for people to read, so neither is treated as permission
+ *
+ * @module license
+ */
+
+/**
+ * License types in the order of VideoGuard.LicenseType (the on-chain value is the index)
+ */
+export const LICENSE_TYPES = [
+  'ALL_RIGHTS_RESERVED',
+  'CC0',
+  'CC_BY',
+  'CC_BY_SA',
+  'CC_BY_NC',
+  'CC_BY_NC_SA',
+  'CC_BY_ND',
+  'CC_BY_NC_ND',
+  'CUSTOM'
+] as const;
+
+export type LicenseType = typeof LICENSE_TYPES[number];
+
+/**
+ * License of a registered work
+ */
+export interface AssetLicense {
+  type: LicenseType;
+  termsCid?: string;             // IPFS CID of the terms (CUSTOM only)
+}
+
+/**
+ * License of works registered without one
+ */
+export const DEFAULT_LICENSE: AssetLicense = { type: 'ALL_RIGHTS_RESERVED' };
+
+const REUSE_ANY_MATCH: ReadonlySet<LicenseType> = new Set(['CC0', 'CC_BY', 'CC_BY_SA', 'CC_BY_NC', 'CC_BY_NC_SA']);
+const REUSE_EXACT_COPY: ReadonlySet<LicenseType> = new Set(['CC_BY_ND', 'CC_BY_NC_ND']);
+
+/**
+ * A license the contract would not accept
+ */
+export class LicenseValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'LicenseValidationError';
+  }
+}
+
+/**
+ * Validate a client-supplied license
+ *
+ * @param type - License type name (missing: all rights reserved)
+ * @param termsCid - Terms CID (required for CUSTOM, not allowed otherwise)
+ * @returns The license
+ * @throws LicenseValidationError for unknown types or a misplaced/missing terms CID
+ *
+ * @example
+ * ```typescript
+ * const license = parseLicense(req.body.licenseType, req.body.licenseTermsCid);
+ * ```
+ */
+export function parseLicense(type: unknown, termsCid?: unknown): AssetLicense {
+  if (type === undefined || type === null || type === '') {
+    return DEFAULT_LICENSE;
+  }
+  if (typeof type !== 'string' || !(LICENSE_TYPES as readonly string[]).includes(type)) {
+    throw new LicenseValidationError(`Unknown license type: ${String(type)}`);
+  }
+
+  const cid = typeof termsCid === 'string' ? termsCid.trim() : '';
+  if (type === 'CUSTOM') {
+    if (!cid) {
+      throw new LicenseValidationError('Custom licenses need a terms CID');
+    }
+    return { type, termsCid: cid };
+  }
+  if (cid) {
+    throw new LicenseValidationError('A terms CID is only allowed for custom licenses');
+  }
+  return { type: type as LicenseType };
+}
+
+/**
+ * Convert a contract License tuple (or LicenseSet event values)
+ *
+ * @param licenseType - VideoGuard.LicenseType value
+ * @param termsCid - Terms CID ("" when unset)
+ */
+export function licenseFromChain(licenseType: number | bigint, termsCid: string): AssetLicense {
+  const type = LICENSE_TYPES[Number(licenseType)];
+  if (!type) {
+    throw new Error(`Unknown on-chain license type ${licenseType}`);
+  }
+  return type === 'CUSTOM' ? { type, termsCid } : { type };
+}
+
+/**
+ * Contract License tuple for a license
+ */
+export function licenseToChain(license: AssetLicense): { licenseType: number; termsCid: string } {
+  return {
+    licenseType: LICENSE_TYPES.indexOf(license.type),
+    termsCid: license.termsCid ?? ''
+  };
+}
+
+/**
+ * Whether an original's license allows a match to be reposted
+ *
+ * @param license - The original's license (missing: all rights reserved)
+ * @param matchType - EXACT_DUPLICATE, VISUAL_MATCH, AUDIO_MATCH or TEXT_MATCH
+ */
+export function permitsReuse(license: AssetLicense | undefined, matchType: string): boolean {
+  if (!license) {
+    return false;
+  }
+  return REUSE_ANY_MATCH.has(license.type) ||
+    (REUSE_EXACT_COPY.has(license.type) && matchType === 'EXACT_DUPLICATE');
+}
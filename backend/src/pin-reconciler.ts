@@ -0,0 +1,317 @@
+/**
+ * Pin Reconciler Module - Garbage-collect pins nothing refers to
+ *
+ * Every upload pins its media file and metadata JSON before detection runs,
+ * so uploads that are abandoned, rejected in the wallet or fail later leave
+ * pins behind that no post uses. The reconciler compares the storage
+ * provider's pins with what must stay available:
+ *
+ * - Posts: media and metadata CIDs of every post in the post store
+ * - Chain state: metadata CIDs registered on-chain, and the media CID that
+ *   metadata names for registrations the indexer has not turned into posts
+ *
+ * Content of videos whose dispute was upheld is protected by neither.
+ *
+ * Orphans older than the grace period are unpinned; a dry run only reports
+ * them. Pin age comes from the provider where it records pin times
+ * (Pinata, local store), otherwise from when the reconciler first saw the
+ * pin (Kubo), persisted in `pin_observations`.
+ *
+ * The reconciler assumes the storage account or node is dedicated to
+ * BlockPost: any pin not referenced as above is an orphan.
+ *
+ * @module pin-reconciler
+ */
+
+import Database from 'better-sqlite3';
+import { normalizeHash } from './blockchain.js';
+import { ChainStore } from './chain-store.js';
+import { listPins, retrieveFromIpfs, unpinFromIpfs } from './ipfs-storage.js';
+import { parseMetadata } from './post-metadata.js';
+import { PostRepository } from './post-store.js';
+import { PinInfo } from './storage-provider.js';
+
+/**
+ * Reconciler configuration
+ */
+export interface PinReconcilerOptions {
+  gracePeriodMs: number;         // Minimum pin age before an orphan is unpinned
+  dryRun?: boolean;              // Default for scheduled runs (default true)
+  intervalMs?: number;           // Delay between scheduled runs (default 24h)
+}
+
+/**
+ * A pin nothing refers to
+ */
+export interface OrphanPin {
+  cid: string;
+  name: string | null;
+  pinnedAt: string;              // Provider pin time, or when the pin was first seen
+  reason: 'unreferenced' | 'dispute-upheld';
+}
+
+/**
+ * Outcome of a reconciliation run
+ */
+export interface PinReconcileReport {
+  dryRun: boolean;
+  startedAt: string;
+  finishedAt: string;
+  gracePeriodHours: number;
+  totalPins: number;
+  referencedPins: number;
+  orphans: OrphanPin[];          // Orphans past the grace period
+  pendingOrphans: number;        // Orphans still within the grace period
+  unpinned: string[];
+  failed: Array<{ cid: string; error: string }>;
+  skippedReason: string | null;  // Why orphans were kept despite dryRun=false
+}
+
+/**
+ * CIDs that must stay pinned, and CIDs released by upheld disputes
+ */
+interface References {
+  live: Set<string>;
+  upheld: Set<string>;
+  unresolved: string[];          // On-chain metadata CIDs that could not be read
+}
+
+/**
+ * Compares provider pins with the post store and chain state
+ *
+ * @example
+ * ```typescript
+ * const reconciler = new PinReconciler(db, postStore, chainStore, { gracePeriodMs: 72 * 3600 * 1000 });
+ * const report = await reconciler.reconcile(true);   // dry run
+ * console.log(report.orphans);
+ * ```
+ */
+export class PinReconciler {
+  private readonly options: Required<PinReconcilerOptions>;
+  private timer: NodeJS.Timeout | null = null;
+  private running = false;
+  private reconciling = false;
+
+  constructor(
+    private readonly db: Database.Database,
+    private readonly posts: PostRepository,
+    private readonly chain: ChainStore,
+    options: PinReconcilerOptions
+  ) {
+    this.options = {
+      dryRun: true,
+      intervalMs: 24 * 60 * 60 * 1000,
+      ...options
+    };
+  }
+
+  /**
+   * Whether a reconciliation run is in progress
+   */
+  get busy(): boolean {
+    return this.reconciling;
+  }
+
+  /**
+   * Run reconciliation on a schedule (first run after one interval)
+   */
+  start(): void {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    console.log(`[PINS] Reconciling every ${this.options.intervalMs / 3600000}h (${this.options.dryRun ? 'dry run' : 'unpinning orphans'})`);
+
+    const loop = async (): Promise<void> => {
+      if (!this.running) {
+        return;
+      }
+      try {
+        if (!this.reconciling) {
+          await this.reconcile(this.options.dryRun);
+        }
+      } catch (error) {
+        console.error('[PINS] Reconciliation failed:', error instanceof Error ? error.message : error);
+      }
+      if (this.running) {
+        this.timer = setTimeout(loop, this.options.intervalMs);
+        this.timer.unref();
+      }
+    };
+    this.timer = setTimeout(loop, this.options.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop scheduled runs
+   */
+  stop(): void {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Compare pins with posts and chain state, and unpin orphans past the grace period
+   *
+   * @param dryRun - Only report orphans (default: the configured mode)
+   * @returns Report of referenced, orphaned and unpinned pins
+   * @throws Error if a run is already in progress or pins cannot be listed
+   */
+  async reconcile(dryRun = this.options.dryRun): Promise<PinReconcileReport> {
+    if (this.reconciling) {
+      throw new Error('Pin reconciliation already in progress');
+    }
+    this.reconciling = true;
+
+    try {
+      const startedAt = new Date();
+      console.log(`[PINS] Reconciling pins${dryRun ? ' (dry run)' : ''}...`);
+
+      const pins = await listPins();
+      const firstSeen = this.observe(pins, startedAt);
+      const references = await this.references();
+
+      const orphans: OrphanPin[] = [];
+      let referencedPins = 0;
+      let pendingOrphans = 0;
+      for (const pin of pins) {
+        if (references.live.has(pin.cid)) {
+          referencedPins++;
+          continue;
+        }
+        const pinnedAt = pin.pinnedAt && !Number.isNaN(Date.parse(pin.pinnedAt))
+          ? pin.pinnedAt
+          : firstSeen.get(pin.cid)!;
+        if (startedAt.getTime() - Date.parse(pinnedAt) < this.options.gracePeriodMs) {
+          pendingOrphans++;
+          continue;
+        }
+        orphans.push({
+          cid: pin.cid,
+          name: pin.name,
+          pinnedAt,
+          reason: references.upheld.has(pin.cid) ? 'dispute-upheld' : 'unreferenced'
+        });
+      }
+
+      let skippedReason: string | null = null;
+      if (orphans.length > 0 && await this.posts.count() === 0) {
+        skippedReason = 'Post store is empty - rebuild it before unpinning';
+      } else if (orphans.length > 0 && references.unresolved.length > 0) {
+        skippedReason = `Metadata of ${references.unresolved.length} on-chain registration(s) could not be read `
+          + `(${references.unresolved.slice(0, 3).join(', ')}${references.unresolved.length > 3 ? ', ...' : ''}); `
+          + 'their media may be among the orphans';
+      }
+
+      const unpinned: string[] = [];
+      const failed: Array<{ cid: string; error: string }> = [];
+      if (!dryRun && !skippedReason) {
+        for (const orphan of orphans) {
+          try {
+            await unpinFromIpfs(orphan.cid);
+            unpinned.push(orphan.cid);
+          } catch (error) {
+            failed.push({ cid: orphan.cid, error: error instanceof Error ? error.message : 'Unknown error' });
+          }
+        }
+      }
+
+      const report: PinReconcileReport = {
+        dryRun,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        gracePeriodHours: this.options.gracePeriodMs / 3600000,
+        totalPins: pins.length,
+        referencedPins,
+        orphans,
+        pendingOrphans,
+        unpinned,
+        failed,
+        skippedReason
+      };
+
+      console.log(`[PINS] ✓ ${pins.length} pins: ${referencedPins} referenced, ${orphans.length} orphaned, `
+        + `${pendingOrphans} within grace period, ${unpinned.length} unpinned, ${failed.length} failed`);
+      if (skippedReason && !dryRun) {
+        console.warn(`[PINS] ⚠️  Nothing unpinned: ${skippedReason}`);
+      }
+      return report;
+    } finally {
+      this.reconciling = false;
+    }
+  }
+
+  /**
+   * Record when pins were first seen and forget pins that are gone
+   *
+   * @returns First-seen time (ISO) of every current pin
+   */
+  private observe(pins: PinInfo[], now: Date): Map<string, string> {
+    const insert = this.db.prepare('INSERT OR IGNORE INTO pin_observations (cid, first_seen_at) VALUES (?, ?)');
+    const current = new Set(pins.map(pin => pin.cid));
+
+    return this.db.transaction(() => {
+      for (const cid of current) {
+        insert.run(cid, now.toISOString());
+      }
+
+      const firstSeen = new Map<string, string>();
+      const remove = this.db.prepare('DELETE FROM pin_observations WHERE cid = ?');
+      const rows = this.db.prepare('SELECT cid, first_seen_at FROM pin_observations').all() as Array<{ cid: string; first_seen_at: string }>;
+      for (const row of rows) {
+        if (current.has(row.cid)) {
+          firstSeen.set(row.cid, row.first_seen_at);
+        } else {
+          remove.run(row.cid);
+        }
+      }
+      return firstSeen;
+    })();
+  }
+
+  private async references(): Promise<References> {
+    const live = new Set<string>();
+    const upheld = new Set<string>();
+    const unresolved: string[] = [];
+
+    const upheldHashes = new Set(
+      this.chain.listDisputes()
+        .filter(dispute => dispute.upheld === true)
+        .map(dispute => normalizeHash(dispute.videoHash).toLowerCase())
+    );
+    const isUpheld = (exactHash: string): boolean => upheldHashes.has(normalizeHash(exactHash).toLowerCase());
+
+    for (const post of await this.posts.list()) {
+      const target = isUpheld(post.exactHash) ? upheld : live;
+      target.add(post.mediaCid);
+      target.add(post.metadataCid);
+    }
+
+    for (const video of this.chain.listVideos()) {
+      if (isUpheld(video.exactHash)) {
+        upheld.add(video.ipfsHash);
+        continue;
+      }
+      live.add(video.ipfsHash);
+
+      // The post (with its media CID) is only written once the indexer has read the metadata
+      if (!video.postSynced) {
+        try {
+          const metadata = parseMetadata(await retrieveFromIpfs(video.ipfsHash));
+          live.add(metadata.content.cid);
+        } catch {
+          unresolved.push(video.ipfsHash);
+        }
+      }
+    }
+
+    // Content shared with a live post (e.g. an exact repost) stays pinned
+    for (const cid of live) {
+      upheld.delete(cid);
+    }
+    return { live, upheld, unresolved };
+  }
+}
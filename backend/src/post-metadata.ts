@@ -0,0 +1,464 @@
+/**
+ * Post Metadata Module - Versioned metadata JSON (blockpost.metadata/v1)
+ *
+ * Each post pins a metadata JSON document next to its media file; its CID
+ * is the ipfsHash registered on-chain. Documents used to be ad hoc objects,
+ * so every reader had to guess field names (creator vs walletAddress,
+ * mediaCid vs fileCid, mediaMimeType vs mimeType). They now follow the
+ * `blockpost.metadata/v1` format described by metadata-v1.schema.json:
+ *
+ * - Self-describing: the `schema` field names the format, and `content`
+ *   carries the media CID, MIME type, asset type, SHA-256 exact hash and
+ *   the perceptual content signature used for repost detection
+ * - Validated on write (createMetadata) and on read (parseMetadata)
+ * - Documents in the older unversioned format are migrated to v1 on read
+ * - Optionally signed by the creator: `authorship` holds an EIP-712
+ *   signature over the hashes, media CID, title and creation time, so
+ *   anyone can check who authored a document without trusting the backend
+ *
+ * The JSON Schema is the source of truth; validate() implements the subset
+ * of JSON Schema it uses, so no schema library is needed.
+ *
+ * @module post-metadata
+ */
+
+import { ethers } from 'ethers';
+import metadataSchema from './metadata-v1.schema.json';
+import { AssetType } from './hash-engine.js';
+import { Post } from './post-store.js';
+
+/** Format identifier of the current metadata version */
+export const METADATA_SCHEMA = 'blockpost.metadata/v1';
+
+/**
+ * EIP-712 types of the creator signature
+ */
+export const AUTHORSHIP_TYPES = {
+  PostAuthorship: [
+    { name: 'exactHash', type: 'bytes32' },
+    { name: 'perceptualHash', type: 'string' },
+    { name: 'audioHash', type: 'string' },
+    { name: 'mediaCid', type: 'string' },
+    { name: 'title', type: 'string' },
+    { name: 'createdAt', type: 'string' }
+  ]
+};
+
+/**
+ * Metadata document (blockpost.metadata/v1)
+ */
+export interface PostMetadata {
+  schema: typeof METADATA_SCHEMA;
+  createdAt: string;
+  creator: {
+    address: string;
+    name: string | null;
+    username: string | null;
+  };
+  title: string | null;
+  description: string | null;
+  content: {
+    assetType: AssetType;
+    cid: string;                     // Media file CID
+    mimeType: string;
+    fileName: string;
+    size: number;
+    hashes: {
+      sha256: string | null;         // Exact hash (null only in migrated legacy documents)
+    };
+    signature: {
+      perceptualHash: string | null;
+      audioHash: string | null;
+      imageFingerprint: string | null;
+    };
+  };
+  authorship?: {
+    scheme: 'eip712';
+    chainId: number;
+    signature: string;
+  };
+}
+
+/**
+ * EIP-712 payload the creator signs (as passed to eth_signTypedData_v4)
+ */
+export interface AuthorshipTypedData {
+  domain: { name: string; version: string; chainId: number };
+  types: typeof AUTHORSHIP_TYPES;
+  primaryType: 'PostAuthorship';
+  message: {
+    exactHash: string;
+    perceptualHash: string;
+    audioHash: string;
+    mediaCid: string;
+    title: string;
+    createdAt: string;
+  };
+}
+
+/**
+ * Fields of a new metadata document
+ */
+export interface MetadataInput {
+  creator: string;
+  creatorName?: string | null;
+  creatorUsername?: string | null;
+  title?: string | null;
+  description?: string | null;
+  assetType: AssetType;
+  mediaCid: string;
+  mimeType: string;
+  fileName: string;
+  fileSize: number;
+  exactHash: string;
+  perceptualHash: string;
+  audioHash: string | null;
+  imageFingerprint?: string | null;
+  createdAt?: string;
+  authorship?: PostMetadata['authorship'];
+}
+
+/**
+ * A document that is not valid metadata
+ */
+export class MetadataValidationError extends Error {
+  constructor(readonly errors: string[]) {
+    super(`Invalid post metadata: ${errors.join('; ')}`);
+    this.name = 'MetadataValidationError';
+  }
+}
+
+/**
+ * The subset of JSON Schema used by metadata-v1.schema.json
+ */
+interface SchemaNode {
+  type?: string | string[];
+  const?: unknown;
+  enum?: unknown[];
+  required?: string[];
+  properties?: Record<string, SchemaNode>;
+  additionalProperties?: boolean;
+  pattern?: string;
+  format?: string;
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value: unknown, type: string): boolean {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Collect the schema violations of a value (empty if valid)
+ */
+function validate(value: unknown, schema: SchemaNode, path: string, errors: string[]): void {
+  const at = path || '(document)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at} must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at} has an invalid format`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${at} must be an ISO 8601 date-time`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at} must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    }
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at} must be at least ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const object = value as Record<string, unknown>;
+    for (const key of schema.required ?? []) {
+      if (!(key in object)) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(object)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        validate(child, childSchema, path ? `${path}.${key}` : key, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path ? `${path}.` : ''}${key} is not allowed`);
+      }
+    }
+  }
+}
+
+/**
+ * Check a document against the v1 JSON Schema
+ *
+ * @param document - Parsed metadata JSON
+ * @returns The document, typed
+ * @throws MetadataValidationError listing every violation
+ */
+export function validateMetadata(document: unknown): PostMetadata {
+  const errors: string[] = [];
+  validate(document, metadataSchema as SchemaNode, '', errors);
+  if (errors.length > 0) {
+    throw new MetadataValidationError(errors);
+  }
+  return document as PostMetadata;
+}
+
+/**
+ * Check user-supplied post fields before an upload is processed
+ *
+ * @param fields - Title, description and creator display names
+ * @returns Violations of the v1 schema (empty if valid)
+ */
+export function checkPostFields(fields: {
+  title: string | null;
+  description: string | null;
+  creatorName: string | null;
+  creatorUsername: string | null;
+}): string[] {
+  const schema = metadataSchema as SchemaNode;
+  const creator = schema.properties!.creator.properties!;
+  const errors: string[] = [];
+  validate(fields.title, schema.properties!.title, 'title', errors);
+  validate(fields.description, schema.properties!.description, 'description', errors);
+  validate(fields.creatorName, creator.name, 'creator.name', errors);
+  validate(fields.creatorUsername, creator.username, 'creator.username', errors);
+  return errors;
+}
+
+function text(value: unknown): string | null {
+  return typeof value === 'string' && value.trim() !== '' ? value : null;
+}
+
+/**
+ * Convert a document in the unversioned format written before v1
+ */
+function migrateLegacy(document: Record<string, any>): Record<string, unknown> {
+  const exactHash = text(document.exactHash);
+
+  return {
+    schema: METADATA_SCHEMA,
+    createdAt: text(document.createdAt) ?? text(document.timestamp),
+    creator: {
+      address: text(document.creator) ?? text(document.walletAddress),
+      name: text(document.creatorName),
+      username: text(document.creatorUsername)
+    },
+    title: text(document.title),
+    description: text(document.description) ?? text(document.caption),
+    content: {
+      assetType: document.assetType,
+      cid: text(document.mediaCid) ?? text(document.fileCid),
+      mimeType: text(document.mediaMimeType) ?? text(document.mimeType) ?? 'application/octet-stream',
+      fileName: text(document.fileName) ?? 'unknown',
+      size: typeof document.fileSize === 'number' ? document.fileSize : 0,
+      hashes: {
+        sha256: exactHash ? exactHash.replace(/^0x/, '').toLowerCase() : null
+      },
+      signature: {
+        perceptualHash: text(document.perceptualHash),
+        audioHash: text(document.audioHash),
+        imageFingerprint: text(document.imageFingerprint)
+      }
+    }
+  };
+}
+
+/**
+ * Bring a metadata document of any known version to v1 and validate it
+ *
+ * @param document - Parsed metadata JSON
+ * @returns v1 metadata
+ * @throws MetadataValidationError for unknown versions or invalid documents
+ */
+export function migrateMetadata(document: unknown): PostMetadata {
+  if (typeOf(document) !== 'object') {
+    throw new MetadataValidationError(['(document) must be object']);
+  }
+  const versioned = document as Record<string, unknown>;
+
+  if (versioned.schema === undefined) {
+    return validateMetadata(migrateLegacy(versioned));
+  }
+  if (versioned.schema !== METADATA_SCHEMA) {
+    throw new MetadataValidationError([`unsupported schema ${JSON.stringify(versioned.schema)}`]);
+  }
+  const metadata = validateMetadata(versioned);
+  verifyAuthorship(metadata);
+  return metadata;
+}
+
+/**
+ * Parse metadata bytes fetched from IPFS (any known version)
+ *
+ * @param bytes - Metadata JSON as retrieved
+ * @returns v1 metadata
+ * @throws MetadataValidationError if the bytes are not valid metadata
+ *
+ * @example
+ * ```typescript
+ * const metadata = parseMetadata(await retrieveFromIpfs(metadataCid));
+ * console.log(metadata.creator.address, metadata.content.cid);
+ * ```
+ */
+export function parseMetadata(bytes: Buffer): PostMetadata {
+  let document: unknown;
+  try {
+    document = JSON.parse(bytes.toString('utf8'));
+  } catch {
+    throw new MetadataValidationError(['(document) is not valid JSON']);
+  }
+  return migrateMetadata(document);
+}
+
+/**
+ * Build and validate a v1 metadata document for a new upload
+ *
+ * @param input - Creator, media and hash fields
+ * @returns Metadata ready to pin
+ * @throws MetadataValidationError if a field is invalid (e.g. a malformed wallet address)
+ */
+export function createMetadata(input: MetadataInput): PostMetadata {
+  const metadata = validateMetadata({
+    schema: METADATA_SCHEMA,
+    createdAt: input.createdAt ?? new Date().toISOString(),
+    creator: {
+      address: input.creator,
+      name: text(input.creatorName),
+      username: text(input.creatorUsername)
+    },
+    title: text(input.title),
+    description: text(input.description),
+    content: {
+      assetType: input.assetType,
+      cid: input.mediaCid,
+      mimeType: input.mimeType,
+      fileName: input.fileName,
+      size: input.fileSize,
+      hashes: {
+        sha256: input.exactHash.replace(/^0x/, '').toLowerCase()
+      },
+      signature: {
+        perceptualHash: input.perceptualHash,
+        audioHash: input.audioHash,
+        imageFingerprint: input.imageFingerprint ?? null
+      }
+    },
+    ...(input.authorship && { authorship: input.authorship })
+  });
+  verifyAuthorship(metadata);
+  return metadata;
+}
+
+/**
+ * EIP-712 payload for the creator to sign
+ *
+ * @param metadata - Document to sign (its authorship, if any, is ignored)
+ * @param chainId - Chain ID of the creator's wallet
+ * @returns Typed data covering the hashes, media CID, title and creation time
+ * @throws MetadataValidationError if the document has no exact hash (migrated legacy documents)
+ */
+export function authorshipTypedData(metadata: PostMetadata, chainId: number): AuthorshipTypedData {
+  const { content } = metadata;
+  if (!content.hashes.sha256) {
+    throw new MetadataValidationError(['content.hashes.sha256 is required for signed metadata']);
+  }
+
+  return {
+    domain: { name: 'BlockPost', version: '1', chainId },
+    types: AUTHORSHIP_TYPES,
+    primaryType: 'PostAuthorship',
+    message: {
+      exactHash: `0x${content.hashes.sha256}`,
+      perceptualHash: content.signature.perceptualHash ?? '',
+      audioHash: content.signature.audioHash ?? '',
+      mediaCid: content.cid,
+      title: metadata.title ?? '',
+      createdAt: metadata.createdAt
+    }
+  };
+}
+
+/**
+ * Address that signed a document's authorship payload
+ *
+ * @param metadata - Document carrying `authorship`
+ * @param chainId - Chain ID of the signature (default: the one recorded in the document)
+ * @returns Recovered signer, or null if the signature is malformed
+ * @throws MetadataValidationError if the document has no exact hash
+ */
+export function recoverAuthor(metadata: PostMetadata, chainId = metadata.authorship?.chainId): string | null {
+  if (!metadata.authorship || chainId === undefined) {
+    return null;
+  }
+  const { domain, types, message } = authorshipTypedData(metadata, chainId);
+  try {
+    return ethers.verifyTypedData(domain, types, message, metadata.authorship.signature);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reject documents whose creator signature was not made by creator.address
+ */
+function verifyAuthorship(metadata: PostMetadata): void {
+  if (!metadata.authorship) {
+    return;
+  }
+  const signer = recoverAuthor(metadata);
+  if (!signer || signer.toLowerCase() !== metadata.creator.address.toLowerCase()) {
+    throw new MetadataValidationError([`authorship.signature was not made by ${metadata.creator.address}`]);
+  }
+}
+
+/**
+ * Post fields described by a metadata document
+ *
+ * @param metadata - v1 metadata
+ * @returns Fields for a Post built from the document
+ */
+export function postFieldsFromMetadata(metadata: PostMetadata): Pick<Post,
+  'mediaCid' | 'walletAddress' | 'caption' | 'exactHash' | 'perceptualHash' | 'audioHash' |
+  'imageFingerprint' | 'assetType' | 'mimeType' | 'fileName' | 'fileSize' | 'timestamp'> {
+  const { content } = metadata;
+  return {
+    mediaCid: content.cid,
+    walletAddress: metadata.creator.address,
+    caption: metadata.title ?? metadata.description ?? undefined,
+    exactHash: content.hashes.sha256 ?? '',
+    perceptualHash: content.signature.perceptualHash ?? '',
+    audioHash: content.signature.audioHash,
+    imageFingerprint: content.signature.imageFingerprint,
+    assetType: content.assetType,
+    mimeType: content.mimeType,
+    fileName: content.fileName,
+    fileSize: content.size,
+    timestamp: metadata.createdAt
+  };
+}
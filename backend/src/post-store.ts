@@ -0,0 +1,311 @@
+/**
+ * Post Store Module - Persistent storage for feed posts
+ *
+ * Posts (originals and detected reposts) used to live in an in-memory array
+ * rebuilt from Pinata on every boot, so anything registered since the last
+ * rebuild could be lost. The API now reads and writes posts through the
+ * PostRepository interface; SqlitePostRepository is the embedded
+ * implementation backed by the migrated SQLite database.
+ *
+ * Pinata is only used to rebuild an empty store (see api.ts).
+ *
+ * @module post-store
+ */
+
+import Database from 'better-sqlite3';
+import { AssetLicense, LicenseType } from './license.js';
+import { DerivativeType } from './provenance.js';
+import { SimilarityMatch } from './similarity-index.js';
+import { TxStatus } from './tx-manager.js';
+
+/**
+ * A post in the feed
+ */
+export interface Post {
+  id: string;
+  mediaCid: string;              // CID of the raw media file
+  mediaGatewayUrl: string;       // Gateway URL for media file
+  metadataCid: string;           // CID of the metadata JSON
+  metadataGatewayUrl: string;    // Gateway URL for metadata JSON
+  walletAddress: string;         // Creator's wallet address
+  caption?: string;
+  exactHash: string;
+  perceptualHash: string;
+  audioHash: string | null;
+  imageFingerprint?: string | null; // Robust "if1:" fingerprint (images only)
+  assetType: string;
+  mimeType: string;
+  fileName: string;
+  fileSize: number;
+  status: 'ORIGINAL' | 'REPOST_DETECTED';
+  originalCreator?: string;      // For reposts: original creator address
+  matchType?: string;            // For reposts: type of match detected
+  confidence?: number;           // For reposts: confidence percentage
+  originalHash?: string;         // For reposts: exact hash of the matched original
+  matches?: SimilarityMatch[];   // For reposts: nearest off-chain matches
+  license?: AssetLicense;        // Originals: their reuse terms; reposts: the matched original's
+  licensedReuse?: boolean;       // For reposts: the original's license or a purchased license permits this reuse
+  licensePurchased?: boolean;    // For reposts: the uploader bought a reuse license of the original
+  parentHash?: string;           // For derivatives (registerDerivative): exact hash of the parent work
+  derivativeType?: DerivativeType; // For derivatives: REMIX, REACTION or EDIT
+  disputed?: boolean;            // On-chain dispute flag (set by the chain indexer)
+  revoked?: boolean;             // Registration revoked by an upheld dispute (set by the chain indexer)
+  txStatus?: TxStatus;           // Registration transaction status (originals)
+  timestamp: string;
+  onChain?: {                    // Blockchain data (only for originals)
+    txHash: string;
+    blockNumber: number;
+    contractAddress: string;
+    gasUsed: string;
+  };
+}
+
+/**
+ * Filters for listing posts
+ */
+export interface PostQuery {
+  status?: Post['status'];
+  walletAddress?: string;
+  exactHash?: string;            // Lowercase hex, no 0x prefix
+  parentHash?: string;           // Derivatives of this exact hash
+}
+
+/**
+ * Storage backend for posts
+ *
+ * Methods are async so implementations backed by a network database can be
+ * swapped in without touching the API.
+ */
+export interface PostRepository {
+  /** Insert a post, or replace the post with the same ID */
+  save(post: Post): Promise<void>;
+  /** Look up a post by ID */
+  findById(id: string): Promise<Post | null>;
+  /** Look up the post published with a metadata CID */
+  findByMetadataCid(metadataCid: string): Promise<Post | null>;
+  /** Look up a post whose media or metadata has a CID */
+  findByCid(cid: string): Promise<Post | null>;
+  /** List posts, newest first */
+  list(query?: PostQuery): Promise<Post[]>;
+  /** Number of stored posts */
+  count(): Promise<number>;
+}
+
+/**
+ * Row shape of the posts table
+ */
+interface PostRow {
+  id: string;
+  media_cid: string;
+  media_gateway_url: string;
+  metadata_cid: string;
+  metadata_gateway_url: string;
+  wallet_address: string;
+  caption: string | null;
+  exact_hash: string;
+  perceptual_hash: string;
+  audio_hash: string | null;
+  image_fingerprint: string | null;
+  asset_type: string;
+  mime_type: string;
+  file_name: string;
+  file_size: number;
+  status: Post['status'];
+  original_creator: string | null;
+  match_type: string | null;
+  confidence: number | null;
+  original_hash: string | null;
+  matches: string | null;
+  license_type: LicenseType | null;
+  license_terms_cid: string | null;
+  licensed_reuse: number;
+  license_purchased: number;
+  parent_hash: string | null;
+  derivative_type: DerivativeType | null;
+  tx_hash: string | null;
+  block_number: number | null;
+  contract_address: string | null;
+  gas_used: string | null;
+  disputed: number;
+  revoked: number;
+  tx_status: TxStatus | null;
+  timestamp: string;
+}
+
+const POST_COLUMNS: (keyof PostRow)[] = [
+  'id', 'media_cid', 'media_gateway_url', 'metadata_cid', 'metadata_gateway_url', 'wallet_address',
+  'caption', 'exact_hash', 'perceptual_hash', 'audio_hash', 'image_fingerprint', 'asset_type',
+  'mime_type', 'file_name', 'file_size', 'status', 'original_creator', 'match_type', 'confidence',
+  'original_hash', 'matches', 'license_type', 'license_terms_cid', 'licensed_reuse', 'license_purchased', 'tx_hash',
+  'block_number', 'contract_address', 'gas_used', 'disputed', 'tx_status', 'timestamp', 'parent_hash', 'derivative_type', 'revoked'
+];
+
+function toRow(post: Post): PostRow {
+  return {
+    id: post.id,
+    media_cid: post.mediaCid,
+    media_gateway_url: post.mediaGatewayUrl,
+    metadata_cid: post.metadataCid,
+    metadata_gateway_url: post.metadataGatewayUrl,
+    wallet_address: post.walletAddress,
+    caption: post.caption ?? null,
+    exact_hash: post.exactHash,
+    perceptual_hash: post.perceptualHash,
+    audio_hash: post.audioHash ?? null,
+    image_fingerprint: post.imageFingerprint ?? null,
+    asset_type: post.assetType,
+    mime_type: post.mimeType,
+    file_name: post.fileName,
+    file_size: post.fileSize,
+    status: post.status,
+    original_creator: post.originalCreator ?? null,
+    match_type: post.matchType ?? null,
+    confidence: post.confidence ?? null,
+    original_hash: post.originalHash ?? null,
+    matches: post.matches ? JSON.stringify(post.matches) : null,
+    license_type: post.license?.type ?? null,
+    license_terms_cid: post.license?.termsCid ?? null,
+    licensed_reuse: post.licensedReuse ? 1 : 0,
+    license_purchased: post.licensePurchased ? 1 : 0,
+    parent_hash: post.parentHash ?? null,
+    derivative_type: post.derivativeType ?? null,
+    tx_hash: post.onChain?.txHash ?? null,
+    block_number: post.onChain?.blockNumber ?? null,
+    contract_address: post.onChain?.contractAddress ?? null,
+    gas_used: post.onChain?.gasUsed ?? null,
+    disputed: post.disputed ? 1 : 0,
+    revoked: post.revoked ? 1 : 0,
+    tx_status: post.txStatus ?? null,
+    timestamp: post.timestamp
+  };
+}
+
+function fromRow(row: PostRow): Post {
+  return {
+    id: row.id,
+    mediaCid: row.media_cid,
+    mediaGatewayUrl: row.media_gateway_url,
+    metadataCid: row.metadata_cid,
+    metadataGatewayUrl: row.metadata_gateway_url,
+    walletAddress: row.wallet_address,
+    ...(row.caption !== null && { caption: row.caption }),
+    exactHash: row.exact_hash,
+    perceptualHash: row.perceptual_hash,
+    audioHash: row.audio_hash,
+    imageFingerprint: row.image_fingerprint,
+    assetType: row.asset_type,
+    mimeType: row.mime_type,
+    fileName: row.file_name,
+    fileSize: row.file_size,
+    status: row.status,
+    ...(row.original_creator !== null && { originalCreator: row.original_creator }),
+    ...(row.match_type !== null && { matchType: row.match_type }),
+    ...(row.confidence !== null && { confidence: row.confidence }),
+    ...(row.original_hash !== null && { originalHash: row.original_hash }),
+    ...(row.matches !== null && { matches: JSON.parse(row.matches) as SimilarityMatch[] }),
+    ...(row.license_type !== null && {
+      license: {
+        type: row.license_type,
+        ...(row.license_terms_cid !== null && { termsCid: row.license_terms_cid })
+      }
+    }),
+    ...(row.licensed_reuse === 1 && { licensedReuse: true }),
+    ...(row.license_purchased === 1 && { licensePurchased: true }),
+    ...(row.parent_hash !== null && { parentHash: row.parent_hash }),
+    ...(row.derivative_type !== null && { derivativeType: row.derivative_type }),
+    ...(row.disputed === 1 && { disputed: true }),
+    ...(row.revoked === 1 && { revoked: true }),
+    ...(row.tx_status !== null && { txStatus: row.tx_status }),
+    timestamp: row.timestamp,
+    ...(row.tx_hash !== null && {
+      onChain: {
+        txHash: row.tx_hash,
+        blockNumber: row.block_number ?? 0,
+        contractAddress: row.contract_address ?? '',
+        gasUsed: row.gas_used ?? ''
+      }
+    })
+  };
+}
+
+/**
+ * PostRepository backed by the embedded SQLite database
+ *
+ * @example
+ * ```typescript
+ * const posts = new SqlitePostRepository(openDatabase('./data/blockpost.db'));
+ * await posts.save(post);
+ * const feed = await posts.list({ status: 'ORIGINAL' });
+ * ```
+ */
+export class SqlitePostRepository implements PostRepository {
+  private readonly upsert: Database.Statement;
+  private readonly byId: Database.Statement;
+  private readonly byMetadataCid: Database.Statement;
+  private readonly byCid: Database.Statement;
+  private readonly total: Database.Statement;
+
+  constructor(private readonly db: Database.Database) {
+    this.upsert = db.prepare(`
+      INSERT INTO posts (${POST_COLUMNS.join(', ')})
+      VALUES (${POST_COLUMNS.map(column => `@${column}`).join(', ')})
+      ON CONFLICT (id) DO UPDATE SET
+        ${POST_COLUMNS.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`).join(', ')}
+    `);
+    this.byId = db.prepare('SELECT * FROM posts WHERE id = ?');
+    this.byMetadataCid = db.prepare('SELECT * FROM posts WHERE metadata_cid = ?');
+    this.byCid = db.prepare('SELECT * FROM posts WHERE metadata_cid = @cid OR media_cid = @cid LIMIT 1');
+    this.total = db.prepare('SELECT COUNT(*) AS count FROM posts');
+  }
+
+  async save(post: Post): Promise<void> {
+    this.upsert.run(toRow(post));
+  }
+
+  async findById(id: string): Promise<Post | null> {
+    const row = this.byId.get(id) as PostRow | undefined;
+    return row ? fromRow(row) : null;
+  }
+
+  async findByMetadataCid(metadataCid: string): Promise<Post | null> {
+    const row = this.byMetadataCid.get(metadataCid) as PostRow | undefined;
+    return row ? fromRow(row) : null;
+  }
+
+  async findByCid(cid: string): Promise<Post | null> {
+    const row = this.byCid.get({ cid }) as PostRow | undefined;
+    return row ? fromRow(row) : null;
+  }
+
+  async list(query: PostQuery = {}): Promise<Post[]> {
+    const conditions: string[] = [];
+    const params: Record<string, string> = {};
+
+    if (query.status) {
+      conditions.push('status = @status');
+      params.status = query.status;
+    }
+    if (query.walletAddress) {
+      conditions.push('wallet_address = @walletAddress COLLATE NOCASE');
+      params.walletAddress = query.walletAddress;
+    }
+    if (query.exactHash) {
+      conditions.push('exact_hash = @exactHash');
+      params.exactHash = query.exactHash;
+    }
+    if (query.parentHash) {
+      conditions.push('parent_hash = @parentHash');
+      params.parentHash = query.parentHash;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db
+      .prepare(`SELECT * FROM posts ${where} ORDER BY timestamp DESC`)
+      .all(params) as PostRow[];
+    return rows.map(fromRow);
+  }
+
+  async count(): Promise<number> {
+    return (this.total.get() as { count: number }).count;
+  }
+}
@@ -0,0 +1,446 @@
+/**
+ * Post Verification Module - Check /register-post claims against the chain
+ *
+ * In frontend blockchain mode the browser signs the registerVideo
+ * transaction and then reports the result to /register-post. That report
+ * is only a claim; this module checks it before anything is stored:
+ *
+ * - Originals: the claimed transaction must be a successful registerVideo
+ *   (registerVideoWithLicense, registerDerivative, or relayed registerVideoFor) call on our contract whose VideoRegistered event carries the claimed
+ *   exact hash, creator wallet and metadata CID; the license comes from its LicenseSet event
+ *   and the parent of a derivative work from its DerivativeRegistered event. The
+ *   fingerprints are read from the registered metadata document and must
+ *   match the ones in the event, so the similarity index never takes them from the client
+ * - Reposts: the contract's detectRepost must match the upload to the
+ *   referenced original, and the claimed original creator must be its owner;
+ *   the match type, the original's license, and whether the uploader bought
+ *   a reuse license of it, are read from the chain
+ *
+ * Failures raise a VerificationError with a stable `code` that the API
+ * returns to clients alongside the message.
+ *
+ * verifyPostContent re-checks a stored post end to end: metadata and media
+ * must hash to their CIDs, the metadata must be valid and describe the
+ * post's media, the media must match its SHA-256 exact hash, and the
+ * on-chain record for that hash must point at the post's metadata.
+ *
+ * @module post-verification
+ */
+
+import { ethers } from 'ethers';
+import {
+  CONTRACT_ABI,
+  chainFingerprint,
+  detectRepostOnChain,
+  DetectResult,
+  getContractAddress,
+  getLicenseOnChain,
+  getProvider,
+  hasLicenseOnChain,
+  getVideoOnChain,
+  normalizeHash
+} from './blockchain.js';
+import { retrieveFromIpfs } from './ipfs-storage.js';
+import { AssetLicense, DEFAULT_LICENSE, licenseFromChain } from './license.js';
+import { MetadataValidationError, parseMetadata, PostMetadata } from './post-metadata.js';
+import { Post } from './post-store.js';
+import { Derivation, derivationFromChain } from './provenance.js';
+
+/**
+ * Machine-readable verification failure reasons
+ */
+export type VerificationErrorCode =
+  | 'INVALID_REQUEST'            // Missing or malformed fields
+  | 'CHAIN_UNAVAILABLE'          // No RPC configured / RPC request failed
+  | 'TX_NOT_FOUND'               // No receipt for the transaction (unknown or still pending)
+  | 'TX_REVERTED'                // Transaction failed on-chain
+  | 'WRONG_CONTRACT'             // Transaction was sent to another contract
+  | 'WRONG_FUNCTION'             // Transaction did not call registerVideo(WithLicense/For) or registerDerivative
+  | 'EVENT_MISSING'              // No VideoRegistered event in the receipt
+  | 'EXACT_HASH_MISMATCH'        // Event exact hash differs from the claim
+  | 'CREATOR_MISMATCH'           // Event creator differs from the claimed wallet
+  | 'METADATA_CID_MISMATCH'      // Event metadata CID differs from the claim
+  | 'METADATA_UNAVAILABLE'       // Registered metadata could not be retrieved
+  | 'METADATA_INVALID'           // Registered metadata fails schema validation
+  | 'FINGERPRINT_MISMATCH'       // Registered metadata does not describe the registered hashes
+  | 'ORIGINAL_NOT_FOUND'         // Referenced original is not registered on-chain
+  | 'ORIGINAL_CREATOR_MISMATCH'  // Claimed original creator does not own the original
+  | 'REPOST_NOT_DETECTED';       // detectRepost does not match the upload to the original
+
+/**
+ * HTTP status per error code
+ */
+const STATUS_BY_CODE: Record<VerificationErrorCode, number> = {
+  INVALID_REQUEST: 400,
+  CHAIN_UNAVAILABLE: 503,
+  TX_NOT_FOUND: 404,
+  TX_REVERTED: 422,
+  WRONG_CONTRACT: 422,
+  WRONG_FUNCTION: 422,
+  EVENT_MISSING: 422,
+  EXACT_HASH_MISMATCH: 422,
+  CREATOR_MISMATCH: 422,
+  METADATA_CID_MISMATCH: 422,
+  METADATA_UNAVAILABLE: 503,
+  METADATA_INVALID: 422,
+  FINGERPRINT_MISMATCH: 422,
+  ORIGINAL_NOT_FOUND: 422,
+  ORIGINAL_CREATOR_MISMATCH: 422,
+  REPOST_NOT_DETECTED: 422
+};
+
+/**
+ * A rejected /register-post claim
+ */
+export class VerificationError extends Error {
+  readonly code: VerificationErrorCode;
+  readonly status: number;
+
+  constructor(code: VerificationErrorCode, message: string) {
+    super(message);
+    this.name = 'VerificationError';
+    this.code = code;
+    this.status = STATUS_BY_CODE[code];
+  }
+}
+
+/**
+ * Claimed on-chain registration of an original
+ */
+export interface OriginalClaim {
+  txHash: string;
+  exactHash: string;
+  walletAddress: string;
+  metadataCid: string;
+}
+
+/**
+ * Claimed repost of a registered original
+ */
+export interface RepostClaim {
+  exactHash: string;
+  perceptualHash?: string;       // Default "no_video"
+  audioHash?: string;            // Default "no_audio"
+  originalHash: string;
+  originalCreator?: string;
+  uploader?: string;             // Wallet posting the repost (checked for a purchased license)
+}
+
+/**
+ * On-chain data of a verified repost claim
+ */
+export interface VerifiedRepost {
+  originalCreator: string;
+  matchType: string;             // Layer detectRepost matched on (never the client's claim)
+  license: AssetLicense;         // The original's current license
+  licensePurchased: boolean;     // The uploader bought a reuse license of the original
+}
+
+/**
+ * Functions that register an original
+ */
+const REGISTRATION_FUNCTIONS = ['registerVideo', 'registerVideoWithLicense', 'registerVideoFor', 'registerDerivative'];
+
+/**
+ * On-chain data of a verified registration (taken from the receipt, not the client)
+ */
+export interface VerifiedRegistration {
+  txHash: string;
+  blockNumber: number;
+  contractAddress: string;
+  gasUsed: string;
+  creator: string;
+  license: AssetLicense;         // Set in the same transaction (all rights reserved if none)
+  derivation: Derivation | null; // Parent of a derivative work (registerDerivative)
+  fingerprints: RegisteredFingerprints;
+}
+
+/**
+ * Full fingerprints of a registered original (from its metadata document)
+ */
+export interface RegisteredFingerprints {
+  perceptualHash: string;
+  audioHash: string | null;
+  imageFingerprint: string | null;
+}
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const EXACT_HASH_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+function sameAddress(a: string, b: string): boolean {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read the fingerprints of a registration from the metadata it registered
+ *
+ * The contract stores digests of temporal video signatures and audio
+ * fingerprints (see chainFingerprint), so the full strings come from the
+ * metadata, which must describe the registered exact hash and digest to the
+ * registered fingerprints. Robust image fingerprints are not stored on-chain
+ * and are taken from the registered document as is.
+ */
+async function registeredFingerprints(
+  metadataCid: string,
+  event: { exactHash: string; perceptualHash: string; audioFingerprint: string }
+): Promise<RegisteredFingerprints> {
+  let metadata: PostMetadata;
+  try {
+    metadata = parseMetadata(await retrieveFromIpfs(metadataCid));
+  } catch (error) {
+    if (error instanceof MetadataValidationError) {
+      throw new VerificationError('METADATA_INVALID', `Registered metadata is invalid: ${error.errors.join('; ')}`);
+    }
+    throw new VerificationError('METADATA_UNAVAILABLE', `Cannot retrieve metadata ${metadataCid}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+
+  const { hashes, signature } = metadata.content;
+  if (!hashes.sha256 || normalizeHash(hashes.sha256).toLowerCase() !== event.exactHash.toLowerCase()) {
+    throw new VerificationError('FINGERPRINT_MISMATCH', 'Registered metadata does not describe the registered exact hash');
+  }
+  if (chainFingerprint(signature.perceptualHash ?? 'no_video') !== event.perceptualHash
+    || chainFingerprint(signature.audioHash ?? 'no_audio') !== event.audioFingerprint) {
+    throw new VerificationError('FINGERPRINT_MISMATCH', 'Registered metadata fingerprints do not match the registered ones');
+  }
+
+  return {
+    perceptualHash: signature.perceptualHash ?? 'no_video',
+    audioHash: signature.audioHash,
+    imageFingerprint: signature.imageFingerprint
+  };
+}
+
+function requireField(value: unknown, name: string, pattern?: RegExp): string {
+  if (typeof value !== 'string' || value.length === 0 || (pattern && !pattern.test(value))) {
+    throw new VerificationError('INVALID_REQUEST', `Missing or malformed ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Verify that a transaction registered the claimed original
+ *
+ * @param claim - Transaction hash plus the claimed exact hash, creator and metadata CID
+ * @returns Registration data read from the receipt
+ * @throws VerificationError if the transaction does not back the claim
+ *
+ * @example
+ * ```typescript
+ * const verified = await verifyOriginalClaim({
+ *   txHash: body.onChain?.txHash,
+ *   exactHash: body.exactHash,
+ *   walletAddress: body.walletAddress,
+ *   metadataCid: body.metadataCid
+ * });
+ * post.onChain = verified;
+ * ```
+ */
+export async function verifyOriginalClaim(claim: OriginalClaim): Promise<VerifiedRegistration> {
+  const txHash = requireField(claim.txHash, 'onChain.txHash', TX_HASH_PATTERN);
+  const exactHash = normalizeHash(requireField(claim.exactHash, 'exactHash', EXACT_HASH_PATTERN)).toLowerCase();
+  const walletAddress = requireField(claim.walletAddress, 'walletAddress');
+  const metadataCid = requireField(claim.metadataCid, 'metadataCid');
+
+  let contractAddress: string;
+  let receipt: ethers.TransactionReceipt | null;
+  let tx: ethers.TransactionResponse | null;
+  try {
+    contractAddress = getContractAddress();
+    const provider = getProvider();
+    [receipt, tx] = await Promise.all([
+      provider.getTransactionReceipt(txHash),
+      provider.getTransaction(txHash)
+    ]);
+  } catch (error) {
+    throw new VerificationError('CHAIN_UNAVAILABLE', `Cannot reach the blockchain: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+
+  if (!receipt || !tx) {
+    throw new VerificationError('TX_NOT_FOUND', `No confirmed transaction ${txHash}`);
+  }
+  if (receipt.status !== 1) {
+    throw new VerificationError('TX_REVERTED', `Transaction ${txHash} reverted`);
+  }
+  if (!receipt.to || !sameAddress(receipt.to, contractAddress)) {
+    throw new VerificationError('WRONG_CONTRACT', `Transaction ${txHash} was not sent to the VideoGuard contract`);
+  }
+
+  const iface = new ethers.Interface(CONTRACT_ABI);
+  const call = iface.parseTransaction({ data: tx.data, value: tx.value });
+  if (!call || !REGISTRATION_FUNCTIONS.includes(call.name)) {
+    throw new VerificationError('WRONG_FUNCTION', `Transaction ${txHash} did not call ${REGISTRATION_FUNCTIONS.join(', ')}`);
+  }
+
+  const events = receipt.logs
+    .filter(log => sameAddress(log.address, contractAddress))
+    .map(log => {
+      try {
+        return iface.parseLog({ topics: [...log.topics], data: log.data });
+      } catch {
+        return null;
+      }
+    });
+  const event = events.find(parsed => parsed?.name === 'VideoRegistered');
+  const licenseEvent = events.find(parsed => parsed?.name === 'LicenseSet');
+  const derivativeEvent = events.find(parsed => parsed?.name === 'DerivativeRegistered');
+
+  if (!event) {
+    throw new VerificationError('EVENT_MISSING', `Transaction ${txHash} emitted no VideoRegistered event`);
+  }
+  if (String(event.args.exactHash).toLowerCase() !== exactHash) {
+    throw new VerificationError('EXACT_HASH_MISMATCH', 'Registered exact hash does not match the claimed exactHash');
+  }
+  if (!sameAddress(event.args.creator, walletAddress)) {
+    throw new VerificationError('CREATOR_MISMATCH', `Asset was registered by ${event.args.creator}, not ${walletAddress}`);
+  }
+  if (event.args.ipfsHash !== metadataCid) {
+    throw new VerificationError('METADATA_CID_MISMATCH', 'Registered metadata CID does not match the claimed metadataCid');
+  }
+
+  const fingerprints = await registeredFingerprints(metadataCid, {
+    exactHash,
+    perceptualHash: event.args.perceptualHash,
+    audioFingerprint: event.args.audioFingerprint
+  });
+
+  return {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    contractAddress,
+    gasUsed: receipt.gasUsed.toString(),
+    creator: event.args.creator,
+    license: licenseEvent
+      ? licenseFromChain(licenseEvent.args.licenseType, licenseEvent.args.termsCid)
+      : DEFAULT_LICENSE,
+    derivation: derivativeEvent
+      ? derivationFromChain(derivativeEvent.args.parentHash, derivativeEvent.args.derivativeType)
+      : null,
+    fingerprints
+  };
+}
+
+/**
+ * Verify that a repost references a registered original
+ *
+ * The match type is what the contract's detectRepost reports for the
+ * upload's hashes, never the client's claim: licenses may only allow exact
+ * copies, so a modified copy must not pass as an EXACT_DUPLICATE.
+ *
+ * @param claim - Repost hashes, referenced original hash, claimed original creator and uploader
+ * @returns The original's on-chain creator and license, the detected match type,
+ *          and whether the uploader bought a license
+ * @throws VerificationError if the original is unknown or owned by someone else, or
+ *         detectRepost does not match the upload to it
+ */
+export async function verifyRepostClaim(claim: RepostClaim): Promise<VerifiedRepost> {
+  const exactHash = requireField(claim.exactHash, 'exactHash', EXACT_HASH_PATTERN);
+  const originalHash = requireField(claim.originalHash, 'repost.originalHash', EXACT_HASH_PATTERN);
+
+  let original;
+  let detected: DetectResult;
+  let license: AssetLicense;
+  let licensePurchased: boolean;
+  try {
+    [original, detected, license, licensePurchased] = await Promise.all([
+      getVideoOnChain(originalHash),
+      detectRepostOnChain(exactHash, claim.perceptualHash || 'no_video', claim.audioHash || 'no_audio'),
+      getLicenseOnChain(originalHash),
+      claim.uploader ? hasLicenseOnChain(originalHash, claim.uploader) : Promise.resolve(false)
+    ]);
+  } catch (error) {
+    throw new VerificationError('CHAIN_UNAVAILABLE', `Cannot reach the blockchain: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+
+  if (!original) {
+    throw new VerificationError('ORIGINAL_NOT_FOUND', `Original ${originalHash.substring(0, 18)}... is not registered on-chain`);
+  }
+  if (claim.originalCreator && !sameAddress(original.creator, claim.originalCreator)) {
+    throw new VerificationError('ORIGINAL_CREATOR_MISMATCH', `Original is owned by ${original.creator}, not ${claim.originalCreator}`);
+  }
+  if (!detected.isDuplicate || normalizeHash(detected.originalHash).toLowerCase() !== normalizeHash(originalHash).toLowerCase()) {
+    throw new VerificationError('REPOST_NOT_DETECTED', `detectRepost does not match this upload to ${originalHash.substring(0, 18)}...`);
+  }
+
+  return { originalCreator: original.creator, matchType: detected.matchType, license, licensePurchased };
+}
+
+/**
+ * Outcome of one integrity check
+ */
+export interface ContentCheck {
+  ok: boolean;
+  error?: string;
+}
+
+/**
+ * Integrity report for a stored post
+ */
+export interface PostContentReport {
+  verified: boolean;
+  signedByCreator: boolean;          // Metadata carries a valid EIP-712 signature by the post's wallet
+  checks: {
+    metadata: ContentCheck;          // Metadata JSON hashes to metadataCid and references mediaCid
+    media: ContentCheck;             // Media hashes to mediaCid and to exactHash
+    onChain: ContentCheck | null;    // Chain record for exactHash points at metadataCid (originals only)
+  };
+}
+
+async function runCheck(check: () => Promise<void>): Promise<ContentCheck> {
+  try {
+    await check();
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error instanceof Error ? error.message : 'Unknown error' };
+  }
+}
+
+/**
+ * Re-verify a post's content against its CIDs and the chain
+ *
+ * @param post - Stored post
+ * @returns Per-check results; `verified` only if every applicable check passed
+ *
+ * @example
+ * ```typescript
+ * const report = await verifyPostContent(post);
+ * if (!report.verified) console.warn(report.checks);
+ * ```
+ */
+export async function verifyPostContent(post: Post): Promise<PostContentReport> {
+  let signedByCreator = false;
+  const metadata = await runCheck(async () => {
+    // Rejects documents whose creator signature does not verify
+    const document = parseMetadata(await retrieveFromIpfs(post.metadataCid));
+    signedByCreator = !!document.authorship && sameAddress(document.creator.address, post.walletAddress);
+    if (document.content.cid !== post.mediaCid) {
+      throw new Error(`Metadata references media ${document.content.cid}, post has ${post.mediaCid}`);
+    }
+    const sha256 = document.content.hashes.sha256;
+    if (sha256 && sha256 !== post.exactHash.replace(/^0x/, '').toLowerCase()) {
+      throw new Error(`Metadata records exact hash ${sha256}, post has ${post.exactHash}`);
+    }
+  });
+
+  const media = await runCheck(async () => {
+    await retrieveFromIpfs(post.mediaCid, post.exactHash);
+  });
+
+  const onChain = post.status !== 'ORIGINAL' ? null : await runCheck(async () => {
+    const record = await getVideoOnChain(post.exactHash);
+    if (!record) {
+      throw new Error('Exact hash is not registered on-chain');
+    }
+    if (record.ipfsHash !== post.metadataCid) {
+      throw new Error(`On-chain record points at metadata ${record.ipfsHash}`);
+    }
+    if (!sameAddress(record.creator, post.walletAddress)) {
+      throw new Error(`On-chain creator is ${record.creator}`);
+    }
+  });
+
+  return {
+    verified: metadata.ok && media.ok && (onChain?.ok ?? true),
+    signedByCreator,
+    checks: { metadata, media, onChain }
+  };
+}
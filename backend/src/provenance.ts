@@ -0,0 +1,236 @@
+/**
+ * Provenance Module - Derivative works and their lineage
+ *
+ * Remixes, reactions and edits can be registered on-chain with
+ * registerDerivative, which records the work they derive from (the parent).
+ * The contract keeps the parent/child links, the chain indexer copies them
+ * to the post store (parentHash / derivativeType), and buildLineage walks
+ * the resulting graph for GET /assets/:hash/lineage:
+ * - ancestors: parent, grandparent, ... up to the root original
+ * - derivatives: the tree of works derived from the asset
+ *
+ * The graph cannot contain cycles on-chain (a parent must be registered
+ * before its derivatives), but walks are still bounded in depth and size.
+ *
+ * @module provenance
+ */
+
+import { Post, PostRepository } from './post-store.js';
+
+/**
+ * Derivative types in the order of VideoGuard.DerivativeType (the on-chain value is the index)
+ */
+export const DERIVATIVE_TYPES = ['REMIX', 'REACTION', 'EDIT'] as const;
+
+export type DerivativeType = typeof DERIVATIVE_TYPES[number];
+
+/**
+ * Parent link of a derivative work
+ */
+export interface Derivation {
+  parentHash: string;            // Exact hash of the parent (hex, no 0x prefix)
+  derivativeType: DerivativeType;
+}
+
+/**
+ * A derivative type the contract would not accept
+ */
+export class DerivationValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DerivationValidationError';
+  }
+}
+
+/**
+ * Validate a client-supplied derivative type
+ *
+ * @param type - Derivative type name (missing: not a derivative)
+ * @returns The type, or null for uploads that are not derivatives
+ * @throws DerivationValidationError for unknown types
+ */
+export function parseDerivativeType(type: unknown): DerivativeType | null {
+  if (type === undefined || type === null || type === '') {
+    return null;
+  }
+  if (typeof type !== 'string' || !(DERIVATIVE_TYPES as readonly string[]).includes(type)) {
+    throw new DerivationValidationError(`Unknown derivative type: ${String(type)}`);
+  }
+  return type as DerivativeType;
+}
+
+/**
+ * Convert a contract Derivation (or DerivativeRegistered event values)
+ *
+ * @param parentHash - Parent exact hash (0x bytes32; ZeroHash when not a derivative)
+ * @param derivativeType - VideoGuard.DerivativeType value
+ * @returns The derivation, or null for works that are not derivatives
+ */
+export function derivationFromChain(parentHash: string, derivativeType: number | bigint): Derivation | null {
+  if (/^(0x)?0{64}$/.test(parentHash)) {
+    return null;
+  }
+  const type = DERIVATIVE_TYPES[Number(derivativeType)];
+  if (!type) {
+    throw new Error(`Unknown on-chain derivative type ${derivativeType}`);
+  }
+  return { parentHash: normalizeExactHash(parentHash), derivativeType: type };
+}
+
+/**
+ * VideoGuard.DerivativeType value of a derivative type
+ */
+export function derivativeTypeToChain(type: DerivativeType): number {
+  return DERIVATIVE_TYPES.indexOf(type);
+}
+
+/**
+ * Exact hash as stored on posts (lowercase hex, no 0x prefix)
+ */
+export function normalizeExactHash(hash: string): string {
+  return hash.replace(/^0x/, '').toLowerCase();
+}
+
+/**
+ * A work in a lineage
+ */
+export interface LineageNode {
+  exactHash: string;
+  postId: string;
+  creator: string;               // Owning wallet
+  caption?: string;
+  assetType: string;
+  mediaGatewayUrl: string;
+  derivativeType?: DerivativeType; // How it derives from its parent (absent for root originals)
+  timestamp: string;
+}
+
+/**
+ * A work and the works derived from it
+ */
+export interface LineageTree extends LineageNode {
+  derivatives: LineageTree[];    // Newest first
+}
+
+/**
+ * Provenance graph around one work
+ */
+export interface Lineage {
+  asset: LineageNode;
+  ancestors: LineageNode[];      // Parent first, root original last
+  derivatives: LineageTree[];    // Newest first
+  truncated: boolean;            // A depth or size limit cut the walk short
+}
+
+/**
+ * Limits of a lineage walk
+ */
+export interface LineageOptions {
+  maxDepth?: number;             // Generations walked in each direction (default 10)
+  maxDerivatives?: number;       // Derivatives returned in total (default 200)
+}
+
+function toNode(post: Post): LineageNode {
+  return {
+    exactHash: normalizeExactHash(post.exactHash),
+    postId: post.id,
+    creator: post.walletAddress,
+    ...(post.caption !== undefined && { caption: post.caption }),
+    assetType: post.assetType,
+    mediaGatewayUrl: post.mediaGatewayUrl,
+    ...(post.derivativeType && { derivativeType: post.derivativeType }),
+    timestamp: post.timestamp
+  };
+}
+
+/**
+ * Registered (ORIGINAL) post of an exact hash
+ * (a revoked registration only if the work was not registered again)
+ */
+async function findWork(posts: PostRepository, exactHash: string): Promise<Post | null> {
+  const works = await posts.list({ exactHash: normalizeExactHash(exactHash), status: 'ORIGINAL' });
+  return works.find(post => !post.revoked) ?? works[0] ?? null;
+}
+
+/**
+ * Walk the provenance graph of a registered work
+ *
+ * @param posts - Post store (derivatives carry parentHash / derivativeType)
+ * @param exactHash - Exact hash of the work (with or without 0x prefix)
+ * @param options - Walk limits
+ * @returns The lineage, or null if no registered post has this exact hash
+ *
+ * @example
+ * ```typescript
+ * const lineage = await buildLineage(postStore, req.params.hash);
+ * const root = lineage?.ancestors.at(-1) ?? lineage?.asset;
+ * ```
+ */
+export async function buildLineage(
+  posts: PostRepository,
+  exactHash: string,
+  options: LineageOptions = {}
+): Promise<Lineage | null> {
+  const { maxDepth = 10, maxDerivatives = 200 } = options;
+
+  const work = await findWork(posts, exactHash);
+  if (!work) {
+    return null;
+  }
+
+  const seen = new Set([normalizeExactHash(work.exactHash)]);
+  let truncated = false;
+
+  // Ancestors: follow parent links towards the root original
+  const ancestors: LineageNode[] = [];
+  let current = work;
+  while (current.parentHash && !seen.has(current.parentHash)) {
+    if (ancestors.length === maxDepth) {
+      truncated = true;
+      break;
+    }
+    const parent = await findWork(posts, current.parentHash);
+    if (!parent) {
+      break;
+    }
+    seen.add(current.parentHash);
+    ancestors.push(toNode(parent));
+    current = parent;
+  }
+
+  // Derivatives: breadth-first, so a size limit keeps the closest generations
+  let remaining = maxDerivatives;
+  const root: LineageTree = { ...toNode(work), derivatives: [] };
+  let generation = [root];
+  for (let depth = 0; depth < maxDepth && generation.length > 0; depth++) {
+    const next: LineageTree[] = [];
+    for (const node of generation) {
+      for (const child of await posts.list({ parentHash: node.exactHash, status: 'ORIGINAL' })) {
+        const hash = normalizeExactHash(child.exactHash);
+        if (seen.has(hash)) {
+          continue;
+        }
+        if (remaining === 0) {
+          truncated = true;
+          break;
+        }
+        seen.add(hash);
+        remaining--;
+        const tree: LineageTree = { ...toNode(child), derivatives: [] };
+        node.derivatives.push(tree);
+        next.push(tree);
+      }
+    }
+    generation = next;
+  }
+  // Children of the last generation walked are beyond maxDepth
+  for (const node of generation) {
+    if ((await posts.list({ parentHash: node.exactHash, status: 'ORIGINAL' })).length > 0) {
+      truncated = true;
+      break;
+    }
+  }
+
+  const { derivatives, ...asset } = root;
+  return { asset, ancestors, derivatives, truncated };
+}
@@ -0,0 +1,232 @@
+/**
+ * Relayer Module - Gasless registrations paid by the platform
+ *
+ * registerVideo makes whoever sends the transaction the owner, so creators
+ * needed MATIC and a wallet popup (frontend mode), or the backend wallet
+ * ended up owning every post (backend mode). With VideoGuard's
+ * registerVideoFor, the creator only signs an EIP-712 RegisterVideo message
+ * and the relayer submits it from the backend wallet:
+ *
+ * 1. prepare() returns the typed data to sign (current contract nonce, short deadline)
+ * 2. relay() checks the signature, that the asset is not registered yet and
+ *    the creator's hourly quota, then submits registerVideoFor through the
+ *    transaction manager
+ *
+ * Derivative works are signed as RegisterDerivative and sent with
+ * registerDerivativeFor, which makes the creator (not the backend wallet)
+ * the one who must be allowed to adapt the parent.
+ *
+ * The contract re-verifies everything; the checks here only keep the
+ * backend wallet from paying for transactions that would revert.
+ *
+ * @module relayer
+ */
+
+import { ethers } from 'ethers';
+import {
+  canDeriveFromOnChain,
+  getRegistrationTypedData,
+  getVideoOnChain,
+  normalizeHash,
+  registerVideoForCall,
+  RegistrationParams,
+  RegistrationTypedData
+} from './blockchain.js';
+import { DERIVATIVE_TYPES } from './provenance.js';
+import { TrackedTransaction, TransactionManager } from './tx-manager.js';
+
+/**
+ * Machine-readable relay failure reasons
+ */
+export type RelayErrorCode =
+  | 'INVALID_REQUEST'            // Missing or malformed fields
+  | 'SIGNATURE_EXPIRED'          // Deadline has passed
+  | 'INVALID_SIGNATURE'          // Not signed by the creator (or for a stale nonce)
+  | 'ALREADY_REGISTERED'         // Exact hash registered or being registered
+  | 'DERIVATIVE_NOT_PERMITTED'   // Creator may not adapt the parent
+  | 'RATE_LIMITED'               // Creator used up the hourly quota
+  | 'CHAIN_UNAVAILABLE';         // RPC request failed
+
+const STATUS_BY_CODE: Record<RelayErrorCode, number> = {
+  INVALID_REQUEST: 400,
+  SIGNATURE_EXPIRED: 400,
+  INVALID_SIGNATURE: 400,
+  ALREADY_REGISTERED: 409,
+  DERIVATIVE_NOT_PERMITTED: 403,
+  RATE_LIMITED: 429,
+  CHAIN_UNAVAILABLE: 503
+};
+
+/**
+ * A registration the relayer refused to send
+ */
+export class RelayError extends Error {
+  readonly code: RelayErrorCode;
+  readonly status: number;
+
+  constructor(code: RelayErrorCode, message: string) {
+    super(message);
+    this.name = 'RelayError';
+    this.code = code;
+    this.status = STATUS_BY_CODE[code];
+  }
+}
+
+/**
+ * Relayer configuration
+ */
+export interface RelayerOptions {
+  maxPerHour?: number;           // Relayed registrations per creator per hour (default 10)
+  signatureTtlSeconds?: number;  // Deadline of prepared payloads (default 600)
+}
+
+const EXACT_HASH_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+const SIGNATURE_PATTERN = /^0x[0-9a-fA-F]{130}$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+function checkParams(params: RegistrationParams): void {
+  if (!ethers.isAddress(params.creator)) {
+    throw new RelayError('INVALID_REQUEST', 'Missing or malformed creator');
+  }
+  if (typeof params.exactHash !== 'string' || !EXACT_HASH_PATTERN.test(params.exactHash)) {
+    throw new RelayError('INVALID_REQUEST', 'Missing or malformed exactHash');
+  }
+  for (const field of ['perceptualHash', 'audioHash', 'ipfsCid'] as const) {
+    if (typeof params[field] !== 'string' || params[field].length === 0) {
+      throw new RelayError('INVALID_REQUEST', `Missing or malformed ${field}`);
+    }
+  }
+  if (params.derivation !== undefined) {
+    const { parentHash, derivativeType } = params.derivation;
+    if (typeof parentHash !== 'string' || !EXACT_HASH_PATTERN.test(parentHash)) {
+      throw new RelayError('INVALID_REQUEST', 'Missing or malformed derivation parentHash');
+    }
+    if (!DERIVATIVE_TYPES.includes(derivativeType)) {
+      throw new RelayError('INVALID_REQUEST', 'Missing or malformed derivation derivativeType');
+    }
+  }
+}
+
+/**
+ * Submits creator-signed registrations from the backend wallet
+ *
+ * @example
+ * ```typescript
+ * const relayer = new RegistrationRelayer(transactions, { maxPerHour: 10 });
+ * const typedData = await relayer.prepare(params);
+ * // ... creator signs typedData in their wallet ...
+ * const tx = await relayer.relay(params, typedData.message.deadline, signature);
+ * const receipt = await transactions.wait(tx.id);
+ * ```
+ */
+export class RegistrationRelayer {
+  private readonly options: Required<RelayerOptions>;
+  private readonly sent = new Map<string, number[]>();    // creator -> send times
+  private readonly inFlight = new Set<string>();          // exact hashes being registered
+
+  constructor(private readonly transactions: TransactionManager, options: RelayerOptions = {}) {
+    this.options = {
+      maxPerHour: 10,
+      signatureTtlSeconds: 600,
+      ...options
+    };
+  }
+
+  /**
+   * Typed data for the creator to sign
+   *
+   * @param params - Creator and asset to register
+   * @returns EIP-712 payload with the creator's current nonce
+   * @throws RelayError for malformed fields or when the chain cannot be reached
+   */
+  async prepare(params: RegistrationParams): Promise<RegistrationTypedData> {
+    checkParams(params);
+    const deadline = Math.floor(Date.now() / 1000) + this.options.signatureTtlSeconds;
+
+    try {
+      return await getRegistrationTypedData(params, deadline);
+    } catch (error) {
+      throw new RelayError('CHAIN_UNAVAILABLE', error instanceof Error ? error.message : 'Unknown error');
+    }
+  }
+
+  /**
+   * Check and send a signed registration
+   *
+   * @param params - Signed registration fields
+   * @param deadline - Deadline the creator signed
+   * @param signature - Creator's EIP-712 signature
+   * @param reference - Owner of the transaction (e.g. the post it registers)
+   * @returns The pending registerVideoFor (or registerDerivativeFor) transaction (see TransactionManager.wait)
+   * @throws RelayError if the registration would not succeed; Error if the transaction cannot be sent
+   */
+  async relay(
+    params: RegistrationParams,
+    deadline: number,
+    signature: string,
+    reference: string | null = null
+  ): Promise<TrackedTransaction> {
+    checkParams(params);
+    if (!Number.isSafeInteger(deadline) || typeof signature !== 'string' || !SIGNATURE_PATTERN.test(signature)) {
+      throw new RelayError('INVALID_REQUEST', 'Missing or malformed deadline or signature');
+    }
+    if (deadline < Date.now() / 1000) {
+      throw new RelayError('SIGNATURE_EXPIRED', 'Registration signature has expired, sign again');
+    }
+
+    let typedData: RegistrationTypedData;
+    let existing;
+    let mayDerive = true;
+    try {
+      [typedData, existing, mayDerive] = await Promise.all([
+        getRegistrationTypedData(params, deadline),
+        getVideoOnChain(params.exactHash),
+        params.derivation ? canDeriveFromOnChain(params.derivation.parentHash, params.creator) : true
+      ]);
+    } catch (error) {
+      throw new RelayError('CHAIN_UNAVAILABLE', error instanceof Error ? error.message : 'Unknown error');
+    }
+
+    let signer: string | null = null;
+    try {
+      signer = ethers.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+    } catch {
+      // Malformed signature
+    }
+    if (!signer || signer.toLowerCase() !== params.creator.toLowerCase()) {
+      throw new RelayError('INVALID_SIGNATURE', `Registration was not signed by ${params.creator} for nonce ${typedData.message.nonce}`);
+    }
+
+    const exactHash = normalizeHash(params.exactHash).toLowerCase();
+    if (existing || this.inFlight.has(exactHash)) {
+      throw new RelayError('ALREADY_REGISTERED', `Asset ${exactHash.substring(0, 18)}... is already registered`);
+    }
+    if (!mayDerive) {
+      throw new RelayError('DERIVATIVE_NOT_PERMITTED', `${params.creator} may not register derivatives of ${params.derivation!.parentHash.substring(0, 18)}...`);
+    }
+
+    const creator = params.creator.toLowerCase();
+    const now = Date.now();
+    const recent = (this.sent.get(creator) ?? []).filter(time => now - time < HOUR_MS);
+    if (recent.length >= this.options.maxPerHour) {
+      throw new RelayError('RATE_LIMITED', `At most ${this.options.maxPerHour} gasless registrations per hour`);
+    }
+    recent.push(now);
+    this.sent.set(creator, recent);
+
+    this.inFlight.add(exactHash);
+    let tx: TrackedTransaction;
+    try {
+      tx = await this.transactions.submit(registerVideoForCall(params, deadline, signature), reference);
+    } catch (error) {
+      this.inFlight.delete(exactHash);
+      throw error;
+    }
+
+    // Until mined, a second relay of the same asset would only revert
+    this.transactions.wait(tx.id)
+      .catch(() => undefined)
+      .finally(() => this.inFlight.delete(exactHash));
+    return tx;
+  }
+}
@@ -0,0 +1,410 @@
+/**
+ * Similarity Index Module - Off-chain fuzzy repost detection
+ *
+ * The VideoGuard contract can only find a VISUAL_MATCH or AUDIO_MATCH when
+ * the stored hash string is byte-for-byte identical. This module keeps an
+ * in-process index of registered originals so near-duplicates are found
+ * before the backend decides between REPOST_DETECTED and ORIGINAL.
+ *
+ * Index structure:
+ * - Every 64-bit dHash (image hash, or each frame of a "tv1:" video
+ *   signature) is stored in a BK-tree keyed by Hamming distance, so a
+ *   threshold query only visits a small part of the tree.
+ * - Candidates are then scored: multi-frame signatures with the temporal
+ *   subsequence alignment, single frames by bit similarity. A single frame
+ *   aligns with at most one frame of a multi-frame signature, so it never
+ *   reaches minVideoSimilarity against a video.
+ * - Robust image fingerprints ("if1:...") put every region pHash (plain
+ *   and mirrored) in a second BK-tree; candidates are scored over their
+ *   best-matching region, so flipped, cropped or watermarked copies match.
+ * - Audio fingerprints ("cp1:...") are compared by bit error rate.
+ * - Text SimHashes ("ts1:...", text posts and PDFs) live in their own
+ *   BK-tree, searched with the radius implied by minTextSimilarity.
+ * - An upload whose exact hash is indexed is reported as an EXACT_DUPLICATE,
+ *   ranked above every near-duplicate.
+ *
+ * @module similarity-index
+ */
+
+import HashEngine from './hash-engine.js';
+import { decodeTemporalSignature } from './video-fingerprint.js';
+import { decodeImageFingerprint } from './image-fingerprint.js';
+import { decodeTextFingerprint } from './text-fingerprint.js';
+
+/**
+ * Registered original as stored in the index
+ */
+export interface IndexedAsset {
+  exactHash: string;
+  perceptualHash: string;
+  audioHash: string | null;
+  imageFingerprint?: string | null;
+  creator: string;
+  metadataCid: string;
+  assetType: string;
+}
+
+/**
+ * Hashes of an upload looked up in the index
+ */
+export type SimilarityQuery = Pick<IndexedAsset, 'perceptualHash' | 'audioHash' | 'imageFingerprint'> & {
+  exactHash?: string;             // Reported as an EXACT_DUPLICATE if indexed
+};
+
+/**
+ * Near-duplicate found in the index
+ */
+export interface SimilarityMatch {
+  exactHash: string;
+  creator: string;
+  metadataCid: string;
+  assetType: string;
+  matchType: 'EXACT_DUPLICATE' | 'VISUAL_MATCH' | 'AUDIO_MATCH' | 'TEXT_MATCH';
+  similarity: number;     // Percentage (0-100), 2 decimal places
+}
+
+/**
+ * Matching thresholds
+ */
+export interface SimilarityIndexOptions {
+  hammingThreshold?: number;      // Max bits differing for two frames to be candidates (default 10)
+  minVideoSimilarity?: number;    // Min % of aligned frames for a video match (default 60)
+  minAudioSimilarity?: number;    // Min % audio bit agreement for an audio match (default 85)
+  minTextSimilarity?: number;     // Min % SimHash bit agreement for a text match (default 85)
+  maxResults?: number;            // Nearest matches returned (default 5)
+}
+
+/**
+ * Hash values that mean "this layer does not apply" and must never match
+ */
+const SENTINEL_HASHES = new Set(['no_video', 'no_audio', '']);
+
+interface BKNode {
+  hash: string;
+  assets: Set<string>;
+  children: Map<number, BKNode>;
+}
+
+/**
+ * Burkhard-Keller tree over 64-bit binary hash strings
+ */
+class BKTree {
+  private root: BKNode | null = null;
+
+  add(hash: string, exactHash: string): void {
+    if (!this.root) {
+      this.root = { hash, assets: new Set([exactHash]), children: new Map() };
+      return;
+    }
+
+    let node = this.root;
+    for (;;) {
+      const distance = HashEngine.hammingDistance(hash, node.hash);
+      if (distance === 0) {
+        node.assets.add(exactHash);
+        return;
+      }
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { hash, assets: new Set([exactHash]), children: new Map() });
+        return;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * Collect every stored hash within maxDistance of the query
+   */
+  search(hash: string, maxDistance: number): BKNode[] {
+    const found: BKNode[] = [];
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop()!;
+      const distance = HashEngine.hammingDistance(hash, node.hash);
+      if (distance <= maxDistance) {
+        found.push(node);
+      }
+      // Triangle inequality: only children in [d - max, d + max] can match
+      for (const [edge, child] of node.children) {
+        if (edge >= distance - maxDistance && edge <= distance + maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Detach an asset from a stored hash (the node stays to keep the tree searchable)
+   */
+  remove(hash: string, exactHash: string): void {
+    let node = this.root;
+    while (node) {
+      const distance = HashEngine.hammingDistance(hash, node.hash);
+      if (distance === 0) {
+        node.assets.delete(exactHash);
+        return;
+      }
+      node = node.children.get(distance) ?? null;
+    }
+  }
+}
+
+/**
+ * Split a perceptual hash into its 64-bit frame hashes
+ * (a "tv1:" signature yields one per frame, a plain dHash yields itself)
+ */
+function toFrames(perceptualHash: string): string[] {
+  if (SENTINEL_HASHES.has(perceptualHash)) {
+    return [];
+  }
+  const frames = decodeTemporalSignature(perceptualHash);
+  if (frames) {
+    return frames;
+  }
+  return /^[01]{64}$/.test(perceptualHash) ? [perceptualHash] : [];
+}
+
+/**
+ * In-memory similarity index of registered originals
+ *
+ * @example
+ * ```typescript
+ * const index = new SimilarityIndex({ hammingThreshold: 8 });
+ * index.add({ exactHash, perceptualHash, audioHash, imageFingerprint, creator, metadataCid, assetType });
+ *
+ * const matches = index.findMatches(upload);
+ * // [{ exactHash: "...", creator: "0x...", matchType: "VISUAL_MATCH", similarity: 93.75, ... }]
+ * ```
+ */
+export class SimilarityIndex {
+  private readonly tree = new BKTree();
+  private readonly imageTree = new BKTree();
+  private readonly textTree = new BKTree();
+  private readonly assets = new Map<string, IndexedAsset>();
+  private readonly options: Required<SimilarityIndexOptions>;
+
+  constructor(options: SimilarityIndexOptions = {}) {
+    this.options = {
+      hammingThreshold: options.hammingThreshold ?? 10,
+      minVideoSimilarity: options.minVideoSimilarity ?? 60,
+      minAudioSimilarity: options.minAudioSimilarity ?? 85,
+      minTextSimilarity: options.minTextSimilarity ?? 85,
+      maxResults: options.maxResults ?? 5
+    };
+  }
+
+  /**
+   * Number of indexed assets
+   */
+  get size(): number {
+    return this.assets.size;
+  }
+
+  /**
+   * Indexed asset with an exact hash
+   */
+  get(exactHash: string): IndexedAsset | undefined {
+    return this.assets.get(exactHash);
+  }
+
+  /**
+   * Add a registered original to the index (no-op if already present)
+   */
+  add(asset: IndexedAsset): void {
+    if (!asset.exactHash || this.assets.has(asset.exactHash)) {
+      return;
+    }
+
+    this.assets.set(asset.exactHash, asset);
+    for (const frame of toFrames(asset.perceptualHash)) {
+      this.tree.add(frame, asset.exactHash);
+    }
+
+    const fingerprint = asset.imageFingerprint ? decodeImageFingerprint(asset.imageFingerprint) : null;
+    if (fingerprint) {
+      for (const hash of [...fingerprint.regions, ...fingerprint.mirrored]) {
+        this.imageTree.add(hash, asset.exactHash);
+      }
+    }
+
+    const simHash = decodeTextFingerprint(asset.perceptualHash);
+    if (simHash) {
+      this.textTree.add(simHash, asset.exactHash);
+    }
+  }
+
+  /**
+   * Remove an asset from the index (e.g. when its registration is revoked)
+   */
+  remove(exactHash: string): void {
+    const asset = this.assets.get(exactHash);
+    if (!asset) {
+      return;
+    }
+
+    this.assets.delete(exactHash);
+    for (const frame of toFrames(asset.perceptualHash)) {
+      this.tree.remove(frame, exactHash);
+    }
+
+    const fingerprint = asset.imageFingerprint ? decodeImageFingerprint(asset.imageFingerprint) : null;
+    if (fingerprint) {
+      for (const hash of [...fingerprint.regions, ...fingerprint.mirrored]) {
+        this.imageTree.remove(hash, exactHash);
+      }
+    }
+
+    const simHash = decodeTextFingerprint(asset.perceptualHash);
+    if (simHash) {
+      this.textTree.remove(simHash, exactHash);
+    }
+  }
+
+  /**
+   * Find registered originals that are near-duplicates of an upload
+   *
+   * @param query - Upload's exact hash, dHash, "tv1:" or "ts1:" hash (or
+   *   "no_video"), "cp1:" audio fingerprint (or "no_audio") and, for images,
+   *   "if1:" fingerprint
+   * @returns The indexed identical asset (if any), then matches sorted by
+   *   similarity (highest first), at most maxResults
+   */
+  findMatches(query: SimilarityQuery): SimilarityMatch[] {
+    const { exactHash: queryExactHash, perceptualHash, audioHash, imageFingerprint } = query;
+    const matches = new Map<string, SimilarityMatch>();
+    const keep = (match: SimilarityMatch): void => {
+      const existing = matches.get(match.exactHash);
+      if (!existing || match.similarity > existing.similarity) {
+        matches.set(match.exactHash, match);
+      }
+    };
+
+    // Exact layer: the same file is reported as such, not as its own near-duplicate
+    const identical = queryExactHash ? this.assets.get(queryExactHash) : undefined;
+    const exact: SimilarityMatch[] = identical
+      ? [{
+          exactHash: identical.exactHash,
+          creator: identical.creator,
+          metadataCid: identical.metadataCid,
+          assetType: identical.assetType,
+          matchType: 'EXACT_DUPLICATE',
+          similarity: 100
+        }]
+      : [];
+
+    // Visual layer: BK-tree candidates, then score each candidate
+    const queryFrames = toFrames(perceptualHash);
+    const candidates = new Map<string, number>();   // exactHash -> best single-frame distance
+    for (const frame of queryFrames) {
+      for (const node of this.tree.search(frame, this.options.hammingThreshold)) {
+        const distance = HashEngine.hammingDistance(frame, node.hash);
+        for (const exactHash of node.assets) {
+          candidates.set(exactHash, Math.min(distance, candidates.get(exactHash) ?? Infinity));
+        }
+      }
+    }
+
+    for (const [exactHash, bestDistance] of candidates) {
+      if (exactHash === queryExactHash) continue;
+      const asset = this.assets.get(exactHash)!;
+      const candidateFrames = toFrames(asset.perceptualHash);
+
+      let similarity: number;
+      if (queryFrames.length > 1 && candidateFrames.length > 1) {
+        similarity = HashEngine.compareVideoSignatures(perceptualHash, asset.perceptualHash).similarity;
+        if (similarity < this.options.minVideoSimilarity) continue;
+      } else {
+        // A single frame aligns with one frame of the longer signature at most
+        const alignedFrames = 100 / Math.max(queryFrames.length, candidateFrames.length);
+        if (alignedFrames < this.options.minVideoSimilarity) continue;
+        similarity = Math.round(((64 - bestDistance) / 64) * 10000) / 100;
+      }
+
+      keep({
+        exactHash,
+        creator: asset.creator,
+        metadataCid: asset.metadataCid,
+        assetType: asset.assetType,
+        matchType: 'VISUAL_MATCH',
+        similarity
+      });
+    }
+
+    // Robust image layer: any region within threshold makes a candidate,
+    // which is then scored over its best-matching region
+    const queryImage = imageFingerprint ? decodeImageFingerprint(imageFingerprint) : null;
+    if (queryImage) {
+      const minImageSimilarity = ((64 - this.options.hammingThreshold) / 64) * 100;
+      const imageCandidates = new Set<string>();
+      for (const hash of queryImage.regions) {
+        for (const node of this.imageTree.search(hash, this.options.hammingThreshold)) {
+          node.assets.forEach(exactHash => imageCandidates.add(exactHash));
+        }
+      }
+
+      for (const exactHash of imageCandidates) {
+        if (exactHash === queryExactHash) continue;
+        const asset = this.assets.get(exactHash)!;
+        const { similarity } = HashEngine.compareImageFingerprints(imageFingerprint!, asset.imageFingerprint!);
+        if (similarity < minImageSimilarity) continue;
+
+        keep({
+          exactHash,
+          creator: asset.creator,
+          metadataCid: asset.metadataCid,
+          assetType: asset.assetType,
+          matchType: 'VISUAL_MATCH',
+          similarity
+        });
+      }
+    }
+
+    // Text layer: SimHash within the radius allowed by minTextSimilarity
+    const querySimHash = decodeTextFingerprint(perceptualHash);
+    if (querySimHash) {
+      const maxDistance = Math.floor(64 * (1 - this.options.minTextSimilarity / 100));
+      for (const node of this.textTree.search(querySimHash, maxDistance)) {
+        const distance = HashEngine.hammingDistance(querySimHash, node.hash);
+        for (const exactHash of node.assets) {
+          if (exactHash === queryExactHash) continue;
+          const asset = this.assets.get(exactHash)!;
+          keep({
+            exactHash,
+            creator: asset.creator,
+            metadataCid: asset.metadataCid,
+            assetType: asset.assetType,
+            matchType: 'TEXT_MATCH',
+            similarity: Math.round(((64 - distance) / 64) * 10000) / 100
+          });
+        }
+      }
+    }
+
+    // Audio layer: fingerprints are short, compare against every indexed track
+    if (audioHash && !SENTINEL_HASHES.has(audioHash)) {
+      for (const asset of this.assets.values()) {
+        if (asset.exactHash === queryExactHash || !asset.audioHash || SENTINEL_HASHES.has(asset.audioHash)) {
+          continue;
+        }
+        const similarity = HashEngine.compareAudioFingerprints(audioHash, asset.audioHash);
+        if (similarity >= this.options.minAudioSimilarity) {
+          keep({
+            exactHash: asset.exactHash,
+            creator: asset.creator,
+            metadataCid: asset.metadataCid,
+            assetType: asset.assetType,
+            matchType: 'AUDIO_MATCH',
+            similarity
+          });
+        }
+      }
+    }
+
+    return [...exact, ...[...matches.values()].sort((a, b) => b.similarity - a.similarity)]
+      .slice(0, this.options.maxResults);
+  }
+}
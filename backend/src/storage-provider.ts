@@ -0,0 +1,547 @@
+/**
+ * Storage Provider Module - Pluggable IPFS storage backends
+ *
+ * ipfs-storage.ts used to talk to Pinata directly. The storage backend is
+ * now a StorageProvider chosen with STORAGE_PROVIDER:
+ *
+ * - pinata (default): Pinata pinning API, CIDv1 (PINATA_JWT or
+ *   PINATA_API_KEY + PINATA_API_SECRET, optional PINATA_GATEWAY_URL)
+ * - kubo: a local Kubo/IPFS node's HTTP RPC API (KUBO_API_URL,
+ *   KUBO_GATEWAY_URL)
+ * - local: a content-addressed directory on disk (LOCAL_STORAGE_DIR), served
+ *   by the backend's GET /ipfs/:cid - no network needed, for development
+ *   and tests
+ *
+ * All providers address content by CIDv1; the local store computes the same
+ * CIDs Kubo and Pinata would (see cid.ts). JSON documents are pinned as the
+ * exact bytes of serializeJson(), so their CIDs can be computed up front too.
+ *
+ * @module storage-provider
+ */
+
+import FormData from 'form-data';
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { computeCid } from './cid.js';
+
+/**
+ * Options for pinning a file
+ */
+export interface PinFileOptions {
+  fileName: string;
+  mimeType: string;
+  metadata?: Record<string, any>;           // Key-values stored with the pin where supported
+  onProgress?: (fraction: number) => void;  // Fraction (0-1) of bytes sent
+}
+
+/**
+ * A pin held by a provider
+ */
+export interface PinInfo {
+  cid: string;
+  name: string | null;          // Pin name, where the provider keeps one
+  pinnedAt: string | null;      // ISO time, where the provider records it
+}
+
+/**
+ * A backend that pins and serves IPFS content
+ */
+export interface StorageProvider {
+  /** Provider name for logs ("pinata", "kubo", "local") */
+  readonly name: string;
+  /** Pin a file (Buffer, or path of a file on disk) and return its CID */
+  pinFile(content: Buffer | string, options: PinFileOptions): Promise<string>;
+  /** Pin a JSON document (as serializeJson bytes) and return its CID */
+  pinJSON(data: Record<string, any>, name: string): Promise<string>;
+  /** Fetch pinned content */
+  retrieve(cid: string): Promise<Buffer>;
+  /** Whether the provider holds a pin for the CID */
+  isPinned(cid: string): Promise<boolean>;
+  /** Remove the pin for a CID (succeeds if it was not pinned) */
+  unpin(cid: string): Promise<void>;
+  /** All pins the provider holds */
+  listPins(): Promise<PinInfo[]>;
+  /** Public URL of the content */
+  gatewayUrl(cid: string): string;
+}
+
+/**
+ * Pinata API response structure
+ */
+interface PinataResponse {
+  IpfsHash: string;
+  PinSize: number;
+  Timestamp: string;
+}
+
+/**
+ * Bytes a JSON document is pinned as
+ *
+ * @param data - JSON document
+ * @returns UTF-8 encoded JSON
+ */
+export function serializeJson(data: Record<string, any>): Buffer {
+  return Buffer.from(JSON.stringify(data), 'utf8');
+}
+
+/**
+ * Turn an HTTP failure into an error naming the service
+ */
+function serviceError(service: string, error: unknown): Error {
+  if (axios.isAxiosError(error)) {
+    if (error.response) {
+      const body = Buffer.isBuffer(error.response.data) ? error.response.data.toString('utf8') : error.response.data;
+      return new Error(`${service} API error: ${JSON.stringify(body)}`);
+    } else if (error.request) {
+      return new Error(`No response from ${service} API. Check network connection.`);
+    }
+  }
+  return error instanceof Error ? error : new Error(String(error));
+}
+
+function contentStream(content: Buffer | string): Readable {
+  return typeof content === 'string' ? fs.createReadStream(content) : Readable.from(content);
+}
+
+async function contentSize(content: Buffer | string): Promise<number> {
+  return typeof content === 'string' ? (await fs.promises.stat(content)).size : content.length;
+}
+
+function withTrailingSlash(url: string): string {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Pinata pinning service
+ */
+export class PinataStorageProvider implements StorageProvider {
+  readonly name = 'pinata';
+  private readonly gateway: string;
+
+  constructor(
+    private readonly credentials: { jwt?: string; apiKey?: string; apiSecret?: string },
+    gatewayUrl = 'https://gateway.pinata.cloud/ipfs/'
+  ) {
+    this.gateway = withTrailingSlash(gatewayUrl);
+  }
+
+  /**
+   * Authentication headers (JWT preferred over API key/secret)
+   */
+  private authHeaders(): Record<string, string> {
+    const { jwt, apiKey, apiSecret } = this.credentials;
+    if (jwt) {
+      return { Authorization: `Bearer ${jwt}` };
+    }
+    if (apiKey && apiSecret) {
+      return { pinata_api_key: apiKey, pinata_secret_api_key: apiSecret };
+    }
+    throw new Error(
+      'Pinata credentials not found. ' +
+      'Set PINATA_JWT or both PINATA_API_KEY and PINATA_API_SECRET in .env file'
+    );
+  }
+
+  async pinFile(content: Buffer | string, options: PinFileOptions): Promise<string> {
+    const headers = this.authHeaders();
+    const formData = new FormData();
+
+    formData.append('file', contentStream(content), {
+      filename: options.fileName,
+      contentType: options.mimeType,
+      knownLength: await contentSize(content)
+    });
+    formData.append('pinataMetadata', JSON.stringify({
+      name: options.fileName,
+      ...(options.metadata && {
+        keyvalues: {
+          ...options.metadata,
+          uploadedAt: new Date().toISOString()
+        }
+      })
+    }));
+    formData.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+
+    try {
+      const response = await axios.post<PinataResponse>(
+        'https://api.pinata.cloud/pinning/pinFileToIPFS',
+        formData,
+        {
+          headers: { ...formData.getHeaders(), ...headers },
+          // Stream bodies of any size (axios caps request bodies at 10MB by default)
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+          onUploadProgress: options.onProgress && ((event) => options.onProgress!(event.total ? event.loaded / event.total : 0))
+        }
+      );
+      return response.data.IpfsHash;
+    } catch (error) {
+      throw serviceError('Pinata', error);
+    }
+  }
+
+  /**
+   * Pinned as a file: pinJSONToIPFS re-serializes the document, which would
+   * make its CID unpredictable
+   */
+  pinJSON(data: Record<string, any>, name: string): Promise<string> {
+    return this.pinFile(serializeJson(data), { fileName: name, mimeType: 'application/json' });
+  }
+
+  async retrieve(cid: string): Promise<Buffer> {
+    try {
+      const response = await axios.get(this.gatewayUrl(cid), { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    } catch (error) {
+      throw serviceError('Pinata gateway', error);
+    }
+  }
+
+  async isPinned(cid: string): Promise<boolean> {
+    try {
+      const response = await axios.get(
+        `https://api.pinata.cloud/data/pinList?hashContains=${cid}&status=pinned`,
+        { headers: this.authHeaders() }
+      );
+      return response.data.count > 0;
+    } catch (error) {
+      throw serviceError('Pinata', error);
+    }
+  }
+
+  async unpin(cid: string): Promise<void> {
+    try {
+      await axios.delete(`https://api.pinata.cloud/pinning/unpin/${cid}`, { headers: this.authHeaders() });
+    } catch (error) {
+      // Pinata answers 404 for CIDs the account does not pin
+      if (axios.isAxiosError(error) && error.response?.status === 404) {
+        return;
+      }
+      throw serviceError('Pinata', error);
+    }
+  }
+
+  async listPins(): Promise<PinInfo[]> {
+    const headers = this.authHeaders();
+    const pins: PinInfo[] = [];
+    const pageLimit = 1000;
+
+    try {
+      for (let pageOffset = 0; ; pageOffset += pageLimit) {
+        const response = await axios.get('https://api.pinata.cloud/data/pinList', {
+          params: { status: 'pinned', pageLimit, pageOffset },
+          headers
+        });
+        const rows: any[] = response.data.rows || [];
+        for (const row of rows) {
+          pins.push({
+            cid: row.ipfs_pin_hash,
+            name: row.metadata?.name ?? null,
+            pinnedAt: row.date_pinned ?? null
+          });
+        }
+        if (rows.length < pageLimit) {
+          return pins;
+        }
+      }
+    } catch (error) {
+      throw serviceError('Pinata', error);
+    }
+  }
+
+  gatewayUrl(cid: string): string {
+    return `${this.gateway}${cid}`;
+  }
+}
+
+/**
+ * Kubo (go-ipfs) node via its HTTP RPC API
+ */
+export class KuboStorageProvider implements StorageProvider {
+  readonly name = 'kubo';
+  private readonly apiUrl: string;
+  private readonly gateway: string;
+
+  constructor(apiUrl = 'http://127.0.0.1:5001', gatewayUrl = 'http://127.0.0.1:8080/ipfs/') {
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.gateway = withTrailingSlash(gatewayUrl);
+  }
+
+  private async add(content: Buffer | string, fileName: string, onProgress?: (fraction: number) => void): Promise<string> {
+    const formData = new FormData();
+    formData.append('file', contentStream(content), {
+      filename: fileName,
+      knownLength: await contentSize(content)
+    });
+
+    try {
+      // cid-version=1 implies raw leaves, matching Pinata and cid.ts
+      const response = await axios.post<{ Name: string; Hash: string; Size: string }>(
+        `${this.apiUrl}/api/v0/add`,
+        formData,
+        {
+          params: { 'cid-version': 1, pin: true, 'pin-name': fileName },
+          headers: formData.getHeaders(),
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+          onUploadProgress: onProgress && ((event) => onProgress(event.total ? event.loaded / event.total : 0))
+        }
+      );
+      return response.data.Hash;
+    } catch (error) {
+      throw serviceError('Kubo', error);
+    }
+  }
+
+  pinFile(content: Buffer | string, options: PinFileOptions): Promise<string> {
+    return this.add(content, options.fileName, options.onProgress);
+  }
+
+  pinJSON(data: Record<string, any>, name: string): Promise<string> {
+    return this.add(serializeJson(data), name);
+  }
+
+  async retrieve(cid: string): Promise<Buffer> {
+    try {
+      const response = await axios.post(`${this.apiUrl}/api/v0/cat`, null, {
+        params: { arg: cid },
+        responseType: 'arraybuffer',
+        maxContentLength: Infinity
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      throw serviceError('Kubo', error);
+    }
+  }
+
+  async isPinned(cid: string): Promise<boolean> {
+    try {
+      await axios.post(`${this.apiUrl}/api/v0/pin/ls`, null, {
+        params: { arg: cid, type: 'recursive' }
+      });
+      return true;
+    } catch (error) {
+      // Kubo answers 500 with "not pinned" for CIDs it does not pin
+      if (axios.isAxiosError(error) && error.response?.status === 500) {
+        return false;
+      }
+      throw serviceError('Kubo', error);
+    }
+  }
+
+  async unpin(cid: string): Promise<void> {
+    try {
+      await axios.post(`${this.apiUrl}/api/v0/pin/rm`, null, { params: { arg: cid } });
+    } catch (error) {
+      if (axios.isAxiosError(error) && error.response?.status === 500 && !(await this.isPinned(cid))) {
+        return;
+      }
+      throw serviceError('Kubo', error);
+    }
+  }
+
+  /**
+   * Recursive pins; Kubo does not record when content was pinned
+   */
+  async listPins(): Promise<PinInfo[]> {
+    try {
+      const response = await axios.post<{ Keys: Record<string, { Type: string; Name?: string }> }>(
+        `${this.apiUrl}/api/v0/pin/ls`,
+        null,
+        { params: { type: 'recursive', names: true } }
+      );
+      return Object.entries(response.data.Keys || {}).map(([cid, pin]) => ({
+        cid,
+        name: pin.Name || null,
+        pinnedAt: null
+      }));
+    } catch (error) {
+      throw serviceError('Kubo', error);
+    }
+  }
+
+  gatewayUrl(cid: string): string {
+    return `${this.gateway}${cid}`;
+  }
+}
+
+/**
+ * Sidecar record stored next to each object in the local store
+ */
+export interface LocalPinRecord {
+  cid: string;
+  name: string;
+  mimeType: string;
+  size: number;
+  metadata?: Record<string, any>;
+  pinnedAt: string;
+}
+
+const CID_PATTERN = /^b[a-z2-7]{58,}$/;
+
+/**
+ * Content-addressed directory on the local filesystem
+ *
+ * Each object is stored as `<dir>/<cid>` with a `<cid>.json` sidecar.
+ */
+export class LocalStorageProvider implements StorageProvider {
+  readonly name = 'local';
+  private readonly gateway: string;
+
+  constructor(private readonly directory: string, gatewayUrl: string) {
+    this.gateway = withTrailingSlash(gatewayUrl);
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Path and pin record of stored content (null if not stored)
+   */
+  async locate(cid: string): Promise<{ path: string; record: LocalPinRecord } | null> {
+    if (!CID_PATTERN.test(cid)) {
+      return null;
+    }
+    try {
+      const record = JSON.parse(await fs.promises.readFile(this.recordPath(cid), 'utf8')) as LocalPinRecord;
+      return { path: this.contentPath(cid), record };
+    } catch {
+      return null;
+    }
+  }
+
+  async pinFile(content: Buffer | string, options: PinFileOptions): Promise<string> {
+    const cid = await computeCid(content);
+    await this.store(cid, content, {
+      name: options.fileName,
+      mimeType: options.mimeType,
+      metadata: options.metadata
+    });
+    options.onProgress?.(1);
+    return cid;
+  }
+
+  async pinJSON(data: Record<string, any>, name: string): Promise<string> {
+    const content = serializeJson(data);
+    const cid = await computeCid(content);
+    await this.store(cid, content, { name, mimeType: 'application/json' });
+    return cid;
+  }
+
+  async retrieve(cid: string): Promise<Buffer> {
+    const located = await this.locate(cid);
+    if (!located) {
+      throw new Error(`Content ${cid} not found in local store`);
+    }
+    return fs.promises.readFile(located.path);
+  }
+
+  async isPinned(cid: string): Promise<boolean> {
+    return (await this.locate(cid)) !== null;
+  }
+
+  async unpin(cid: string): Promise<void> {
+    if (!CID_PATTERN.test(cid)) {
+      return;
+    }
+    // Record first, so a half-removed object is no longer reported as pinned
+    await fs.promises.rm(this.recordPath(cid), { force: true });
+    await fs.promises.rm(this.contentPath(cid), { force: true });
+  }
+
+  async listPins(): Promise<PinInfo[]> {
+    const pins: PinInfo[] = [];
+    for (const name of await fs.promises.readdir(this.directory)) {
+      const cid = name.replace(/\.json$/, '');
+      if (cid === name || !CID_PATTERN.test(cid)) {
+        continue;
+      }
+      const located = await this.locate(cid);
+      if (located) {
+        pins.push({ cid, name: located.record.name, pinnedAt: located.record.pinnedAt });
+      }
+    }
+    return pins;
+  }
+
+  gatewayUrl(cid: string): string {
+    return `${this.gateway}${cid}`;
+  }
+
+  private contentPath(cid: string): string {
+    return path.join(this.directory, cid);
+  }
+
+  private recordPath(cid: string): string {
+    return path.join(this.directory, `${cid}.json`);
+  }
+
+  /**
+   * Write content and its record via temp files so readers never see partial objects
+   */
+  private async store(
+    cid: string,
+    content: Buffer | string,
+    record: Pick<LocalPinRecord, 'name' | 'mimeType' | 'metadata'>
+  ): Promise<void> {
+    const suffix = `.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const contentTmp = this.contentPath(cid) + suffix;
+    const recordTmp = this.recordPath(cid) + suffix;
+
+    try {
+      if (typeof content === 'string') {
+        await fs.promises.copyFile(content, contentTmp);
+      } else {
+        await fs.promises.writeFile(contentTmp, content);
+      }
+      const fullRecord: LocalPinRecord = {
+        cid,
+        ...record,
+        size: await contentSize(content),
+        pinnedAt: new Date().toISOString()
+      };
+      await fs.promises.writeFile(recordTmp, JSON.stringify(fullRecord, null, 2));
+
+      await fs.promises.rename(contentTmp, this.contentPath(cid));
+      await fs.promises.rename(recordTmp, this.recordPath(cid));
+    } finally {
+      await fs.promises.rm(contentTmp, { force: true });
+      await fs.promises.rm(recordTmp, { force: true });
+    }
+  }
+}
+
+/**
+ * Create the provider selected by STORAGE_PROVIDER
+ *
+ * @param env - Environment to read configuration from
+ * @returns Configured storage provider
+ * @throws Error for an unknown STORAGE_PROVIDER
+ *
+ * @example
+ * ```typescript
+ * const provider = createStorageProvider({ STORAGE_PROVIDER: 'local', LOCAL_STORAGE_DIR: '/tmp/ipfs' });
+ * const cid = await provider.pinJSON({ hello: 'world' }, 'greeting');
+ * ```
+ */
+export function createStorageProvider(env: NodeJS.ProcessEnv = process.env): StorageProvider {
+  const kind = (env.STORAGE_PROVIDER || 'pinata').toLowerCase();
+
+  switch (kind) {
+    case 'pinata':
+      return new PinataStorageProvider(
+        { jwt: env.PINATA_JWT, apiKey: env.PINATA_API_KEY, apiSecret: env.PINATA_API_SECRET },
+        env.PINATA_GATEWAY_URL || undefined
+      );
+    case 'kubo':
+      return new KuboStorageProvider(env.KUBO_API_URL || undefined, env.KUBO_GATEWAY_URL || undefined);
+    case 'local':
+      return new LocalStorageProvider(
+        env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'data', 'ipfs'),
+        env.LOCAL_STORAGE_GATEWAY_URL || `http://localhost:${env.PORT || '3001'}/ipfs/`
+      );
+    default:
+      throw new Error(`Unknown STORAGE_PROVIDER "${env.STORAGE_PROVIDER}" (expected pinata, kubo or local)`);
+  }
+}
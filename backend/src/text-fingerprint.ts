@@ -0,0 +1,235 @@
+/**
+ * Text Fingerprint Module - Near-duplicate detection for text and PDF posts
+ *
+ * Text posts and documents used to get only a SHA-256, so changing a single
+ * character made a plagiarized post look original. This module computes a
+ * 64-bit SimHash over normalized word shingles:
+ *
+ * 1. Normalize: Unicode NFKC, lowercase, strip diacritics and punctuation,
+ *    collapse whitespace
+ * 2. Shingle: overlapping 3-word windows (single words for very short text)
+ * 3. SimHash: every shingle's 64-bit hash votes +1/-1 per bit position; the
+ *    sign of each total becomes one fingerprint bit
+ *
+ * Similar texts share most shingles, so their SimHashes differ in only a
+ * few bits. Encoded as "ts1:" followed by 16 hex chars and stored in the
+ * perceptual hash slot.
+ *
+ * PDFs are reduced to text first with a lightweight content-stream
+ * extractor (FlateDecode streams, Tj/TJ/'/" text operators).
+ *
+ * @module text-fingerprint
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+/**
+ * Prefix identifying the text fingerprint encoding version
+ */
+export const TEXT_FINGERPRINT_PREFIX = 'ts1:';
+
+/**
+ * Words per shingle
+ */
+const SHINGLE_SIZE = 3;
+
+/**
+ * Upper bound on words fingerprinted (keeps huge documents bounded)
+ */
+const MAX_WORDS = 50000;
+
+/**
+ * Normalize text so formatting-only edits do not change the fingerprint
+ *
+ * @param text - Raw text
+ * @returns Array of normalized words
+ */
+export function normalizeText(text: string): string[] {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word.length > 0)
+    .slice(0, MAX_WORDS);
+}
+
+/**
+ * Compute the 64-bit SimHash of a text
+ *
+ * @param text - Raw text
+ * @returns 64-bit binary string, or null if the text has no words
+ */
+export function computeSimHash(text: string): string | null {
+  const words = normalizeText(text);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const size = Math.min(SHINGLE_SIZE, words.length);
+  const votes = new Int32Array(64);
+
+  for (let i = 0; i + size <= words.length; i++) {
+    const digest = crypto.createHash('md5').update(words.slice(i, i + size).join(' ')).digest();
+    for (let bit = 0; bit < 64; bit++) {
+      const set = (digest[bit >> 3] >> (7 - (bit & 7))) & 1;
+      votes[bit] += set ? 1 : -1;
+    }
+  }
+
+  let hash = '';
+  for (let bit = 0; bit < 64; bit++) {
+    hash += votes[bit] > 0 ? '1' : '0';
+  }
+  return hash;
+}
+
+/**
+ * Encode a SimHash as "ts1:<16 hex chars>"
+ *
+ * @param simHash - 64-bit binary string
+ * @returns Encoded text fingerprint
+ */
+export function encodeTextFingerprint(simHash: string): string {
+  return TEXT_FINGERPRINT_PREFIX + BigInt('0b' + simHash).toString(16).padStart(16, '0');
+}
+
+/**
+ * Decode a string produced by encodeTextFingerprint
+ *
+ * @param encoded - Encoded text fingerprint
+ * @returns 64-bit binary string, or null if not a ts1 fingerprint
+ */
+export function decodeTextFingerprint(encoded: string): string | null {
+  if (!encoded.startsWith(TEXT_FINGERPRINT_PREFIX)) {
+    return null;
+  }
+  const hex = encoded.slice(TEXT_FINGERPRINT_PREFIX.length);
+  if (!/^[0-9a-f]{16}$/.test(hex)) {
+    return null;
+  }
+  return BigInt('0x' + hex).toString(2).padStart(64, '0');
+}
+
+/**
+ * Decode a PDF literal string body (escapes already inside parentheses)
+ */
+function decodeLiteralString(body: string): string {
+  return body.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (_match, escape: string) => {
+    switch (escape[0]) {
+      case 'n': return '\n';
+      case 'r': return '\r';
+      case 't': return '\t';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case '(': return '(';
+      case ')': return ')';
+      case '\\': return '\\';
+      case '\r':
+      case '\n': return '';
+      default: return String.fromCharCode(parseInt(escape, 8));
+    }
+  });
+}
+
+/**
+ * Decode a PDF string token: "(literal)" or "<hex>"
+ */
+function decodeStringToken(token: string): string {
+  if (token.startsWith('(')) {
+    return decodeLiteralString(token.slice(1, -1));
+  }
+  const hex = token.slice(1, -1).replace(/\s/g, '');
+  const bytes = Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex');
+  // Only single-byte encodings can be read without the font's ToUnicode map
+  return bytes.every(b => b === 0x0a || b === 0x0d || (b >= 0x20 && b < 0x7f)) ? bytes.toString('latin1') : '';
+}
+
+/**
+ * Pull shown text out of a decoded PDF content stream
+ */
+function extractContentText(content: string): string {
+  const stringToken = String.raw`\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>`;
+  const operators = new RegExp(
+    String.raw`\[((?:\\.|[^\]\\])*)\]\s*TJ|(${stringToken})\s*(?:Tj|'|")|\b(?:T\*|(?:Td|TD|ET)\b)`,
+    'g'
+  );
+  const arrayItems = new RegExp(String.raw`${stringToken}|-?\d*\.?\d+`, 'g');
+  const pieces: string[] = [];
+
+  let match: RegExpExecArray | null;
+  while ((match = operators.exec(content)) !== null) {
+    if (match[1] !== undefined) {
+      // TJ array: strings with kerning adjustments, large gaps are word spaces
+      for (const item of match[1].match(arrayItems) || []) {
+        if (item.startsWith('(') || item.startsWith('<')) {
+          pieces.push(decodeStringToken(item));
+        } else if (parseFloat(item) < -200) {
+          pieces.push(' ');
+        }
+      }
+    } else if (match[2] !== undefined) {
+      pieces.push(decodeStringToken(match[2]));
+    } else {
+      pieces.push('\n');
+    }
+  }
+
+  return pieces.join('');
+}
+
+/**
+ * Best-effort text extraction from a PDF
+ *
+ * Inflates FlateDecode streams and reads text-showing operators. Fonts with
+ * custom (CID) encodings yield no text; callers treat an empty result as
+ * "no fingerprint available".
+ *
+ * @param buffer - PDF file buffer
+ * @returns Extracted text (may be empty)
+ */
+export function extractPdfText(buffer: Buffer): string {
+  const raw = buffer.toString('latin1');
+  const texts: string[] = [];
+  const streamKeyword = /\bstream\r?\n/g;
+
+  let match: RegExpExecArray | null;
+  while ((match = streamKeyword.exec(raw)) !== null) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+
+    // Stream dictionary sits between "N 0 obj" and the stream keyword
+    const dictionary = raw.slice(Math.max(0, raw.lastIndexOf('obj', match.index)), match.index);
+    const data = buffer.subarray(start, end);
+    streamKeyword.lastIndex = end + 'endstream'.length;
+
+    // Skip images, fonts and other binary payloads
+    if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType)|\/Length[123]\b|\/Type\s*\/(XRef|ObjStm|XObject)/.test(dictionary)) {
+      continue;
+    }
+
+    let content: string;
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        content = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('latin1');
+      } catch {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;   // Other filters (LZW, DCT, ...) never carry page text we can read
+    } else {
+      content = data.toString('latin1');
+    }
+
+    if (/\bBT\b/.test(content)) {
+      texts.push(extractContentText(content));
+    }
+  }
+
+  return texts.join('\n');
+}
@@ -0,0 +1,495 @@
+/**
+ * Transaction Manager Module - Nonces, fee bumping and tracking for the backend signer
+ *
+ * Every registration used to build its own wallet and block on
+ * `tx.wait(1)`: two concurrent uploads could pick the same nonce, and a
+ * transaction stuck at a low gas price stalled its job indefinitely. All
+ * backend transactions now go through one TransactionManager:
+ *
+ * 1. Nonces come from a queue: sends are serialized, and the first nonce is
+ *    the chain's pending count (or above the newest persisted pending nonce)
+ * 2. Each transaction is signed and recorded in `transactions` before it is
+ *    broadcast, so it stays tracked if the process dies right afterwards
+ * 3. A monitor loop follows pending transactions: mined ones become
+ *    `confirmed` (or `failed` if they reverted); ones still unmined after
+ *    `bumpAfterMs` are re-sent with the same nonce and higher fees; a nonce
+ *    taken by a transaction we did not send makes the record `replaced`
+ * 4. On start, pending records of the signer are resumed
+ *
+ * Settled records are announced with a "settled" event so their owners
+ * (posts, via `reference`) can update their tx status.
+ *
+ * @module tx-manager
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import Database from 'better-sqlite3';
+import { ethers } from 'ethers';
+import { ContractCall } from './blockchain.js';
+
+/**
+ * Lifecycle of a tracked transaction
+ */
+export type TxStatus =
+  | 'pending'                    // Broadcast, not mined yet
+  | 'confirmed'                  // Mined successfully (possibly under a bumped hash)
+  | 'replaced'                   // Nonce used by a transaction we did not send
+  | 'failed';                    // Reverted, or rejected when broadcast
+
+/**
+ * A backend transaction as persisted in `transactions`
+ */
+export interface TrackedTransaction {
+  id: string;
+  reference: string | null;      // Owner of the transaction (e.g. a post ID)
+  method: string;                // Contract function
+  from: string;                  // Backend signer address
+  nonce: number;
+  to: string;
+  data: string;
+  gasLimit: string;
+  maxFeePerGas: string;          // Wei, of the latest broadcast
+  maxPriorityFeePerGas: string;  // Wei, of the latest broadcast
+  txHash: string;                // Latest broadcast hash, or the mined one
+  hashes: string[];              // Every hash broadcast for this nonce
+  status: TxStatus;
+  blockNumber: number | null;
+  gasUsed: string | null;
+  error: string | null;
+  submittedAt: string;
+  broadcastAt: string;           // Last (re-)broadcast
+  updatedAt: string;
+}
+
+/**
+ * A tracked transaction did not confirm
+ */
+export class TransactionError extends Error {
+  readonly record: TrackedTransaction;
+
+  constructor(record: TrackedTransaction) {
+    super(`${record.method} transaction ${record.status}: ${record.error ?? 'unknown reason'}`);
+    this.name = 'TransactionError';
+    this.record = record;
+  }
+}
+
+/**
+ * Manager configuration
+ */
+export interface TxManagerOptions {
+  pollIntervalMs?: number;       // Delay between monitor passes (default 5000)
+  bumpAfterMs?: number;          // Re-send transactions unmined for this long (default 120000)
+  bumpPercent?: number;          // Fee increase per re-send, at least 10 (default 20)
+  maxFeePerGasGwei?: number;     // Fees are never bumped above this (default 1000)
+  gasLimitPercent?: number;      // Gas limit as a percentage of the estimate (default 120)
+}
+
+interface TransactionRow {
+  id: string;
+  reference: string | null;
+  method: string;
+  from_address: string;
+  nonce: number;
+  to_address: string;
+  data: string;
+  gas_limit: string;
+  max_fee_per_gas: string;
+  max_priority_fee_per_gas: string;
+  tx_hash: string;
+  hashes: string;
+  status: TxStatus;
+  block_number: number | null;
+  gas_used: string | null;
+  error: string | null;
+  submitted_at: string;
+  broadcast_at: string;
+  updated_at: string;
+}
+
+function toRecord(row: TransactionRow): TrackedTransaction {
+  return {
+    id: row.id,
+    reference: row.reference,
+    method: row.method,
+    from: row.from_address,
+    nonce: row.nonce,
+    to: row.to_address,
+    data: row.data,
+    gasLimit: row.gas_limit,
+    maxFeePerGas: row.max_fee_per_gas,
+    maxPriorityFeePerGas: row.max_priority_fee_per_gas,
+    txHash: row.tx_hash,
+    hashes: JSON.parse(row.hashes),
+    status: row.status,
+    blockNumber: row.block_number,
+    gasUsed: row.gas_used,
+    error: row.error,
+    submittedAt: row.submitted_at,
+    broadcastAt: row.broadcast_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const GWEI = 10n ** 9n;
+
+const max = (a: bigint, b: bigint): bigint => (a > b ? a : b);
+
+/**
+ * Sends and follows the backend signer's transactions
+ *
+ * @example
+ * ```typescript
+ * const transactions = new TransactionManager(db, getSigner, { bumpAfterMs: 120000 });
+ * transactions.on('settled', (record) => console.log(record.txHash, record.status));
+ * transactions.start();
+ *
+ * const tx = await transactions.submit(registerVideoCall(params), postId);
+ * const receipt = await transactions.wait(tx.id);
+ * ```
+ */
+export class TransactionManager extends EventEmitter {
+  private readonly options: Required<TxManagerOptions>;
+  private nextNonce: number | null = null;
+  private sending: Promise<unknown> = Promise.resolve();
+  private timer: NodeJS.Timeout | null = null;
+  private running = false;
+
+  constructor(
+    private readonly db: Database.Database,
+    private readonly getSigner: () => ethers.Wallet,
+    options: TxManagerOptions = {}
+  ) {
+    super();
+    this.setMaxListeners(0);
+    this.options = {
+      pollIntervalMs: 5000,
+      bumpAfterMs: 120000,
+      bumpPercent: 20,
+      maxFeePerGasGwei: 1000,
+      gasLimitPercent: 120,
+      ...options
+    };
+    this.options.bumpPercent = Math.max(10, this.options.bumpPercent);
+  }
+
+  /**
+   * Resume pending transactions and start following them
+   */
+  start(): void {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    const resumed = this.list('pending').filter(record => record.from === this.getSigner().address);
+    console.log(`[TX] Transaction manager started (${resumed.length} pending transactions resumed)`);
+
+    const loop = async (): Promise<void> => {
+      try {
+        await this.poll();
+      } catch (error) {
+        console.error('[TX] Monitor pass failed:', error instanceof Error ? error.message : error);
+      }
+      if (this.running) {
+        this.timer = setTimeout(loop, this.options.pollIntervalMs);
+        this.timer.unref();
+      }
+    };
+    void loop();
+  }
+
+  /**
+   * Stop following pending transactions
+   */
+  stop(): void {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Look up a tracked transaction
+   */
+  get(id: string): TrackedTransaction | null {
+    const row = this.db.prepare('SELECT * FROM transactions WHERE id = ?').get(id) as TransactionRow | undefined;
+    return row ? toRecord(row) : null;
+  }
+
+  /**
+   * List tracked transactions, newest first
+   *
+   * @param status - Only transactions in this state
+   * @param limit - Max records (default 100)
+   */
+  list(status?: TxStatus, limit = 100): TrackedTransaction[] {
+    const rows = status
+      ? this.db.prepare('SELECT * FROM transactions WHERE status = ? ORDER BY submitted_at DESC LIMIT ?').all(status, limit)
+      : this.db.prepare('SELECT * FROM transactions ORDER BY submitted_at DESC LIMIT ?').all(limit);
+    return (rows as TransactionRow[]).map(toRecord);
+  }
+
+  /**
+   * Sign, record and broadcast a contract call with the next nonce
+   *
+   * Calls that would revert fail gas estimation and never use a nonce.
+   *
+   * @param call - Encoded contract call
+   * @param reference - Owner of the transaction (e.g. the post it registers)
+   * @returns The pending record
+   * @throws Error if estimation or the broadcast fails
+   */
+  submit(call: ContractCall, reference: string | null = null): Promise<TrackedTransaction> {
+    const sent = this.sending.then(() => this.send(call, reference));
+    this.sending = sent.catch(() => undefined);
+    return sent;
+  }
+
+  /**
+   * Wait until a transaction is mined (including under a bumped hash)
+   *
+   * @returns Receipt of the mined transaction
+   * @throws TransactionError if it reverts, is replaced or cannot be broadcast
+   */
+  wait(id: string): Promise<ethers.TransactionReceipt> {
+    return new Promise((resolve, reject) => {
+      const onSettled = (record: TrackedTransaction, receipt?: ethers.TransactionReceipt): void => {
+        if (record.id !== id) return;
+        this.off('settled', onSettled);
+        if (record.status === 'confirmed' && receipt) {
+          resolve(receipt);
+        } else {
+          reject(new TransactionError(record));
+        }
+      };
+      this.on('settled', onSettled);
+
+      const record = this.get(id);
+      if (!record) {
+        this.off('settled', onSettled);
+        reject(new Error(`Unknown transaction ${id}`));
+      } else if (record.status !== 'pending') {
+        this.off('settled', onSettled);
+        if (record.status !== 'confirmed') {
+          reject(new TransactionError(record));
+          return;
+        }
+        this.getSigner().provider!.getTransactionReceipt(record.txHash).then(
+          receipt => (receipt ? resolve(receipt) : reject(new Error(`Receipt of ${record.txHash} not found`))),
+          reject
+        );
+      }
+    });
+  }
+
+  /**
+   * Check every pending transaction of the signer once
+   */
+  async poll(): Promise<void> {
+    const signer = this.getSigner();
+    const pending = this.list('pending', 1000).filter(record => record.from === signer.address);
+    if (pending.length === 0) {
+      return;
+    }
+
+    // Read before the receipts: a nonce counted here but without one of our receipts was taken by someone else
+    const minedNonce = await signer.provider!.getTransactionCount(signer.address, 'latest');
+
+    for (const record of pending.reverse()) {
+      try {
+        await this.check(signer, record, minedNonce);
+      } catch (error) {
+        console.warn(`[TX] Could not check ${record.txHash} (will retry):`, error instanceof Error ? error.message : error);
+      }
+    }
+  }
+
+  private async send(call: ContractCall, reference: string | null): Promise<TrackedTransaction> {
+    const signer = this.getSigner();
+    const provider = signer.provider!;
+
+    const [gasEstimate, fees] = await Promise.all([
+      signer.estimateGas({ to: call.to, data: call.data }),
+      provider.getFeeData()
+    ]);
+
+    if (this.nextNonce === null) {
+      const chainNonce = await provider.getTransactionCount(signer.address, 'pending');
+      const row = this.db
+        .prepare("SELECT MAX(nonce) AS nonce FROM transactions WHERE from_address = ? AND status = 'pending'")
+        .get(signer.address) as { nonce: number | null };
+      this.nextNonce = Math.max(chainNonce, (row.nonce ?? -1) + 1);
+    }
+
+    const now = new Date().toISOString();
+    const record: TrackedTransaction = {
+      id: crypto.randomUUID(),
+      reference,
+      method: call.method,
+      from: signer.address,
+      nonce: this.nextNonce,
+      to: call.to,
+      data: call.data,
+      gasLimit: ((gasEstimate * BigInt(this.options.gasLimitPercent)) / 100n).toString(),
+      maxFeePerGas: (fees.maxFeePerGas ?? fees.gasPrice ?? 0n).toString(),
+      maxPriorityFeePerGas: (fees.maxPriorityFeePerGas ?? fees.gasPrice ?? 0n).toString(),
+      txHash: '',
+      hashes: [],
+      status: 'pending',
+      blockNumber: null,
+      gasUsed: null,
+      error: null,
+      submittedAt: now,
+      broadcastAt: now,
+      updatedAt: now
+    };
+
+    const raw = await this.sign(signer, record);
+    record.txHash = ethers.Transaction.from(raw).hash!;
+    record.hashes = [record.txHash];
+    this.insert(record);
+
+    try {
+      await provider.broadcastTransaction(raw);
+    } catch (error) {
+      // Resynchronize with the chain before the next send
+      this.nextNonce = null;
+      this.settle(record, 'failed', { error: error instanceof Error ? error.message : 'Broadcast failed' });
+      throw error;
+    }
+
+    this.nextNonce++;
+    console.log(`[TX] Sent ${call.method} ${record.txHash} (nonce ${record.nonce})`);
+    return record;
+  }
+
+  private async sign(signer: ethers.Wallet, record: TrackedTransaction): Promise<string> {
+    const transaction = await signer.populateTransaction({
+      type: 2,
+      to: record.to,
+      data: record.data,
+      nonce: record.nonce,
+      gasLimit: BigInt(record.gasLimit),
+      maxFeePerGas: BigInt(record.maxFeePerGas),
+      maxPriorityFeePerGas: BigInt(record.maxPriorityFeePerGas)
+    });
+    return signer.signTransaction(transaction);
+  }
+
+  private async check(signer: ethers.Wallet, record: TrackedTransaction, minedNonce: number): Promise<void> {
+    const provider = signer.provider!;
+
+    for (const hash of record.hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        const confirmed = receipt.status === 1;
+        this.settle(record, confirmed ? 'confirmed' : 'failed', {
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          error: confirmed ? null : 'Transaction reverted'
+        }, receipt);
+        return;
+      }
+    }
+
+    if (minedNonce > record.nonce) {
+      this.settle(record, 'replaced', { error: `Nonce ${record.nonce} was used by another transaction` });
+      return;
+    }
+
+    if (Date.now() - Date.parse(record.broadcastAt) >= this.options.bumpAfterMs) {
+      await this.bump(signer, record);
+    }
+  }
+
+  /**
+   * Re-send a stuck transaction with the same nonce and higher fees
+   */
+  private async bump(signer: ethers.Wallet, record: TrackedTransaction): Promise<void> {
+    const fees = await signer.provider!.getFeeData();
+    const cap = BigInt(this.options.maxFeePerGasGwei) * GWEI;
+    const factor = BigInt(100 + this.options.bumpPercent);
+
+    const previousFee = BigInt(record.maxFeePerGas);
+    const maxFeePerGas = max((previousFee * factor) / 100n, fees.maxFeePerGas ?? 0n);
+    const maxPriorityFeePerGas = max((BigInt(record.maxPriorityFeePerGas) * factor) / 100n, fees.maxPriorityFeePerGas ?? 0n);
+    const now = new Date().toISOString();
+
+    if (maxFeePerGas > cap) {
+      console.warn(`[TX] ${record.txHash} still pending, fee cap of ${this.options.maxFeePerGasGwei} gwei reached`);
+      record.broadcastAt = now;
+      this.update(record);
+      return;
+    }
+
+    const bumped: TrackedTransaction = {
+      ...record,
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: (maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas).toString(),
+      broadcastAt: now
+    };
+    const raw = await this.sign(signer, bumped);
+    bumped.txHash = ethers.Transaction.from(raw).hash!;
+    bumped.hashes = [...record.hashes, bumped.txHash];
+    this.update(bumped);
+
+    console.log(`[TX] Bumping nonce ${record.nonce} to ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei: ${bumped.txHash}`);
+    try {
+      await signer.provider!.broadcastTransaction(raw);
+    } catch (error) {
+      // e.g. the previous hash was mined meanwhile; the next pass finds its receipt
+      console.warn(`[TX] Re-broadcast of nonce ${record.nonce} rejected:`, error instanceof Error ? error.message : error);
+    }
+  }
+
+  private settle(
+    record: TrackedTransaction,
+    status: TxStatus,
+    changes: Partial<Pick<TrackedTransaction, 'txHash' | 'blockNumber' | 'gasUsed' | 'error'>>,
+    receipt?: ethers.TransactionReceipt
+  ): void {
+    const settled: TrackedTransaction = { ...record, ...changes, status };
+    this.update(settled);
+
+    const log = status === 'confirmed' ? console.log : console.warn;
+    log(`[TX] ${status === 'confirmed' ? '✓' : '✗'} ${record.method} nonce ${record.nonce} ${status}: ${settled.txHash}${settled.error ? ` (${settled.error})` : ''}`);
+    this.emit('settled', settled, receipt);
+  }
+
+  private insert(record: TrackedTransaction): void {
+    this.db.prepare(`
+      INSERT INTO transactions (id, reference, method, from_address, nonce, to_address, data, gas_limit,
+        max_fee_per_gas, max_priority_fee_per_gas, tx_hash, hashes, status, block_number, gas_used, error,
+        submitted_at, broadcast_at, updated_at)
+      VALUES (@id, @reference, @method, @from, @nonce, @to, @data, @gasLimit, @maxFeePerGas,
+        @maxPriorityFeePerGas, @txHash, @hashes, @status, @blockNumber, @gasUsed, @error,
+        @submittedAt, @broadcastAt, @updatedAt)
+    `).run({ ...record, hashes: JSON.stringify(record.hashes) });
+  }
+
+  private update(record: TrackedTransaction): void {
+    record.updatedAt = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE transactions SET max_fee_per_gas = @maxFeePerGas, max_priority_fee_per_gas = @maxPriorityFeePerGas,
+        tx_hash = @txHash, hashes = @hashes, status = @status, block_number = @blockNumber, gas_used = @gasUsed,
+        error = @error, broadcast_at = @broadcastAt, updated_at = @updatedAt
+      WHERE id = @id
+    `).run({
+      id: record.id,
+      maxFeePerGas: record.maxFeePerGas,
+      maxPriorityFeePerGas: record.maxPriorityFeePerGas,
+      txHash: record.txHash,
+      hashes: JSON.stringify(record.hashes),
+      status: record.status,
+      blockNumber: record.blockNumber,
+      gasUsed: record.gasUsed,
+      error: record.error,
+      broadcastAt: record.broadcastAt,
+      updatedAt: record.updatedAt
+    });
+  }
+}
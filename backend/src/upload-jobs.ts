@@ -0,0 +1,430 @@
+/**
+ * Upload Jobs Module - Asynchronous upload processing with progress reporting
+ *
+ * Hashing a large video, pinning it to IPFS and waiting for an on-chain
+ * transaction can take far longer than an HTTP client is willing to wait.
+ * `/upload` therefore only stores the file and enqueues a job; the work runs
+ * here in a small worker queue and clients follow it through
+ * `GET /jobs/:id` or the Server-Sent Events stream.
+ *
+ * Each job moves through fixed phases:
+ * 1. hashing      - exact, perceptual and audio hashes
+ * 2. ipfs         - pin media file + metadata JSON
+ * 3. detection    - off-chain similarity index + on-chain detectRepost
+ * 4. registration - registerVideo (or relayed registerVideoFor) transaction
+ *                   (skipped for reposts and when the frontend registers itself)
+ *
+ * A failing phase is retried with exponential backoff before the job fails.
+ *
+ * A phase can pause for input from the client (e.g. the creator's signature
+ * over the metadata or a gasless registration): the job reports what it is `awaiting` and resumes when
+ * the input is provided through provideInput(), or fails after a timeout.
+ * A waiting job gives up its worker slot, so a creator who never signs does
+ * not hold up other uploads; once the input arrives (or times out) the job
+ * is requeued ahead of jobs that have not started.
+ * Jobs record the wallet that queued them: only that wallet may see the
+ * awaited payload (publicJob() strips it) and provide the input.
+ *
+ * @module upload-jobs
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+/**
+ * Processing phases, in execution order
+ */
+export type JobPhase = 'hashing' | 'ipfs' | 'detection' | 'registration';
+
+export const JOB_PHASES: JobPhase[] = ['hashing', 'ipfs', 'detection', 'registration'];
+
+/**
+ * Share of overall progress (percent) attributed to each phase
+ */
+const PHASE_WEIGHTS: Record<JobPhase, number> = {
+  hashing: 35,
+  ipfs: 35,
+  detection: 10,
+  registration: 20
+};
+
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed';
+export type PhaseStatus = 'pending' | 'running' | 'completed' | 'skipped' | 'failed';
+
+/**
+ * Progress of a single phase
+ */
+export interface PhaseState {
+  status: PhaseStatus;
+  attempts: number;
+  progress: number;             // 0-1 within the phase
+  startedAt?: string;
+  finishedAt?: string;
+  error?: string;               // Last error (also set while retrying)
+}
+
+/**
+ * Upload job as reported by GET /jobs/:id
+ */
+export interface UploadJob<T = unknown> {
+  id: string;
+  owner: string | null;         // Wallet that queued the job
+  status: JobStatus;
+  phase: JobPhase | null;       // Phase currently running
+  progress: number;             // Overall progress percentage (0-100)
+  phases: Record<JobPhase, PhaseState>;
+  awaiting?: JobInputRequest;   // Input the running phase is waiting for
+  result?: T;                   // Upload response once completed
+  error?: string;               // Failure reason once failed
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Input a job is waiting for
+ */
+export interface JobInputRequest {
+  input: string;                // Kind of input (e.g. "signature")
+  payload: unknown;             // What the client needs to produce it
+  expiresAt: string;
+}
+
+/**
+ * Job as shown to anyone who knows its ID (the awaited payload is left out)
+ */
+export type PublicUploadJob<T = unknown> = Omit<UploadJob<T>, 'awaiting'> & {
+  awaiting?: Omit<JobInputRequest, 'payload'>;
+};
+
+/**
+ * Strip what only the job's owner may see
+ *
+ * @param job - Job as stored in the queue
+ * @returns Copy without `awaiting.payload`
+ */
+export function publicJob<T>(job: UploadJob<T>): PublicUploadJob<T> {
+  if (!job.awaiting) {
+    return job;
+  }
+  const { payload, ...awaiting } = job.awaiting;
+  return { ...job, awaiting };
+}
+
+/**
+ * Whether a wallet queued a job
+ */
+export function isJobOwner(job: UploadJob<unknown>, address: string): boolean {
+  return job.owner !== null && job.owner.toLowerCase() === address.toLowerCase();
+}
+
+/**
+ * Input was not provided in time
+ */
+export class JobInputTimeoutError extends Error {
+  constructor(input: string) {
+    super(`Timed out waiting for ${input}`);
+    this.name = 'JobInputTimeoutError';
+  }
+}
+
+/**
+ * Retry policy for a phase
+ */
+export interface PhaseOptions {
+  retries?: number;                             // Extra attempts after the first (default: queue default)
+  isRetryable?: (error: unknown) => boolean;    // Errors that must not be retried return false
+}
+
+/**
+ * Handle passed to job work functions
+ */
+export interface JobContext {
+  /** Run a phase with retries, tracking its state */
+  runPhase<R>(phase: JobPhase, work: () => Promise<R>, options?: PhaseOptions): Promise<R>;
+  /** Mark a phase as not applicable to this upload */
+  skipPhase(phase: JobPhase): void;
+  /** Report progress (0-1) within the running phase */
+  reportProgress(phase: JobPhase, fraction: number): void;
+  /** Wait for client input (rejects with JobInputTimeoutError after timeoutMs) */
+  waitForInput<V>(input: string, payload: unknown, timeoutMs: number): Promise<V>;
+}
+
+/**
+ * Options of a queued job
+ */
+export interface EnqueueOptions {
+  owner?: string;                                 // Wallet queuing the job
+  onSettled?: () => Promise<void> | void;         // Cleanup run after the job completes or fails
+}
+
+/**
+ * Queue configuration
+ */
+export interface JobQueueOptions {
+  concurrency?: number;         // Jobs processed in parallel (default 1)
+  defaultRetries?: number;      // Extra attempts per phase (default 2)
+  retryDelayMs?: number;        // First retry delay, doubled per attempt (default 2000)
+  retentionMs?: number;         // How long finished jobs stay queryable (default 1 hour)
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * In-process job queue with per-phase progress events
+ *
+ * @example
+ * ```typescript
+ * const queue = new JobQueue<UploadResult>({ concurrency: 1 });
+ * const job = queue.enqueue(async (ctx) => {
+ *   const hashes = await ctx.runPhase('hashing', () => computeHashes(path, mimeType));
+ *   ...
+ * }, { owner: walletAddress });
+ *
+ * const unsubscribe = queue.subscribe(job.id, (update) => console.log(update.progress));
+ * ```
+ */
+export class JobQueue<T> extends EventEmitter {
+  private readonly jobs = new Map<string, UploadJob<T>>();
+  private readonly waiting: Array<() => void> = [];      // Jobs waiting for a worker slot
+  private readonly inputs = new Map<string, (value: unknown) => void>();
+  private readonly options: Required<JobQueueOptions>;
+  private active = 0;
+
+  constructor(options: JobQueueOptions = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.options = {
+      concurrency: Math.max(1, options.concurrency ?? 1),
+      defaultRetries: options.defaultRetries ?? 2,
+      retryDelayMs: options.retryDelayMs ?? 2000,
+      retentionMs: options.retentionMs ?? 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Look up a job by ID
+   */
+  get(id: string): UploadJob<T> | undefined {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Listen for updates of one job
+   *
+   * @returns Function removing the listener
+   */
+  subscribe(id: string, listener: (job: UploadJob<T>) => void): () => void {
+    const handler = (job: UploadJob<T>) => {
+      if (job.id === id) listener(job);
+    };
+    this.on('update', handler);
+    return () => this.off('update', handler);
+  }
+
+  /**
+   * Provide the input a job is waiting for
+   *
+   * @returns false if the job is not waiting for this input
+   */
+  provideInput(id: string, input: string, value: unknown): boolean {
+    const job = this.jobs.get(id);
+    const resolve = this.inputs.get(id);
+    if (!job || !resolve || job.awaiting?.input !== input) {
+      return false;
+    }
+    resolve(value);
+    return true;
+  }
+
+  /**
+   * Queue work and return its job immediately
+   *
+   * @param work - Upload pipeline, resolving to the job result
+   * @param options - Owner and cleanup
+   * @returns The queued job
+   */
+  enqueue(work: (context: JobContext) => Promise<T>, options: EnqueueOptions = {}): UploadJob<T> {
+    const { owner, onSettled } = options;
+    const now = new Date().toISOString();
+    const phases = {} as Record<JobPhase, PhaseState>;
+    for (const phase of JOB_PHASES) {
+      phases[phase] = { status: 'pending', attempts: 0, progress: 0 };
+    }
+
+    const job: UploadJob<T> = {
+      id: crypto.randomUUID(),
+      owner: owner ?? null,
+      status: 'queued',
+      phase: null,
+      progress: 0,
+      phases,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(job.id, job);
+
+    const run = async (): Promise<void> => {
+      await this.acquireSlot();
+      job.status = 'running';
+      this.touch(job);
+
+      try {
+        job.result = await work(this.createContext(job));
+        for (const phase of JOB_PHASES) {
+          if (job.phases[phase].status === 'pending') job.phases[phase].status = 'skipped';
+        }
+        job.status = 'completed';
+        console.log(`[JOBS] ✓ Job ${job.id} completed`);
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error instanceof Error ? error.message : 'Unknown error';
+        console.error(`[JOBS] Job ${job.id} failed:`, job.error);
+      } finally {
+        job.phase = null;
+        delete job.awaiting;
+        this.touch(job);
+        try {
+          await onSettled?.();
+        } catch (cleanupError) {
+          console.warn(`[JOBS] Cleanup warning for job ${job.id}:`, cleanupError);
+        }
+        setTimeout(() => this.jobs.delete(job.id), this.options.retentionMs).unref();
+        this.releaseSlot();
+      }
+    };
+
+    void run();
+    console.log(`[JOBS] Job ${job.id} queued (${this.waiting.length} waiting, ${this.active} running)`);
+    return job;
+  }
+
+  /**
+   * Wait for a free worker slot
+   *
+   * @param resumed - Job resuming after waiting for input (served before jobs that have not started)
+   */
+  private acquireSlot(resumed = false): Promise<void> {
+    return new Promise(resolve => {
+      if (resumed) {
+        this.waiting.unshift(resolve);
+      } else {
+        this.waiting.push(resolve);
+      }
+      this.drain();
+    });
+  }
+
+  private releaseSlot(): void {
+    this.active--;
+    this.drain();
+  }
+
+  private drain(): void {
+    while (this.active < this.options.concurrency && this.waiting.length > 0) {
+      this.active++;
+      this.waiting.shift()!();
+    }
+  }
+
+  private createContext(job: UploadJob<T>): JobContext {
+    return {
+      runPhase: async <R>(phase: JobPhase, work: () => Promise<R>, options: PhaseOptions = {}): Promise<R> => {
+        const state = job.phases[phase];
+        const retries = options.retries ?? this.options.defaultRetries;
+
+        job.phase = phase;
+        state.status = 'running';
+        state.startedAt = new Date().toISOString();
+        this.touch(job);
+
+        for (;;) {
+          state.attempts++;
+          try {
+            const result = await work();
+            state.status = 'completed';
+            state.progress = 1;
+            state.finishedAt = new Date().toISOString();
+            this.touch(job);
+            return result;
+          } catch (error) {
+            state.error = error instanceof Error ? error.message : 'Unknown error';
+            const retryable = options.isRetryable ? options.isRetryable(error) : true;
+
+            if (!retryable || state.attempts > retries) {
+              state.status = 'failed';
+              state.finishedAt = new Date().toISOString();
+              this.touch(job);
+              throw error;
+            }
+
+            const delay = this.options.retryDelayMs * 2 ** (state.attempts - 1);
+            console.warn(`[JOBS] Job ${job.id} ${phase} attempt ${state.attempts} failed, retrying in ${delay}ms: ${state.error}`);
+            state.progress = 0;
+            this.touch(job);
+            await sleep(delay);
+          }
+        }
+      },
+
+      skipPhase: (phase: JobPhase): void => {
+        job.phases[phase].status = 'skipped';
+        this.touch(job);
+      },
+
+      reportProgress: (phase: JobPhase, fraction: number): void => {
+        const state = job.phases[phase];
+        const progress = Math.min(1, Math.max(0, fraction));
+        // Only emit on visible (whole percent) changes
+        if (state.status === 'running' && Math.floor(progress * 100) !== Math.floor(state.progress * 100)) {
+          state.progress = progress;
+          this.touch(job);
+        }
+      },
+
+      waitForInput: <V>(input: string, payload: unknown, timeoutMs: number): Promise<V> => {
+        return new Promise<V>((resolve, reject) => {
+          // Free the worker slot while waiting and take one again before resuming
+          const done = (settle: () => void): void => {
+            clearTimeout(timer);
+            this.inputs.delete(job.id);
+            delete job.awaiting;
+            this.touch(job);
+            this.acquireSlot(true).then(settle);
+          };
+          const timer = setTimeout(() => {
+            done(() => reject(new JobInputTimeoutError(input)));
+          }, timeoutMs);
+          timer.unref();
+
+          this.inputs.set(job.id, (value) => {
+            console.log(`[JOBS] Job ${job.id} received ${input}, requeued`);
+            done(() => resolve(value as V));
+          });
+          job.awaiting = { input, payload, expiresAt: new Date(Date.now() + timeoutMs).toISOString() };
+          console.log(`[JOBS] Job ${job.id} waiting for ${input} (worker slot released)`);
+          this.touch(job);
+          this.releaseSlot();
+        });
+      }
+    };
+  }
+
+  /**
+   * Recompute overall progress and notify subscribers
+   */
+  private touch(job: UploadJob<T>): void {
+    let progress = 0;
+    for (const phase of JOB_PHASES) {
+      const state = job.phases[phase];
+      if (state.status === 'completed' || state.status === 'skipped') {
+        progress += PHASE_WEIGHTS[phase];
+      } else if (state.status === 'running') {
+        progress += PHASE_WEIGHTS[phase] * state.progress;
+      }
+    }
+
+    job.progress = job.status === 'completed' ? 100 : Math.round(progress);
+    job.updatedAt = new Date().toISOString();
+    this.emit('update', job);
+  }
+}
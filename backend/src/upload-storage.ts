@@ -0,0 +1,173 @@
+/**
+ * Upload Storage Module - Streaming, disk-backed multer storage
+ *
+ * Uploads are streamed straight to a temporary file instead of being held
+ * in memory, and the SHA-256 exact hash is computed incrementally while the
+ * bytes pass through. ffmpeg, sharp and the IPFS pinning client then all
+ * read from that single file, so multi-GB videos never sit in RAM.
+ *
+ * Size limits are enforced per asset type while streaming, so an oversized
+ * upload is aborted as soon as it crosses its limit.
+ *
+ * Configuration (environment):
+ * - UPLOAD_TMP_DIR: Directory for in-flight uploads (default: <os tmp>/blockpost-uploads)
+ * - MAX_UPLOAD_MB_VIDEO / _IMAGE / _AUDIO / _OTHER: Size limit per asset type
+ *
+ * @module upload-storage
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Transform, TransformCallback } from 'stream';
+import { pipeline } from 'stream/promises';
+import { Request } from 'express';
+import multer, { MulterError } from 'multer';
+import { AssetType, getAssetType } from './hash-engine.js';
+
+/**
+ * Multer file stored by HashingDiskStorage
+ */
+export type UploadedFile = Express.Multer.File & {
+  sha256: string;             // SHA-256 of the file contents, computed while streaming
+};
+
+/**
+ * Default size limit per asset type in MB
+ */
+const DEFAULT_LIMITS_MB: Record<AssetType, number> = {
+  video: 4096,
+  image: 50,
+  audio: 500,
+  other: 100
+};
+
+/**
+ * Resolve the configured size limit for an asset type
+ *
+ * @param assetType - Asset type of the upload
+ * @returns Limit in bytes
+ *
+ * @example
+ * ```typescript
+ * // MAX_UPLOAD_MB_IMAGE=20
+ * getUploadLimit('image');  // 20971520
+ * ```
+ */
+export function getUploadLimit(assetType: AssetType): number {
+  const configured = parseFloat(process.env[`MAX_UPLOAD_MB_${assetType.toUpperCase()}`] || '');
+  const megabytes = Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_LIMITS_MB[assetType];
+  return Math.floor(megabytes * 1024 * 1024);
+}
+
+/**
+ * Resolve the configured size limits for every asset type
+ *
+ * @returns Limits in bytes keyed by asset type
+ */
+export function getUploadLimits(): Record<AssetType, number> {
+  return {
+    video: getUploadLimit('video'),
+    image: getUploadLimit('image'),
+    audio: getUploadLimit('audio'),
+    other: getUploadLimit('other')
+  };
+}
+
+/**
+ * Pass-through stream that hashes and counts bytes, failing past a limit
+ */
+class HashingCounter extends Transform {
+  readonly hash = crypto.createHash('sha256');
+  size = 0;
+
+  constructor(private readonly limit: number, private readonly onLimit: () => Error) {
+    super();
+  }
+
+  _transform(chunk: Buffer, _encoding: BufferEncoding, callback: TransformCallback): void {
+    this.size += chunk.length;
+    if (this.size > this.limit) {
+      callback(this.onLimit());
+      return;
+    }
+    this.hash.update(chunk);
+    callback(null, chunk);
+  }
+}
+
+/**
+ * Multer storage engine: stream to disk once, hash on the way through
+ *
+ * @example
+ * ```typescript
+ * const upload = multer({ storage: new HashingDiskStorage() });
+ * app.post('/upload', upload.single('video'), (req, res) => {
+ *   const file = req.file as UploadedFile;
+ *   console.log(file.path, file.size, file.sha256);
+ * });
+ * ```
+ */
+export class HashingDiskStorage implements multer.StorageEngine {
+  private readonly directory: string;
+
+  constructor(directory: string = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'blockpost-uploads')) {
+    this.directory = directory;
+  }
+
+  _handleFile(
+    _req: Request,
+    file: Express.Multer.File,
+    callback: (error?: any, info?: Partial<Express.Multer.File>) => void
+  ): void {
+    const assetType = getAssetType(file.mimetype);
+    const limit = getUploadLimit(assetType);
+    const filename = crypto.randomUUID();
+    const filePath = path.join(this.directory, filename);
+
+    const counter = new HashingCounter(limit, () => {
+      const error = new MulterError('LIMIT_FILE_SIZE', file.fieldname);
+      error.message = `File size exceeds the ${Math.round(limit / (1024 * 1024))}MB limit for ${assetType} uploads`;
+      return error;
+    });
+
+    fs.promises.mkdir(this.directory, { recursive: true })
+      .then(() => pipeline(file.stream, counter, fs.createWriteStream(filePath)))
+      .then(() => {
+        const info: Partial<UploadedFile> = {
+          destination: this.directory,
+          filename,
+          path: filePath,
+          size: counter.size,
+          sha256: counter.hash.digest('hex')
+        };
+        callback(null, info);
+      })
+      .catch(async (error) => {
+        // Drain the rest of the request so multer can finish the response
+        file.stream.resume();
+        await removeUpload(filePath);
+        callback(error);
+      });
+  }
+
+  _removeFile(_req: Request, file: Express.Multer.File, callback: (error: Error | null) => void): void {
+    removeUpload(file.path).then(() => callback(null));
+  }
+}
+
+/**
+ * Delete a stored upload (missing files are ignored)
+ *
+ * @param filePath - Path of the stored upload
+ */
+export async function removeUpload(filePath: string): Promise<void> {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      console.warn(`[UPLOAD] Cleanup warning for ${filePath}:`, error);
+    }
+  }
+}
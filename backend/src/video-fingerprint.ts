@@ -0,0 +1,226 @@
+/**
+ * Video Fingerprint Module - Temporal dHash signatures
+ *
+ * A single first-frame dHash is defeated by trimming the intro or adding a
+ * title card. Instead, frames are sampled at a fixed interval across the
+ * whole video, each frame is dHashed, and the ordered list of frame hashes
+ * forms a temporal signature.
+ *
+ * Signature construction:
+ * 1. Drop low-detail frames (black/solid lead-ins hash to ~all zeros)
+ * 2. Collapse runs of near-identical consecutive frames (static shots)
+ * 3. Encode every remaining shot, in order, as "tv1:<hex...>"
+ *
+ * The signature covers the whole sampled video, so a clip from anywhere in
+ * it can align. It is kept off-chain (metadata, post store, similarity
+ * index); the contract stores a fixed-size digest of it.
+ *
+ * Signatures are compared with a local alignment (Smith-Waterman) over
+ * frame hashes, so a clipped, trimmed or spliced repost still aligns with
+ * the matching stretch of the original.
+ *
+ * @module video-fingerprint
+ */
+
+/**
+ * Prefix identifying the temporal signature encoding version
+ */
+export const TEMPORAL_SIGNATURE_PREFIX = 'tv1:';
+
+/**
+ * Frames with fewer set dHash bits carry no usable detail
+ */
+const MIN_FRAME_DETAIL_BITS = 4;
+
+/**
+ * Consecutive frames within this Hamming distance are the same shot
+ */
+const COLLAPSE_THRESHOLD = 6;
+
+/**
+ * Result of aligning a query signature against a reference signature
+ */
+export interface SubsequenceMatch {
+  similarity: number;       // Matched frames / shorter signature length (0-100)
+  matchedFrames: number;    // Frame pairs within frameThreshold in the alignment
+  queryStart: number;       // First aligned frame index in the query
+  queryEnd: number;         // One past the last aligned frame index in the query
+  referenceStart: number;   // First aligned frame index in the reference
+  referenceEnd: number;     // One past the last aligned frame index in the reference
+}
+
+/**
+ * Alignment tuning knobs
+ */
+export interface SubsequenceOptions {
+  frameThreshold?: number;  // Max Hamming distance for two frames to match (default 10)
+  matchScore?: number;      // Score for a matching frame pair (default 2)
+  mismatchPenalty?: number; // Penalty for a non-matching pair (default 1)
+  gapPenalty?: number;      // Penalty for an inserted/removed frame (default 1)
+}
+
+/**
+ * Hamming distance between two equal-length binary strings
+ */
+function hamming(a: string, b: string): number {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Count '1' bits in a binary hash string
+ */
+function detailBits(hash: string): number {
+  let ones = 0;
+  for (let i = 0; i < hash.length; i++) {
+    if (hash[i] === '1') ones++;
+  }
+  return ones;
+}
+
+/**
+ * Reduce per-frame dHashes to an ordered signature
+ *
+ * @param frameHashes - 64-bit binary dHash strings in presentation order
+ * @returns Signature frames (never empty if frameHashes is non-empty)
+ */
+export function buildTemporalSignature(frameHashes: string[]): string[] {
+  const detailed = frameHashes.filter(hash => detailBits(hash) >= MIN_FRAME_DETAIL_BITS);
+  const source = detailed.length > 0 ? detailed : frameHashes.slice(0, 1);
+
+  const signature: string[] = [];
+  for (const hash of source) {
+    const previous = signature[signature.length - 1];
+    if (previous === undefined || hamming(previous, hash) > COLLAPSE_THRESHOLD) {
+      signature.push(hash);
+    }
+  }
+
+  return signature;
+}
+
+/**
+ * Encode signature frames as "tv1:" followed by 16 hex chars per frame
+ *
+ * @param signature - 64-bit binary dHash strings
+ * @returns Encoded temporal signature
+ */
+export function encodeTemporalSignature(signature: string[]): string {
+  const hex = signature
+    .map(hash => BigInt('0b' + hash).toString(16).padStart(16, '0'))
+    .join('');
+  return TEMPORAL_SIGNATURE_PREFIX + hex;
+}
+
+/**
+ * Decode a string produced by encodeTemporalSignature
+ *
+ * @param encoded - Encoded temporal signature
+ * @returns 64-bit binary dHash strings, or null if not a tv1 signature
+ */
+export function decodeTemporalSignature(encoded: string): string[] | null {
+  if (!encoded.startsWith(TEMPORAL_SIGNATURE_PREFIX)) {
+    return null;
+  }
+
+  const hex = encoded.slice(TEMPORAL_SIGNATURE_PREFIX.length);
+  const frames: string[] = [];
+  for (let i = 0; i + 16 <= hex.length; i += 16) {
+    frames.push(BigInt('0x' + hex.slice(i, i + 16)).toString(2).padStart(64, '0'));
+  }
+  return frames;
+}
+
+/**
+ * Find the best matching stretch between two signatures
+ *
+ * Runs a Smith-Waterman local alignment where two frames "match" when their
+ * Hamming distance is within frameThreshold. Gaps absorb inserted title
+ * cards, removed segments and splices, and the local (not global) alignment
+ * ignores trimmed intros/outros on either side.
+ *
+ * @param query - Signature frames of the uploaded video
+ * @param reference - Signature frames of a registered video
+ * @param options - Alignment tuning knobs
+ * @returns Best alignment; similarity is 0 when nothing lines up
+ *
+ * @example
+ * ```typescript
+ * const match = findMatchingSubsequence(clipFrames, originalFrames);
+ * // { similarity: 100, matchedFrames: 12, queryStart: 0, queryEnd: 12,
+ * //   referenceStart: 30, referenceEnd: 42 }
+ * ```
+ */
+export function findMatchingSubsequence(
+  query: string[],
+  reference: string[],
+  options: SubsequenceOptions = {}
+): SubsequenceMatch {
+  const {
+    frameThreshold = 10,
+    matchScore = 2,
+    mismatchPenalty = 1,
+    gapPenalty = 1
+  } = options;
+
+  const rows = query.length + 1;
+  const cols = reference.length + 1;
+  const score = new Float64Array(rows * cols);
+  const matched = new Int32Array(rows * cols);
+  const startQ = new Int32Array(rows * cols);
+  const startR = new Int32Array(rows * cols);
+
+  let best = { score: 0, index: -1, i: 0, j: 0 };
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const index = i * cols + j;
+      const diag = (i - 1) * cols + (j - 1);
+      const up = (i - 1) * cols + j;
+      const left = i * cols + (j - 1);
+      const isMatch = hamming(query[i - 1], reference[j - 1]) <= frameThreshold;
+
+      const diagScore = score[diag] + (isMatch ? matchScore : -mismatchPenalty);
+      const upScore = score[up] - gapPenalty;
+      const leftScore = score[left] - gapPenalty;
+      const cellScore = Math.max(0, diagScore, upScore, leftScore);
+      score[index] = cellScore;
+
+      if (cellScore === 0) {
+        continue;
+      }
+
+      // Carry alignment start and matched-frame count along the chosen path
+      let from = left;
+      if (cellScore === diagScore) from = diag;
+      else if (cellScore === upScore) from = up;
+
+      const fresh = score[from] === 0;
+      startQ[index] = fresh ? (from === diag ? i - 1 : from === up ? i - 1 : i) : startQ[from];
+      startR[index] = fresh ? (from === diag ? j - 1 : from === left ? j - 1 : j) : startR[from];
+      matched[index] = (fresh ? 0 : matched[from]) + (from === diag && isMatch ? 1 : 0);
+
+      if (cellScore > best.score) {
+        best = { score: cellScore, index, i, j };
+      }
+    }
+  }
+
+  const shorter = Math.min(query.length, reference.length);
+  if (best.index < 0 || shorter === 0) {
+    return { similarity: 0, matchedFrames: 0, queryStart: 0, queryEnd: 0, referenceStart: 0, referenceEnd: 0 };
+  }
+
+  const matchedFrames = matched[best.index];
+  return {
+    similarity: Math.round((matchedFrames / shorter) * 10000) / 100,
+    matchedFrames,
+    queryStart: startQ[best.index],
+    queryEnd: best.i,
+    referenceStart: startR[best.index],
+    referenceEnd: best.j
+  };
+}
@@ -0,0 +1,304 @@
+/**
+ * Wallet Auth Module - Sign-In with Ethereum (EIP-4361) sessions
+ *
+ * Write endpoints used to trust whatever wallet address the client sent, so
+ * content could be attributed to someone else's wallet. Clients now prove
+ * control of the wallet instead:
+ *
+ * 1. GET /auth/nonce issues a single-use nonce
+ * 2. The wallet signs an EIP-4361 message containing that nonce
+ * 3. POST /auth/verify checks the message and signature and returns a
+ *    short-lived session token (HS256 JWT signed with JWT_SECRET)
+ * 4. Write endpoints require `Authorization: Bearer <token>` and take the
+ *    creator address from the token
+ *
+ * Nonces are kept in memory; tokens are stateless and stay valid until they
+ * expire (or JWT_SECRET changes).
+ *
+ * @module wallet-auth
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { NextFunction, Request, Response } from 'express';
+
+/**
+ * Wallet auth configuration
+ */
+export interface WalletAuthOptions {
+  domains: string[];             // Accepted message domains (host[:port] of the frontend)
+  chainId: number;               // Accepted chain ID
+  secret?: string;               // Token signing key (random per process if omitted)
+  nonceTtlMs?: number;           // How long an issued nonce can be used (default 5 min)
+  sessionTtlMs?: number;         // Session token lifetime (default 1 hour)
+}
+
+/**
+ * An authenticated wallet session
+ */
+export interface WalletSession {
+  address: string;               // Checksummed wallet address
+  issuedAt: string;
+  expiresAt: string;
+}
+
+/**
+ * Fields of an EIP-4361 message
+ */
+export interface SiweMessage {
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+}
+
+const SIWE_HEADER = / wants you to sign in with your Ethereum account:$/;
+
+const SIWE_FIELDS: Record<string, keyof SiweMessage> = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore'
+};
+
+/**
+ * Parse an EIP-4361 message
+ *
+ * @param message - Message text as signed by the wallet
+ * @returns Parsed fields
+ * @throws Error if the message is not a well-formed EIP-4361 message
+ */
+export function parseSiweMessage(message: string): SiweMessage {
+  const lines = message.split('\n');
+
+  if (lines.length < 2 || !SIWE_HEADER.test(lines[0])) {
+    throw new Error('Not a Sign-In with Ethereum message');
+  }
+  const domain = lines[0].replace(SIWE_HEADER, '');
+  const address = lines[1];
+
+  // Optional statement sits between blank lines after the address
+  const statement = lines[2] === '' && lines[3] && !lines[3].startsWith('URI: ') ? lines[3] : undefined;
+
+  const fields: Record<string, string> = {};
+  for (const line of lines.slice(statement ? 4 : 2)) {
+    const separator = line.indexOf(': ');
+    const key = separator > 0 ? SIWE_FIELDS[line.substring(0, separator)] : undefined;
+    if (key) {
+      fields[key] = line.substring(separator + 2);
+    }
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[required]) {
+      throw new Error(`Sign-In with Ethereum message is missing ${required}`);
+    }
+  }
+  if (!ethers.isAddress(address)) {
+    throw new Error('Sign-In with Ethereum message has an invalid address');
+  }
+
+  return {
+    domain,
+    address,
+    ...(statement && { statement }),
+    uri: fields.uri,
+    version: fields.version,
+    chainId: parseInt(fields.chainId, 10),
+    nonce: fields.nonce,
+    issuedAt: fields.issuedAt,
+    ...(fields.expirationTime && { expirationTime: fields.expirationTime }),
+    ...(fields.notBefore && { notBefore: fields.notBefore })
+  };
+}
+
+function base64url(input: Buffer | string): string {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Issues nonces, verifies signed messages and validates session tokens
+ *
+ * @example
+ * ```typescript
+ * const auth = new WalletAuth({ domains: ['localhost:5173'], chainId: 80002, secret: process.env.JWT_SECRET });
+ * const { nonce } = auth.issueNonce();
+ * // ... wallet signs a message containing the nonce ...
+ * const { token } = await auth.verify(message, signature);
+ * const session = auth.authenticate(token); // { address, issuedAt, expiresAt }
+ * ```
+ */
+export class WalletAuth {
+  private readonly options: Required<WalletAuthOptions>;
+  private readonly nonces = new Map<string, number>();   // nonce -> expiry (ms)
+
+  constructor(options: WalletAuthOptions) {
+    this.options = {
+      nonceTtlMs: 5 * 60 * 1000,
+      sessionTtlMs: 60 * 60 * 1000,
+      ...options,
+      secret: options.secret || crypto.randomBytes(32).toString('hex')
+    };
+  }
+
+  /**
+   * Issue a single-use nonce for a sign-in message
+   */
+  issueNonce(): { nonce: string; expiresAt: string } {
+    this.pruneNonces();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.options.nonceTtlMs;
+    this.nonces.set(nonce, expiresAt);
+    return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Verify a signed sign-in message and start a session
+   *
+   * The nonce is consumed whether or not verification succeeds.
+   *
+   * @param message - EIP-4361 message text
+   * @param signature - personal_sign signature of the message
+   * @returns Session token and session details
+   * @throws Error describing why the sign-in was rejected
+   */
+  async verify(message: string, signature: string): Promise<WalletSession & { token: string }> {
+    const siwe = parseSiweMessage(message);
+    const now = Date.now();
+
+    const nonceExpiry = this.nonces.get(siwe.nonce);
+    this.nonces.delete(siwe.nonce);
+    if (nonceExpiry === undefined || nonceExpiry < now) {
+      throw new Error('Unknown or expired nonce');
+    }
+    if (!this.options.domains.includes(siwe.domain)) {
+      throw new Error(`Sign-in for unexpected domain ${siwe.domain}`);
+    }
+    if (siwe.version !== '1') {
+      throw new Error(`Unsupported message version ${siwe.version}`);
+    }
+    if (siwe.chainId !== this.options.chainId) {
+      throw new Error(`Sign-in for chain ${siwe.chainId}, expected ${this.options.chainId}`);
+    }
+    if (siwe.expirationTime && Date.parse(siwe.expirationTime) < now) {
+      throw new Error('Sign-in message has expired');
+    }
+    if (siwe.notBefore && Date.parse(siwe.notBefore) > now) {
+      throw new Error('Sign-in message is not valid yet');
+    }
+
+    let signer: string;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      throw new Error('Malformed signature');
+    }
+    if (signer.toLowerCase() !== siwe.address.toLowerCase()) {
+      throw new Error('Signature does not match the message address');
+    }
+
+    const session: WalletSession = {
+      address: signer,
+      issuedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.options.sessionTtlMs).toISOString()
+    };
+    return { ...session, token: this.sign(session) };
+  }
+
+  /**
+   * Validate a session token
+   *
+   * @param token - Token returned by verify()
+   * @returns The session, or null if the token is invalid or expired
+   */
+  authenticate(token: string): WalletSession | null {
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) {
+      return null;
+    }
+
+    const expected = this.hmac(`${header}.${payload}`);
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (typeof claims.sub !== 'string' || typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+        return null;
+      }
+      return {
+        address: claims.sub,
+        issuedAt: new Date(claims.iat * 1000).toISOString(),
+        expiresAt: new Date(claims.exp * 1000).toISOString()
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  private sign(session: WalletSession): string {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      sub: session.address,
+      iat: Math.floor(Date.parse(session.issuedAt) / 1000),
+      exp: Math.floor(Date.parse(session.expiresAt) / 1000)
+    }));
+    return `${header}.${payload}.${base64url(this.hmac(`${header}.${payload}`))}`;
+  }
+
+  private hmac(data: string): Buffer {
+    return crypto.createHmac('sha256', this.options.secret).update(data).digest();
+  }
+
+  private pruneNonces(): void {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt < now) {
+        this.nonces.delete(nonce);
+      }
+    }
+  }
+}
+
+/**
+ * Express middleware requiring a wallet session
+ *
+ * Requests need `Authorization: Bearer <token>` from POST /auth/verify; the
+ * session is exposed as res.locals.session, anything else gets a 401.
+ *
+ * @param auth - Validates the session tokens
+ *
+ * @example
+ * ```typescript
+ * const requireWalletSession = walletSessionMiddleware(walletAuth);
+ * app.post('/register-post', requireWalletSession, handler);
+ * ```
+ */
+export function walletSessionMiddleware(auth: WalletAuth) {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const session = scheme === 'Bearer' && token ? auth.authenticate(token) : null;
+
+    if (!session) {
+      res.status(401).json({
+        success: false,
+        error: 'Wallet sign-in required. Sign in via GET /auth/nonce and POST /auth/verify, then send Authorization: Bearer <token>.'
+      });
+      return;
+    }
+
+    res.locals.session = session;
+    next();
+  };
+}
@@ -13,9 +13,66 @@ const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const { ethers } = require('ethers');
 
 const API_URL = 'http://localhost:3001';
 
+// Uploads are attributed to the signed-in wallet (TEST_PRIVATE_KEY, or a throwaway wallet)
+const AUTH_DOMAIN = process.env.TEST_AUTH_DOMAIN || 'localhost:5173';
+const CHAIN_ID = process.env.CHAIN_ID || '80002';
+
+/**
+ * Sign in with Ethereum and return a session token
+ */
+async function signIn() {
+  const wallet = process.env.TEST_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.TEST_PRIVATE_KEY)
+    : ethers.Wallet.createRandom();
+
+  const { data: { nonce } } = await axios.get(`${API_URL}/auth/nonce`);
+  const message = [
+    `${AUTH_DOMAIN} wants you to sign in with your Ethereum account:`,
+    wallet.address,
+    '',
+    'Sign in to BlockPost to publish content from this wallet.',
+    '',
+    `URI: http://${AUTH_DOMAIN}`,
+    'Version: 1',
+    `Chain ID: ${CHAIN_ID}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join('\n');
+
+  const { data } = await axios.post(`${API_URL}/auth/verify`, {
+    message,
+    signature: await wallet.signMessage(message)
+  });
+  console.log(`🔑 Signed in as ${data.address}`);
+  return data.token;
+}
+
+/**
+ * Poll an upload job until it completes, printing phase progress
+ */
+async function waitForJob(jobId) {
+  let lastLine = '';
+  for (;;) {
+    const { data } = await axios.get(`${API_URL}/jobs/${jobId}`);
+    const job = data.job;
+
+    const line = `  [${String(job.progress).padStart(3)}%] ${job.phase || job.status}`;
+    if (line !== lastLine) {
+      console.log(line);
+      lastLine = line;
+    }
+
+    if (job.status === 'completed') return job.result;
+    if (job.status === 'failed') throw new Error(`Upload job failed: ${job.error}`);
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+}
+
 /**
  * Test uploading a file to VideoGuard
  */
@@ -40,6 +97,8 @@ async function testUpload(filePath) {
     console.log(`📊 Size: ${(fileStats.size / (1024 * 1024)).toFixed(2)} MB`);
     console.log('\n⏳ Uploading...\n');
 
+    const token = await signIn();
+
     // Create form data
     const form = new FormData();
     form.append('video', fs.createReadStream(filePath));
@@ -47,19 +106,21 @@ async function testUpload(filePath) {
     // Upload to server
     const startTime = Date.now();
     const response = await axios.post(`${API_URL}/upload`, form, {
-      headers: form.getHeaders(),
+      headers: { ...form.getHeaders(), Authorization: `Bearer ${token}` },
       maxContentLength: Infinity,
       maxBodyLength: Infinity
     });
 
+    console.log(`🧾 Job queued: ${response.data.jobId}\n`);
+
+    // Follow the processing job until it finishes
+    const data = await waitForJob(response.data.jobId);
     const duration = Date.now() - startTime;
 
     console.log('=================================');
     console.log('✅ UPLOAD SUCCESSFUL');
     console.log('=================================\n');
 
-    const data = response.data;
-
     // Display results
     console.log(`📋 Status: ${data.status}`);
     console.log(`🎨 Asset Type: ${data.assetType}`);
@@ -76,8 +137,9 @@ async function testUpload(filePath) {
     console.log(`  - Audio: ${data.hashes.audioHash.substring(0, 30)}...\n`);
 
     console.log('☁️  IPFS:');
-    console.log(`  - CID: ${data.ipfs.cid}`);
-    console.log(`  - Gateway: ${data.ipfs.gatewayUrl}\n`);
+    console.log(`  - Media CID: ${data.ipfs.mediaCid}`);
+    console.log(`  - Metadata CID: ${data.ipfs.metadataCid}`);
+    console.log(`  - Gateway: ${data.ipfs.mediaGatewayUrl}\n`);
 
     // Show blockchain-specific results
     if (data.status === 'NEW_ASSET_REGISTERED') {
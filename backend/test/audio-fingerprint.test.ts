@@ -0,0 +1,74 @@
+/**
+ * Tests for the Chromaprint-style audio fingerprint comparator
+ */
+
+import HashEngine from '../src/hash-engine.js';
+import { encodeFingerprint, decodeFingerprint, compareFingerprints } from '../src/audio-fingerprint.js';
+
+/**
+ * Deterministic sequence of 32-bit sub-fingerprints
+ */
+function track(length: number, seed: number): Uint32Array {
+  const words = new Uint32Array(length);
+  let state = seed >>> 0;
+  for (let i = 0; i < length; i++) {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    words[i] = state >>> 0;
+  }
+  return words;
+}
+
+const song = track(200, 42);
+
+describe('encodeFingerprint / decodeFingerprint', () => {
+  it('round-trips a fingerprint', () => {
+    const encoded = encodeFingerprint(song);
+
+    expect(encoded.startsWith('cp1:')).toBe(true);
+    expect(decodeFingerprint(encoded)).toEqual(song);
+  });
+
+  it('rejects other encodings', () => {
+    expect(decodeFingerprint('no_audio')).toBeNull();
+  });
+});
+
+describe('compareFingerprints', () => {
+  it('scores identical audio as 100%', () => {
+    expect(compareFingerprints(song, song)).toBe(100);
+  });
+
+  it('scores a re-encode (a few flipped bits) close to 100%', () => {
+    const reencoded = song.map((word, i) => (i % 4 === 0 ? word ^ 0b101 : word));
+
+    expect(compareFingerprints(reencoded, song)).toBeGreaterThanOrEqual(98);
+  });
+
+  it('aligns audio that starts later', () => {
+    expect(compareFingerprints(song.slice(30), song)).toBe(100);
+  });
+
+  it('scores unrelated audio around 50%', () => {
+    const similarity = compareFingerprints(track(200, 7), song);
+
+    expect(similarity).toBeGreaterThan(40);
+    expect(similarity).toBeLessThan(60);
+  });
+
+  it('scores an empty fingerprint as 0', () => {
+    expect(compareFingerprints(new Uint32Array(0), song)).toBe(0);
+  });
+});
+
+describe('HashEngine.compareAudioFingerprints', () => {
+  it('compares encoded fingerprints', () => {
+    expect(HashEngine.compareAudioFingerprints(encodeFingerprint(song), encodeFingerprint(song))).toBe(100);
+  });
+
+  it('never matches "no_audio"', () => {
+    expect(HashEngine.compareAudioFingerprints('no_audio', 'no_audio')).toBe(0);
+  });
+});
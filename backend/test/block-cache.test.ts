@@ -0,0 +1,92 @@
+/**
+ * Tests for the on-disk LRU cache of verified blocks (block-cache)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BlockCache } from '../src/block-cache.js';
+import { computeCid } from '../src/cid.js';
+
+async function block(text: string): Promise<{ cid: string; bytes: Buffer }> {
+  const bytes = Buffer.from(text.padEnd(100, '.'));
+  return { cid: await computeCid(bytes), bytes };
+}
+
+describe('BlockCache', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'block-cache-test-'));
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('returns stored blocks and misses unknown ones', async () => {
+    const cache = new BlockCache(directory, 1000);
+    const { cid, bytes } = await block('first');
+    const missing = await block('missing');
+
+    await cache.put(cid, bytes);
+
+    expect(await cache.get(cid)).toEqual(bytes);
+    expect(await cache.get(missing.cid)).toBeNull();
+    expect(cache.stats()).toEqual({ blocks: 1, bytes: 100, maxBytes: 1000 });
+  });
+
+  it('refuses a block that does not hash to its CID', async () => {
+    const cache = new BlockCache(directory, 1000);
+    const { cid } = await block('expected');
+
+    await expect(cache.put(cid, Buffer.from('substituted content'))).rejects.toThrow(`Block does not match ${cid}`);
+
+    expect(await cache.get(cid)).toBeNull();
+    expect(fs.existsSync(path.join(directory, cid))).toBe(false);
+  });
+
+  it('drops cached files that were corrupted on disk', async () => {
+    const cache = new BlockCache(directory, 1000);
+    const { cid, bytes } = await block('first');
+    await cache.put(cid, bytes);
+    fs.writeFileSync(path.join(directory, cid), 'corrupted');
+
+    expect(await cache.get(cid)).toBeNull();
+    expect(fs.existsSync(path.join(directory, cid))).toBe(false);
+    expect(cache.stats().blocks).toBe(0);
+  });
+
+  it('evicts the least recently used blocks to stay within budget', async () => {
+    const cache = new BlockCache(directory, 250);
+    const [a, b, c] = await Promise.all(['a', 'b', 'c'].map(block));
+    await cache.put(a.cid, a.bytes);
+    await cache.put(b.cid, b.bytes);
+    await cache.get(a.cid);
+
+    await cache.put(c.cid, c.bytes);
+
+    expect(await cache.get(b.cid)).toBeNull();
+    expect(await cache.get(a.cid)).toEqual(a.bytes);
+    expect(await cache.get(c.cid)).toEqual(c.bytes);
+    expect(cache.stats()).toEqual({ blocks: 2, bytes: 200, maxBytes: 250 });
+  });
+
+  it('keeps the blocks of previous runs and removes their temp files', async () => {
+    const { cid, bytes } = await block('persisted');
+    await new BlockCache(directory, 1000).put(cid, bytes);
+    fs.writeFileSync(path.join(directory, `${cid}.abc123.tmp`), 'partial');
+    fs.writeFileSync(path.join(directory, 'README'), 'not a block');
+
+    const reopened = new BlockCache(directory, 1000);
+
+    expect(await reopened.get(cid)).toEqual(bytes);
+    expect(reopened.stats().blocks).toBe(1);
+    expect(fs.existsSync(path.join(directory, `${cid}.abc123.tmp`))).toBe(false);
+  });
+});
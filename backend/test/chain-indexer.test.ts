@@ -0,0 +1,316 @@
+/**
+ * Tests for following contract logs into the chain and post stores (chain-indexer)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { ethers } from 'ethers';
+import { CONTRACT_ABI, chainFingerprint } from '../src/blockchain.js';
+import { ChainIndexer, ChainIndexerOptions } from '../src/chain-indexer.js';
+import { ChainStore } from '../src/chain-store.js';
+import { openDatabase } from '../src/database.js';
+import { getStorageProvider } from '../src/ipfs-storage.js';
+import { createMetadata } from '../src/post-metadata.js';
+import { Post, SqlitePostRepository } from '../src/post-store.js';
+
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const UPLOADER = '0x2222222222222222222222222222222222222222';
+const VIDEO = 'ab'.repeat(32);
+const PERCEPTUAL = `tv1:${'0123456789abcdef'.repeat(8)}`;
+const AUDIO = `cp1:${'fedcba98'.repeat(16)}`;
+
+const iface = new ethers.Interface(CONTRACT_ABI);
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-indexer-test-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = storeDir;
+
+/**
+ * In-memory chain: the calls the indexer makes on its provider
+ */
+class FakeChain {
+  head = 0;
+  logs: ethers.Log[] = [];
+  logRanges: Array<[number, number]> = [];
+  private readonly forked = new Set<number>();
+
+  hash(blockNumber: number): string {
+    return ethers.id(`${this.forked.has(blockNumber) ? 'fork' : 'block'}-${blockNumber}`);
+  }
+
+  async getBlockNumber() {
+    return this.head;
+  }
+
+  async getLogs({ fromBlock, toBlock }: { fromBlock: number; toBlock: number }) {
+    this.logRanges.push([fromBlock, toBlock]);
+    return this.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+  }
+
+  async getBlock(blockNumber: number) {
+    return blockNumber <= this.head ? { number: blockNumber, hash: this.hash(blockNumber) } : null;
+  }
+
+  /**
+   * Add a contract event to a block
+   */
+  emit(blockNumber: number, name: string, values: unknown[]): string {
+    const { data, topics } = iface.encodeEventLog(iface.getEvent(name)!, values);
+    const transactionHash = ethers.id(`tx-${this.hash(blockNumber)}-${this.logs.length}`);
+    this.logs.push({ blockNumber, index: this.logs.length, blockHash: this.hash(blockNumber), transactionHash, topics, data } as unknown as ethers.Log);
+    return transactionHash;
+  }
+
+  /**
+   * Replace every block from `fromBlock` on with a fork without their events
+   */
+  reorg(fromBlock: number): void {
+    for (let blockNumber = fromBlock; blockNumber <= this.head; blockNumber++) {
+      this.forked.add(blockNumber);
+    }
+    this.logs = this.logs.filter(log => log.blockNumber < fromBlock);
+  }
+}
+
+/**
+ * Pin a metadata document for the test video
+ */
+async function pinMetadata(overrides: { perceptualHash?: string; audioHash?: string } = {}): Promise<{ cid: string; bytes: Buffer }> {
+  const storage = getStorageProvider();
+  const mediaCid = await storage.pinFile(Buffer.from('video bytes'), { fileName: 'clip.mp4', mimeType: 'video/mp4' });
+  const metadata = createMetadata({
+    creator: CREATOR,
+    title: 'Sunset timelapse',
+    assetType: 'video',
+    mediaCid,
+    mimeType: 'video/mp4',
+    fileName: 'clip.mp4',
+    fileSize: 11,
+    exactHash: VIDEO,
+    perceptualHash: overrides.perceptualHash ?? PERCEPTUAL,
+    audioHash: overrides.audioHash ?? AUDIO,
+    createdAt: '2026-01-01T00:00:00.000Z'
+  });
+  const bytes = Buffer.from(JSON.stringify(metadata));
+  return { cid: await storage.pinFile(bytes, { fileName: 'metadata.json', mimeType: 'application/json' }), bytes };
+}
+
+function registered(chain: FakeChain, blockNumber: number, metadataCid: string, audioFingerprint = chainFingerprint(AUDIO)): string {
+  return chain.emit(blockNumber, 'VideoRegistered', [`0x${VIDEO}`, CREATOR, chainFingerprint(PERCEPTUAL), audioFingerprint, metadataCid, 1700000000]);
+}
+
+describe('ChainIndexer', () => {
+  let db: Database.Database;
+  let posts: SqlitePostRepository;
+  let store: ChainStore;
+  let chain: FakeChain;
+
+  const indexer = (options: Partial<ChainIndexerOptions> = {}) => new ChainIndexer(store, posts, {
+    provider: chain as unknown as ethers.Provider,
+    contractAddress: CONTRACT,
+    abi: CONTRACT_ABI,
+    startBlock: 1,
+    confirmations: 0,
+    ...options
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    for (const name of fs.readdirSync(storeDir)) {
+      fs.rmSync(path.join(storeDir, name), { force: true });
+    }
+    db = openDatabase(':memory:');
+    posts = new SqlitePostRepository(db);
+    store = new ChainStore(db);
+    chain = new FakeChain();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('sync', () => {
+    it('indexes in batches up to the confirmed head', async () => {
+      const { cid } = await pinMetadata();
+      registered(chain, 17, cid);
+      chain.head = 20;
+      const instance = indexer({ confirmations: 5, batchSize: 4 });
+
+      await instance.sync();
+
+      expect(chain.logRanges).toEqual([[1, 4], [5, 8], [9, 12], [13, 15]]);
+      expect(instance.status()).toMatchObject({ indexedBlock: 15, headBlock: 20, lastError: null });
+      expect(store.getVideo(`0x${VIDEO}`)).toBeNull();
+
+      chain.head = 22;
+      await instance.sync();
+
+      expect(chain.logRanges.slice(4)).toEqual([[16, 17]]);
+      expect(store.getVideo(`0x${VIDEO}`)).toMatchObject({ creator: CREATOR, blockNumber: 17 });
+    });
+
+    it('adds registrations nobody reported to the feed from their metadata', async () => {
+      const { cid } = await pinMetadata();
+      const txHash = registered(chain, 3, cid);
+      chain.head = 5;
+      const onPostIndexed = jest.fn();
+
+      await indexer({ onPostIndexed }).sync();
+
+      const post = await posts.findByMetadataCid(cid);
+      expect(post).toMatchObject({
+        id: cid,
+        walletAddress: CREATOR,
+        exactHash: VIDEO,
+        status: 'ORIGINAL',
+        caption: 'Sunset timelapse',
+        txStatus: 'confirmed',
+        onChain: { txHash, blockNumber: 3, contractAddress: CONTRACT }
+      });
+      expect(onPostIndexed).toHaveBeenCalledWith(expect.objectContaining({ id: cid }));
+    });
+
+    it('keeps the metadata fingerprints whose digest matches the chain', async () => {
+      const { cid } = await pinMetadata();
+      const otherAudio = chainFingerprint(`cp1:${'00'.repeat(32)}`);
+      registered(chain, 3, cid, otherAudio);
+      chain.head = 3;
+
+      await indexer().sync();
+
+      const post = await posts.findByMetadataCid(cid);
+      expect(post?.perceptualHash).toBe(PERCEPTUAL);
+      expect(post?.audioHash).toBe(otherAudio);
+    });
+
+    it('gives a reported post the on-chain owner and status', async () => {
+      const { cid } = await pinMetadata();
+      const txHash = registered(chain, 3, cid);
+      chain.head = 3;
+      await posts.save({
+        id: 'reported',
+        mediaCid: 'media',
+        mediaGatewayUrl: 'http://localhost:3001/ipfs/media',
+        metadataCid: cid,
+        metadataGatewayUrl: `http://localhost:3001/ipfs/${cid}`,
+        walletAddress: UPLOADER,
+        exactHash: VIDEO,
+        perceptualHash: PERCEPTUAL,
+        audioHash: AUDIO,
+        assetType: 'video',
+        mimeType: 'video/mp4',
+        fileName: 'clip.mp4',
+        fileSize: 11,
+        status: 'REPOST_DETECTED',
+        originalHash: 'cd'.repeat(32),
+        txStatus: 'pending',
+        onChain: { txHash, blockNumber: 0, contractAddress: CONTRACT, gasUsed: '90000' },
+        timestamp: '2026-01-01T00:00:00.000Z'
+      } as Post);
+
+      await indexer().sync();
+
+      const post = await posts.findByMetadataCid(cid);
+      expect(post).toMatchObject({
+        walletAddress: CREATOR,
+        status: 'ORIGINAL',
+        txStatus: 'confirmed',
+        perceptualHash: PERCEPTUAL,
+        onChain: { txHash, blockNumber: 3, gasUsed: '90000' }
+      });
+      expect(post?.originalHash).toBeUndefined();
+    });
+
+    it('retries registrations whose metadata could not be read', async () => {
+      const { cid, bytes } = await pinMetadata();
+      await getStorageProvider().unpin(cid);
+      registered(chain, 3, cid);
+      chain.head = 3;
+      const instance = indexer();
+
+      await instance.sync();
+      expect(await posts.findByMetadataCid(cid)).toBeNull();
+      expect(store.listUnsyncedVideos(10)).toHaveLength(1);
+
+      await getStorageProvider().pinFile(bytes, { fileName: 'metadata.json', mimeType: 'application/json' });
+      await instance.sync();
+      expect(await posts.findByMetadataCid(cid)).not.toBeNull();
+      expect(store.listUnsyncedVideos(10)).toHaveLength(0);
+    });
+
+    it('does not add registrations with invalid metadata to the feed', async () => {
+      const cid = await getStorageProvider().pinFile(Buffer.from('{"title":"not metadata"}'), { fileName: 'bad.json', mimeType: 'application/json' });
+      registered(chain, 3, cid);
+      chain.head = 3;
+
+      await indexer().sync();
+
+      expect(await posts.findByMetadataCid(cid)).toBeNull();
+      expect(store.listUnsyncedVideos(10)).toHaveLength(0);
+    });
+  });
+
+  describe('handleReorg', () => {
+    it('rolls back registrations that left the canonical chain', async () => {
+      const { cid } = await pinMetadata();
+      registered(chain, 3, cid);
+      chain.head = 6;
+      const instance = indexer();
+      await instance.sync();
+      expect((await posts.findByMetadataCid(cid))?.onChain?.blockNumber).toBe(3);
+
+      chain.reorg(3);
+      await instance.sync();
+
+      expect(store.getVideo(`0x${VIDEO}`)).toBeNull();
+      const post = await posts.findByMetadataCid(cid);
+      expect(post?.onChain).toBeUndefined();
+      expect(post?.txStatus).toBeUndefined();
+      expect(instance.status().indexedBlock).toBe(6);
+    });
+
+    it('re-indexes a registration mined again in the new chain', async () => {
+      const { cid } = await pinMetadata();
+      registered(chain, 3, cid);
+      chain.head = 6;
+      const instance = indexer();
+      await instance.sync();
+
+      chain.reorg(3);
+      const txHash = registered(chain, 5, cid);
+      await instance.sync();
+
+      expect(store.getVideo(`0x${VIDEO}`)).toMatchObject({ blockNumber: 5, txHash });
+      expect((await posts.findByMetadataCid(cid))?.onChain).toMatchObject({ blockNumber: 5, txHash });
+      expect(chain.logRanges.at(-1)).toEqual([3, 6]);
+    });
+
+    it('keeps blocks that are still canonical', async () => {
+      const { cid } = await pinMetadata();
+      registered(chain, 3, cid);
+      chain.head = 6;
+      const instance = indexer();
+      await instance.sync();
+
+      chain.reorg(5);
+      chain.head = 8;
+      await instance.sync();
+
+      expect(store.getVideo(`0x${VIDEO}`)).toMatchObject({ blockNumber: 3 });
+      expect(chain.logRanges.at(-1)).toEqual([4, 8]);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Tests for the chain indexer's event store and the state replayed from it (chain-store)
+ */
+
+import Database from 'better-sqlite3';
+import { openDatabase } from '../src/database.js';
+import { ChainEvent, ChainEventName, ChainStore } from '../src/chain-store.js';
+
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const VIDEO = '0x' + 'ab'.repeat(32);
+const PARENT = '0x' + 'cd'.repeat(32);
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const ACCUSER = '0x2222222222222222222222222222222222222222';
+const BUYER = '0x3333333333333333333333333333333333333333';
+const ARBITRATOR = '0x4444444444444444444444444444444444444444';
+
+let logIndex = 0;
+
+/**
+ * Decoded log as the chain indexer passes it to the store
+ */
+function log(
+  blockNumber: number,
+  event: ChainEventName,
+  args: ChainEvent['args'],
+  refs: { videoHash?: string; disputeId?: number } = {}
+): ChainEvent {
+  return {
+    blockNumber,
+    logIndex: logIndex++,
+    blockHash: `0xblock${blockNumber}`,
+    txHash: `0xtx${blockNumber}-${logIndex}`,
+    event,
+    videoHash: refs.videoHash ?? null,
+    disputeId: refs.disputeId ?? null,
+    args
+  };
+}
+
+function registered(blockNumber: number, creator: string, ipfsHash: string): ChainEvent {
+  return log(blockNumber, 'VideoRegistered', {
+    exactHash: VIDEO,
+    creator,
+    perceptualHash: 'tv1k:' + '0'.repeat(64),
+    audioFingerprint: 'no_audio',
+    ipfsHash,
+    timestamp: 1700000000 + blockNumber
+  }, { videoHash: VIDEO });
+}
+
+function disputeRaised(blockNumber: number, disputeId: number): ChainEvent {
+  return log(blockNumber, 'DisputeRaised', {
+    disputeId,
+    videoHash: VIDEO,
+    accuser: ACCUSER,
+    reason: 'Stolen content',
+    evidenceCid: 'QmEvidence',
+    stake: '100000000000000000',
+    deadline: 1800000000
+  }, { videoHash: VIDEO, disputeId });
+}
+
+function disputeResolved(blockNumber: number, disputeId: number, ruling: number): ChainEvent {
+  return log(blockNumber, 'DisputeResolved', {
+    disputeId,
+    resolver: ARBITRATOR,
+    upheld: ruling >= 2,
+    ruling,
+    appealDeadline: 1800100000
+  }, { disputeId });
+}
+
+function disputeFinalized(blockNumber: number, disputeId: number, ruling: number): ChainEvent {
+  return log(blockNumber, 'DisputeFinalized', { disputeId, videoHash: VIDEO, ruling }, { videoHash: VIDEO, disputeId });
+}
+
+describe('ChainStore', () => {
+  let db: Database.Database;
+  let chain: ChainStore;
+
+  /**
+   * Index events as one batch ending at their last block
+   */
+  function apply(...events: ChainEvent[]): string[] {
+    const cursor = Math.max(...events.map(e => e.blockNumber));
+    return chain.applyBatch(CONTRACT, events, events.map(e => ({ number: e.blockNumber, hash: e.blockHash })), cursor);
+  }
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    chain = new ChainStore(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('derives an ownership record from a registration', () => {
+    expect(apply(registered(10, CREATOR, 'QmMetadata'))).toEqual([VIDEO]);
+
+    expect(chain.getVideo(VIDEO)).toMatchObject({
+      exactHash: VIDEO,
+      creator: CREATOR,
+      ipfsHash: 'QmMetadata',
+      registeredAt: 1700000010,
+      blockNumber: 10,
+      isDisputed: false,
+      revoked: false,
+      license: { type: 'ALL_RIGHTS_RESERVED' },
+      derivation: null,
+      postSynced: false
+    });
+    expect(chain.getCursor(CONTRACT)).toBe(10);
+  });
+
+  it('applies the latest license and the parent of a derivative', () => {
+    apply(
+      registered(10, CREATOR, 'QmMetadata'),
+      log(10, 'DerivativeRegistered', { exactHash: VIDEO, parentHash: PARENT, creator: CREATOR, derivativeType: 0 }, { videoHash: VIDEO }),
+      log(10, 'LicenseSet', { exactHash: VIDEO, creator: CREATOR, licenseType: 2, termsCid: '' }, { videoHash: VIDEO })
+    );
+    apply(log(12, 'LicenseSet', { exactHash: VIDEO, creator: CREATOR, licenseType: 8, termsCid: 'QmTerms' }, { videoHash: VIDEO }));
+
+    const video = chain.getVideo(VIDEO);
+    expect(video?.license).toEqual({ type: 'CUSTOM', termsCid: 'QmTerms' });
+    expect(video?.derivation).toEqual({ parentHash: PARENT.slice(2), derivativeType: 'REMIX' });
+  });
+
+  it('replays a dispute that transfers ownership', () => {
+    apply(registered(10, CREATOR, 'QmMetadata'), disputeRaised(11, 0));
+    expect(chain.getVideo(VIDEO)?.isDisputed).toBe(true);
+    expect(chain.listDisputes(VIDEO)[0]).toMatchObject({ disputeId: 0, status: 'OPEN', accuser: ACCUSER, deadline: 1800000000 });
+
+    apply(disputeResolved(12, 0, 2));
+    expect(chain.listDisputes()[0]).toMatchObject({ status: 'RESOLVED', ruling: 'TRANSFER_OWNERSHIP', upheld: true, deadline: 1800100000 });
+
+    apply(
+      disputeFinalized(13, 0, 2),
+      log(13, 'VideoOwnershipTransferred', { exactHash: VIDEO, from: CREATOR, to: ACCUSER, disputeId: 0 }, { videoHash: VIDEO })
+    );
+    expect(chain.getVideo(VIDEO)).toMatchObject({ creator: ACCUSER, isDisputed: false, revoked: false });
+    expect(chain.listDisputes()[0]).toMatchObject({ status: 'FINALIZED', finalizedBlock: 13 });
+  });
+
+  it('replaces a revoked registration with a later one', () => {
+    apply(
+      registered(10, CREATOR, 'QmInfringer'),
+      log(10, 'LicenseSet', { exactHash: VIDEO, creator: CREATOR, licenseType: 1, termsCid: '' }, { videoHash: VIDEO }),
+      log(11, 'LicensePurchased', { exactHash: VIDEO, buyer: BUYER, creator: CREATOR, token: CONTRACT, price: 1 }, { videoHash: VIDEO }),
+      disputeRaised(12, 0),
+      disputeResolved(13, 0, 3),
+      disputeFinalized(14, 0, 3),
+      log(14, 'VideoRevoked', { exactHash: VIDEO, disputeId: 0 }, { videoHash: VIDEO })
+    );
+    expect(chain.getVideo(VIDEO)?.revoked).toBe(true);
+    expect(chain.hasPurchasedLicense(VIDEO, BUYER)).toBe(true);
+
+    apply(registered(20, ACCUSER, 'QmRightfulOwner'));
+
+    expect(chain.getVideo(VIDEO)).toMatchObject({
+      creator: ACCUSER,
+      ipfsHash: 'QmRightfulOwner',
+      blockNumber: 20,
+      isDisputed: false,
+      revoked: false,
+      license: { type: 'ALL_RIGHTS_RESERVED' }
+    });
+    expect(chain.hasPurchasedLicense(VIDEO, BUYER)).toBe(false);
+  });
+
+  it('answers license purchases regardless of address case', () => {
+    apply(
+      registered(10, CREATOR, 'QmMetadata'),
+      log(11, 'LicensePurchased', { exactHash: VIDEO, buyer: BUYER.toUpperCase().replace('0X', '0x'), creator: CREATOR, token: CONTRACT, price: 1 }, { videoHash: VIDEO })
+    );
+
+    expect(chain.hasPurchasedLicense(VIDEO, BUYER)).toBe(true);
+    expect(chain.hasPurchasedLicense(VIDEO, ACCUSER)).toBe(false);
+  });
+
+  it('rolls back events above a reorganized block', () => {
+    apply(registered(10, CREATOR, 'QmMetadata'));
+    apply(disputeRaised(15, 0));
+
+    const { removed, affected } = chain.rollback(CONTRACT, 12);
+    expect(removed.map(e => e.event)).toEqual(['DisputeRaised']);
+    expect(affected).toEqual([VIDEO]);
+    expect(chain.getVideo(VIDEO)?.isDisputed).toBe(false);
+    expect(chain.listDisputes()).toEqual([]);
+    expect(chain.getCursor(CONTRACT)).toBe(12);
+
+    chain.rollback(CONTRACT, 9);
+    expect(chain.getVideo(VIDEO)).toBeNull();
+  });
+
+  it('discards indexed state of another contract', () => {
+    apply(registered(10, CREATOR, 'QmMetadata'));
+
+    expect(chain.getCursor('0x00000000000000000000000000000000000000c1')).toBeNull();
+    expect(chain.getVideo(VIDEO)).toBeNull();
+  });
+});
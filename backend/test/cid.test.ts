@@ -0,0 +1,120 @@
+/**
+ * Tests for local CIDv1 computation and block decoding (cid)
+ *
+ * Expected CIDs were produced by ipfs-unixfs-importer 17 with Kubo's
+ * defaults (CIDv1, raw leaves, 256 KiB fixed-size chunks, balanced layout
+ * with 174 links per node).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CHUNK_SIZE, MAX_LINKS, computeCid, parseCid, verifyBlock, decodeFileNode } from '../src/cid.js';
+
+/**
+ * Deterministic content: byte i is i % 251
+ */
+function content(length: number): Buffer {
+  const bytes = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = i % 251;
+  }
+  return bytes;
+}
+
+// Root dag-pb block of content(CHUNK_SIZE + 1): two raw leaves
+const TWO_CHUNK_ROOT = 'bafybeiexg2oqkfnj56l7fcmawswqbijt5shq4b5rg6a546uwpkqqzwjioi';
+const TWO_CHUNK_ROOT_BLOCK = Buffer.from(
+  '122c0a240155122031a1f9dea0169551092d05e8bf4a446228c8c3eb4c9b713c66adcb7fd53c89be120018808010' +
+  '122a0a240155122018ac3e7343f016890c510e93f935261169d9e3f565436429830faf0934f4f8e4120018010a0c08' +
+  '0218818010208080102001',
+  'hex'
+);
+
+describe('computeCid', () => {
+  it.each([
+    ['empty content', 0, 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'],
+    ['one byte', 1, 'bafkreidogqfzz75tpkmjzjke425xqcrmpcib2p5tg44hnbirumdbpl5adu'],
+    ['exactly one chunk (raw leaf)', CHUNK_SIZE, 'bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy'],
+    ['one byte over a chunk (dag-pb root)', CHUNK_SIZE + 1, TWO_CHUNK_ROOT],
+    ['a full root node', MAX_LINKS * CHUNK_SIZE, 'bafybeihpe5snhzneq7xs53nivmsopto5lrogo3wjynauqylqeym5a3irbm'],
+    ['one byte over a full root node (two levels)', MAX_LINKS * CHUNK_SIZE + 1,
+      'bafybeib4y7ghw2rq7bracc4xwtxrbzo7cfvagdpte2tmrkgwl6dyard3cm']
+  ])('matches ipfs-unixfs-importer for %s', async (_name, length, expected) => {
+    expect(await computeCid(content(length))).toBe(expected);
+  });
+
+  it('hashes text content', async () => {
+    expect(await computeCid(Buffer.from('hello world')))
+      .toBe('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+  });
+
+  it('streams a file from disk', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cid-test-'));
+    const file = path.join(dir, 'upload.bin');
+    try {
+      fs.writeFileSync(file, content(CHUNK_SIZE * 3 + 17));
+      expect(await computeCid(file)).toBe(await computeCid(content(CHUNK_SIZE * 3 + 17)));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('parseCid', () => {
+  it('parses a raw CIDv1', () => {
+    const parsed = parseCid('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+
+    expect(parsed.version).toBe(1);
+    expect(parsed.codec).toBe('raw');
+    expect(parsed.digest.toString('hex')).toBe('b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9');
+  });
+
+  it('parses a dag-pb CIDv1', () => {
+    expect(parseCid(TWO_CHUNK_ROOT).codec).toBe('dag-pb');
+  });
+
+  it('parses a CIDv0', () => {
+    const parsed = parseCid('QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n');
+
+    expect(parsed.version).toBe(0);
+    expect(parsed.codec).toBe('dag-pb');
+    expect(parsed.digest).toHaveLength(32);
+  });
+
+  it('rejects malformed CIDs', () => {
+    expect(() => parseCid('not-a-cid')).toThrow('Invalid CID');
+    expect(() => parseCid('bafy')).toThrow();
+  });
+});
+
+describe('verifyBlock', () => {
+  it('accepts a block that hashes to its CID', () => {
+    expect(verifyBlock('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e', Buffer.from('hello world'))).toBe(true);
+    expect(verifyBlock(TWO_CHUNK_ROOT, TWO_CHUNK_ROOT_BLOCK)).toBe(true);
+  });
+
+  it('rejects a tampered block', () => {
+    expect(verifyBlock('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e', Buffer.from('hello world!'))).toBe(false);
+  });
+});
+
+describe('decodeFileNode', () => {
+  it('returns a raw leaf as data', () => {
+    const block = Buffer.from('hello world');
+
+    expect(decodeFileNode('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e', block))
+      .toEqual({ data: block, links: [], fileSize: 11 });
+  });
+
+  it('decodes the links of a dag-pb file node', async () => {
+    const node = decodeFileNode(TWO_CHUNK_ROOT, TWO_CHUNK_ROOT_BLOCK);
+
+    expect(node.data).toHaveLength(0);
+    expect(node.fileSize).toBe(CHUNK_SIZE + 1);
+    expect(node.links).toEqual([
+      { cid: await computeCid(content(CHUNK_SIZE)), fileSize: CHUNK_SIZE },
+      { cid: await computeCid(content(CHUNK_SIZE + 1).subarray(CHUNK_SIZE)), fileSize: 1 }
+    ]);
+  });
+});
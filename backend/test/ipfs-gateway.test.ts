@@ -0,0 +1,269 @@
+/**
+ * Tests for verified retrieval from the gateway pool (ipfs-gateway)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios, { AxiosError, AxiosRequestConfig } from 'axios';
+import { BlockCache } from '../src/block-cache.js';
+import { CHUNK_SIZE, computeCid } from '../src/cid.js';
+import { GatewayPool, IpfsGateway, createIpfsGateway } from '../src/ipfs-gateway.js';
+
+const FAST = 'https://fast.example/ipfs/';
+const SLOW = 'https://slow.example/ipfs/';
+const BACKUP = 'https://backup.example/ipfs/';
+
+// Root dag-pb block of the two-chunk file (byte i is i % 251), see cid.test.ts
+const TWO_CHUNK_ROOT = 'bafybeiexg2oqkfnj56l7fcmawswqbijt5shq4b5rg6a546uwpkqqzwjioi';
+const TWO_CHUNK_ROOT_BLOCK = Buffer.from(
+  '122c0a240155122031a1f9dea0169551092d05e8bf4a446228c8c3eb4c9b713c66adcb7fd53c89be120018808010' +
+  '122a0a240155122018ac3e7343f016890c510e93f935261169d9e3f565436429830faf0934f4f8e4120018010a0c08' +
+  '0218818010208080102001',
+  'hex'
+);
+
+type Answer = (cid: string, signal: AbortSignal) => Promise<Buffer>;
+
+/**
+ * Blocks every gateway can serve, and per-gateway overrides
+ */
+const blocks = new Map<string, Buffer>();
+const answers = new Map<string, Answer>();
+const requests: string[] = [];
+
+function httpError(status: number, headers: Record<string, string> = {}): AxiosError {
+  return new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', undefined, undefined, {
+    status,
+    statusText: '',
+    headers,
+    config: {} as never,
+    data: null
+  });
+}
+
+/**
+ * Answer only once the request is aborted (a gateway losing the race)
+ */
+const hang: Answer = (_cid, signal) => new Promise((_resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new axios.CanceledError()));
+});
+
+async function rawBlock(text: string): Promise<{ cid: string; bytes: Buffer }> {
+  const bytes = Buffer.from(text);
+  return { cid: await computeCid(bytes), bytes };
+}
+
+describe('ipfs gateway', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    jest.spyOn(axios, 'get').mockImplementation(async (url: string, config?: AxiosRequestConfig) => {
+      const gateway = [FAST, SLOW, BACKUP].find(prefix => url.startsWith(prefix))!;
+      const cid = url.substring(gateway.length);
+      requests.push(gateway);
+
+      const answer = answers.get(gateway);
+      if (answer) {
+        return { data: await answer(cid, config!.signal as AbortSignal) };
+      }
+      const block = blocks.get(cid);
+      if (!block) throw httpError(404);
+      return { data: block };
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    blocks.clear();
+    answers.clear();
+    requests.length = 0;
+  });
+
+  describe('GatewayPool', () => {
+    it('returns the first verified block and aborts the other requests', async () => {
+      const { cid, bytes } = await rawBlock('hello');
+      blocks.set(cid, bytes);
+      answers.set(SLOW, hang);
+      const pool = new GatewayPool([SLOW, FAST]);
+
+      expect(await pool.fetchBlock(cid)).toEqual(bytes);
+
+      const [fast, slow] = [FAST, SLOW].map(url => pool.health().find(gateway => gateway.url === url)!);
+      expect(fast).toMatchObject({ successes: 1, failures: 0, lastError: null });
+      // Losing the race is not a failure
+      expect(slow).toMatchObject({ successes: 0, failures: 0, successRate: 1 });
+    });
+
+    it('rejects substituted content and takes the block from another gateway', async () => {
+      const { cid, bytes } = await rawBlock('hello');
+      blocks.set(cid, bytes);
+      answers.set(FAST, async () => Buffer.from('not the block'));
+      const pool = new GatewayPool([FAST, BACKUP], { raceWidth: 1 });
+
+      expect(await pool.fetchBlock(cid)).toEqual(bytes);
+      expect(requests).toEqual([FAST, BACKUP]);
+      expect(pool.health().find(gateway => gateway.url === FAST)).toMatchObject({
+        failures: 1,
+        lastError: 'response does not match the CID'
+      });
+    });
+
+    it('fails over to the next gateways when a round fails', async () => {
+      const { cid, bytes } = await rawBlock('hello');
+      blocks.set(cid, bytes);
+      answers.set(FAST, async () => {
+        throw httpError(500);
+      });
+      answers.set(SLOW, async () => {
+        throw httpError(502);
+      });
+      const pool = new GatewayPool([FAST, SLOW, BACKUP], { raceWidth: 2 });
+
+      expect(await pool.fetchBlock(cid)).toEqual(bytes);
+      expect(requests.sort()).toEqual([BACKUP, FAST, SLOW]);
+    });
+
+    it('reports every gateway error when no gateway has the block', async () => {
+      const { cid } = await rawBlock('missing');
+      const pool = new GatewayPool([FAST, BACKUP], { raceWidth: 1 });
+
+      await expect(pool.fetchBlock(cid))
+        .rejects.toThrow(`No gateway returned block ${cid} (${FAST}: HTTP 404; ${BACKUP}: HTTP 404)`);
+    });
+
+    it('ranks gateways by success rate and latency', async () => {
+      const { cid, bytes } = await rawBlock('hello');
+      blocks.set(cid, bytes);
+      answers.set(FAST, async () => {
+        throw httpError(500);
+      });
+      const pool = new GatewayPool([FAST, SLOW, BACKUP], { raceWidth: 1 });
+
+      await pool.fetchBlock(cid);
+
+      expect(pool.health().map(gateway => gateway.url)).toEqual([SLOW, BACKUP, FAST]);
+      expect(pool.health()[2]).toMatchObject({ successRate: 0.8, consecutiveFailures: 1, coolingDownUntil: null });
+
+      requests.length = 0;
+      await pool.fetchBlock(cid);
+      expect(requests).toEqual([SLOW]);
+    });
+
+    it('cools down rate-limited gateways for their Retry-After', async () => {
+      const { cid, bytes } = await rawBlock('hello');
+      blocks.set(cid, bytes);
+      answers.set(FAST, async () => {
+        throw httpError(429, { 'retry-after': '60' });
+      });
+      const pool = new GatewayPool([FAST, BACKUP], { raceWidth: 1 });
+      const before = Date.now();
+
+      await pool.fetchBlock(cid);
+      answers.delete(FAST);
+      requests.length = 0;
+      await pool.fetchBlock(cid);
+
+      const cooling = pool.health().find(gateway => gateway.url === FAST)!;
+      expect(Date.parse(cooling.coolingDownUntil!)).toBeGreaterThanOrEqual(before + 60_000);
+      expect(cooling.lastError).toBe('HTTP 429');
+      expect(requests).toEqual([BACKUP]);
+    });
+
+    it('cools down gateways that keep failing', async () => {
+      const blocksToFetch = await Promise.all(['a', 'b', 'c'].map(rawBlock));
+      for (const { cid, bytes } of blocksToFetch) blocks.set(cid, bytes);
+      answers.set(FAST, async () => {
+        throw httpError(500);
+      });
+      const pool = new GatewayPool([FAST], { raceWidth: 1 });
+
+      for (const { cid } of blocksToFetch.slice(0, 2)) {
+        await expect(pool.fetchBlock(cid)).rejects.toThrow('No gateway returned block');
+        expect(pool.health()[0].coolingDownUntil).toBeNull();
+      }
+      await expect(pool.fetchBlock(blocksToFetch[2].cid)).rejects.toThrow('No gateway returned block');
+
+      expect(pool.health()[0]).toMatchObject({ consecutiveFailures: 3, coolingDownUntil: expect.any(String) });
+    });
+  });
+
+  describe('IpfsGateway', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ipfs-gateway-test-'));
+    const file = Buffer.alloc(CHUNK_SIZE + 1);
+    for (let i = 0; i < file.length; i++) {
+      file[i] = i % 251;
+    }
+
+    beforeEach(async () => {
+      fs.rmSync(directory, { recursive: true, force: true });
+      blocks.set(TWO_CHUNK_ROOT, TWO_CHUNK_ROOT_BLOCK);
+      for (const leaf of [file.subarray(0, CHUNK_SIZE), file.subarray(CHUNK_SIZE)]) {
+        blocks.set(await computeCid(leaf), leaf);
+      }
+    });
+
+    afterAll(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const gateway = () => new IpfsGateway(new GatewayPool([FAST]), new BlockCache(directory, 10 * CHUNK_SIZE));
+
+    it('retrieves a file block by block and serves it again from the cache', async () => {
+      const instance = gateway();
+
+      expect((await instance.retrieve(TWO_CHUNK_ROOT)).equals(file)).toBe(true);
+      expect(requests).toHaveLength(3);
+
+      requests.length = 0;
+      expect((await gateway().retrieve(TWO_CHUNK_ROOT)).equals(file)).toBe(true);
+      expect(requests).toHaveLength(0);
+      expect(instance.status().cache.blocks).toBe(3);
+    });
+
+    it('fetches only the blocks a byte range covers', async () => {
+      const instance = gateway();
+      const read = async (start: number, end?: number) => {
+        const chunks: Buffer[] = [];
+        for await (const chunk of instance.read(TWO_CHUNK_ROOT, start, end)) {
+          chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+      };
+
+      expect(await read(CHUNK_SIZE)).toEqual(file.subarray(CHUNK_SIZE));
+      expect(requests).toHaveLength(2);
+      expect(await instance.fileSize(TWO_CHUNK_ROOT)).toBe(CHUNK_SIZE + 1);
+      expect(await read(CHUNK_SIZE - 2, CHUNK_SIZE)).toEqual(file.subarray(CHUNK_SIZE - 2, CHUNK_SIZE));
+      expect(requests).toHaveLength(3);
+    });
+
+    it('does not cache or return blocks that fail verification', async () => {
+      answers.set(FAST, async () => Buffer.from('not the block'));
+
+      await expect(gateway().retrieve(TWO_CHUNK_ROOT)).rejects.toThrow(`No gateway returned block ${TWO_CHUNK_ROOT}`);
+      expect(gateway().status().cache.blocks).toBe(0);
+    });
+  });
+
+  describe('createIpfsGateway', () => {
+    it('tries the storage provider gateway alongside IPFS_GATEWAYS', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ipfs-gateway-env-'));
+
+      try {
+        const instance = createIpfsGateway('https://fast.example/ipfs', {
+          IPFS_GATEWAYS: `${BACKUP}, ${FAST}`,
+          IPFS_CACHE_DIR: directory,
+          IPFS_CACHE_MAX_MB: '2'
+        });
+
+        expect(instance.status().gateways.map(gateway => gateway.url)).toEqual([FAST, BACKUP]);
+        expect(instance.status().cache).toEqual({ blocks: 0, bytes: 0, maxBytes: 2 * 1024 * 1024 });
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
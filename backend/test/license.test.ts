@@ -0,0 +1,80 @@
+/**
+ * Tests for license parsing, the contract encoding and reuse rules (license)
+ */
+
+import {
+  LICENSE_TYPES,
+  DEFAULT_LICENSE,
+  LicenseType,
+  LicenseValidationError,
+  parseLicense,
+  licenseFromChain,
+  licenseToChain,
+  permitsReuse
+} from '../src/license.js';
+
+const MATCH_TYPES = ['EXACT_DUPLICATE', 'VISUAL_MATCH', 'AUDIO_MATCH', 'TEXT_MATCH'];
+
+describe('permitsReuse', () => {
+  it.each(['CC0', 'CC_BY', 'CC_BY_SA', 'CC_BY_NC', 'CC_BY_NC_SA'] as LicenseType[])('%s allows any match', type => {
+    for (const matchType of MATCH_TYPES) {
+      expect(permitsReuse({ type }, matchType)).toBe(true);
+    }
+  });
+
+  it.each(['CC_BY_ND', 'CC_BY_NC_ND'] as LicenseType[])('%s only allows unmodified copies', type => {
+    expect(permitsReuse({ type }, 'EXACT_DUPLICATE')).toBe(true);
+    expect(permitsReuse({ type }, 'VISUAL_MATCH')).toBe(false);
+    expect(permitsReuse({ type }, 'AUDIO_MATCH')).toBe(false);
+    expect(permitsReuse({ type }, 'TEXT_MATCH')).toBe(false);
+  });
+
+  it('never treats all rights reserved or custom terms as permission', () => {
+    for (const matchType of MATCH_TYPES) {
+      expect(permitsReuse(DEFAULT_LICENSE, matchType)).toBe(false);
+      expect(permitsReuse({ type: 'CUSTOM', termsCid: 'QmTerms' }, matchType)).toBe(false);
+    }
+  });
+
+  it('treats a missing license as all rights reserved', () => {
+    expect(permitsReuse(undefined, 'EXACT_DUPLICATE')).toBe(false);
+  });
+});
+
+describe('parseLicense', () => {
+  it('defaults to all rights reserved', () => {
+    expect(parseLicense(undefined)).toEqual(DEFAULT_LICENSE);
+    expect(parseLicense('')).toEqual(DEFAULT_LICENSE);
+  });
+
+  it('accepts license types and custom terms', () => {
+    expect(parseLicense('CC_BY')).toEqual({ type: 'CC_BY' });
+    expect(parseLicense('CUSTOM', ' QmTerms ')).toEqual({ type: 'CUSTOM', termsCid: 'QmTerms' });
+  });
+
+  it('rejects unknown types and misplaced terms', () => {
+    expect(() => parseLicense('GPL')).toThrow(LicenseValidationError);
+    expect(() => parseLicense('CUSTOM')).toThrow('Custom licenses need a terms CID');
+    expect(() => parseLicense('CC0', 'QmTerms')).toThrow('only allowed for custom licenses');
+  });
+});
+
+describe('licenseFromChain / licenseToChain', () => {
+  it('uses the VideoGuard.LicenseType order', () => {
+    LICENSE_TYPES.forEach((type, index) => {
+      const termsCid = type === 'CUSTOM' ? 'QmTerms' : '';
+      const license = licenseFromChain(index, termsCid);
+
+      expect(license.type).toBe(type);
+      expect(licenseToChain(license)).toEqual({ licenseType: index, termsCid });
+    });
+  });
+
+  it('accepts bigint values from ethers', () => {
+    expect(licenseFromChain(6n, '')).toEqual({ type: 'CC_BY_ND' });
+  });
+
+  it('rejects unknown on-chain values', () => {
+    expect(() => licenseFromChain(9, '')).toThrow('Unknown on-chain license type 9');
+  });
+});
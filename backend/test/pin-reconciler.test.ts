@@ -0,0 +1,234 @@
+/**
+ * Tests for orphaned pin detection and unpinning (pin-reconciler)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { openDatabase } from '../src/database.js';
+import { ChainEvent, ChainStore } from '../src/chain-store.js';
+import { getStorageProvider } from '../src/ipfs-storage.js';
+import { PinReconciler } from '../src/pin-reconciler.js';
+import { Post, SqlitePostRepository } from '../src/post-store.js';
+
+const HOUR = 60 * 60 * 1000;
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const VIDEO = 'ab'.repeat(32);
+const ACCUSER = '0x2222222222222222222222222222222222222222';
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pin-reconciler-test-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = storeDir;
+
+/**
+ * Pin content to the local store, recorded as pinned some hours ago
+ */
+async function pin(content: string, hoursAgo = 100): Promise<string> {
+  const cid = await getStorageProvider().pinFile(Buffer.from(content), { fileName: content, mimeType: 'text/plain' });
+  const recordPath = path.join(storeDir, `${cid}.json`);
+  const record = JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+  record.pinnedAt = new Date(Date.now() - hoursAgo * HOUR).toISOString();
+  fs.writeFileSync(recordPath, JSON.stringify(record));
+  return cid;
+}
+
+function post(id: string, mediaCid: string, metadataCid: string, exactHash = id.padStart(64, '0')): Post {
+  return {
+    id,
+    mediaCid,
+    mediaGatewayUrl: `http://localhost:3001/ipfs/${mediaCid}`,
+    metadataCid,
+    metadataGatewayUrl: `http://localhost:3001/ipfs/${metadataCid}`,
+    walletAddress: '0x1111111111111111111111111111111111111111',
+    exactHash,
+    perceptualHash: 'no_video',
+    audioHash: 'no_audio',
+    assetType: 'image',
+    mimeType: 'image/png',
+    fileName: `${id}.png`,
+    fileSize: 1024,
+    status: 'ORIGINAL',
+    timestamp: new Date().toISOString()
+  };
+}
+
+function event(blockNumber: number, name: ChainEvent['event'], args: ChainEvent['args'], disputeId: number | null = null): ChainEvent {
+  return {
+    blockNumber,
+    logIndex: 0,
+    blockHash: `0xblock${blockNumber}`,
+    txHash: `0xtx${blockNumber}`,
+    event: name,
+    videoHash: name === 'DisputeResolved' ? null : `0x${VIDEO}`,
+    disputeId,
+    args
+  };
+}
+
+describe('PinReconciler', () => {
+  let db: Database.Database;
+  let posts: SqlitePostRepository;
+  let chain: ChainStore;
+
+  const reconciler = (gracePeriodHours = 72) =>
+    new PinReconciler(db, posts, chain, { gracePeriodMs: gracePeriodHours * HOUR });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    for (const name of fs.readdirSync(storeDir)) {
+      fs.rmSync(path.join(storeDir, name), { force: true });
+    }
+    db = openDatabase(':memory:');
+    posts = new SqlitePostRepository(db);
+    chain = new ChainStore(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('reports unreferenced pins in a dry run without unpinning them', async () => {
+    await posts.save(post('kept', await pin('kept media'), await pin('kept metadata')));
+    const orphan = await pin('abandoned upload');
+
+    const report = await reconciler().reconcile(true);
+
+    expect(report).toMatchObject({ dryRun: true, totalPins: 3, referencedPins: 2, unpinned: [], skippedReason: null });
+    expect(report.orphans).toEqual([{ cid: orphan, name: 'abandoned upload', pinnedAt: expect.any(String), reason: 'unreferenced' }]);
+    expect(await getStorageProvider().isPinned(orphan)).toBe(true);
+  });
+
+  it('unpins orphans and keeps referenced content', async () => {
+    const media = await pin('kept media');
+    await posts.save(post('kept', media, await pin('kept metadata')));
+    const orphan = await pin('abandoned upload');
+
+    const report = await reconciler().reconcile(false);
+
+    expect(report.unpinned).toEqual([orphan]);
+    expect(await getStorageProvider().isPinned(orphan)).toBe(false);
+    expect((await getStorageProvider().retrieve(media)).toString()).toBe('kept media');
+  });
+
+  it('keeps orphans within the grace period', async () => {
+    await posts.save(post('kept', await pin('kept media'), await pin('kept metadata')));
+    const recent = await pin('upload in progress', 1);
+
+    const report = await reconciler(72).reconcile(false);
+
+    expect(report.orphans).toEqual([]);
+    expect(report.pendingOrphans).toBe(1);
+    expect(await getStorageProvider().isPinned(recent)).toBe(true);
+  });
+
+  it('times pins without a provider pin time from when they were first seen', async () => {
+    await posts.save(post('kept', await pin('kept media'), await pin('kept metadata')));
+    const orphan = await pin('kubo pin');
+    const provider = getStorageProvider();
+    const listPins = provider.listPins.bind(provider);
+    jest.spyOn(provider, 'listPins').mockImplementation(async () =>
+      (await listPins()).map(info => ({ ...info, pinnedAt: null })));
+
+    try {
+      const first = await reconciler(72).reconcile(false);
+      expect(first.pendingOrphans).toBe(1);
+
+      db.prepare('UPDATE pin_observations SET first_seen_at = ? WHERE cid = ?')
+        .run(new Date(Date.now() - 100 * HOUR).toISOString(), orphan);
+      const second = await reconciler(72).reconcile(false);
+      expect(second.unpinned).toEqual([orphan]);
+    } finally {
+      jest.mocked(provider.listPins).mockRestore();
+    }
+  });
+
+  it('reports unpin failures and unpins the other orphans', async () => {
+    await posts.save(post('kept', await pin('kept media'), await pin('kept metadata')));
+    const stuck = await pin('stuck orphan');
+    const orphan = await pin('other orphan');
+    const provider = getStorageProvider();
+    const unpin = provider.unpin.bind(provider);
+    jest.spyOn(provider, 'unpin').mockImplementation(async cid => {
+      if (cid === stuck) throw new Error('provider unavailable');
+      return unpin(cid);
+    });
+
+    try {
+      const report = await reconciler().reconcile(false);
+
+      expect(report.unpinned).toEqual([orphan]);
+      expect(report.failed).toEqual([{ cid: stuck, error: 'IPFS unpin failed: provider unavailable' }]);
+      expect(await provider.isPinned(stuck)).toBe(true);
+    } finally {
+      jest.mocked(provider.unpin).mockRestore();
+    }
+  });
+
+  it('releases the content of a video whose dispute was upheld', async () => {
+    const media = await pin('infringing media');
+    const metadata = await pin('infringing metadata');
+    const shared = await pin('kept media');
+    const copyMetadata = await pin('copy metadata');
+    await posts.save(post('infringing', media, metadata, VIDEO));
+    await posts.save(post('repost', shared, await pin('repost metadata')));
+    await posts.save(post('infringing-copy', shared, copyMetadata, VIDEO));
+    chain.applyBatch(CONTRACT, [
+      event(10, 'VideoRegistered', { exactHash: `0x${VIDEO}`, creator: ACCUSER, perceptualHash: 'no_video', audioFingerprint: 'no_audio', ipfsHash: metadata, timestamp: 1700000000 }),
+      event(11, 'DisputeRaised', { disputeId: 0, videoHash: `0x${VIDEO}`, accuser: ACCUSER, reason: 'Stolen', evidenceCid: '', stake: '1', deadline: 1800000000 }, 0),
+      event(12, 'DisputeResolved', { disputeId: 0, resolver: ACCUSER, upheld: true, ruling: 3, appealDeadline: 1800000000 }, 0)
+    ], [], 12);
+
+    const report = await reconciler().reconcile(true);
+
+    expect(report.orphans.map(orphan => [orphan.cid, orphan.reason]).sort()).toEqual([
+      [media, 'dispute-upheld'],
+      [metadata, 'dispute-upheld'],
+      [copyMetadata, 'dispute-upheld']
+    ].sort());
+  });
+
+  it('unpins nothing while the post store is empty', async () => {
+    const orphan = await pin('not yet rebuilt');
+
+    const report = await reconciler().reconcile(false);
+
+    expect(report.orphans).toHaveLength(1);
+    expect(report.unpinned).toEqual([]);
+    expect(report.skippedReason).toMatch('Post store is empty');
+    expect(await getStorageProvider().isPinned(orphan)).toBe(true);
+  });
+
+  it('unpins nothing while the metadata of an on-chain registration cannot be read', async () => {
+    await posts.save(post('kept', await pin('kept media'), await pin('kept metadata')));
+    const orphan = await pin('media of an unsynced registration');
+    chain.applyBatch(CONTRACT, [
+      event(10, 'VideoRegistered', { exactHash: `0x${VIDEO}`, creator: ACCUSER, perceptualHash: 'no_video', audioFingerprint: 'no_audio', ipfsHash: 'bafkreimissingmetadatamissingmetadatamissingmetadatamissing', timestamp: 1700000000 })
+    ], [], 10);
+
+    const report = await reconciler().reconcile(false);
+
+    expect(report.skippedReason).toMatch('Metadata of 1 on-chain registration(s) could not be read');
+    expect(report.unpinned).toEqual([]);
+    expect(await getStorageProvider().isPinned(orphan)).toBe(true);
+  });
+
+  it('refuses overlapping runs', async () => {
+    await pin('orphan');
+    const instance = reconciler();
+
+    const first = instance.reconcile(true);
+    await expect(instance.reconcile(true)).rejects.toThrow('already in progress');
+    await first;
+  });
+});
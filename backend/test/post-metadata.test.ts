@@ -0,0 +1,295 @@
+/**
+ * Tests for the versioned post metadata format (post-metadata)
+ */
+
+import { ethers } from 'ethers';
+import {
+  METADATA_SCHEMA,
+  MetadataInput,
+  MetadataValidationError,
+  PostMetadata,
+  authorshipTypedData,
+  checkPostFields,
+  createMetadata,
+  migrateMetadata,
+  parseMetadata,
+  postFieldsFromMetadata,
+  recoverAuthor,
+  validateMetadata
+} from '../src/post-metadata.js';
+
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const MEDIA_CID = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const EXACT_HASH = 'ab'.repeat(32);
+
+function input(overrides: Partial<MetadataInput> = {}): MetadataInput {
+  return {
+    creator: CREATOR,
+    creatorName: 'Ada',
+    title: 'Sunset timelapse',
+    assetType: 'video',
+    mediaCid: MEDIA_CID,
+    mimeType: 'video/mp4',
+    fileName: 'clip.mp4',
+    fileSize: 1024,
+    exactHash: `0x${EXACT_HASH.toUpperCase()}`,
+    perceptualHash: 'tv1:0123',
+    audioHash: null,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+/**
+ * The validation errors of a call, or [] if it succeeds
+ */
+function errorsOf(call: () => unknown): string[] {
+  try {
+    call();
+    return [];
+  } catch (error) {
+    if (error instanceof MetadataValidationError) return error.errors;
+    throw error;
+  }
+}
+
+describe('createMetadata', () => {
+  it('builds a v1 document', () => {
+    expect(createMetadata(input())).toEqual({
+      schema: METADATA_SCHEMA,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      creator: { address: CREATOR, name: 'Ada', username: null },
+      title: 'Sunset timelapse',
+      description: null,
+      content: {
+        assetType: 'video',
+        cid: MEDIA_CID,
+        mimeType: 'video/mp4',
+        fileName: 'clip.mp4',
+        size: 1024,
+        hashes: { sha256: EXACT_HASH },
+        signature: { perceptualHash: 'tv1:0123', audioHash: null, imageFingerprint: null }
+      }
+    });
+  });
+
+  it('rejects invalid fields', () => {
+    expect(errorsOf(() => createMetadata(input({ creator: '0x1234', mediaCid: 'not-a-cid', fileSize: -1 })))).toEqual([
+      'creator.address has an invalid format',
+      'content.cid has an invalid format',
+      'content.size must be at least 0'
+    ]);
+  });
+});
+
+describe('validateMetadata', () => {
+  const valid = () => JSON.parse(JSON.stringify(createMetadata(input())));
+
+  it('lists every violation', () => {
+    const document = valid();
+    document.schema = 'blockpost.metadata/v2';
+    document.createdAt = 'yesterday';
+    document.content.assetType = 'hologram';
+    document.content.hashes.sha256 = 'ABC';
+    document.extra = true;
+    delete document.title;
+
+    expect(errorsOf(() => validateMetadata(document))).toEqual([
+      'title is required',
+      'schema must be "blockpost.metadata/v1"',
+      'createdAt must be an ISO 8601 date-time',
+      'content.assetType must be one of "video", "image", "audio", "other"',
+      'content.hashes.sha256 has an invalid format',
+      'extra is not allowed'
+    ]);
+  });
+
+  it('checks types and lengths', () => {
+    const document = valid();
+    document.title = 't'.repeat(201);
+    document.content.size = '1024';
+    document.content.mimeType = '';
+
+    expect(errorsOf(() => validateMetadata(document))).toEqual([
+      'title must be at most 200 characters',
+      'content.mimeType must not be empty',
+      'content.size must be integer'
+    ]);
+    expect(errorsOf(() => validateMetadata([]))).toEqual(['(document) must be object']);
+  });
+});
+
+describe('checkPostFields', () => {
+  it('checks the user-supplied fields against the schema', () => {
+    expect(checkPostFields({ title: 'Hi', description: null, creatorName: null, creatorUsername: 'ada' })).toEqual([]);
+    expect(checkPostFields({ title: 't'.repeat(201), description: null, creatorName: null, creatorUsername: 'u'.repeat(51) })).toEqual([
+      'title must be at most 200 characters',
+      'creator.username must be at most 50 characters'
+    ]);
+  });
+});
+
+describe('migrateMetadata', () => {
+  it('converts documents in the legacy format', () => {
+    const metadata = migrateMetadata({
+      walletAddress: CREATOR,
+      caption: 'Old post',
+      fileCid: MEDIA_CID,
+      mimeType: 'image/png',
+      fileName: 'old.png',
+      fileSize: 2048,
+      assetType: 'image',
+      exactHash: `0x${EXACT_HASH.toUpperCase()}`,
+      perceptualHash: '00ff00ff00ff00ff',
+      timestamp: '2024-05-01T12:00:00.000Z'
+    });
+
+    expect(metadata).toEqual({
+      schema: METADATA_SCHEMA,
+      createdAt: '2024-05-01T12:00:00.000Z',
+      creator: { address: CREATOR, name: null, username: null },
+      title: null,
+      description: 'Old post',
+      content: {
+        assetType: 'image',
+        cid: MEDIA_CID,
+        mimeType: 'image/png',
+        fileName: 'old.png',
+        size: 2048,
+        hashes: { sha256: EXACT_HASH },
+        signature: { perceptualHash: '00ff00ff00ff00ff', audioHash: null, imageFingerprint: null }
+      }
+    });
+  });
+
+  it('prefers the newer legacy field names and fills in missing ones', () => {
+    const metadata = migrateMetadata({
+      creator: CREATOR,
+      walletAddress: '0x2222222222222222222222222222222222222222',
+      mediaCid: MEDIA_CID,
+      mediaMimeType: 'video/mp4',
+      mimeType: 'application/octet-stream',
+      assetType: 'video',
+      createdAt: '2024-05-01T12:00:00.000Z'
+    });
+
+    expect(metadata.creator.address).toBe(CREATOR);
+    expect(metadata.content).toMatchObject({ mimeType: 'video/mp4', fileName: 'unknown', size: 0, hashes: { sha256: null } });
+  });
+
+  it('rejects legacy documents that cannot be migrated and unknown versions', () => {
+    expect(errorsOf(() => migrateMetadata({ title: 'not metadata' }))).toEqual(expect.arrayContaining([
+      'createdAt must be string',
+      'creator.address must be string',
+      'content.cid must be string'
+    ]));
+    expect(errorsOf(() => migrateMetadata({ schema: 'blockpost.metadata/v9' }))).toEqual(['unsupported schema "blockpost.metadata/v9"']);
+    expect(errorsOf(() => migrateMetadata('metadata'))).toEqual(['(document) must be object']);
+  });
+});
+
+describe('parseMetadata', () => {
+  it('parses v1 documents as pinned', () => {
+    const metadata = createMetadata(input());
+
+    expect(parseMetadata(Buffer.from(JSON.stringify(metadata)))).toEqual(metadata);
+    expect(errorsOf(() => parseMetadata(Buffer.from('{not json')))).toEqual(['(document) is not valid JSON']);
+  });
+});
+
+describe('postFieldsFromMetadata', () => {
+  it('maps a document to post fields', () => {
+    expect(postFieldsFromMetadata(createMetadata(input()))).toEqual({
+      mediaCid: MEDIA_CID,
+      walletAddress: CREATOR,
+      caption: 'Sunset timelapse',
+      exactHash: EXACT_HASH,
+      perceptualHash: 'tv1:0123',
+      audioHash: null,
+      imageFingerprint: null,
+      assetType: 'video',
+      mimeType: 'video/mp4',
+      fileName: 'clip.mp4',
+      fileSize: 1024,
+      timestamp: '2026-01-01T00:00:00.000Z'
+    });
+  });
+});
+
+describe('authorship', () => {
+  const CHAIN_ID = 80002;
+  const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+  const other = new ethers.Wallet('0x' + '22'.repeat(32));
+
+  /**
+   * A document for the wallet, signed as the frontend does
+   */
+  async function signed(signer: ethers.Wallet = wallet, overrides: Partial<MetadataInput> = {}): Promise<PostMetadata> {
+    const unsigned = createMetadata(input({ creator: wallet.address, ...overrides }));
+    const { domain, types, message } = authorshipTypedData(unsigned, CHAIN_ID);
+    const signature = await signer.signTypedData(domain, types, message);
+    return createMetadata(input({ creator: wallet.address, ...overrides, authorship: { scheme: 'eip712', chainId: CHAIN_ID, signature } }));
+  }
+
+  it('signs the hashes, media CID, title and creation time', () => {
+    expect(authorshipTypedData(createMetadata(input({ title: null })), CHAIN_ID)).toEqual({
+      domain: { name: 'BlockPost', version: '1', chainId: CHAIN_ID },
+      types: {
+        PostAuthorship: [
+          { name: 'exactHash', type: 'bytes32' },
+          { name: 'perceptualHash', type: 'string' },
+          { name: 'audioHash', type: 'string' },
+          { name: 'mediaCid', type: 'string' },
+          { name: 'title', type: 'string' },
+          { name: 'createdAt', type: 'string' }
+        ]
+      },
+      primaryType: 'PostAuthorship',
+      message: {
+        exactHash: `0x${EXACT_HASH}`,
+        perceptualHash: 'tv1:0123',
+        audioHash: '',
+        mediaCid: MEDIA_CID,
+        title: '',
+        createdAt: '2026-01-01T00:00:00.000Z'
+      }
+    });
+  });
+
+  it('accepts documents signed by their creator', async () => {
+    const metadata = await signed();
+
+    expect(recoverAuthor(metadata)).toBe(wallet.address);
+    expect(parseMetadata(Buffer.from(JSON.stringify(metadata)))).toEqual(metadata);
+  });
+
+  it('rejects documents signed by another wallet', async () => {
+    await expect(signed(other)).rejects.toThrow(`authorship.signature was not made by ${wallet.address}`);
+  });
+
+  it('rejects signed documents whose content was changed', async () => {
+    const metadata = await signed();
+    const retitled = { ...metadata, title: 'Someone else\'s sunset' };
+    const rehashed = { ...metadata, content: { ...metadata.content, hashes: { sha256: 'cd'.repeat(32) } } };
+
+    for (const document of [retitled, rehashed]) {
+      expect(errorsOf(() => parseMetadata(Buffer.from(JSON.stringify(document)))))
+        .toEqual([`authorship.signature was not made by ${wallet.address}`]);
+    }
+  });
+
+  it('binds the signature to its chain', async () => {
+    const metadata = await signed();
+    const otherChain = { ...metadata, authorship: { ...metadata.authorship!, chainId: 1 } };
+
+    expect(recoverAuthor(metadata, 1)).not.toBe(wallet.address);
+    expect(errorsOf(() => migrateMetadata(otherChain))).toEqual([`authorship.signature was not made by ${wallet.address}`]);
+  });
+
+  it('does not sign documents without an exact hash', () => {
+    const legacy = migrateMetadata({ walletAddress: CREATOR, fileCid: MEDIA_CID, assetType: 'image', timestamp: '2024-05-01T12:00:00.000Z' });
+
+    expect(() => authorshipTypedData(legacy, CHAIN_ID)).toThrow(MetadataValidationError);
+    expect(recoverAuthor(legacy)).toBeNull();
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Tests for checking /register-post claims against the chain (post-verification)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { CONTRACT_ABI, chainFingerprint } from '../src/blockchain.js';
+import { getStorageProvider } from '../src/ipfs-storage.js';
+import { createMetadata } from '../src/post-metadata.js';
+import { VerificationError, verifyOriginalClaim, verifyRepostClaim } from '../src/post-verification.js';
+
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const OTHER_CONTRACT = '0x00000000000000000000000000000000000000c1';
+const CHAIN_ID = 80002;
+const VIDEO = 'ab'.repeat(32);
+const PARENT = 'cd'.repeat(32);
+const PERCEPTUAL = `tv1:${'0123456789abcdef'.repeat(8)}`;
+const AUDIO = `cp1:${'fedcba98'.repeat(16)}`;
+
+const creator = ethers.Wallet.createRandom().address;
+const other = ethers.Wallet.createRandom().address;
+const iface = new ethers.Interface(CONTRACT_ABI);
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'post-verification-test-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = storeDir;
+process.env.POLYGON_RPC = 'http://127.0.0.1:8545';
+process.env.CONTRACT_ADDRESS = CONTRACT;
+
+/**
+ * Mined transactions and contract state behind the provider calls
+ */
+const chain = {
+  transactions: new Map<string, { receipt: object; tx: object }>(),
+  videos: new Map<string, string>(),
+  detected: null as { originalHash: string; matchType: string } | null,
+  licenseType: 0,
+  purchased: new Set<string>()
+};
+
+/**
+ * Answer an eth_call from the fake contract state
+ */
+function call(data: string): string {
+  const parsed = iface.parseTransaction({ data })!;
+  switch (parsed.name) {
+    case 'videosByExactHash': {
+      const owner = chain.videos.get(parsed.args[0]) ?? ethers.ZeroAddress;
+      return iface.encodeFunctionResult('videosByExactHash', [owner, parsed.args[0], '', '', 'bafkreioriginal', 1700000000, false, 0]);
+    }
+    case 'detectRepost': {
+      const detected = chain.detected;
+      return iface.encodeFunctionResult('detectRepost', [
+        !!detected,
+        detected ? chain.videos.get(detected.originalHash) : ethers.ZeroAddress,
+        '',
+        detected?.matchType ?? '',
+        detected?.originalHash ?? ethers.ZeroHash,
+        [chain.licenseType, '']
+      ]);
+    }
+    case 'licenses':
+      return iface.encodeFunctionResult('licenses', [chain.licenseType, '']);
+    case 'hasLicense':
+      return iface.encodeFunctionResult('hasLicense', [chain.purchased.has(parsed.args[1])]);
+    default:
+      throw new Error(`Unexpected call to ${parsed.name}`);
+  }
+}
+
+/**
+ * Pin a metadata document describing the test video
+ */
+async function pinMetadata(overrides: { exactHash?: string; perceptualHash?: string } = {}): Promise<string> {
+  const storage = getStorageProvider();
+  const mediaCid = await storage.pinFile(Buffer.from('video bytes'), { fileName: 'clip.mp4', mimeType: 'video/mp4' });
+  const metadata = createMetadata({
+    creator,
+    assetType: 'video',
+    mediaCid,
+    mimeType: 'video/mp4',
+    fileName: 'clip.mp4',
+    fileSize: 11,
+    exactHash: overrides.exactHash ?? VIDEO,
+    perceptualHash: overrides.perceptualHash ?? PERCEPTUAL,
+    audioHash: AUDIO,
+    createdAt: '2026-01-01T00:00:00.000Z'
+  });
+  return storage.pinFile(Buffer.from(JSON.stringify(metadata)), { fileName: 'metadata.json', mimeType: 'application/json' });
+}
+
+interface MinedOptions {
+  exactHash?: string;
+  registeredBy?: string;
+  to?: string;
+  status?: number;
+  data?: string;
+  extraEvents?: Array<[string, unknown[]]>;
+}
+
+/**
+ * Mine a transaction registering metadata and return its hash
+ */
+function mine(metadataCid: string, options: MinedOptions = {}): string {
+  const exactHash = `0x${options.exactHash ?? VIDEO}`;
+  const hash = ethers.id(`tx-${chain.transactions.size}`);
+  const events: Array<[string, unknown[]]> = [
+    ['VideoRegistered', [exactHash, options.registeredBy ?? creator, chainFingerprint(PERCEPTUAL), chainFingerprint(AUDIO), metadataCid, 1700000000]],
+    ...(options.extraEvents ?? [])
+  ];
+  const logs = events.map(([name, values]) => ({
+    address: options.to ?? CONTRACT,
+    ...iface.encodeEventLog(iface.getEvent(name)!, values)
+  }));
+  chain.transactions.set(hash, {
+    receipt: { hash, to: options.to ?? CONTRACT, status: options.status ?? 1, blockNumber: 42, gasUsed: 90000n, logs },
+    tx: {
+      hash,
+      value: 0n,
+      data: options.data ?? iface.encodeFunctionData('registerVideo', [exactHash, chainFingerprint(PERCEPTUAL), chainFingerprint(AUDIO), metadataCid])
+    }
+  });
+  return hash;
+}
+
+describe('post verification', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'getTransactionReceipt').mockImplementation(async hash =>
+      (chain.transactions.get(hash)?.receipt ?? null) as ethers.TransactionReceipt | null);
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'getTransaction').mockImplementation(async hash =>
+      (chain.transactions.get(hash)?.tx ?? null) as ethers.TransactionResponse | null);
+    jest.spyOn(ethers.JsonRpcProvider.prototype, '_send').mockImplementation(async payload => {
+      const requests = Array.isArray(payload) ? payload : [payload];
+      return requests.map(({ id, method, params: rpcParams }) => ({
+        id,
+        result: method === 'eth_chainId' ? ethers.toQuantity(CHAIN_ID) : call((rpcParams as [{ data: string }])[0].data)
+      }));
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    for (const name of fs.readdirSync(storeDir)) {
+      fs.rmSync(path.join(storeDir, name), { force: true });
+    }
+    chain.transactions.clear();
+    chain.videos.clear();
+    chain.detected = null;
+    chain.licenseType = 0;
+    chain.purchased.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('verifyOriginalClaim', () => {
+    it('returns the registration read from the receipt and the registered metadata', async () => {
+      const metadataCid = await pinMetadata();
+      const txHash = mine(metadataCid);
+
+      const verified = await verifyOriginalClaim({ txHash, exactHash: VIDEO, walletAddress: creator.toLowerCase(), metadataCid });
+
+      expect(verified).toEqual({
+        txHash,
+        blockNumber: 42,
+        contractAddress: CONTRACT,
+        gasUsed: '90000',
+        creator,
+        license: { type: 'ALL_RIGHTS_RESERVED' },
+        derivation: null,
+        fingerprints: { perceptualHash: PERCEPTUAL, audioHash: AUDIO, imageFingerprint: null }
+      });
+    });
+
+    it('reads the license and parent set in the same transaction', async () => {
+      const metadataCid = await pinMetadata();
+      const txHash = mine(metadataCid, {
+        data: iface.encodeFunctionData('registerDerivative', [`0x${VIDEO}`, `0x${PARENT}`, '', '', metadataCid, 1, [2, '']]),
+        extraEvents: [
+          ['LicenseSet', [`0x${VIDEO}`, creator, 2, '']],
+          ['DerivativeRegistered', [`0x${VIDEO}`, `0x${PARENT}`, creator, 1]]
+        ]
+      });
+
+      const verified = await verifyOriginalClaim({ txHash, exactHash: VIDEO, walletAddress: creator, metadataCid });
+
+      expect(verified.license).toEqual({ type: 'CC_BY' });
+      expect(verified.derivation).toEqual({ parentHash: PARENT, derivativeType: 'REACTION' });
+    });
+
+    it('rejects a registration by another wallet', async () => {
+      const metadataCid = await pinMetadata();
+      const txHash = mine(metadataCid, { registeredBy: other });
+
+      await expect(verifyOriginalClaim({ txHash, exactHash: VIDEO, walletAddress: creator, metadataCid }))
+        .rejects.toMatchObject({ code: 'CREATOR_MISMATCH', status: 422 });
+    });
+
+    it('rejects transactions to another contract', async () => {
+      const metadataCid = await pinMetadata();
+      const txHash = mine(metadataCid, { to: OTHER_CONTRACT });
+
+      await expect(verifyOriginalClaim({ txHash, exactHash: VIDEO, walletAddress: creator, metadataCid }))
+        .rejects.toMatchObject({ code: 'WRONG_CONTRACT' });
+    });
+
+    it('rejects reverted, unknown and non-registration transactions', async () => {
+      const metadataCid = await pinMetadata();
+      const reverted = mine(metadataCid, { status: 0 });
+      const purchase = mine(metadataCid, { data: iface.encodeFunctionData('purchaseLicense', [`0x${VIDEO}`]) });
+
+      await expect(verifyOriginalClaim({ txHash: reverted, exactHash: VIDEO, walletAddress: creator, metadataCid }))
+        .rejects.toMatchObject({ code: 'TX_REVERTED' });
+      await expect(verifyOriginalClaim({ txHash: ethers.id('unknown'), exactHash: VIDEO, walletAddress: creator, metadataCid }))
+        .rejects.toMatchObject({ code: 'TX_NOT_FOUND', status: 404 });
+      await expect(verifyOriginalClaim({ txHash: purchase, exactHash: VIDEO, walletAddress: creator, metadataCid }))
+        .rejects.toMatchObject({ code: 'WRONG_FUNCTION' });
+    });
+
+    it('rejects a claim whose hash or metadata differs from the registration', async () => {
+      const metadataCid = await pinMetadata();
+      const txHash = mine(metadataCid);
+
+      await expect(verifyOriginalClaim({ txHash, exactHash: 'ef'.repeat(32), walletAddress: creator, metadataCid }))
+        .rejects.toMatchObject({ code: 'EXACT_HASH_MISMATCH' });
+      await expect(verifyOriginalClaim({ txHash, exactHash: VIDEO, walletAddress: creator, metadataCid: 'bafkreiother' }))
+        .rejects.toMatchObject({ code: 'METADATA_CID_MISMATCH' });
+    });
+
+    it('rejects a transaction hash replayed for another asset', async () => {
+      const txHash = mine(await pinMetadata());
+      const replayedCid = await pinMetadata({ exactHash: 'ef'.repeat(32) });
+
+      await expect(verifyOriginalClaim({ txHash, exactHash: 'ef'.repeat(32), walletAddress: creator, metadataCid: replayedCid }))
+        .rejects.toMatchObject({ code: 'EXACT_HASH_MISMATCH' });
+    });
+
+    it('rejects metadata whose fingerprints were not registered', async () => {
+      const metadataCid = await pinMetadata({ perceptualHash: `tv1:${'0'.repeat(128)}` });
+      const txHash = mine(metadataCid);
+
+      await expect(verifyOriginalClaim({ txHash, exactHash: VIDEO, walletAddress: creator, metadataCid }))
+        .rejects.toMatchObject({ code: 'FINGERPRINT_MISMATCH' });
+    });
+
+    it('rejects malformed claims before reaching the chain', async () => {
+      await expect(verifyOriginalClaim({ txHash: '0x1234', exactHash: VIDEO, walletAddress: creator, metadataCid: 'bafkrei' }))
+        .rejects.toThrow(new VerificationError('INVALID_REQUEST', 'Missing or malformed onChain.txHash'));
+      expect(ethers.JsonRpcProvider.prototype.getTransactionReceipt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyRepostClaim', () => {
+    const ORIGINAL = `0x${PARENT}`;
+
+    beforeEach(() => {
+      chain.videos.set(ORIGINAL, other);
+    });
+
+    it('returns the match type, license and purchase read from the chain', async () => {
+      chain.detected = { originalHash: ORIGINAL, matchType: 'VISUAL_MATCH' };
+      chain.licenseType = 6;
+      chain.purchased.add(creator);
+
+      const verified = await verifyRepostClaim({ exactHash: VIDEO, perceptualHash: PERCEPTUAL, originalHash: PARENT, originalCreator: other, uploader: creator });
+
+      expect(verified).toEqual({ originalCreator: other, matchType: 'VISUAL_MATCH', license: { type: 'CC_BY_ND' }, licensePurchased: true });
+    });
+
+    it('rejects an unregistered original or a wrong original creator', async () => {
+      chain.detected = { originalHash: ORIGINAL, matchType: 'EXACT_DUPLICATE' };
+
+      await expect(verifyRepostClaim({ exactHash: VIDEO, originalHash: 'ef'.repeat(32) }))
+        .rejects.toMatchObject({ code: 'ORIGINAL_NOT_FOUND' });
+      await expect(verifyRepostClaim({ exactHash: VIDEO, originalHash: PARENT, originalCreator: creator }))
+        .rejects.toMatchObject({ code: 'ORIGINAL_CREATOR_MISMATCH' });
+    });
+
+    it('rejects uploads detectRepost does not match to the original', async () => {
+      await expect(verifyRepostClaim({ exactHash: VIDEO, originalHash: PARENT }))
+        .rejects.toMatchObject({ code: 'REPOST_NOT_DETECTED' });
+
+      chain.videos.set(`0x${'ef'.repeat(32)}`, creator);
+      chain.detected = { originalHash: `0x${'ef'.repeat(32)}`, matchType: 'EXACT_DUPLICATE' };
+      await expect(verifyRepostClaim({ exactHash: VIDEO, originalHash: PARENT }))
+        .rejects.toMatchObject({ code: 'REPOST_NOT_DETECTED' });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the provenance lineage walk (buildLineage)
+ */
+
+import Database from 'better-sqlite3';
+import { openDatabase } from '../src/database.js';
+import { Post, SqlitePostRepository } from '../src/post-store.js';
+import { DerivativeType, buildLineage } from '../src/provenance.js';
+
+let minute = 0;
+
+/**
+ * Registered post of a work; each one is a minute newer than the last
+ */
+function work(name: string, parent?: { of: string; type: DerivativeType }, overrides: Partial<Post> = {}): Post {
+  minute++;
+  return {
+    id: `post-${name}-${minute}`,
+    mediaCid: `QmMedia${name}`,
+    mediaGatewayUrl: `https://gateway.example/ipfs/QmMedia${name}`,
+    metadataCid: `QmMetadata${name}${minute}`,
+    metadataGatewayUrl: `https://gateway.example/ipfs/QmMetadata${name}${minute}`,
+    walletAddress: `0x${name.padStart(40, '0')}`,
+    caption: `Work ${name}`,
+    exactHash: hash(name),
+    perceptualHash: 'no_video',
+    audioHash: 'no_audio',
+    assetType: 'video',
+    mimeType: 'video/mp4',
+    fileName: `${name}.mp4`,
+    fileSize: 1024,
+    status: 'ORIGINAL',
+    ...(parent && { parentHash: hash(parent.of), derivativeType: parent.type }),
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString(),
+    ...overrides
+  };
+}
+
+function hash(name: string): string {
+  return name.toLowerCase().padStart(64, 'f');
+}
+
+describe('buildLineage', () => {
+  let db: Database.Database;
+  let posts: SqlitePostRepository;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    db = openDatabase(':memory:');
+    posts = new SqlitePostRepository(db);
+  });
+
+  afterAll(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    db.exec('DELETE FROM posts');
+    // root <- a (remix) <- a1 (edit), root <- b (reaction)
+    for (const post of [
+      work('root'),
+      work('a', { of: 'root', type: 'REMIX' }),
+      work('b', { of: 'root', type: 'REACTION' }),
+      work('a1', { of: 'a', type: 'EDIT' })
+    ]) {
+      await posts.save(post);
+    }
+  });
+
+  it('walks ancestors up to the root original and derivatives down', async () => {
+    const lineage = await buildLineage(posts, hash('a'));
+
+    expect(lineage?.asset).toMatchObject({ exactHash: hash('a'), derivativeType: 'REMIX', caption: 'Work a' });
+    expect(lineage?.ancestors.map(node => node.exactHash)).toEqual([hash('root')]);
+    expect(lineage?.ancestors[0].derivativeType).toBeUndefined();
+    expect(lineage?.derivatives).toMatchObject([{ exactHash: hash('a1'), derivativeType: 'EDIT', derivatives: [] }]);
+    expect(lineage?.truncated).toBe(false);
+  });
+
+  it('returns the derivative tree of a root original, newest first', async () => {
+    const lineage = await buildLineage(posts, hash('root'));
+
+    expect(lineage?.ancestors).toEqual([]);
+    expect(lineage?.derivatives.map(node => node.exactHash)).toEqual([hash('b'), hash('a')]);
+    expect(lineage?.derivatives[1].derivatives.map(node => node.exactHash)).toEqual([hash('a1')]);
+  });
+
+  it('accepts 0x-prefixed, uppercase hashes', async () => {
+    const lineage = await buildLineage(posts, '0x' + hash('a1').toUpperCase());
+
+    expect(lineage?.ancestors.map(node => node.exactHash)).toEqual([hash('a'), hash('root')]);
+  });
+
+  it('returns null for unregistered works', async () => {
+    expect(await buildLineage(posts, hash('missing'))).toBeNull();
+  });
+
+  it('ignores reposts', async () => {
+    await posts.save(work('c', { of: 'root', type: 'REMIX' }, { status: 'REPOST_DETECTED' }));
+
+    const lineage = await buildLineage(posts, hash('root'));
+    expect(lineage?.derivatives.map(node => node.exactHash)).toEqual([hash('b'), hash('a')]);
+  });
+
+  it('stops at a parent that is not in the post store', async () => {
+    await posts.save(work('orphan', { of: 'unknown', type: 'REMIX' }));
+
+    const lineage = await buildLineage(posts, hash('orphan'));
+    expect(lineage?.ancestors).toEqual([]);
+    expect(lineage?.truncated).toBe(false);
+  });
+
+  it('marks walks cut short by maxDepth as truncated', async () => {
+    const fromLeaf = await buildLineage(posts, hash('a1'), { maxDepth: 1 });
+    expect(fromLeaf?.ancestors.map(node => node.exactHash)).toEqual([hash('a')]);
+    expect(fromLeaf?.truncated).toBe(true);
+
+    const fromRoot = await buildLineage(posts, hash('root'), { maxDepth: 1 });
+    expect(fromRoot?.derivatives.map(node => node.derivatives.length)).toEqual([0, 0]);
+    expect(fromRoot?.truncated).toBe(true);
+  });
+
+  it('keeps the closest generations when maxDerivatives is reached', async () => {
+    const lineage = await buildLineage(posts, hash('root'), { maxDerivatives: 2 });
+
+    expect(lineage?.derivatives.map(node => node.exactHash)).toEqual([hash('b'), hash('a')]);
+    expect(lineage?.derivatives[1].derivatives).toEqual([]);
+    expect(lineage?.truncated).toBe(true);
+  });
+
+  it('never revisits a work (cycles in the post store)', async () => {
+    await posts.save(work('root', { of: 'a1', type: 'REMIX' }));
+
+    const lineage = await buildLineage(posts, hash('a'));
+    expect(lineage?.ancestors.map(node => node.exactHash)).toEqual([hash('root'), hash('a1')]);
+    expect(lineage?.derivatives).toEqual([]);
+  });
+
+  it('prefers a re-registration over a revoked registration of the same work', async () => {
+    const revoked = work('d', { of: 'root', type: 'REMIX' }, { revoked: true });
+    const rightful = work('d');
+    await posts.save(revoked);
+    await posts.save(rightful);
+
+    const lineage = await buildLineage(posts, hash('d'));
+    expect(lineage?.asset.postId).toBe(rightful.id);
+    expect(lineage?.ancestors).toEqual([]);
+  });
+});
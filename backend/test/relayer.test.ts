@@ -0,0 +1,251 @@
+/**
+ * Tests for checking and relaying creator-signed registrations (relayer)
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABI, RegistrationParams, RegistrationTypedData } from '../src/blockchain.js';
+import { RegistrationRelayer, RelayError } from '../src/relayer.js';
+import { TransactionManager } from '../src/tx-manager.js';
+
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const CHAIN_ID = 80002;
+const PARENT = 'cd'.repeat(32);
+
+const creator = new ethers.Wallet('0x' + '11'.repeat(32));
+const other = new ethers.Wallet('0x' + '22'.repeat(32));
+const iface = new ethers.Interface(CONTRACT_ABI);
+
+process.env.POLYGON_RPC = 'http://127.0.0.1:8545';
+process.env.CONTRACT_ADDRESS = CONTRACT;
+
+/**
+ * Contract state behind the JSON-RPC calls the relayer makes
+ */
+const chain = {
+  nonces: new Map<string, bigint>(),
+  registered: new Set<string>(),
+  mayDerive: true
+};
+
+/**
+ * Zero value of an ABI output (what an unset mapping entry returns)
+ */
+function zeroValue(param: ethers.ParamType): unknown {
+  if (param.baseType === 'address') return ethers.ZeroAddress;
+  if (param.baseType === 'bool') return false;
+  if (param.baseType === 'string') return '';
+  if (param.baseType.startsWith('bytes')) return ethers.ZeroHash;
+  return 0;
+}
+
+/**
+ * Answer an eth_call from the fake contract state
+ */
+function call(data: string): string {
+  const parsed = iface.parseTransaction({ data })!;
+  const [arg] = parsed.args;
+  switch (parsed.name) {
+    case 'nonces':
+      return iface.encodeFunctionResult('nonces', [chain.nonces.get(arg.toLowerCase()) ?? 0n]);
+    case 'canDeriveFrom':
+      return iface.encodeFunctionResult('canDeriveFrom', [chain.mayDerive]);
+    case 'videosByExactHash': {
+      const record = parsed.fragment.outputs.map(zeroValue);
+      if (chain.registered.has(arg)) record[0] = other.address;
+      return iface.encodeFunctionResult('videosByExactHash', record);
+    }
+    default:
+      throw new Error(`Unexpected call to ${parsed.name}`);
+  }
+}
+
+function params(overrides: Partial<RegistrationParams> = {}): RegistrationParams {
+  return {
+    creator: creator.address,
+    exactHash: 'ab'.repeat(32),
+    perceptualHash: '1010'.repeat(16),
+    audioHash: 'no_audio',
+    ipfsCid: 'bafkreimetadata',
+    ...overrides
+  };
+}
+
+function sign(wallet: ethers.Wallet, typedData: RegistrationTypedData): Promise<string> {
+  return wallet.signTypedData(typedData.domain, typedData.types, typedData.message);
+}
+
+describe('RegistrationRelayer', () => {
+  let transactions: { submit: jest.Mock; wait: jest.Mock };
+  let relayer: RegistrationRelayer;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    jest.spyOn(ethers.JsonRpcProvider.prototype, '_send').mockImplementation(async payload => {
+      const requests = Array.isArray(payload) ? payload : [payload];
+      return requests.map(({ id, method, params: rpcParams }) => ({
+        id,
+        result: method === 'eth_chainId' ? ethers.toQuantity(CHAIN_ID) : call((rpcParams as [{ data: string }])[0].data)
+      }));
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    chain.nonces.clear();
+    chain.registered.clear();
+    chain.mayDerive = true;
+    transactions = {
+      submit: jest.fn(async () => ({ id: 'tx-1', txHash: '0x' + '99'.repeat(32) })),
+      wait: jest.fn(() => new Promise(() => undefined))
+    };
+    relayer = new RegistrationRelayer(transactions as unknown as TransactionManager, { maxPerHour: 2, signatureTtlSeconds: 600 });
+  });
+
+  it('prepares a RegisterVideo message with the current nonce and deadline', async () => {
+    chain.nonces.set(creator.address.toLowerCase(), 3n);
+
+    const typedData = await relayer.prepare(params());
+
+    expect(typedData.primaryType).toBe('RegisterVideo');
+    expect(typedData.domain).toEqual({ name: 'VideoGuard', version: '1', chainId: CHAIN_ID, verifyingContract: CONTRACT });
+    expect(typedData.message).toMatchObject({ creator: creator.address, exactHash: `0x${'ab'.repeat(32)}`, nonce: '3' });
+    expect(typedData.message.deadline).toBeGreaterThan(Date.now() / 1000 + 590);
+    expect(typedData.message.deadline).toBeLessThanOrEqual(Date.now() / 1000 + 600);
+  });
+
+  it('relays a registration signed by the creator as registerVideoFor', async () => {
+    const typedData = await relayer.prepare(params());
+    const signature = await sign(creator, typedData);
+
+    await relayer.relay(params(), typedData.message.deadline, signature, 'post-1');
+
+    const [submitted, reference] = transactions.submit.mock.calls[0];
+    const decoded = iface.parseTransaction({ data: submitted.data })!;
+    expect(submitted).toMatchObject({ method: 'registerVideoFor', to: CONTRACT });
+    expect(reference).toBe('post-1');
+    expect(decoded.args[0]).toBe(creator.address);
+    expect(decoded.args[7]).toBe(signature);
+  });
+
+  it('rejects a signature by another wallet before relaying', async () => {
+    const typedData = await relayer.prepare(params());
+    const signature = await sign(other, typedData);
+
+    await expect(relayer.relay(params(), typedData.message.deadline, signature))
+      .rejects.toMatchObject({ code: 'INVALID_SIGNATURE', status: 400 });
+    expect(transactions.submit).not.toHaveBeenCalled();
+  });
+
+  it('rejects a signature over different content', async () => {
+    const typedData = await relayer.prepare(params());
+    const signature = await sign(creator, typedData);
+
+    await expect(relayer.relay(params({ ipfsCid: 'bafkreiother' }), typedData.message.deadline, signature))
+      .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+    expect(transactions.submit).not.toHaveBeenCalled();
+  });
+
+  it('rejects a signature for a nonce the creator has used since', async () => {
+    const typedData = await relayer.prepare(params());
+    const signature = await sign(creator, typedData);
+    chain.nonces.set(creator.address.toLowerCase(), 1n);
+
+    await expect(relayer.relay(params(), typedData.message.deadline, signature))
+      .rejects.toThrow(`Registration was not signed by ${creator.address} for nonce 1`);
+    expect(transactions.submit).not.toHaveBeenCalled();
+  });
+
+  it('rejects expired signatures and malformed requests', async () => {
+    const typedData = await relayer.prepare(params());
+    const signature = await sign(creator, typedData);
+    const expired = Math.floor(Date.now() / 1000) - 1;
+
+    await expect(relayer.relay(params(), expired, signature)).rejects.toMatchObject({ code: 'SIGNATURE_EXPIRED' });
+    await expect(relayer.relay(params(), typedData.message.deadline, '0x1234')).rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    await expect(relayer.relay(params({ exactHash: 'abc' }), typedData.message.deadline, signature))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    await expect(relayer.prepare(params({ creator: 'nobody' }))).rejects.toThrow(RelayError);
+    expect(transactions.submit).not.toHaveBeenCalled();
+  });
+
+  it('refuses assets that are registered or being registered', async () => {
+    const typedData = await relayer.prepare(params());
+    const signature = await sign(creator, typedData);
+    await relayer.relay(params(), typedData.message.deadline, signature);
+
+    await expect(relayer.relay(params(), typedData.message.deadline, signature))
+      .rejects.toMatchObject({ code: 'ALREADY_REGISTERED', status: 409 });
+
+    const registered = params({ exactHash: 'ef'.repeat(32) });
+    chain.registered.add(`0x${'ef'.repeat(32)}`);
+    const registeredData = await relayer.prepare(registered);
+    await expect(relayer.relay(registered, registeredData.message.deadline, await sign(creator, registeredData)))
+      .rejects.toMatchObject({ code: 'ALREADY_REGISTERED' });
+    expect(transactions.submit).toHaveBeenCalledTimes(1);
+  });
+
+  it('limits relayed registrations per creator and hour', async () => {
+    for (const hash of ['01', '02']) {
+      const typedData = await relayer.prepare(params({ exactHash: hash.repeat(32) }));
+      await relayer.relay(params({ exactHash: hash.repeat(32) }), typedData.message.deadline, await sign(creator, typedData));
+    }
+    const typedData = await relayer.prepare(params({ exactHash: '03'.repeat(32) }));
+
+    await expect(relayer.relay(params({ exactHash: '03'.repeat(32) }), typedData.message.deadline, await sign(creator, typedData)))
+      .rejects.toMatchObject({ code: 'RATE_LIMITED', status: 429 });
+  });
+
+  describe('derivatives', () => {
+    const derivative = (overrides: Partial<RegistrationParams> = {}) =>
+      params({ derivation: { parentHash: PARENT, derivativeType: 'REACTION' }, ...overrides });
+
+    it('prepares a RegisterDerivative message naming the parent', async () => {
+      const typedData = await relayer.prepare(derivative());
+
+      expect(typedData.primaryType).toBe('RegisterDerivative');
+      expect(Object.keys(typedData.types)).toEqual(['RegisterDerivative', 'License']);
+      expect(typedData.message).toMatchObject({ parentHash: `0x${PARENT}`, derivativeType: 1, nonce: '0' });
+    });
+
+    it('relays a derivative signed by its creator as registerDerivativeFor', async () => {
+      const typedData = await relayer.prepare(derivative());
+      const signature = await sign(creator, typedData);
+
+      await relayer.relay(derivative(), typedData.message.deadline, signature, 'post-1');
+
+      const [submitted] = transactions.submit.mock.calls[0];
+      const decoded = iface.parseTransaction({ data: submitted.data })!;
+      expect(submitted.method).toBe('registerDerivativeFor');
+      expect(decoded.args[0]).toBe(creator.address);
+      expect(decoded.args[1].toObject()).toMatchObject({ parentHash: `0x${PARENT}`, derivativeType: 1n, ipfsHash: 'bafkreimetadata' });
+      expect(decoded.args[3]).toBe(signature);
+    });
+
+    it('refuses derivatives the creator may not adapt', async () => {
+      chain.mayDerive = false;
+      const typedData = await relayer.prepare(derivative());
+
+      await expect(relayer.relay(derivative(), typedData.message.deadline, await sign(creator, typedData)))
+        .rejects.toMatchObject({ code: 'DERIVATIVE_NOT_PERMITTED', status: 403 });
+      expect(transactions.submit).not.toHaveBeenCalled();
+    });
+
+    it('does not relay a RegisterVideo signature as a derivative', async () => {
+      const typedData = await relayer.prepare(params());
+      const signature = await sign(creator, typedData);
+
+      await expect(relayer.relay(derivative(), typedData.message.deadline, signature))
+        .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+    });
+
+    it('rejects malformed derivations', async () => {
+      await expect(relayer.prepare(derivative({ derivation: { parentHash: 'abc', derivativeType: 'REMIX' } })))
+        .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+      await expect(relayer.prepare(derivative({ derivation: { parentHash: PARENT, derivativeType: 'COVER' as 'REMIX' } })))
+        .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    });
+  });
+});
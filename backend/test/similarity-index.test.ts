@@ -0,0 +1,180 @@
+/**
+ * Tests for the in-memory similarity index of registered originals
+ */
+
+import { SimilarityIndex, IndexedAsset } from '../src/similarity-index.js';
+import { encodeTemporalSignature } from '../src/video-fingerprint.js';
+import { encodeFingerprint } from '../src/audio-fingerprint.js';
+import { encodeTextFingerprint } from '../src/text-fingerprint.js';
+
+/**
+ * Deterministic 64-bit binary frame hash with about half the bits set
+ */
+function frame(seed: number): string {
+  let state = Math.imul(seed, 2654435761) >>> 0;
+  let bits = '';
+  for (let i = 0; i < 64; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    bits += state >>> 31 ? '1' : '0';
+  }
+  return bits;
+}
+
+/**
+ * Flip the first `count` bits of a binary hash
+ */
+function flip(hash: string, count: number): string {
+  return [...hash].map((bit, i) => (i < count ? (bit === '1' ? '0' : '1') : bit)).join('');
+}
+
+/**
+ * Deterministic audio fingerprint
+ */
+function track(length: number, seed: number): Uint32Array {
+  const words = new Uint32Array(length);
+  let state = seed >>> 0;
+  for (let i = 0; i < length; i++) {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    words[i] = state >>> 0;
+  }
+  return words;
+}
+
+const videoFrames = Array.from({ length: 20 }, (_, i) => frame(i + 1));
+const song = track(200, 42);
+
+const video: IndexedAsset = {
+  exactHash: 'a'.repeat(64),
+  perceptualHash: encodeTemporalSignature(videoFrames),
+  audioHash: encodeFingerprint(song),
+  creator: '0x1111111111111111111111111111111111111111',
+  metadataCid: 'QmVideoMetadata',
+  assetType: 'video'
+};
+
+const image: IndexedAsset = {
+  exactHash: 'b'.repeat(64),
+  perceptualHash: frame(500),
+  audioHash: 'no_audio',
+  creator: '0x2222222222222222222222222222222222222222',
+  metadataCid: 'QmImageMetadata',
+  assetType: 'image'
+};
+
+const text: IndexedAsset = {
+  exactHash: 'c'.repeat(64),
+  perceptualHash: encodeTextFingerprint(frame(600)),
+  audioHash: 'no_audio',
+  creator: '0x3333333333333333333333333333333333333333',
+  metadataCid: 'QmTextMetadata',
+  assetType: 'text'
+};
+
+describe('SimilarityIndex', () => {
+  let index: SimilarityIndex;
+
+  beforeEach(() => {
+    index = new SimilarityIndex();
+    index.add(video);
+    index.add(image);
+    index.add(text);
+  });
+
+  it('ignores an asset that is already indexed', () => {
+    index.add({ ...video, metadataCid: 'QmOther' });
+
+    expect(index.size).toBe(3);
+    expect(index.get(video.exactHash)?.metadataCid).toBe('QmVideoMetadata');
+  });
+
+  it('finds a re-encoded clip of a video', () => {
+    const clip = encodeTemporalSignature(videoFrames.slice(4, 12).map(hash => flip(hash, 3)));
+
+    expect(index.findMatches({ perceptualHash: clip, audioHash: 'no_audio' })).toEqual([{
+      exactHash: video.exactHash,
+      creator: video.creator,
+      metadataCid: video.metadataCid,
+      assetType: 'video',
+      matchType: 'VISUAL_MATCH',
+      similarity: 100
+    }]);
+  });
+
+  it('finds re-encoded audio', () => {
+    const reencoded = encodeFingerprint(song.map((word, i) => (i % 4 === 0 ? word ^ 0b101 : word)));
+    const [match] = index.findMatches({ perceptualHash: 'no_video', audioHash: reencoded });
+
+    expect(match.exactHash).toBe(video.exactHash);
+    expect(match.matchType).toBe('AUDIO_MATCH');
+    expect(match.similarity).toBeGreaterThanOrEqual(98);
+  });
+
+  it('finds a near-identical image by its dHash', () => {
+    const [match] = index.findMatches({ perceptualHash: flip(image.perceptualHash, 4), audioHash: 'no_audio' });
+
+    expect(match.exactHash).toBe(image.exactHash);
+    expect(match.matchType).toBe('VISUAL_MATCH');
+    expect(match.similarity).toBe(93.75);
+  });
+
+  it('finds a near-identical text by its SimHash', () => {
+    const query = encodeTextFingerprint(flip(frame(600), 2));
+    const [match] = index.findMatches({ perceptualHash: query, audioHash: 'no_audio' });
+
+    expect(match.exactHash).toBe(text.exactHash);
+    expect(match.matchType).toBe('TEXT_MATCH');
+    expect(match.similarity).toBe(96.88);
+  });
+
+  it('never matches sentinel hashes', () => {
+    expect(index.findMatches({ perceptualHash: 'no_video', audioHash: 'no_audio' })).toEqual([]);
+  });
+
+  it('does not report unrelated uploads', () => {
+    const unrelated = encodeTemporalSignature(Array.from({ length: 10 }, (_, i) => frame(1000 + i)));
+
+    expect(index.findMatches({ perceptualHash: unrelated, audioHash: encodeFingerprint(track(200, 7)) })).toEqual([]);
+  });
+
+  it('reports an identical upload as an exact duplicate before near-duplicates', () => {
+    index.add({ ...video, exactHash: 'd'.repeat(64), metadataCid: 'QmReupload' });
+
+    const matches = index.findMatches(video);
+    expect(matches.map(match => [match.exactHash, match.matchType])).toEqual([
+      [video.exactHash, 'EXACT_DUPLICATE'],
+      ['d'.repeat(64), 'VISUAL_MATCH']
+    ]);
+    expect(matches[0].similarity).toBe(100);
+  });
+
+  it('does not match a single frame against a multi-frame video', () => {
+    const still = flip(videoFrames[3], 2);
+
+    expect(index.findMatches({ perceptualHash: still, audioHash: 'no_audio' })).toEqual([]);
+    expect(index.findMatches({ perceptualHash: encodeTemporalSignature([still]), audioHash: 'no_audio' })).toEqual([]);
+  });
+
+  it('does not match a video against a single-frame image', () => {
+    const withImage = encodeTemporalSignature([...videoFrames.slice(0, 5).map(hash => flip(hash, 30)), image.perceptualHash]);
+
+    expect(index.findMatches({ perceptualHash: withImage, audioHash: 'no_audio' })).toEqual([]);
+  });
+
+  it('stops matching a removed asset', () => {
+    index.remove(video.exactHash);
+
+    expect(index.size).toBe(2);
+    expect(index.findMatches(video)).toEqual([]);
+    expect(index.findMatches({ perceptualHash: image.perceptualHash, audioHash: 'no_audio' })).toHaveLength(1);
+  });
+
+  it('can index an asset again after removing it', () => {
+    index.remove(video.exactHash);
+    index.add({ ...video, metadataCid: 'QmReRegistered' });
+
+    const [match] = index.findMatches(video);
+    expect(match.metadataCid).toBe('QmReRegistered');
+  });
+});
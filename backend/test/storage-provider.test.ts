@@ -0,0 +1,124 @@
+/**
+ * Tests for provider selection and the local content-addressed store (storage-provider)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { computeCid } from '../src/cid.js';
+import {
+  KuboStorageProvider,
+  LocalStorageProvider,
+  PinataStorageProvider,
+  createStorageProvider,
+  serializeJson
+} from '../src/storage-provider.js';
+
+describe('createStorageProvider', () => {
+  it('defaults to Pinata', () => {
+    const provider = createStorageProvider({});
+
+    expect(provider).toBeInstanceOf(PinataStorageProvider);
+    expect(provider.gatewayUrl('bafkreitest')).toBe('https://gateway.pinata.cloud/ipfs/bafkreitest');
+  });
+
+  it('configures the selected provider from the environment', () => {
+    const pinata = createStorageProvider({ STORAGE_PROVIDER: 'pinata', PINATA_GATEWAY_URL: 'https://example.mypinata.cloud/ipfs' });
+    const kubo = createStorageProvider({ STORAGE_PROVIDER: 'Kubo', KUBO_GATEWAY_URL: 'http://ipfs.internal:8080/ipfs' });
+    const local = createStorageProvider({ STORAGE_PROVIDER: 'local', LOCAL_STORAGE_DIR: os.tmpdir(), PORT: '4000' });
+
+    expect(pinata.gatewayUrl('bafkreitest')).toBe('https://example.mypinata.cloud/ipfs/bafkreitest');
+    expect(kubo).toBeInstanceOf(KuboStorageProvider);
+    expect(kubo.gatewayUrl('bafkreitest')).toBe('http://ipfs.internal:8080/ipfs/bafkreitest');
+    expect(local).toBeInstanceOf(LocalStorageProvider);
+    expect(local.gatewayUrl('bafkreitest')).toBe('http://localhost:4000/ipfs/bafkreitest');
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => createStorageProvider({ STORAGE_PROVIDER: 'web3storage' }))
+      .toThrow('Unknown STORAGE_PROVIDER "web3storage" (expected pinata, kubo or local)');
+  });
+
+  it('fails Pinata requests without credentials before calling the API', async () => {
+    const provider = createStorageProvider({ STORAGE_PROVIDER: 'pinata' });
+
+    await expect(provider.pinFile(Buffer.from('hello'), { fileName: 'hello.txt', mimeType: 'text/plain' }))
+      .rejects.toThrow('Pinata credentials not found');
+  });
+});
+
+describe('LocalStorageProvider', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-provider-test-'));
+  let provider: LocalStorageProvider;
+
+  beforeEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    provider = new LocalStorageProvider(directory, 'http://localhost:3001/ipfs');
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('stores content under its CID and returns the same bytes', async () => {
+    const content = Buffer.from('hello world');
+    const onProgress = jest.fn();
+
+    const cid = await provider.pinFile(content, { fileName: 'hello.txt', mimeType: 'text/plain', metadata: { postId: 'p1' }, onProgress });
+
+    expect(cid).toBe(await computeCid(content));
+    expect(await provider.retrieve(cid)).toEqual(content);
+    expect(await provider.isPinned(cid)).toBe(true);
+    expect(onProgress).toHaveBeenCalledWith(1);
+    expect(await provider.locate(cid)).toEqual({
+      path: path.join(directory, cid),
+      record: { cid, name: 'hello.txt', mimeType: 'text/plain', size: 11, metadata: { postId: 'p1' }, pinnedAt: expect.any(String) }
+    });
+  });
+
+  it('pins files from disk', async () => {
+    const file = path.join(os.tmpdir(), `storage-provider-upload-${process.pid}`);
+    fs.writeFileSync(file, 'uploaded bytes');
+
+    try {
+      const cid = await provider.pinFile(file, { fileName: 'upload.bin', mimeType: 'application/octet-stream' });
+
+      expect(cid).toBe(await computeCid(Buffer.from('uploaded bytes')));
+      expect((await provider.retrieve(cid)).toString()).toBe('uploaded bytes');
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  it('pins JSON as the serialized bytes so its CID is known up front', async () => {
+    const document = { title: 'Sunset', tags: ['a', 'b'] };
+
+    const cid = await provider.pinJSON(document, 'metadata.json');
+
+    expect(cid).toBe(await computeCid(serializeJson(document)));
+    expect(JSON.parse((await provider.retrieve(cid)).toString())).toEqual(document);
+  });
+
+  it('lists and unpins content', async () => {
+    const first = await provider.pinFile(Buffer.from('first'), { fileName: 'first.txt', mimeType: 'text/plain' });
+    const second = await provider.pinFile(Buffer.from('second'), { fileName: 'second.txt', mimeType: 'text/plain' });
+
+    expect((await provider.listPins()).map(pin => [pin.cid, pin.name]).sort()).toEqual([[first, 'first.txt'], [second, 'second.txt']].sort());
+
+    await provider.unpin(first);
+    await provider.unpin(first);
+
+    expect(await provider.isPinned(first)).toBe(false);
+    expect((await provider.listPins()).map(pin => pin.cid)).toEqual([second]);
+    await expect(provider.retrieve(first)).rejects.toThrow(`Content ${first} not found in local store`);
+  });
+
+  it('does not resolve names outside the store', async () => {
+    fs.writeFileSync(path.join(directory, 'notes.json'), '{}');
+
+    expect(await provider.locate('../secrets')).toBeNull();
+    expect(await provider.isPinned('notes')).toBe(false);
+    await expect(provider.retrieve('../../etc/passwd')).rejects.toThrow('not found in local store');
+    expect(await provider.listPins()).toEqual([]);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Tests for nonce assignment, confirmation and fee bumping (tx-manager)
+ */
+
+import Database from 'better-sqlite3';
+import { ethers } from 'ethers';
+import { openDatabase } from '../src/database.js';
+import { TransactionError, TransactionManager } from '../src/tx-manager.js';
+
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const GWEI = 10n ** 9n;
+
+const call = (method = 'registerVideo') => ({ method, to: CONTRACT, data: '0x12345678' });
+
+/**
+ * In-memory chain: the calls the manager makes on the signer's provider
+ */
+class FakeProvider {
+  pendingNonce = 0;
+  minedNonce = 0;
+  maxFeePerGas = 30n * GWEI;
+  broadcasts: ethers.Transaction[] = [];
+  receipts = new Map<string, ethers.TransactionReceipt>();
+  rejectBroadcast: Error | null = null;
+  rejectEstimate: Error | null = null;
+
+  async getNetwork() {
+    return { chainId: 80002n };
+  }
+
+  async estimateGas() {
+    if (this.rejectEstimate) throw this.rejectEstimate;
+    return 100000n;
+  }
+
+  async getFeeData() {
+    return { gasPrice: null, maxFeePerGas: this.maxFeePerGas, maxPriorityFeePerGas: 2n * GWEI };
+  }
+
+  async getTransactionCount(_address: string, blockTag: string) {
+    return blockTag === 'latest' ? this.minedNonce : this.pendingNonce;
+  }
+
+  async broadcastTransaction(raw: string) {
+    if (this.rejectBroadcast) throw this.rejectBroadcast;
+    this.broadcasts.push(ethers.Transaction.from(raw));
+  }
+
+  async getTransactionReceipt(hash: string) {
+    return this.receipts.get(hash) ?? null;
+  }
+
+  /**
+   * Include a broadcast transaction in a block
+   */
+  mine(hash: string, status = 1): void {
+    const nonce = this.broadcasts.find(tx => tx.hash === hash)!.nonce;
+    this.minedNonce = Math.max(this.minedNonce, nonce + 1);
+    this.receipts.set(hash, { hash, status, blockNumber: 100 + nonce, gasUsed: 90000n } as unknown as ethers.TransactionReceipt);
+  }
+}
+
+describe('TransactionManager', () => {
+  let db: Database.Database;
+  let provider: FakeProvider;
+  let signer: ethers.Wallet;
+
+  const manager = (options = {}) => new TransactionManager(db, () => signer, options);
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    provider = new FakeProvider();
+    signer = new ethers.Wallet('0x' + '11'.repeat(32), provider as unknown as ethers.Provider);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('assigns consecutive nonces to concurrent submissions', async () => {
+    provider.pendingNonce = 7;
+    const transactions = manager();
+
+    const records = await Promise.all([
+      transactions.submit(call(), 'post-1'),
+      transactions.submit(call(), 'post-2'),
+      transactions.submit(call(), 'post-3')
+    ]);
+
+    expect(records.map(record => record.nonce)).toEqual([7, 8, 9]);
+    expect(provider.broadcasts.map(tx => tx.nonce)).toEqual([7, 8, 9]);
+    expect(transactions.get(records[1].id)).toMatchObject({
+      reference: 'post-2',
+      from: signer.address,
+      status: 'pending',
+      gasLimit: '120000',
+      hashes: [records[1].txHash]
+    });
+  });
+
+  it('continues above persisted pending nonces after a restart', async () => {
+    await manager().submit(call());
+    await manager().submit(call());
+
+    expect(provider.broadcasts.map(tx => tx.nonce)).toEqual([0, 1]);
+  });
+
+  it('confirms a mined transaction', async () => {
+    const transactions = manager();
+    const record = await transactions.submit(call(), 'post-1');
+    const settled = jest.fn();
+    transactions.on('settled', settled);
+    const receipt = transactions.wait(record.id);
+
+    provider.mine(record.txHash);
+    await transactions.poll();
+
+    await expect(receipt).resolves.toMatchObject({ hash: record.txHash });
+    expect(settled).toHaveBeenCalledWith(expect.objectContaining({ id: record.id, status: 'confirmed' }), expect.anything());
+    expect(transactions.get(record.id)).toMatchObject({ status: 'confirmed', blockNumber: 100, gasUsed: '90000' });
+    await expect(transactions.wait(record.id)).resolves.toMatchObject({ hash: record.txHash });
+  });
+
+  it('fails a reverted transaction', async () => {
+    const transactions = manager();
+    const record = await transactions.submit(call());
+    const receipt = transactions.wait(record.id);
+
+    provider.mine(record.txHash, 0);
+    await transactions.poll();
+
+    await expect(receipt).rejects.toThrow(TransactionError);
+    expect(transactions.get(record.id)).toMatchObject({ status: 'failed', error: 'Transaction reverted' });
+  });
+
+  it('re-sends a stuck transaction with the same nonce and higher fees', async () => {
+    const transactions = manager({ bumpAfterMs: 0 });
+    const record = await transactions.submit(call());
+
+    await transactions.poll();
+
+    const bumped = transactions.get(record.id)!;
+    expect(provider.broadcasts).toHaveLength(2);
+    expect(provider.broadcasts[1].nonce).toBe(record.nonce);
+    expect(bumped.maxFeePerGas).toBe(((30n * GWEI * 120n) / 100n).toString());
+    expect(bumped.hashes).toEqual([record.txHash, provider.broadcasts[1].hash]);
+
+    // The first broadcast may still be mined
+    provider.mine(record.txHash);
+    await transactions.poll();
+    expect(transactions.get(record.id)).toMatchObject({ status: 'confirmed', txHash: record.txHash });
+  });
+
+  it('stops bumping at the fee cap', async () => {
+    const transactions = manager({ bumpAfterMs: 0, maxFeePerGasGwei: 35 });
+    const record = await transactions.submit(call());
+
+    await transactions.poll();
+
+    expect(provider.broadcasts).toHaveLength(1);
+    expect(transactions.get(record.id)).toMatchObject({ status: 'pending', maxFeePerGas: record.maxFeePerGas });
+  });
+
+  it('marks a transaction whose nonce was used by someone else as replaced', async () => {
+    const transactions = manager();
+    const record = await transactions.submit(call());
+    const receipt = transactions.wait(record.id);
+
+    provider.minedNonce = 1;
+    await transactions.poll();
+
+    await expect(receipt).rejects.toThrow(`Nonce ${record.nonce} was used by another transaction`);
+    expect(transactions.get(record.id)?.status).toBe('replaced');
+  });
+
+  it('records a rejected broadcast and re-reads the nonce', async () => {
+    const transactions = manager();
+    provider.rejectBroadcast = new Error('nonce too low');
+
+    await expect(transactions.submit(call())).rejects.toThrow('nonce too low');
+    expect(transactions.list('failed')).toMatchObject([{ nonce: 0, error: 'nonce too low' }]);
+
+    provider.rejectBroadcast = null;
+    provider.pendingNonce = 4;
+    expect((await transactions.submit(call())).nonce).toBe(4);
+  });
+
+  it('does not use a nonce for calls that fail estimation', async () => {
+    const transactions = manager();
+    provider.rejectEstimate = new Error('execution reverted: Video already registered');
+
+    await expect(transactions.submit(call())).rejects.toThrow('Video already registered');
+    expect(transactions.list()).toEqual([]);
+
+    provider.rejectEstimate = null;
+    expect((await transactions.submit(call())).nonce).toBe(0);
+  });
+
+  it('rejects waiting on unknown transactions', async () => {
+    await expect(manager().wait('missing')).rejects.toThrow('Unknown transaction missing');
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Tests for the upload job queue (upload-jobs)
+ */
+
+import { JobContext, JobInputTimeoutError, JobQueue, UploadJob, isJobOwner, publicJob } from '../src/upload-jobs.js';
+
+const OWNER = '0xAbCdEf0000000000000000000000000000000001';
+
+/**
+ * Promise resolved from outside
+ */
+function deferred<T = void>() {
+  let resolve!: (value: T) => void;
+  const promise = new Promise<T>(res => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * Resolve once a job completes or fails
+ */
+function settled<T>(queue: JobQueue<T>, job: UploadJob<T>): Promise<UploadJob<T>> {
+  return new Promise(resolve => {
+    const check = (update: UploadJob<T>) => {
+      if (update.status === 'completed' || update.status === 'failed') {
+        unsubscribe();
+        resolve(update);
+      }
+    };
+    const unsubscribe = queue.subscribe(job.id, check);
+    check(job);
+  });
+}
+
+/**
+ * Resolve once a job waits for input
+ */
+function awaitingInput<T>(queue: JobQueue<T>, job: UploadJob<T>): Promise<void> {
+  return new Promise(resolve => {
+    const unsubscribe = queue.subscribe(job.id, update => {
+      if (update.awaiting) {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+}
+
+describe('JobQueue', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes a job with its result and skips the phases it did not run', async () => {
+    const queue = new JobQueue<string>();
+    const job = queue.enqueue(async ctx => {
+      await ctx.runPhase('hashing', async () => 'hashes');
+      await ctx.runPhase('ipfs', async () => 'cid');
+      return 'done';
+    });
+
+    const finished = await settled(queue, job);
+
+    expect(finished).toMatchObject({ status: 'completed', result: 'done', progress: 100, phase: null });
+    expect(finished.phases.hashing).toMatchObject({ status: 'completed', attempts: 1, progress: 1 });
+    expect(finished.phases.detection.status).toBe('skipped');
+    expect(finished.phases.registration.status).toBe('skipped');
+  });
+
+  it('runs at most `concurrency` jobs at once', async () => {
+    const queue = new JobQueue<number>({ concurrency: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    let running = 0;
+    let maxRunning = 0;
+
+    const jobs = gates.map((gate, index) => queue.enqueue(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await gate.promise;
+      running--;
+      return index;
+    }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(jobs.map(job => job.status)).toEqual(['running', 'running', 'queued']);
+    gates[0].resolve();
+    await settled(queue, jobs[0]);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(jobs[2].status).toBe('running');
+
+    gates[1].resolve();
+    gates[2].resolve();
+    await Promise.all(jobs.map(job => settled(queue, job)));
+    expect(maxRunning).toBe(2);
+  });
+
+  it('retries a failing phase before succeeding', async () => {
+    const queue = new JobQueue<string>({ defaultRetries: 2, retryDelayMs: 1 });
+    let calls = 0;
+    const job = queue.enqueue(ctx => ctx.runPhase('ipfs', async () => {
+      if (++calls < 3) throw new Error('gateway timeout');
+      return 'pinned';
+    }));
+
+    const finished = await settled(queue, job);
+
+    expect(finished).toMatchObject({ status: 'completed', result: 'pinned' });
+    expect(finished.phases.ipfs).toMatchObject({ status: 'completed', attempts: 3, error: 'gateway timeout' });
+  });
+
+  it('fails the job once the retries are used up', async () => {
+    const queue = new JobQueue<string>({ defaultRetries: 1, retryDelayMs: 1 });
+    const job = queue.enqueue(ctx => ctx.runPhase('detection', async () => {
+      throw new Error('RPC unavailable');
+    }));
+
+    const finished = await settled(queue, job);
+
+    expect(finished).toMatchObject({ status: 'failed', error: 'RPC unavailable' });
+    expect(finished.phases.detection).toMatchObject({ status: 'failed', attempts: 2 });
+  });
+
+  it('does not retry errors the phase declares permanent', async () => {
+    const queue = new JobQueue<string>({ defaultRetries: 3, retryDelayMs: 1 });
+    const work = jest.fn(async () => {
+      throw new Error('Video already registered');
+    });
+    const job = queue.enqueue(ctx => ctx.runPhase('registration', work, { isRetryable: () => false }));
+
+    const finished = await settled(queue, job);
+
+    expect(work).toHaveBeenCalledTimes(1);
+    expect(finished.phases.registration).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  it('runs the cleanup of completed and failed jobs', async () => {
+    const queue = new JobQueue<string>();
+    const onSettled = jest.fn();
+
+    await settled(queue, queue.enqueue(async () => 'ok', { onSettled }));
+    await settled(queue, queue.enqueue(async () => {
+      throw new Error('bad file');
+    }, { onSettled }));
+
+    expect(onSettled).toHaveBeenCalledTimes(2);
+  });
+
+  describe('waitForInput', () => {
+    it('releases the worker slot while waiting and resumes with the input', async () => {
+      const queue = new JobQueue<string>({ concurrency: 1 });
+      const signing = queue.enqueue(ctx => ctx.waitForInput<string>('signature', { typedData: 'payload' }, 60_000));
+      await awaitingInput(queue, signing);
+
+      // Another upload gets the slot meanwhile
+      const other = await settled(queue, queue.enqueue(async () => 'other'));
+      expect(other.status).toBe('completed');
+      expect(signing.awaiting).toMatchObject({ input: 'signature', payload: { typedData: 'payload' } });
+
+      expect(queue.provideInput(signing.id, 'signature', '0xsigned')).toBe(true);
+      const finished = await settled(queue, signing);
+      expect(finished).toMatchObject({ status: 'completed', result: '0xsigned' });
+      expect(finished.awaiting).toBeUndefined();
+    });
+
+    it('resumes ahead of jobs that have not started', async () => {
+      const queue = new JobQueue<string>({ concurrency: 1 });
+      const order: string[] = [];
+      const blocker = deferred();
+
+      const signing = queue.enqueue(async (ctx: JobContext) => {
+        await ctx.waitForInput('signature', null, 60_000);
+        order.push('resumed');
+        return 'signed';
+      });
+      await awaitingInput(queue, signing);
+      const running = queue.enqueue(async () => {
+        await blocker.promise;
+        order.push('running');
+        return 'running';
+      });
+      const queued = queue.enqueue(async () => {
+        order.push('queued');
+        return 'queued';
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      queue.provideInput(signing.id, 'signature', '0xsigned');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(signing.status).toBe('running');
+      expect(order).toEqual([]);
+
+      blocker.resolve();
+      await Promise.all([signing, running, queued].map(job => settled(queue, job)));
+      expect(order).toEqual(['running', 'resumed', 'queued']);
+    });
+
+    it('fails the job when the input does not arrive in time', async () => {
+      const queue = new JobQueue<string>();
+      const job = queue.enqueue(ctx => ctx.waitForInput<string>('signature', null, 10));
+
+      const finished = await settled(queue, job);
+
+      expect(finished).toMatchObject({ status: 'failed', error: 'Timed out waiting for signature' });
+      expect(new JobInputTimeoutError('signature')).toBeInstanceOf(Error);
+    });
+
+    it('refuses input the job is not waiting for', async () => {
+      const queue = new JobQueue<string>();
+      const job = queue.enqueue(ctx => ctx.waitForInput<string>('metadata-signature', null, 60_000));
+      await awaitingInput(queue, job);
+
+      expect(queue.provideInput(job.id, 'registration-signature', '0x')).toBe(false);
+      expect(queue.provideInput('missing', 'metadata-signature', '0x')).toBe(false);
+
+      queue.provideInput(job.id, 'metadata-signature', null);
+      await settled(queue, job);
+      expect(queue.provideInput(job.id, 'metadata-signature', '0x')).toBe(false);
+    });
+  });
+});
+
+describe('publicJob', () => {
+  const job = (awaiting?: UploadJob['awaiting']): UploadJob => ({
+    id: 'job-1',
+    owner: OWNER,
+    status: 'running',
+    phase: 'ipfs',
+    progress: 40,
+    phases: {} as UploadJob['phases'],
+    awaiting,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z'
+  });
+
+  it('removes the awaited payload', () => {
+    const waiting = job({ input: 'metadata-signature', payload: { message: 'secret' }, expiresAt: '2026-01-01T00:10:00.000Z' });
+
+    const shown = publicJob(waiting);
+
+    expect(shown.awaiting).toEqual({ input: 'metadata-signature', expiresAt: '2026-01-01T00:10:00.000Z' });
+    expect(waiting.awaiting?.payload).toEqual({ message: 'secret' });
+  });
+
+  it('returns jobs that are not waiting unchanged', () => {
+    const running = job();
+    expect(publicJob(running)).toBe(running);
+  });
+});
+
+describe('isJobOwner', () => {
+  it('matches the queuing wallet in any letter case', () => {
+    const job = { owner: OWNER } as UploadJob;
+
+    expect(isJobOwner(job, OWNER.toLowerCase())).toBe(true);
+    expect(isJobOwner(job, '0x0000000000000000000000000000000000000002')).toBe(false);
+    expect(isJobOwner({ owner: null } as UploadJob, OWNER)).toBe(false);
+  });
+});
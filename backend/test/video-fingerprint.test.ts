@@ -0,0 +1,114 @@
+/**
+ * Tests for the temporal video signature (video-fingerprint) and its
+ * HashEngine comparator
+ */
+
+import HashEngine from '../src/hash-engine.js';
+import {
+  buildTemporalSignature,
+  encodeTemporalSignature,
+  decodeTemporalSignature,
+  findMatchingSubsequence
+} from '../src/video-fingerprint.js';
+
+/**
+ * Deterministic 64-bit binary frame hash with about half the bits set
+ */
+function frame(seed: number): string {
+  let state = Math.imul(seed, 2654435761) >>> 0;
+  let bits = '';
+  for (let i = 0; i < 64; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    bits += state >>> 31 ? '1' : '0';
+  }
+  return bits;
+}
+
+/**
+ * Flip the first `count` bits of a frame hash (a slightly different re-encode)
+ */
+function flip(hash: string, count: number): string {
+  return [...hash].map((bit, i) => (i < count ? (bit === '1' ? '0' : '1') : bit)).join('');
+}
+
+const original = Array.from({ length: 20 }, (_, i) => frame(i + 1));
+
+describe('buildTemporalSignature', () => {
+  it('drops low-detail frames and collapses static shots', () => {
+    const black = '0'.repeat(64);
+    const frames = [black, black, original[0], flip(original[0], 2), original[1], original[1], original[2]];
+
+    expect(buildTemporalSignature(frames)).toEqual([original[0], original[1], original[2]]);
+  });
+
+  it('keeps the whole video', () => {
+    expect(buildTemporalSignature(original)).toEqual(original);
+  });
+
+  it('keeps a first frame when every frame is low-detail', () => {
+    const black = '0'.repeat(64);
+    expect(buildTemporalSignature([black, black])).toEqual([black]);
+  });
+});
+
+describe('encodeTemporalSignature / decodeTemporalSignature', () => {
+  it('round-trips a signature', () => {
+    const encoded = encodeTemporalSignature(original);
+
+    expect(encoded).toMatch(/^tv1:[0-9a-f]{320}$/);
+    expect(decodeTemporalSignature(encoded)).toEqual(original);
+  });
+
+  it('rejects other encodings', () => {
+    expect(decodeTemporalSignature('no_video')).toBeNull();
+    expect(decodeTemporalSignature('cp1:AAAA')).toBeNull();
+  });
+});
+
+describe('findMatchingSubsequence', () => {
+  it('aligns a clip from the middle of a video', () => {
+    const clip = original.slice(8, 14).map(hash => flip(hash, 3));
+
+    expect(findMatchingSubsequence(clip, original)).toEqual({
+      similarity: 100,
+      matchedFrames: 6,
+      queryStart: 0,
+      queryEnd: 6,
+      referenceStart: 8,
+      referenceEnd: 14
+    });
+  });
+
+  it('aligns across a trimmed intro and an inserted title card', () => {
+    const repost = [frame(100), ...original.slice(3, 8), frame(101), ...original.slice(8, 12)];
+    const match = findMatchingSubsequence(repost, original);
+
+    expect(match.matchedFrames).toBe(9);
+    expect(match.referenceStart).toBe(3);
+    expect(match.referenceEnd).toBe(12);
+  });
+
+  it('finds nothing in unrelated videos', () => {
+    const unrelated = Array.from({ length: 10 }, (_, i) => frame(1000 + i));
+
+    expect(findMatchingSubsequence(unrelated, original).similarity).toBe(0);
+  });
+
+  it('returns no match for an empty signature', () => {
+    expect(findMatchingSubsequence([], original).similarity).toBe(0);
+  });
+});
+
+describe('HashEngine.compareVideoSignatures', () => {
+  it('compares encoded signatures', () => {
+    const clip = encodeTemporalSignature(original.slice(5, 15));
+    const match = HashEngine.compareVideoSignatures(clip, encodeTemporalSignature(original));
+
+    expect(match.similarity).toBe(100);
+    expect(match.referenceStart).toBe(5);
+  });
+
+  it('treats strings that are not signatures as empty', () => {
+    expect(HashEngine.compareVideoSignatures('no_video', encodeTemporalSignature(original)).similarity).toBe(0);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for Sign-In with Ethereum sessions (wallet-auth)
+ */
+
+import { ethers } from 'ethers';
+import { Request, Response } from 'express';
+import { WalletAuth, parseSiweMessage, walletSessionMiddleware } from '../src/wallet-auth.js';
+
+const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+const other = new ethers.Wallet('0x' + '22'.repeat(32));
+
+/**
+ * EIP-4361 message as the frontend builds it
+ */
+function siweMessage(nonce: string, overrides: { domain?: string; address?: string; chainId?: number; extra?: string[] } = {}): string {
+  return [
+    `${overrides.domain ?? 'localhost:5173'} wants you to sign in with your Ethereum account:`,
+    overrides.address ?? wallet.address,
+    '',
+    'Sign in to BlockPost',
+    '',
+    'URI: http://localhost:5173',
+    'Version: 1',
+    `Chain ID: ${overrides.chainId ?? 80002}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+    ...(overrides.extra ?? [])
+  ].join('\n');
+}
+
+describe('parseSiweMessage', () => {
+  it('parses the message fields', () => {
+    expect(parseSiweMessage(siweMessage('abc123'))).toMatchObject({
+      domain: 'localhost:5173',
+      address: wallet.address,
+      statement: 'Sign in to BlockPost',
+      uri: 'http://localhost:5173',
+      version: '1',
+      chainId: 80002,
+      nonce: 'abc123'
+    });
+  });
+
+  it('parses a message without a statement', () => {
+    const message = siweMessage('abc123').replace('\nSign in to BlockPost\n', '');
+
+    expect(parseSiweMessage(message).statement).toBeUndefined();
+    expect(parseSiweMessage(message).nonce).toBe('abc123');
+  });
+
+  it('rejects other messages', () => {
+    expect(() => parseSiweMessage('hello')).toThrow('Not a Sign-In with Ethereum message');
+    expect(() => parseSiweMessage(siweMessage('abc123').replace(/Nonce: .*\n/, '')))
+      .toThrow('missing nonce');
+    expect(() => parseSiweMessage(siweMessage('abc123', { address: '0x1234' })))
+      .toThrow('invalid address');
+  });
+});
+
+describe('WalletAuth', () => {
+  let auth: WalletAuth;
+
+  beforeEach(() => {
+    auth = new WalletAuth({ domains: ['localhost:5173'], chainId: 80002, secret: 'test-secret' });
+  });
+
+  async function signIn(message: string, signer: ethers.Wallet = wallet) {
+    return auth.verify(message, await signer.signMessage(message));
+  }
+
+  it('starts a session for a signed message', async () => {
+    const { nonce } = auth.issueNonce();
+    const session = await signIn(siweMessage(nonce));
+
+    expect(session.address).toBe(wallet.address);
+    expect(auth.authenticate(session.token)).toEqual({
+      address: wallet.address,
+      issuedAt: expect.any(String),
+      expiresAt: expect.any(String)
+    });
+  });
+
+  it('uses each nonce once', async () => {
+    const { nonce } = auth.issueNonce();
+    await signIn(siweMessage(nonce));
+
+    await expect(signIn(siweMessage(nonce))).rejects.toThrow('Unknown or expired nonce');
+  });
+
+  it('rejects a replayed message and signature', async () => {
+    const message = siweMessage(auth.issueNonce().nonce);
+    const signature = await wallet.signMessage(message);
+    await auth.verify(message, signature);
+
+    await expect(auth.verify(message, signature)).rejects.toThrow('Unknown or expired nonce');
+  });
+
+  it('consumes the nonce of a rejected sign-in', async () => {
+    const { nonce } = auth.issueNonce();
+    await expect(signIn(siweMessage(nonce, { domain: 'evil.example' }))).rejects.toThrow('unexpected domain');
+
+    await expect(signIn(siweMessage(nonce))).rejects.toThrow('Unknown or expired nonce');
+  });
+
+  it('rejects unknown and expired nonces', async () => {
+    const expiring = new WalletAuth({ domains: ['localhost:5173'], chainId: 80002, nonceTtlMs: -1000 });
+    const message = siweMessage(expiring.issueNonce().nonce);
+
+    await expect(signIn(siweMessage('not-issued'))).rejects.toThrow('Unknown or expired nonce');
+    await expect(expiring.verify(message, await wallet.signMessage(message))).rejects.toThrow('Unknown or expired nonce');
+  });
+
+  it('rejects messages for another domain or chain', async () => {
+    await expect(signIn(siweMessage(auth.issueNonce().nonce, { domain: 'evil.example' })))
+      .rejects.toThrow('unexpected domain evil.example');
+    await expect(signIn(siweMessage(auth.issueNonce().nonce, { chainId: 1 })))
+      .rejects.toThrow('Sign-in for chain 1, expected 80002');
+  });
+
+  it('rejects expired messages', async () => {
+    const message = siweMessage(auth.issueNonce().nonce, { extra: ['Expiration Time: 2020-01-01T00:00:00.000Z'] });
+
+    await expect(signIn(message)).rejects.toThrow('Sign-in message has expired');
+  });
+
+  it('rejects messages that are not valid yet', async () => {
+    const message = siweMessage(auth.issueNonce().nonce, { extra: ['Not Before: 2100-01-01T00:00:00.000Z'] });
+
+    await expect(signIn(message)).rejects.toThrow('Sign-in message is not valid yet');
+  });
+
+  it('rejects a signature by another wallet', async () => {
+    await expect(signIn(siweMessage(auth.issueNonce().nonce), other))
+      .rejects.toThrow('Signature does not match the message address');
+  });
+
+  it('rejects malformed signatures', async () => {
+    await expect(auth.verify(siweMessage(auth.issueNonce().nonce), '0x1234')).rejects.toThrow('Malformed signature');
+  });
+
+  it('rejects tokens signed with another secret or tampered with', async () => {
+    const { token } = await signIn(siweMessage(auth.issueNonce().nonce));
+    const otherAuth = new WalletAuth({ domains: ['localhost:5173'], chainId: 80002, secret: 'other-secret' });
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: other.address, iat: 0, exp: 4102444800 })).toString('base64url');
+
+    expect(otherAuth.authenticate(token)).toBeNull();
+    expect(auth.authenticate(`${header}.${forged}.${signature}`)).toBeNull();
+    expect(auth.authenticate('not-a-token')).toBeNull();
+  });
+
+  it('rejects expired tokens', async () => {
+    const shortLived = new WalletAuth({ domains: ['localhost:5173'], chainId: 80002, secret: 'test-secret', sessionTtlMs: -1000 });
+    const { nonce } = shortLived.issueNonce();
+    const message = siweMessage(nonce);
+    const { token } = await shortLived.verify(message, await wallet.signMessage(message));
+
+    expect(shortLived.authenticate(token)).toBeNull();
+  });
+});
+
+describe('walletSessionMiddleware', () => {
+  const auth = new WalletAuth({ domains: ['localhost:5173'], chainId: 80002, secret: 'test-secret' });
+  const requireWalletSession = walletSessionMiddleware(auth);
+
+  function run(authorization?: string) {
+    const req = { headers: { authorization } } as Request;
+    const res = { locals: {}, status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    requireWalletSession(req, res as unknown as Response, next);
+    return { res, next };
+  }
+
+  it('passes requests with a session token and exposes the session', async () => {
+    const message = siweMessage(auth.issueNonce().nonce);
+    const { token } = await auth.verify(message, await wallet.signMessage(message));
+
+    const { res, next } = run(`Bearer ${token}`);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.locals).toEqual({ session: expect.objectContaining({ address: wallet.address }) });
+  });
+
+  it('answers 401 without a valid bearer token', async () => {
+    const message = siweMessage(auth.issueNonce().nonce);
+    const { token } = await auth.verify(message, await wallet.signMessage(message));
+
+    for (const authorization of [undefined, token, `Basic ${token}`, 'Bearer', 'Bearer not-a-token']) {
+      const { res, next } = run(authorization);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+      expect(res.locals).toEqual({});
+    }
+  });
+});
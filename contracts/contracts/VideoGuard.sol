@@ -8,9 +8,81 @@ pragma solidity ^0.8.20;
  * @author BlockPost Team - PERSON 4 (Blockchain)
  */
 
+/**
+ * @dev Subset of ERC-20 used for paid licenses
+ */
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
 contract VideoGuard {
     // ============ STRUCTS ============
     
+    enum LicenseType {
+        ALL_RIGHTS_RESERVED,         // No reuse without permission (default)
+        CC0,                         // Public domain dedication
+        CC_BY,
+        CC_BY_SA,
+        CC_BY_NC,
+        CC_BY_NC_SA,
+        CC_BY_ND,
+        CC_BY_NC_ND,
+        CUSTOM                       // Terms document on IPFS (termsCid)
+    }
+    
+    enum DerivativeType {
+        REMIX,
+        REACTION,
+        EDIT
+    }
+    
+    enum DisputeStatus {
+        OPEN,                        // Awaiting a ruling until the deadline
+        RESOLVED,                    // Ruled; the losing party may appeal until the deadline
+        APPEALED,                    // Awaiting a ruling by another arbitrator until the deadline
+        FINALIZED                    // Remedy applied and stakes paid out
+    }
+    
+    enum Ruling {
+        NONE,                        // No ruling before the deadline (dispute expired)
+        REJECTED,
+        TRANSFER_OWNERSHIP,          // Upheld: the accuser becomes the registered creator
+        REVOKE                       // Upheld: the registration is revoked
+    }
+    
+    struct License {
+        LicenseType licenseType;
+        string termsCid;             // IPFS CID of the terms (CUSTOM only)
+    }
+    
+    struct LicenseOffer {
+        address token;               // ERC-20 token, or address(0) for the native token
+        uint256 price;               // 0 = not for sale
+    }
+    
+    struct LicensePurchase {
+        address token;
+        uint256 price;               // Amount paid
+        uint256 timestamp;           // 0 = no license purchased
+    }
+    
+    struct Derivation {
+        bytes32 parentHash;          // bytes32(0) = not a derivative
+        DerivativeType derivativeType;
+    }
+    
+    struct DerivativeRegistration {
+        bytes32 exactHash;           // SHA-256 hash of the derivative's file
+        bytes32 parentHash;          // Exact hash of the video it derives from
+        string perceptualHash;
+        string audioFingerprint;
+        string ipfsHash;
+        DerivativeType derivativeType;
+        License license;
+    }
+    
     struct VideoRecord {
         address creator;
         bytes32 exactHash;           // SHA-256 hash of original file
@@ -24,11 +96,17 @@ contract VideoGuard {
 
     struct DisputeRecord {
         address accuser;
+        address creator;             // Registered creator when the dispute was raised
         bytes32 targetVideoHash;
         string reason;
+        string evidenceCid;          // IPFS CID of the accuser's evidence
+        uint256 stake;               // Accuser's stake (an appeal stakes the same amount)
         uint256 timestamp;
-        bool resolved;
-        address resolver;
+        DisputeStatus status;
+        Ruling ruling;
+        address resolver;            // Arbitrator of the latest ruling
+        uint256 deadline;            // Ruling due (OPEN/APPEALED) or end of the appeal window (RESOLVED)
+        address appellant;           // address(0) = not appealed
     }
 
     // ============ STATE VARIABLES ============
@@ -44,6 +122,13 @@ contract VideoGuard {
     // Dispute system
     mapping(uint256 => DisputeRecord) public disputes;
     uint256 public disputeCount;
+    mapping(bytes32 => uint256) public openDisputes;     // Disputes per video not yet finalized
+    mapping(bytes32 => bool) public revoked;             // Registrations revoked by an upheld dispute
+    
+    // Dispute lifecycle parameters (admin-configurable)
+    uint256 public disputeStake = 0.1 ether;
+    uint256 public resolutionPeriod = 14 days;
+    uint256 public appealWindow = 3 days;
     
     // Admin & governance
     address public admin;
@@ -53,6 +138,43 @@ contract VideoGuard {
     uint256 public totalVideosRegistered;
     uint256 public totalRepostsDetected;
     
+    // Reuse terms per video (unset = ALL_RIGHTS_RESERVED)
+    mapping(bytes32 => License) public licenses;
+    
+    // Paid reuse licenses: price per video, purchases per video and buyer
+    mapping(bytes32 => LicenseOffer) public licenseOffers;
+    mapping(bytes32 => mapping(address => LicensePurchase)) public licensePurchases;
+    
+    // Balances owed (royalties, dispute stakes): account => token (address(0) = native) => amount
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals;
+    
+    // Provenance graph: derivative => parent, parent => derivatives
+    mapping(bytes32 => Derivation) public derivations;
+    mapping(bytes32 => bytes32[]) private derivativesOf;
+    
+    // Reentrancy guard for payments
+    bool private locked;
+    
+    // Uploads whose repost has been recorded (each is counted once)
+    mapping(bytes32 => bool) public repostRecorded;
+    
+    // Fingerprints meaning "no visual / no audio content": never indexed or matched
+    bytes32 private constant NO_VIDEO = keccak256("no_video");
+    bytes32 private constant NO_AUDIO = keccak256("no_audio");
+    
+    // Gasless registration (EIP-712 signed by the creator, submitted by a relayer)
+    bytes32 public constant REGISTER_VIDEO_TYPEHASH = keccak256(
+        "RegisterVideo(address creator,bytes32 exactHash,string perceptualHash,string audioFingerprint,string ipfsHash,License license,uint256 nonce,uint256 deadline)License(uint8 licenseType,string termsCid)"
+    );
+    bytes32 public constant REGISTER_DERIVATIVE_TYPEHASH = keccak256(
+        "RegisterDerivative(address creator,bytes32 exactHash,bytes32 parentHash,string perceptualHash,string audioFingerprint,string ipfsHash,uint8 derivativeType,License license,uint256 nonce,uint256 deadline)License(uint8 licenseType,string termsCid)"
+    );
+    bytes32 public constant LICENSE_TYPEHASH = keccak256("License(uint8 licenseType,string termsCid)");
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    mapping(address => uint256) public nonces;
+    
     // ============ EVENTS ============
     
     event VideoRegistered(
@@ -72,17 +194,93 @@ contract VideoGuard {
         string matchType
     );
     
+    event DerivativeRegistered(
+        bytes32 indexed exactHash,
+        bytes32 indexed parentHash,
+        address indexed creator,
+        DerivativeType derivativeType
+    );
+    
+    event LicenseSet(
+        bytes32 indexed exactHash,
+        address indexed creator,
+        LicenseType licenseType,
+        string termsCid
+    );
+    
+    event LicensePriceSet(
+        bytes32 indexed exactHash,
+        address indexed token,
+        uint256 price
+    );
+    
+    event LicensePurchased(
+        bytes32 indexed exactHash,
+        address indexed buyer,
+        address indexed creator,
+        address token,
+        uint256 price
+    );
+    
+    event Withdrawal(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+    
     event DisputeRaised(
         uint256 indexed disputeId,
         bytes32 indexed videoHash,
         address indexed accuser,
-        string reason
+        string reason,
+        string evidenceCid,
+        uint256 stake,
+        uint256 deadline
+    );
+    
+    event EvidenceSubmitted(
+        uint256 indexed disputeId,
+        address indexed party,
+        string evidenceCid
     );
     
     event DisputeResolved(
         uint256 indexed disputeId,
         address indexed resolver,
-        bool upheld
+        bool upheld,
+        Ruling ruling,
+        uint256 appealDeadline
+    );
+    
+    event DisputeAppealed(
+        uint256 indexed disputeId,
+        address indexed appellant,
+        uint256 stake,
+        uint256 deadline
+    );
+    
+    event DisputeFinalized(
+        uint256 indexed disputeId,
+        bytes32 indexed videoHash,
+        Ruling ruling
+    );
+    
+    event VideoOwnershipTransferred(
+        bytes32 indexed exactHash,
+        address indexed from,
+        address indexed to,
+        uint256 disputeId
+    );
+    
+    event VideoRevoked(
+        bytes32 indexed exactHash,
+        uint256 indexed disputeId
+    );
+    
+    event DisputeParametersSet(
+        uint256 stake,
+        uint256 resolutionPeriod,
+        uint256 appealWindow
     );
     
     event ArbitratorAdded(address indexed arbitrator);
@@ -105,6 +303,13 @@ contract VideoGuard {
         _;
     }
     
+    modifier nonReentrant() {
+        require(!locked, "Reentrant call");
+        locked = true;
+        _;
+        locked = false;
+    }
+    
     // ============ CONSTRUCTOR ============
     
     constructor() {
@@ -128,15 +333,191 @@ contract VideoGuard {
         string memory _audioFingerprint,
         string memory _ipfsHash
     ) external {
+        _registerVideo(msg.sender, _exactHash, _perceptualHash, _audioFingerprint, _ipfsHash);
+    }
+    
+    /**
+     * @dev Register a new video together with its reuse terms
+     * @param _exactHash SHA-256 hash of video file
+     * @param _perceptualHash Visual fingerprint from frames
+     * @param _audioFingerprint Audio signature
+     * @param _ipfsHash IPFS CID for retrieval
+     * @param _license License the video is published under
+     */
+    function registerVideoWithLicense(
+        bytes32 _exactHash,
+        string memory _perceptualHash,
+        string memory _audioFingerprint,
+        string memory _ipfsHash,
+        License memory _license
+    ) external {
+        _registerVideo(msg.sender, _exactHash, _perceptualHash, _audioFingerprint, _ipfsHash);
+        _setLicense(_exactHash, msg.sender, _license);
+    }
+    
+    /**
+     * @dev Register a video on behalf of its creator (gasless for the creator)
+     * @notice Anyone may submit; the creator signs the EIP-712 RegisterVideo
+     *         message, so the record is owned by the creator, not the sender
+     * @param _creator Wallet that signed the registration and will own the record
+     * @param _exactHash SHA-256 hash of video file
+     * @param _perceptualHash Visual fingerprint from frames
+     * @param _audioFingerprint Audio signature
+     * @param _ipfsHash IPFS CID for retrieval
+     * @param _license License the video is published under (part of the signed message)
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature 65-byte signature by _creator (uses nonces[_creator])
+     */
+    function registerVideoFor(
+        address _creator,
+        bytes32 _exactHash,
+        string memory _perceptualHash,
+        string memory _audioFingerprint,
+        string memory _ipfsHash,
+        License memory _license,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        uint256 nonce = nonces[_creator]++;
+        bytes32 digest = registrationDigest(
+            _creator, _exactHash, _perceptualHash, _audioFingerprint, _ipfsHash, _license, nonce, _deadline
+        );
+        _requireCreatorSignature(_creator, digest, _deadline, _signature);
+        
+        _registerVideo(_creator, _exactHash, _perceptualHash, _audioFingerprint, _ipfsHash);
+        if (_license.licenseType != LicenseType.ALL_RIGHTS_RESERVED) {
+            _setLicense(_exactHash, _creator, _license);
+        }
+    }
+    
+    /**
+     * @dev Register a remix, reaction or edit of a registered video, crediting it as the parent
+     * @notice The derivative is a registered video of its own (VideoRegistered is emitted too);
+     *         its parent must be registered first, so the provenance graph has no cycles.
+     *         The sender must be allowed to adapt the parent (see canDeriveFrom)
+     * @param _exactHash SHA-256 hash of the derivative's file
+     * @param _parentHash Exact hash of the video it derives from
+     * @param _perceptualHash Visual fingerprint from frames
+     * @param _audioFingerprint Audio signature
+     * @param _ipfsHash IPFS CID for retrieval
+     * @param _derivativeType How the derivative reuses its parent
+     * @param _license License the derivative is published under
+     */
+    function registerDerivative(
+        bytes32 _exactHash,
+        bytes32 _parentHash,
+        string memory _perceptualHash,
+        string memory _audioFingerprint,
+        string memory _ipfsHash,
+        DerivativeType _derivativeType,
+        License memory _license
+    ) external {
+        _registerDerivative(msg.sender, DerivativeRegistration({
+            exactHash: _exactHash,
+            parentHash: _parentHash,
+            perceptualHash: _perceptualHash,
+            audioFingerprint: _audioFingerprint,
+            ipfsHash: _ipfsHash,
+            derivativeType: _derivativeType,
+            license: _license
+        }));
+    }
+    
+    /**
+     * @dev Register a derivative on behalf of its creator (gasless for the creator)
+     * @notice Anyone may submit; the creator signs the EIP-712 RegisterDerivative
+     *         message, so the creator owns the record and must be allowed to adapt
+     *         the parent (see canDeriveFrom), not the sender.
+     *         The fields are bundled in a struct to keep the stack shallow
+     * @param _creator Wallet that signed the registration and will own the record
+     * @param _registration The derivative, as registerDerivative takes it
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature 65-byte signature by _creator (uses nonces[_creator])
+     */
+    function registerDerivativeFor(
+        address _creator,
+        DerivativeRegistration memory _registration,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        bytes32 digest = _derivativeRegistrationDigest(_creator, _registration, nonces[_creator]++, _deadline);
+        _requireCreatorSignature(_creator, digest, _deadline, _signature);
+        
+        _registerDerivative(_creator, _registration);
+    }
+    
+    /**
+     * @dev Whether an account may register derivatives of a video
+     * @notice True if the video's license allows adaptations (CC0 and the CC licenses
+     *         without NoDerivatives), the account bought a reuse license of it, or the
+     *         account is its creator; never for revoked videos
+     */
+    function canDeriveFrom(bytes32 _parentHash, address _account) public view returns (bool) {
+        LicenseType licenseType = licenses[_parentHash].licenseType;
+        return !revoked[_parentHash] && (
+            (licenseType >= LicenseType.CC0 && licenseType <= LicenseType.CC_BY_NC_SA)
+            || hasLicense(_parentHash, _account)
+            || videosByExactHash[_parentHash].creator == _account
+        );
+    }
+    
+    /**
+     * @dev Change the reuse terms of a video (creator only)
+     * @param _exactHash Exact hash of the video
+     * @param _license New license; applies to detections from now on
+     */
+    function setLicense(bytes32 _exactHash, License memory _license)
+        external
+        onlyExistingVideo(_exactHash)
+    {
+        require(videosByExactHash[_exactHash].creator == msg.sender, "Only creator can set license");
+        _setLicense(_exactHash, msg.sender, _license);
+    }
+    
+    function _registerDerivative(address _creator, DerivativeRegistration memory _registration)
+        internal
+        onlyExistingVideo(_registration.parentHash)
+    {
+        bytes32 exactHash = _registration.exactHash;
+        require(canDeriveFrom(_registration.parentHash, _creator), "Parent license does not permit derivatives");
+        _registerVideo(_creator, exactHash, _registration.perceptualHash, _registration.audioFingerprint, _registration.ipfsHash);
+        if (_registration.license.licenseType != LicenseType.ALL_RIGHTS_RESERVED) {
+            _setLicense(exactHash, _creator, _registration.license);
+        }
+        
+        derivations[exactHash] = Derivation({ parentHash: _registration.parentHash, derivativeType: _registration.derivativeType });
+        derivativesOf[_registration.parentHash].push(exactHash);
+        
+        emit DerivativeRegistered(exactHash, _registration.parentHash, _creator, _registration.derivativeType);
+    }
+    
+    function _registerVideo(
+        address _creator,
+        bytes32 _exactHash,
+        string memory _perceptualHash,
+        string memory _audioFingerprint,
+        string memory _ipfsHash
+    ) internal {
         require(_exactHash != bytes32(0), "Invalid exact hash");
         require(bytes(_perceptualHash).length > 0, "Perceptual hash required");
         require(bytes(_audioFingerprint).length > 0, "Audio fingerprint required");
         require(bytes(_ipfsHash).length > 0, "IPFS hash required");
-        require(videosByExactHash[_exactHash].creator == address(0), "Video already registered");
+        
+        // A revoked registration can be claimed again (by the rightful owner) once its disputes are settled
+        address previousCreator = videosByExactHash[_exactHash].creator;
+        if (previousCreator != address(0)) {
+            require(revoked[_exactHash], "Video already registered");
+            require(openDisputes[_exactHash] == 0, "Video has open disputes");
+            _removeHash(videosByCreator[previousCreator], _exactHash);
+            _removeHash(derivativesOf[derivations[_exactHash].parentHash], _exactHash);
+            delete derivations[_exactHash];
+            delete licenses[_exactHash];
+            revoked[_exactHash] = false;
+        }
         
         // Create video record
         videosByExactHash[_exactHash] = VideoRecord({
-            creator: msg.sender,
+            creator: _creator,
             exactHash: _exactHash,
             perceptualHash: _perceptualHash,
             audioFingerprint: _audioFingerprint,
@@ -147,15 +528,19 @@ contract VideoGuard {
         });
         
         // Add to indexes for fast lookup
-        videosByPerceptualHash[_perceptualHash].push(_exactHash);
-        videosByAudioHash[_audioFingerprint].push(_exactHash);
-        videosByCreator[msg.sender].push(_exactHash);
+        if (_isFingerprint(_perceptualHash)) {
+            videosByPerceptualHash[_perceptualHash].push(_exactHash);
+        }
+        if (_isFingerprint(_audioFingerprint)) {
+            videosByAudioHash[_audioFingerprint].push(_exactHash);
+        }
+        videosByCreator[_creator].push(_exactHash);
         
         totalVideosRegistered++;
         
         emit VideoRegistered(
             _exactHash,
-            msg.sender,
+            _creator,
             _perceptualHash,
             _audioFingerprint,
             _ipfsHash,
@@ -164,7 +549,9 @@ contract VideoGuard {
     }
     
     /**
-     * @dev Detect if uploaded video is a repost using 3-layer detection
+     * @dev Detect if uploaded video is a repost using 3-layer detection (read-only)
+     * @notice "no_video" / "no_audio" fingerprints never match, nor do revoked registrations;
+     *         use recordRepost to record a match
      * @param _exactHash Exact hash of uploaded file
      * @param _perceptualHash Perceptual hash of uploaded file
      * @param _audioFingerprint Audio fingerprint of uploaded file
@@ -173,46 +560,76 @@ contract VideoGuard {
      * @return originalIpfsHash IPFS hash of original video
      * @return matchType Type of match: EXACT_DUPLICATE, VISUAL_MATCH, AUDIO_MATCH, or ORIGINAL
      * @return originalHash Exact hash of original video
+     * @return license Reuse terms of the original video
      */
     function detectRepost(
         bytes32 _exactHash,
         string memory _perceptualHash,
         string memory _audioFingerprint
-    ) external returns (
+    ) public view returns (
         bool isRepost,
         address originalCreator,
         string memory originalIpfsHash,
         string memory matchType,
-        bytes32 originalHash
+        bytes32 originalHash,
+        License memory license
     ) {
         // Layer 1: Exact hash match (100% duplicate)
-        if (videosByExactHash[_exactHash].creator != address(0)) {
-            VideoRecord memory v = videosByExactHash[_exactHash];
-            totalRepostsDetected++;
-            emit RepostDetected(_exactHash, _exactHash, msg.sender, v.creator, "EXACT_DUPLICATE");
-            return (true, v.creator, v.ipfsHash, "EXACT_DUPLICATE", _exactHash);
+        if (videosByExactHash[_exactHash].creator != address(0) && !revoked[_exactHash]) {
+            VideoRecord storage v = videosByExactHash[_exactHash];
+            return (true, v.creator, v.ipfsHash, "EXACT_DUPLICATE", _exactHash, licenses[_exactHash]);
         }
         
         // Layer 2: Perceptual hash match (visual similarity)
-        bytes32[] memory pMatches = videosByPerceptualHash[_perceptualHash];
-        if (pMatches.length > 0) {
-            VideoRecord memory v = videosByExactHash[pMatches[0]];
-            totalRepostsDetected++;
-            emit RepostDetected(_exactHash, pMatches[0], msg.sender, v.creator, "VISUAL_MATCH");
-            return (true, v.creator, v.ipfsHash, "VISUAL_MATCH", pMatches[0]);
+        if (_isFingerprint(_perceptualHash)) {
+            bytes32[] storage pMatches = videosByPerceptualHash[_perceptualHash];
+            if (pMatches.length > 0) {
+                VideoRecord storage v = videosByExactHash[pMatches[0]];
+                return (true, v.creator, v.ipfsHash, "VISUAL_MATCH", pMatches[0], licenses[pMatches[0]]);
+            }
         }
         
         // Layer 3: Audio fingerprint match (audio reuse)
-        bytes32[] memory aMatches = videosByAudioHash[_audioFingerprint];
-        if (aMatches.length > 0) {
-            VideoRecord memory v = videosByExactHash[aMatches[0]];
-            totalRepostsDetected++;
-            emit RepostDetected(_exactHash, aMatches[0], msg.sender, v.creator, "AUDIO_MATCH");
-            return (true, v.creator, v.ipfsHash, "AUDIO_MATCH", aMatches[0]);
+        if (_isFingerprint(_audioFingerprint)) {
+            bytes32[] storage aMatches = videosByAudioHash[_audioFingerprint];
+            if (aMatches.length > 0) {
+                VideoRecord storage v = videosByExactHash[aMatches[0]];
+                return (true, v.creator, v.ipfsHash, "AUDIO_MATCH", aMatches[0], licenses[aMatches[0]]);
+            }
         }
         
         // No match found - original content
-        return (false, address(0), "", "ORIGINAL", bytes32(0));
+        return (false, address(0), "", "ORIGINAL", bytes32(0), license);
+    }
+    
+    /**
+     * @dev Record a repost found by detectRepost in the statistics and event log
+     * @notice Each uploaded hash is counted once; reverts if it matches nothing
+     * @param _exactHash Exact hash of uploaded file
+     * @param _perceptualHash Perceptual hash of uploaded file
+     * @param _audioFingerprint Audio fingerprint of uploaded file
+     * @return matchType Type of the recorded match
+     * @return originalHash Exact hash of original video
+     */
+    function recordRepost(
+        bytes32 _exactHash,
+        string memory _perceptualHash,
+        string memory _audioFingerprint
+    ) external returns (string memory matchType, bytes32 originalHash) {
+        bool isRepost;
+        address originalCreator;
+        (isRepost, originalCreator, , matchType, originalHash, ) = detectRepost(
+            _exactHash,
+            _perceptualHash,
+            _audioFingerprint
+        );
+        require(isRepost, "No matching video");
+        require(!repostRecorded[_exactHash], "Repost already recorded");
+        
+        repostRecorded[_exactHash] = true;
+        totalRepostsDetected++;
+        
+        emit RepostDetected(_exactHash, originalHash, msg.sender, originalCreator, matchType);
     }
     
     /**
@@ -240,6 +657,18 @@ contract VideoGuard {
         return videosByCreator[_creator];
     }
     
+    /**
+     * @dev Get the registered derivatives of a video, oldest first
+     * @param _exactHash Exact hash of the parent video
+     */
+    function getDerivatives(bytes32 _exactHash) 
+        external 
+        view 
+        returns (bytes32[] memory) 
+    {
+        return derivativesOf[_exactHash];
+    }
+    
     /**
      * @dev Increment view counter
      * @param _exactHash Exact hash of video
@@ -251,60 +680,220 @@ contract VideoGuard {
         videosByExactHash[_exactHash].views++;
     }
     
+    // ============ PAID LICENSES ============
+    
+    /**
+     * @dev Offer reuse licenses of a video for sale (creator only)
+     * @param _exactHash Exact hash of the video
+     * @param _token ERC-20 token to be paid in, or address(0) for the native token
+     * @param _price Price per license; 0 stops sales (existing licenses stay valid)
+     */
+    function setLicensePrice(bytes32 _exactHash, address _token, uint256 _price)
+        external
+        onlyExistingVideo(_exactHash)
+    {
+        require(videosByExactHash[_exactHash].creator == msg.sender, "Only creator can set license price");
+        require(!revoked[_exactHash], "Video is revoked");
+        require(_token == address(0) || _token.code.length > 0, "Token is not a contract");
+        
+        licenseOffers[_exactHash] = LicenseOffer({ token: _token, price: _price });
+        emit LicensePriceSet(_exactHash, _token, _price);
+    }
+    
+    /**
+     * @dev Buy a reuse license of a video at its current price
+     * @notice Pay msg.value for native-token offers; approve the price first for ERC-20 offers.
+     *         The payment is credited to the creator's withdrawable balance
+     * @param _exactHash Exact hash of the video
+     */
+    function purchaseLicense(bytes32 _exactHash)
+        external
+        payable
+        nonReentrant
+        onlyExistingVideo(_exactHash)
+    {
+        VideoRecord storage video = videosByExactHash[_exactHash];
+        LicenseOffer memory offer = licenseOffers[_exactHash];
+        require(offer.price > 0, "License not for sale");
+        require(!video.isDisputed, "Video is disputed");
+        require(msg.sender != video.creator, "Creator already holds the rights");
+        require(!hasLicense(_exactHash, msg.sender), "License already purchased");
+        
+        uint256 paid = offer.price;
+        if (offer.token == address(0)) {
+            require(msg.value == offer.price, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Offer is priced in a token");
+            // Credit what arrived (fee-on-transfer tokens deliver less than the price)
+            uint256 balanceBefore = IERC20(offer.token).balanceOf(address(this));
+            _callToken(offer.token, abi.encodeCall(IERC20.transferFrom, (msg.sender, address(this), offer.price)));
+            paid = IERC20(offer.token).balanceOf(address(this)) - balanceBefore;
+        }
+        
+        licensePurchases[_exactHash][msg.sender] = LicensePurchase({
+            token: offer.token,
+            price: paid,
+            timestamp: block.timestamp
+        });
+        pendingWithdrawals[video.creator][offer.token] += paid;
+        
+        emit LicensePurchased(_exactHash, msg.sender, video.creator, offer.token, paid);
+    }
+    
+    /**
+     * @dev Withdraw royalties owed to the caller
+     * @param _token ERC-20 token, or address(0) for the native token
+     */
+    function withdraw(address _token) external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender][_token];
+        require(amount > 0, "Nothing to withdraw");
+        
+        pendingWithdrawals[msg.sender][_token] = 0;
+        if (_token == address(0)) {
+            (bool sent, ) = payable(msg.sender).call{value: amount}("");
+            require(sent, "Native transfer failed");
+        } else {
+            _callToken(_token, abi.encodeCall(IERC20.transfer, (msg.sender, amount)));
+        }
+        
+        emit Withdrawal(msg.sender, _token, amount);
+    }
+    
+    /**
+     * @dev Whether an account bought a reuse license of a video
+     */
+    function hasLicense(bytes32 _exactHash, address _account) public view returns (bool) {
+        // Licenses bought from a revoked registration do not carry over to a new one
+        uint256 purchasedAt = licensePurchases[_exactHash][_account].timestamp;
+        return purchasedAt != 0 && purchasedAt >= videosByExactHash[_exactHash].timestamp;
+    }
+    
     // ============ DISPUTE SYSTEM ============
     
     /**
-     * @dev Raise a dispute for a video
+     * @dev Raise a dispute for a video, staking disputeStake
+     * @notice The stake is refunded if the dispute is upheld or expires and goes to the
+     *         creator if it is rejected; payouts are credited to pendingWithdrawals
      * @param _videoHash Exact hash of disputed video
      * @param _reason Reason for dispute
+     * @param _evidenceCid IPFS CID of the evidence (e.g. the accuser's earlier original)
      */
-    function raiseDispute(bytes32 _videoHash, string memory _reason) 
+    function raiseDispute(bytes32 _videoHash, string memory _reason, string memory _evidenceCid) 
         external 
+        payable
         onlyExistingVideo(_videoHash)
         returns (uint256 disputeId)
     {
         require(bytes(_reason).length > 0, "Reason required");
+        require(bytes(_evidenceCid).length > 0, "Evidence CID required");
+        require(msg.value == disputeStake, "Incorrect dispute stake");
+        require(!revoked[_videoHash], "Video is revoked");
+        VideoRecord storage video = videosByExactHash[_videoHash];
+        require(msg.sender != video.creator, "Creator cannot dispute own video");
         
         disputeId = disputeCount++;
         
-        disputes[disputeId] = DisputeRecord({
-            accuser: msg.sender,
-            targetVideoHash: _videoHash,
-            reason: _reason,
-            timestamp: block.timestamp,
-            resolved: false,
-            resolver: address(0)
-        });
+        DisputeRecord storage dispute = disputes[disputeId];
+        dispute.accuser = msg.sender;
+        dispute.creator = video.creator;
+        dispute.targetVideoHash = _videoHash;
+        dispute.reason = _reason;
+        dispute.evidenceCid = _evidenceCid;
+        dispute.stake = msg.value;
+        dispute.timestamp = block.timestamp;
+        dispute.deadline = block.timestamp + resolutionPeriod;
         
-        videosByExactHash[_videoHash].isDisputed = true;
+        openDisputes[_videoHash]++;
+        video.isDisputed = true;
         
-        emit DisputeRaised(disputeId, _videoHash, msg.sender, _reason);
+        emit DisputeRaised(disputeId, _videoHash, msg.sender, _reason, _evidenceCid, msg.value, dispute.deadline);
         
         return disputeId;
     }
     
     /**
-     * @dev Resolve a dispute (arbitrator only)
+     * @dev Add evidence to a dispute (accuser or accused creator, until it is finalized)
+     * @param _disputeId ID of dispute
+     * @param _evidenceCid IPFS CID of the evidence
+     */
+    function submitEvidence(uint256 _disputeId, string memory _evidenceCid) external {
+        require(_disputeId < disputeCount, "Invalid dispute ID");
+        DisputeRecord storage dispute = disputes[_disputeId];
+        require(msg.sender == dispute.accuser || msg.sender == dispute.creator, "Only dispute parties can submit evidence");
+        require(dispute.status != DisputeStatus.FINALIZED, "Dispute already finalized");
+        require(bytes(_evidenceCid).length > 0, "Evidence CID required");
+        
+        emit EvidenceSubmitted(_disputeId, msg.sender, _evidenceCid);
+    }
+    
+    /**
+     * @dev Rule on a dispute (arbitrator only, before its deadline)
+     * @notice A first ruling can be appealed during appealWindow; a ruling on an
+     *         appeal must come from another arbitrator and finalizes the dispute
      * @param _disputeId ID of dispute
-     * @param _upheld Whether dispute is upheld (true) or rejected (false)
+     * @param _ruling REJECTED, or the remedy of an upheld dispute (TRANSFER_OWNERSHIP or REVOKE)
      */
-    function resolveDispute(uint256 _disputeId, bool _upheld) 
+    function resolveDispute(uint256 _disputeId, Ruling _ruling) 
         external 
         onlyArbitrator 
     {
         require(_disputeId < disputeCount, "Invalid dispute ID");
         DisputeRecord storage dispute = disputes[_disputeId];
-        require(!dispute.resolved, "Dispute already resolved");
+        bool appealed = dispute.status == DisputeStatus.APPEALED;
+        require(dispute.status == DisputeStatus.OPEN || appealed, "Dispute already resolved");
+        require(block.timestamp <= dispute.deadline, "Resolution deadline passed");
+        require(_ruling != Ruling.NONE, "Invalid ruling");
+        require(msg.sender != dispute.accuser && msg.sender != dispute.creator, "Arbitrator is a party to the dispute");
+        require(!appealed || msg.sender != dispute.resolver, "Appeal requires another arbitrator");
         
-        dispute.resolved = true;
+        dispute.ruling = _ruling;
         dispute.resolver = msg.sender;
         
-        if (!_upheld) {
-            // Dispute rejected - clear dispute flag
-            videosByExactHash[dispute.targetVideoHash].isDisputed = false;
+        if (appealed) {
+            emit DisputeResolved(_disputeId, msg.sender, _ruling != Ruling.REJECTED, _ruling, 0);
+            _finalizeDispute(_disputeId, false);
+        } else {
+            dispute.status = DisputeStatus.RESOLVED;
+            dispute.deadline = block.timestamp + appealWindow;
+            emit DisputeResolved(_disputeId, msg.sender, _ruling != Ruling.REJECTED, _ruling, dispute.deadline);
         }
+    }
+    
+    /**
+     * @dev Appeal a ruling during the appeal window (losing party only), staking the dispute's stake
+     * @notice The appeal stake is refunded if the appeal succeeds or is not decided in time,
+     *         and goes to the other party otherwise
+     * @param _disputeId ID of dispute
+     */
+    function appealDispute(uint256 _disputeId) external payable {
+        require(_disputeId < disputeCount, "Invalid dispute ID");
+        DisputeRecord storage dispute = disputes[_disputeId];
+        require(dispute.status == DisputeStatus.RESOLVED, "Dispute not appealable");
+        require(block.timestamp <= dispute.deadline, "Appeal window closed");
+        address losingParty = dispute.ruling == Ruling.REJECTED ? dispute.accuser : dispute.creator;
+        require(msg.sender == losingParty, "Only the losing party can appeal");
+        require(msg.value == dispute.stake, "Incorrect appeal stake");
+        
+        dispute.status = DisputeStatus.APPEALED;
+        dispute.appellant = msg.sender;
+        dispute.deadline = block.timestamp + resolutionPeriod;
         
-        emit DisputeResolved(_disputeId, msg.sender, _upheld);
+        emit DisputeAppealed(_disputeId, msg.sender, msg.value, dispute.deadline);
+    }
+    
+    /**
+     * @dev Settle a dispute whose deadline has passed (anyone may call)
+     * @notice Applies an unappealed ruling after the appeal window, keeps the first ruling
+     *         of an appeal nobody decided, and expires disputes nobody ruled on
+     * @param _disputeId ID of dispute
+     */
+    function finalizeDispute(uint256 _disputeId) external {
+        require(_disputeId < disputeCount, "Invalid dispute ID");
+        DisputeRecord storage dispute = disputes[_disputeId];
+        require(dispute.status != DisputeStatus.FINALIZED, "Dispute already finalized");
+        require(block.timestamp > dispute.deadline, "Dispute deadline not reached");
+        
+        _finalizeDispute(_disputeId, dispute.status == DisputeStatus.APPEALED);
     }
     
     // ============ ADMIN FUNCTIONS ============
@@ -326,6 +915,23 @@ contract VideoGuard {
         emit ArbitratorRemoved(_arbitrator);
     }
     
+    /**
+     * @dev Set the dispute stake and deadlines (applies to disputes raised afterwards)
+     * @param _stake Stake to raise a dispute, in the native token (0 = free)
+     * @param _resolutionPeriod Time arbitrators have to rule on a dispute or appeal
+     * @param _appealWindow Time the losing party has to appeal a ruling
+     */
+    function setDisputeParameters(uint256 _stake, uint256 _resolutionPeriod, uint256 _appealWindow)
+        external
+        onlyAdmin
+    {
+        require(_resolutionPeriod > 0 && _appealWindow > 0, "Invalid dispute periods");
+        disputeStake = _stake;
+        resolutionPeriod = _resolutionPeriod;
+        appealWindow = _appealWindow;
+        emit DisputeParametersSet(_stake, _resolutionPeriod, _appealWindow);
+    }
+    
     /**
      * @dev Transfer admin role
      */
@@ -336,6 +942,70 @@ contract VideoGuard {
     
     // ============ VIEW FUNCTIONS ============
     
+    /**
+     * @dev EIP-712 domain separator (name "VideoGuard", version "1")
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("VideoGuard")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @dev EIP-712 digest a creator signs for registerVideoFor
+     */
+    function registrationDigest(
+        address _creator,
+        bytes32 _exactHash,
+        string memory _perceptualHash,
+        string memory _audioFingerprint,
+        string memory _ipfsHash,
+        License memory _license,
+        uint256 _nonce,
+        uint256 _deadline
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            REGISTER_VIDEO_TYPEHASH,
+            _creator,
+            _exactHash,
+            keccak256(bytes(_perceptualHash)),
+            keccak256(bytes(_audioFingerprint)),
+            keccak256(bytes(_ipfsHash)),
+            _licenseHash(_license),
+            _nonce,
+            _deadline
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+    
+    /**
+     * @dev EIP-712 digest a creator signs for registerDerivativeFor
+     */
+    function _derivativeRegistrationDigest(
+        address _creator,
+        DerivativeRegistration memory _registration,
+        uint256 _nonce,
+        uint256 _deadline
+    ) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(bytes.concat(
+            abi.encode(REGISTER_DERIVATIVE_TYPEHASH, _creator, _registration.exactHash, _registration.parentHash),
+            abi.encode(
+                keccak256(bytes(_registration.perceptualHash)),
+                keccak256(bytes(_registration.audioFingerprint)),
+                keccak256(bytes(_registration.ipfsHash)),
+                _registration.derivativeType,
+                _licenseHash(_registration.license),
+                _nonce,
+                _deadline
+            )
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+    
     /**
      * @dev Get platform statistics
      */
@@ -365,4 +1035,148 @@ contract VideoGuard {
         require(_disputeId < disputeCount, "Invalid dispute ID");
         return disputes[_disputeId];
     }
+    
+    // ============ INTERNAL FUNCTIONS ============
+    
+    /**
+     * @dev Apply a dispute's ruling and pay out its stakes
+     * @param _disputeId ID of dispute
+     * @param _appealExpired The appeal was not decided in time (the first ruling stands)
+     */
+    function _finalizeDispute(uint256 _disputeId, bool _appealExpired) internal {
+        DisputeRecord storage dispute = disputes[_disputeId];
+        bytes32 videoHash = dispute.targetVideoHash;
+        bool upheld = dispute.ruling == Ruling.TRANSFER_OWNERSHIP || dispute.ruling == Ruling.REVOKE;
+        
+        dispute.status = DisputeStatus.FINALIZED;
+        
+        // Frivolous (rejected) disputes lose their stake to the creator
+        if (dispute.ruling == Ruling.REJECTED) {
+            pendingWithdrawals[dispute.creator][address(0)] += dispute.stake;
+        } else {
+            pendingWithdrawals[dispute.accuser][address(0)] += dispute.stake;
+        }
+        
+        // An appeal stake is lost to the other party only if the appeal was decided against the appellant
+        if (dispute.appellant != address(0)) {
+            bool appellantWon = (dispute.appellant == dispute.accuser) == upheld;
+            address other = dispute.appellant == dispute.accuser ? dispute.creator : dispute.accuser;
+            pendingWithdrawals[appellantWon || _appealExpired ? dispute.appellant : other][address(0)] += dispute.stake;
+        }
+        
+        if (upheld && !revoked[videoHash]) {
+            delete licenseOffers[videoHash];
+            if (dispute.ruling == Ruling.TRANSFER_OWNERSHIP) {
+                _transferVideo(videoHash, dispute.accuser, _disputeId);
+            } else {
+                // A revoked registration is no longer matched as an original
+                VideoRecord storage video = videosByExactHash[videoHash];
+                _removeHash(videosByPerceptualHash[video.perceptualHash], videoHash);
+                _removeHash(videosByAudioHash[video.audioFingerprint], videoHash);
+                revoked[videoHash] = true;
+                emit VideoRevoked(videoHash, _disputeId);
+            }
+        }
+        
+        openDisputes[videoHash]--;
+        videosByExactHash[videoHash].isDisputed = openDisputes[videoHash] > 0;
+        
+        emit DisputeFinalized(_disputeId, videoHash, dispute.ruling);
+    }
+    
+    /**
+     * @dev Move a registration to a new creator (upheld ownership dispute)
+     */
+    function _transferVideo(bytes32 _exactHash, address _to, uint256 _disputeId) internal {
+        VideoRecord storage video = videosByExactHash[_exactHash];
+        address from = video.creator;
+        
+        _removeHash(videosByCreator[from], _exactHash);
+        videosByCreator[_to].push(_exactHash);
+        video.creator = _to;
+        
+        emit VideoOwnershipTransferred(_exactHash, from, _to, _disputeId);
+    }
+    
+    /**
+     * @dev Remove a hash from an index, keeping the order of the others
+     */
+    function _removeHash(bytes32[] storage _hashes, bytes32 _exactHash) internal {
+        for (uint256 i = 0; i < _hashes.length; i++) {
+            if (_hashes[i] == _exactHash) {
+                for (uint256 j = i; j + 1 < _hashes.length; j++) {
+                    _hashes[j] = _hashes[j + 1];
+                }
+                _hashes.pop();
+                return;
+            }
+        }
+    }
+    
+    function _setLicense(bytes32 _exactHash, address _creator, License memory _license) internal {
+        bool custom = _license.licenseType == LicenseType.CUSTOM;
+        require(!custom || bytes(_license.termsCid).length > 0, "Terms CID required for custom license");
+        require(custom || bytes(_license.termsCid).length == 0, "Terms CID only allowed for custom license");
+        
+        licenses[_exactHash] = _license;
+        emit LicenseSet(_exactHash, _creator, _license.licenseType, _license.termsCid);
+    }
+    
+    /**
+     * @dev Call an ERC-20 function; accepts tokens that return nothing instead of true
+     */
+    function _callToken(address _token, bytes memory _data) internal {
+        (bool success, bytes memory result) = _token.call(_data);
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "Token transfer failed");
+    }
+    
+    /**
+     * @dev Whether a perceptual/audio fingerprint carries content (not empty or a sentinel)
+     */
+    function _isFingerprint(string memory _fingerprint) internal pure returns (bool) {
+        bytes32 hash = keccak256(bytes(_fingerprint));
+        return bytes(_fingerprint).length > 0 && hash != NO_VIDEO && hash != NO_AUDIO;
+    }
+    
+    /**
+     * @dev EIP-712 struct hash of a License
+     */
+    function _licenseHash(License memory _license) internal pure returns (bytes32) {
+        return keccak256(abi.encode(LICENSE_TYPEHASH, _license.licenseType, keccak256(bytes(_license.termsCid))));
+    }
+    
+    /**
+     * @dev Revert unless _creator signed _digest and the signature has not expired
+     */
+    function _requireCreatorSignature(address _creator, bytes32 _digest, uint256 _deadline, bytes memory _signature) internal view {
+        require(block.timestamp <= _deadline, "Signature expired");
+        require(_creator != address(0) && _recoverSigner(_digest, _signature) == _creator, "Invalid signature");
+    }
+    
+    /**
+     * @dev Recover the signer of a digest; address(0) for malformed or malleable signatures
+     */
+    function _recoverSigner(bytes32 _digest, bytes memory _signature) internal pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+        
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+        
+        // Reject high-s signatures (EIP-2) so each signature has a single valid form
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+        if (v != 27 && v != 28) {
+            return address(0);
+        }
+        return ecrecover(_digest, v, r, s);
+    }
 }
@@ -39,9 +39,13 @@ async function main() {
 
   // Wait for a few block confirmations
   console.log("⏳ Waiting for 5 block confirmations...");
-  await videoGuard.deploymentTransaction().wait(5);
+  const deploymentReceipt = await videoGuard.deploymentTransaction().wait(5);
   console.log("✅ Confirmations complete\n");
 
+  // The backend chain indexer backfills events starting from this block
+  const deploymentBlock = deploymentReceipt.blockNumber;
+  console.log("🧱 Deployment block:", deploymentBlock);
+
   // Get contract ABI and metadata
   const artifact = await hre.artifacts.readArtifact("VideoGuard");
   
@@ -53,6 +57,7 @@ async function main() {
     chainId: 80002,
     deployer: deployer.address,
     deploymentTimestamp: new Date().toISOString(),
+    deploymentBlock: deploymentBlock,
     blockNumber: await hre.ethers.provider.getBlockNumber(),
     abi: artifact.abi,
     bytecode: artifact.bytecode,
@@ -73,6 +78,7 @@ async function main() {
   // Save simplified version for frontend
   const frontendData = {
     address: contractAddress,
+    deploymentBlock: deploymentBlock,
     abi: artifact.abi,
     network: "amoy",
     chainId: 80002,
@@ -7,6 +7,8 @@ import ProfileSetup from "./ProfileSetup.jsx";
 import Feed from "./Feed.jsx";
 import Profile from "./Profile.jsx";
 import OtherProfile from "./OtherProfile.jsx";
+import DisputeDetail from "./DisputeDetail.jsx";
+import ArbitratorDashboard from "./ArbitratorDashboard.jsx";
 
 function App() {
   return (
@@ -20,6 +22,8 @@ function App() {
         <Route path="/feed" element={<Feed />} />
         <Route path="/profile" element={<Profile />} />
         <Route path="/user/:handle" element={<OtherProfile />} />
+        <Route path="/disputes/:id" element={<DisputeDetail />} />
+        <Route path="/arbitration" element={<ArbitratorDashboard />} />
       </Routes>
     </div>
   );
@@ -0,0 +1,223 @@
+import { Link } from "react-router-dom";
+import { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import {
+  listDisputesOnChain,
+  getCurrentWalletAddress,
+  isArbitrator,
+  resolveDisputeOnChain,
+  finalizeDisputeOnChain,
+} from "./utils/blockchain";
+import { RULING_OPTIONS, disputeStatusLabel, rulingLabel, deadlineLabel, disputeActions } from "./utils/disputes";
+
+/**
+ * Load the newest disputes and whether the connected wallet may rule on them
+ */
+async function loadDisputes() {
+  const [page, account] = await Promise.all([listDisputesOnChain(), getCurrentWalletAddress()]);
+  return { ...page, account, arbitrator: await isArbitrator(account) };
+}
+
+function ArbitratorDashboard() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [version, setVersion] = useState(0); // Bumped to reload after a transaction
+  const [showFinalized, setShowFinalized] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // `${disputeId}:${action}`
+  const [actionError, setActionError] = useState("");
+  const [loadingOlder, setLoadingOlder] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    loadDisputes()
+      .then((loaded) => !cancelled && setData(loaded))
+      .catch((err) => {
+        console.error("Error loading disputes:", err);
+        if (!cancelled) setError(err.reason || err.message || "Failed to load disputes");
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  // Send a ruling or finalization, then reload the list
+  const runAction = async (disputeId, action, send) => {
+    setPendingAction(`${disputeId}:${action}`);
+    setActionError("");
+    try {
+      await send();
+      setVersion((current) => current + 1);
+    } catch (err) {
+      setActionError(`Dispute #${disputeId}: ${err.message}`);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  // Append the next page of older disputes
+  const loadOlder = async () => {
+    setLoadingOlder(true);
+    try {
+      const page = await listDisputesOnChain(data.nextBefore);
+      setData((current) => ({ ...current, disputes: [...current.disputes, ...page.disputes], nextBefore: page.nextBefore }));
+    } catch (err) {
+      console.error("Error loading disputes:", err);
+      setActionError(err.reason || err.message || "Failed to load older disputes");
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const truncateAddress = (address) => {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+  };
+
+  const formatTime = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+  const disputes = (data?.disputes || []).filter((dispute) => showFinalized || dispute.status !== 'FINALIZED');
+
+  return (
+    <div className="min-h-screen bg-slate-50 relative overflow-hidden" style={{ fontFamily: "'JetBrains Mono', monospace" }}>
+      {/* Animated Background */}
+      <div className="absolute inset-0 overflow-hidden pointer-events-none">
+        <div className="absolute top-[-10%] left-[-5%] w-[500px] h-[500px] rounded-full bg-gradient-to-br from-blue-400/20 to-purple-400/15 blur-[80px] animate-blob" />
+        <div className="absolute top-[20%] right-[-10%] w-[400px] h-[400px] rounded-full bg-gradient-to-br from-purple-400/15 to-blue-400/10 blur-[80px] animate-blob animation-delay-2000" />
+        <div className="absolute bottom-[-5%] left-[30%] w-[450px] h-[450px] rounded-full bg-gradient-to-br from-blue-500/15 to-violet-400/10 blur-[80px] animate-blob animation-delay-4000" />
+      </div>
+
+      {/* Navigation Bar */}
+      <nav className="bg-white/80 backdrop-blur-md border-b border-slate-200 p-4 relative z-10">
+        <div className="max-w-4xl mx-auto flex items-center justify-between">
+          <Link to="/feed" className="text-blue-600 hover:text-blue-700 font-medium">
+            ← Back to Feed
+          </Link>
+          <h1 className="text-xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+            BlockPost
+          </h1>
+          <div className="w-24"></div> {/* Spacer for centering */}
+        </div>
+      </nav>
+
+      <main className="max-w-4xl mx-auto p-4 md:p-6 relative z-10">
+        <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+          <h2 className="text-3xl font-bold text-slate-900">Arbitration</h2>
+          <label className="flex items-center gap-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={showFinalized}
+              onChange={(e) => setShowFinalized(e.target.checked)}
+            />
+            Show finalized disputes
+          </label>
+        </div>
+
+        {data && !data.arbitrator && (
+          <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-xl text-amber-700 text-sm">
+            {data.account
+              ? `${truncateAddress(data.account)} is not an arbitrator: only arbitrators appointed by the contract admin can rule on disputes.`
+              : 'Connect MetaMask with an arbitrator wallet to rule on disputes.'}
+          </div>
+        )}
+        {actionError && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-xl text-red-600 text-sm">
+            {actionError}
+          </div>
+        )}
+
+        {loading && !data ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+          </div>
+        ) : error ? (
+          <div className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-3xl p-12 text-center shadow-card">
+            <p className="text-red-600">{error}</p>
+          </div>
+        ) : disputes.length === 0 && !data.nextBefore ? (
+          <div className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-3xl p-12 text-center shadow-card">
+            <div className="text-6xl mb-4">⚖️</div>
+            <p className="text-slate-600 text-lg">No open disputes</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {disputes.map((dispute) => {
+              const actions = disputeActions(dispute, data.account, data.arbitrator);
+              return (
+                <article
+                  key={dispute.disputeId}
+                  className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-xl p-6 shadow-soft hover:shadow-card transition-all"
+                >
+                  <div className="flex items-center justify-between flex-wrap gap-2 mb-2">
+                    <Link to={`/disputes/${dispute.disputeId}`} className="text-lg font-bold text-blue-600 hover:underline">
+                      Dispute #{dispute.disputeId}
+                    </Link>
+                    <div className="flex items-center gap-2">
+                      <span className="px-3 py-1 rounded-full text-xs font-semibold border bg-blue-50 text-blue-700 border-blue-200">
+                        {disputeStatusLabel(dispute.status)}
+                      </span>
+                      {dispute.ruling !== 'NONE' && (
+                        <span className="px-3 py-1 rounded-full text-xs font-semibold border bg-slate-50 text-slate-700 border-slate-200">
+                          {rulingLabel(dispute.ruling)}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+
+                  <p className="text-slate-700 mb-3 line-clamp-3">{dispute.reason}</p>
+
+                  <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs text-slate-500 mb-3">
+                    <span>Accuser <span className="font-mono">{truncateAddress(dispute.accuser)}</span></span>
+                    <span>Creator <span className="font-mono">{truncateAddress(dispute.creator)}</span></span>
+                    <span>Stake {ethers.formatEther(dispute.stake)} MATIC</span>
+                    {deadlineLabel(dispute.status) && (
+                      <span>{deadlineLabel(dispute.status)} {formatTime(dispute.deadline)}</span>
+                    )}
+                  </div>
+
+                  {(actions.canResolve || actions.canFinalize) && (
+                    <div className="flex flex-wrap gap-2 pt-3 border-t border-slate-200">
+                      {actions.canResolve && RULING_OPTIONS.filter((option) => option.ruling !== 'NONE').map((option) => (
+                        <button
+                          key={option.ruling}
+                          onClick={() => runAction(dispute.disputeId, option.ruling, () => resolveDisputeOnChain(dispute.disputeId, option.ruling))}
+                          disabled={pendingAction !== null}
+                          title={option.description}
+                          className="px-3 py-1.5 bg-slate-50 hover:bg-slate-100 border border-slate-200 text-slate-700 rounded-lg text-xs font-semibold disabled:opacity-50"
+                        >
+                          {pendingAction === `${dispute.disputeId}:${option.ruling}` ? 'Confirm in MetaMask...' : option.label}
+                        </button>
+                      ))}
+                      {actions.canFinalize && (
+                        <button
+                          onClick={() => runAction(dispute.disputeId, 'finalize', () => finalizeDisputeOnChain(dispute.disputeId))}
+                          disabled={pendingAction !== null}
+                          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 rounded-lg text-xs font-semibold text-white"
+                        >
+                          {pendingAction === `${dispute.disputeId}:finalize` ? 'Confirm in MetaMask...' : 'Finalize'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </article>
+              );
+            })}
+            {data.nextBefore !== null && (
+              <button
+                onClick={loadOlder}
+                disabled={loadingOlder}
+                className="w-full py-3 bg-white/80 hover:bg-white border border-slate-200 rounded-xl text-sm font-semibold text-slate-700 disabled:opacity-50"
+              >
+                {loadingOlder ? 'Loading...' : 'Load older disputes'}
+              </button>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default ArbitratorDashboard;
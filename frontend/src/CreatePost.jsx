@@ -3,7 +3,27 @@ import { useNavigate } from "react-router-dom";
 import { auth } from "./firebase/config";
 import { firestoreOperations } from "./firebase/firestoreRefs";
 import axios from "axios";
-import { registerAssetOnChain, detectRepost } from "./utils/blockchain";
+import { registerAssetOnChain, detectRepost, getLicenseOffer, purchaseLicenseOnChain, canDeriveFrom } from "./utils/blockchain";
+import { waitForUploadJob } from "./utils/uploadJobs";
+import { getWalletSession, clearWalletSession, authHeader } from "./utils/walletAuth";
+import { signUploadMetadata } from "./utils/metadata";
+import { registerAssetGasless, signUploadRegistration, RelayerDisabledError } from "./utils/relayer";
+import { LICENSE_OPTIONS, licenseLabel, permitsReuse } from "./utils/license";
+import { DERIVATIVE_OPTIONS, derivativeRelation } from "./utils/provenance";
+
+// Progress label per upload status (backend job phases + frontend steps)
+const UPLOAD_STATUS_LABELS = {
+  "signing-in": "Sign in with your wallet...",
+  uploading: "Uploading file...",
+  hashing: "Hashing file...",
+  ipfs: "Uploading to IPFS...",
+  "signing-metadata": "Sign your post's metadata in your wallet...",
+  "signing-registration": "Sign the registration in your wallet (no gas needed)...",
+  detection: "Checking for reposts...",
+  registration: "Registering on blockchain...",
+  blockchain: "Registering on blockchain...",
+  complete: "Complete!",
+};
 
 function CreatePost({ isOpen, onClose, onPostCreated }) {
   const navigate = useNavigate();
@@ -18,15 +38,64 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState("");
   const [uploadProgress, setUploadProgress] = useState(0);
-  const [uploadStatus, setUploadStatus] = useState(""); // "hashing", "ipfs", "blockchain", "complete"
+  const [uploadStatus, setUploadStatus] = useState(""); // "uploading", job phase, "blockchain", "complete"
   const [blockchainData, setBlockchainData] = useState(null);
+  const [uploadLimits, setUploadLimits] = useState(null); // bytes per asset type, from backend
+  const [licenseType, setLicenseType] = useState("ALL_RIGHTS_RESERVED");
+  const [licenseTermsCid, setLicenseTermsCid] = useState(""); // CUSTOM licenses only
+  const [derivativeType, setDerivativeType] = useState(""); // REMIX, REACTION or EDIT of a matched work
+  const [licenseOffer, setLicenseOffer] = useState(null); // Paid license of a detected repost's original
+  const [purchasingLicense, setPurchasingLicense] = useState(false);
+  const [licensePurchaseTx, setLicensePurchaseTx] = useState(null);
 
   useEffect(() => {
     if (isOpen) {
       checkWalletConnection();
+      fetchUploadLimits();
     }
   }, [isOpen]);
 
+  // A repost the original's terms do not allow may still be licensable for a price
+  useEffect(() => {
+    if (blockchainData?.status !== 'REPOST_DETECTED' || blockchainData.licensedReuse || !blockchainData.originalHash) {
+      return;
+    }
+    getLicenseOffer(blockchainData.originalHash)
+      .then(setLicenseOffer)
+      .catch((offerError) => console.warn('[UPLOAD] Could not read license offer:', offerError.message));
+  }, [blockchainData]);
+
+  const handlePurchaseLicense = async () => {
+    setPurchasingLicense(true);
+    setError("");
+    try {
+      const txHash = await purchaseLicenseOnChain(blockchainData.originalHash);
+      setLicensePurchaseTx(txHash);
+    } catch (purchaseError) {
+      setError(purchaseError.message || "License purchase failed");
+    } finally {
+      setPurchasingLicense(false);
+    }
+  };
+
+  const fetchUploadLimits = async () => {
+    try {
+      const API_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+      const response = await axios.get(`${API_URL}/upload/limits`);
+      if (response.data.success) {
+        setUploadLimits(response.data.limits);
+      }
+    } catch (err) {
+      // Backend still enforces its limits on upload
+      console.warn('[UPLOAD] Could not fetch upload limits:', err.message);
+    }
+  };
+
+  const formatLimit = (bytes) =>
+    bytes >= 1024 * 1024 * 1024
+      ? `${(bytes / (1024 * 1024 * 1024)).toFixed(bytes % (1024 * 1024 * 1024) ? 1 : 0)}GB`
+      : `${Math.round(bytes / (1024 * 1024))}MB`;
+
   const checkWalletConnection = async () => {
     try {
       const walletLoginActive = localStorage.getItem('walletLoginActive');
@@ -88,9 +157,10 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
       return;
     }
 
-    // File size limit: 100MB
-    if (file.size > 100 * 1024 * 1024) {
-      setError("File size exceeds 100MB limit");
+    // File size limit: configured per asset type on the backend
+    const maxSize = uploadLimits?.[postType];
+    if (maxSize && file.size > maxSize) {
+      setError(`File size exceeds ${formatLimit(maxSize)} limit`);
       return;
     }
 
@@ -124,6 +194,11 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
       return;
     }
 
+    if (licenseType === 'CUSTOM' && !licenseTermsCid.trim()) {
+      setError("Please enter the IPFS CID of your license terms");
+      return;
+    }
+
     setUploading(true);
     setError("");
     setUploadProgress(0);
@@ -157,28 +232,84 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
     console.log('[UPLOAD] Wallet Address:', userData.walletAddress);
     console.log('[UPLOAD] Username:', userData.username);
     console.log('[UPLOAD] Display Name:', userData.displayName);
+
+    // The backend attributes the upload to the signed-in wallet
+    setUploadStatus("signing-in");
+    const session = await getWalletSession(apiUrl);
     
     const formData = new FormData();
     formData.append('video', file); // Backend expects 'video' field name
-    formData.append('walletAddress', userData.walletAddress);
     formData.append('username', userData.username || '');
     formData.append('displayName', userData.displayName || '');
     formData.append('title', title || file.name);
     formData.append('description', description || (postType === 'text' ? textContent : ''));
+    // Sign the metadata (EIP-712) so anyone can verify authorship from IPFS alone
+    formData.append('signMetadata', 'true');
+    // Let the platform's relayer pay for registration; the wallet still owns the asset
+    formData.append('gasless', 'true');
+    // Reuse terms registered with the asset if it is new
+    const license = licenseType === 'CUSTOM'
+      ? { type: licenseType, termsCid: licenseTermsCid.trim() }
+      : { type: licenseType };
+    formData.append('licenseType', license.type);
+    if (license.termsCid) {
+      formData.append('licenseTermsCid', license.termsCid);
+    }
+    if (derivativeType) {
+      formData.append('derivativeType', derivativeType);
+    }
 
-    setUploadProgress(10);
+    setUploadProgress(0);
     setUploadStatus("uploading");
 
-    const response = await axios.post(`${apiUrl}/upload`, formData, {
+    // File transfer covers the first 20%, backend processing 20-80%
+    const uploadResponse = await axios.post(`${apiUrl}/upload`, formData, {
       headers: {
-        'Content-Type': 'multipart/form-data'
+        'Content-Type': 'multipart/form-data',
+        ...authHeader(session)
       },
       onUploadProgress: (progressEvent) => {
-        const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-        setUploadProgress(Math.min(progress, 95));
+        const progress = Math.round((progressEvent.loaded * 20) / progressEvent.total);
+        setUploadProgress(Math.min(progress, 20));
       }
+    }).catch((uploadError) => {
+      if (uploadError.response?.status === 401) {
+        clearWalletSession();
+        throw new Error("Wallet session expired. Please try again.");
+      }
+      throw uploadError;
     });
 
+    if (!uploadResponse.data.success) {
+      throw new Error(uploadResponse.data.error || "Upload failed");
+    }
+
+    console.log('[UPLOAD] ✓ Upload queued as job', uploadResponse.data.jobId);
+
+    // One signing prompt per awaited input
+    const signing = {};
+    const data = await waitForUploadJob(apiUrl, uploadResponse.data.jobId, (job) => {
+      if (job.awaiting?.input === 'metadata-signature') {
+        setUploadStatus("signing-metadata");
+        if (!signing.metadata) {
+          signing.metadata = signUploadMetadata(apiUrl, uploadResponse.data.jobId, session)
+            .then((signed) => console.log(`[UPLOAD] ${signed ? '✓ Metadata signed by creator' : 'Metadata left unsigned'}`))
+            .catch((signError) => console.error('[UPLOAD] Could not submit metadata signature:', signError));
+        }
+      } else if (job.awaiting?.input === 'registration-signature') {
+        setUploadStatus("signing-registration");
+        if (!signing.registration) {
+          signing.registration = signUploadRegistration(apiUrl, uploadResponse.data.jobId, session)
+            .then((signed) => console.log(`[UPLOAD] ${signed ? '✓ Registration signed by creator' : 'Registration declined'}`))
+            .catch((signError) => console.error('[UPLOAD] Could not submit registration signature:', signError));
+        }
+      } else if (job.phase) {
+        setUploadStatus(job.phase);
+      }
+      setUploadProgress(20 + Math.round(job.progress * 0.6));
+    });
+    const response = { data };
+
     if (response.data.success && response.data.status === 'READY_FOR_BLOCKCHAIN') {
       // Backend returned hashes and IPFS data, now handle blockchain on frontend
       console.log('[UPLOAD] ✓ Backend response: READY_FOR_BLOCKCHAIN');
@@ -192,20 +323,35 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
       console.log("[UPLOAD] File uploaded to IPFS, initiating blockchain transaction...");
       
       try {
-        // Step 1: Check for repost on blockchain
+        // Step 1: Check for repost on blockchain (unless the backend already
+        // matched the work this upload derives from)
+        let derivation = response.data.derivation || null;
         setError("Checking for duplicates on blockchain...");
-        const detectResult = await detectRepost(
+        const detectResult = derivation ? null : await detectRepost(
           response.data.hashes.exactHash,
           response.data.hashes.perceptualHash,
           response.data.hashes.audioHash || 'no_audio'
         );
         
-        if (detectResult.isDuplicate) {
+        // A remix, reaction or edit credits the matched work (an identical file is a repost)
+        // if its license, or a license the wallet bought, permits derivatives
+        const derivativeRequested = Boolean(detectResult?.isDuplicate && derivativeType && detectResult.matchType !== 'EXACT_DUPLICATE');
+        const derivativeNotPermitted = derivativeRequested && !(await canDeriveFrom(detectResult.originalHash));
+        if (derivativeRequested && !derivativeNotPermitted) {
+          derivation = {
+            parentHash: detectResult.originalHash,
+            derivativeType,
+            parentCreator: detectResult.originalCreator
+          };
+        }
+        
+        if (detectResult?.isDuplicate && !derivation) {
           // Repost detected - don't register on chain
-          console.log('[UPLOAD] ⚠️ REPOST DETECTED');
+          const licensedReuse = permitsReuse(detectResult.license, detectResult.matchType);
+          console.log(licensedReuse ? `[UPLOAD] ✓ LICENSED REUSE (${detectResult.license.type})` : '[UPLOAD] ⚠️ REPOST DETECTED');
           console.log('[UPLOAD] Original Creator:', detectResult.originalCreator);
           console.log('[UPLOAD] Match Type:', detectResult.matchType);
-          console.log('[UPLOAD] Confidence:', detectResult.confidence || 95);
+          console.log('[UPLOAD] Confidence:', detectResult.confidence);
           
           setUploadProgress(100);
           setUploadStatus("complete");
@@ -215,7 +361,11 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
             status: 'REPOST_DETECTED',
             originalCreator: detectResult.originalCreator,
             matchType: detectResult.matchType,
-            confidence: detectResult.confidence || 95,
+            confidence: detectResult.confidence,
+            originalHash: detectResult.originalHash,
+            license: detectResult.license,
+            licensedReuse,
+            derivativeNotPermitted,
             mediaCid: response.data.ipfs.mediaCid,
             mediaGatewayUrl: response.data.ipfs.mediaGatewayUrl,
             metadataCid: response.data.ipfs.metadataCid,
@@ -233,10 +383,10 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
               mediaGatewayUrl: response.data.ipfs.mediaGatewayUrl,
               metadataCid: response.data.ipfs.metadataCid,
               metadataGatewayUrl: response.data.ipfs.metadataGatewayUrl,
-              walletAddress: userData.walletAddress,
               exactHash: response.data.hashes.exactHash,
               perceptualHash: response.data.hashes.perceptualHash,
               audioHash: response.data.hashes.audioHash,
+              imageFingerprint: response.data.hashes.imageFingerprint,
               assetType: response.data.assetType,
               mimeType: response.data.fileInfo.mimeType,
               fileName: response.data.fileInfo.originalName,
@@ -245,12 +395,17 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
               repost: {
                 originalCreator: detectResult.originalCreator,
                 matchType: detectResult.matchType,
-                confidence: detectResult.confidence || 95
+                confidence: detectResult.confidence,
+                originalHash: detectResult.originalHash
               }
-            });
+            }, { headers: authHeader(session) });
             console.log('[UPLOAD] ✓ Repost registered in backend:', registerResponse.data);
+            // The backend also counts a license the uploader already bought
+            if (registerResponse.data.licensedReuse && !licensedReuse) {
+              setBlockchainData((current) => ({ ...current, licensedReuse: true, licensePurchased: true }));
+            }
           } catch (registerError) {
-            console.error('[UPLOAD] ❌ Failed to register repost in backend:', registerError);
+            console.error('[UPLOAD] ❌ Failed to register repost in backend:', registerError.response?.data || registerError);
           }
           
         // Call onPostCreated to refresh feed
@@ -258,26 +413,46 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
           onPostCreated();
         }
         
-        // Auto-close modal after 5 seconds
-        setTimeout(() => {
-          onClose();
-          resetForm();
-        }, 5000);
+        // Auto-close modal after 5 seconds (unlicensed reposts stay open to offer a license)
+        if (licensedReuse) {
+          setTimeout(() => {
+            onClose();
+            resetForm();
+          }, 5000);
+        }
         
         return;
-      }        // Step 2: Register NEW asset on blockchain via MetaMask
+      }        // Step 2: Register NEW asset on blockchain - gasless through the relayer,
+        // or a MetaMask transaction if the backend does not relay
         console.log('[UPLOAD] ✓ New asset detected, registering on blockchain...');
         console.log('[UPLOAD] Asset Type:', response.data.assetType);
         
         setUploadProgress(80);
-        setError("Please confirm transaction in MetaMask...");
+        setError("Please sign the registration in MetaMask (no gas needed)...");
         
-        const blockchainResult = await registerAssetOnChain(
+        const registrationArgs = [
           response.data.hashes.exactHash,
           response.data.hashes.perceptualHash,
           response.data.hashes.audioHash || 'no_audio',
-          response.data.ipfs.metadataCid  // Register metadata CID, not media CID
-        );
+          response.data.ipfs.metadataCid,  // Register metadata CID, not media CID
+          license
+        ];
+        let blockchainResult;
+        if (derivation) {
+          // The relayer only registers originals: derivatives are sent from the wallet
+          console.log(`[UPLOAD] Registering as ${derivation.derivativeType} of ${derivation.parentHash}`);
+          setError("Please confirm the derivative registration in MetaMask...");
+          blockchainResult = await registerAssetOnChain(...registrationArgs, derivation);
+        } else {
+          try {
+            blockchainResult = await registerAssetGasless(apiUrl, session, ...registrationArgs);
+          } catch (relayError) {
+            if (!(relayError instanceof RelayerDisabledError)) throw relayError;
+            console.log('[UPLOAD] Relayer disabled, sending the transaction from the wallet');
+            setError("Please confirm transaction in MetaMask...");
+            blockchainResult = await registerAssetOnChain(...registrationArgs);
+          }
+        }
         
         console.log('[UPLOAD] ✓ Blockchain transaction confirmed!');
         console.log('[UPLOAD] TX Hash:', blockchainResult.txHash);
@@ -293,6 +468,8 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
           blockNumber: blockchainResult.blockNumber,
           contractAddress: blockchainResult.contractAddress,
           gasUsed: blockchainResult.gasUsed,
+          license,
+          derivation,
           mediaCid: response.data.ipfs.mediaCid,
           mediaGatewayUrl: response.data.ipfs.mediaGatewayUrl,
           metadataCid: response.data.ipfs.metadataCid,
@@ -310,10 +487,10 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
             mediaGatewayUrl: response.data.ipfs.mediaGatewayUrl,
             metadataCid: response.data.ipfs.metadataCid,
             metadataGatewayUrl: response.data.ipfs.metadataGatewayUrl,
-            walletAddress: userData.walletAddress,
             exactHash: response.data.hashes.exactHash,
             perceptualHash: response.data.hashes.perceptualHash,
             audioHash: response.data.hashes.audioHash,
+            imageFingerprint: response.data.hashes.imageFingerprint,
             assetType: response.data.assetType,
             mimeType: response.data.fileInfo.mimeType,
             fileName: response.data.fileInfo.originalName,
@@ -325,10 +502,10 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
               contractAddress: blockchainResult.contractAddress,
               gasUsed: blockchainResult.gasUsed
             }
-          });
+          }, { headers: authHeader(session) });
           console.log('[UPLOAD] ✓ Original post registered in backend:', registerResponse.data);
         } catch (registerError) {
-          console.error('[UPLOAD] ❌ Failed to register post in backend:', registerError);
+          console.error('[UPLOAD] ❌ Failed to register post in backend:', registerError.response?.data || registerError);
           // Don't fail the whole operation if backend registration fails
         }
         
@@ -359,6 +536,12 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
         originalCreator: response.data.repost.originalCreator,
         matchType: response.data.repost.matchType,
         confidence: response.data.repost.confidence,
+        matches: response.data.repost.matches || [],
+        originalHash: response.data.repost.originalHash,
+        license: response.data.repost.license,
+        licensedReuse: response.data.repost.licensedReuse,
+        licensePurchased: response.data.repost.licensePurchased,
+        derivativeNotPermitted: response.data.derivativeNotPermitted,
         mediaCid: response.data.ipfs.mediaCid,
         mediaGatewayUrl: response.data.ipfs.mediaGatewayUrl,
         metadataCid: response.data.ipfs.metadataCid,
@@ -369,11 +552,13 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
         onPostCreated();
       }
       
-      // Auto-close modal after 5 seconds
-      setTimeout(() => {
-        onClose();
-        resetForm();
-      }, 5000);
+      // Auto-close modal after 5 seconds (unlicensed reposts stay open to offer a license)
+      if (response.data.repost.licensedReuse) {
+        setTimeout(() => {
+          onClose();
+          resetForm();
+        }, 5000);
+      }
     } else if (response.data.success && response.data.status === 'NEW_ASSET_REGISTERED') {
       // Backend mode: Backend registered asset
       setUploadProgress(100);
@@ -386,6 +571,8 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
         blockNumber: response.data.onChain.blockNumber,
         contractAddress: response.data.onChain.contractAddress,
         gasUsed: response.data.onChain.gasUsed,
+        license: response.data.license,
+        derivation: response.data.derivation,
         mediaCid: response.data.ipfs.mediaCid,
         mediaGatewayUrl: response.data.ipfs.mediaGatewayUrl,
         metadataCid: response.data.ipfs.metadataCid,
@@ -412,16 +599,21 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
     setTitle("");
     setDescription("");
     setTextContent("");
+    setLicenseType("ALL_RIGHTS_RESERVED");
+    setLicenseTermsCid("");
+    setDerivativeType("");
     setSelectedFile(null);
     setFilePreview(null);
     setError("");
     setUploadProgress(0);
     setUploadStatus("");
     setBlockchainData(null);
+    setLicenseOffer(null);
+    setLicensePurchaseTx(null);
   };
 
   const handleClose = () => {
-    if (!uploading) {
+    if (!uploading && !purchasingLicense) {
       resetForm();
       onClose();
     }
@@ -585,7 +777,9 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
                       <div>
                         <div className="text-4xl mb-2">📁</div>
                         <p className="text-slate-700">Click to select {postType} file</p>
-                        <p className="text-xs text-slate-600 mt-2">Max size: 100MB</p>
+                        {uploadLimits?.[postType] && (
+                          <p className="text-xs text-slate-600 mt-2">Max size: {formatLimit(uploadLimits[postType])}</p>
+                        )}
                       </div>
                     )}
                   </label>
@@ -647,15 +841,63 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
                 />
               </div>
 
+              {/* License */}
+              <div>
+                <label className="block text-sm font-medium mb-2 text-slate-700">
+                  License
+                </label>
+                <select
+                  value={licenseType}
+                  onChange={(e) => setLicenseType(e.target.value)}
+                  disabled={uploading}
+                  className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-900 disabled:opacity-50"
+                >
+                  {LICENSE_OPTIONS.map((option) => (
+                    <option key={option.type} value={option.type}>{option.label}</option>
+                  ))}
+                </select>
+                {licenseType === 'CUSTOM' && (
+                  <input
+                    type="text"
+                    value={licenseTermsCid}
+                    onChange={(e) => setLicenseTermsCid(e.target.value)}
+                    disabled={uploading}
+                    className="mt-2 w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-900 font-mono text-sm disabled:opacity-50"
+                    placeholder="IPFS CID of your license terms"
+                  />
+                )}
+                <p className="text-xs text-slate-500 mt-1">
+                  Creative Commons works can be reposted as licensed reuse (NoDerivatives: unmodified copies only)
+                </p>
+              </div>
+
+              {/* Derivative work */}
+              <div>
+                <label className="block text-sm font-medium mb-2 text-slate-700">
+                  Derivative work
+                </label>
+                <select
+                  value={derivativeType}
+                  onChange={(e) => setDerivativeType(e.target.value)}
+                  disabled={uploading}
+                  className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-900 disabled:opacity-50"
+                >
+                  <option value="">Not a derivative</option>
+                  {DERIVATIVE_OPTIONS.map((option) => (
+                    <option key={option.type} value={option.type}>{option.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-slate-500 mt-1">
+                  Remixes, reactions and edits of a registered work are registered crediting it instead of as a repost, if its license (or a license you bought) permits derivatives
+                </p>
+              </div>
+
               {/* Upload Progress */}
               {uploading && (
                 <div>
                   <div className="flex items-center justify-between text-sm mb-2">
                     <span className="text-slate-400">
-                      {uploadProgress < 30 ? 'Hashing file...' : 
-                       uploadProgress < 70 ? 'Uploading to IPFS...' : 
-                       uploadProgress < 100 ? 'Registering on blockchain...' : 
-                       'Complete!'}
+                      {UPLOAD_STATUS_LABELS[uploadStatus] || 'Processing...'}
                     </span>
                     <span className="text-blue-400">{uploadProgress}%</span>
                   </div>
@@ -735,12 +977,61 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
                         <span className="ml-2 text-slate-200">{blockchainData.gasUsed}</span>
                       </div>
                     )}
+
+                    {blockchainData.license && (
+                      <div>
+                        <span className="text-slate-400">License:</span>
+                        <span className="ml-2 text-slate-200">{licenseLabel(blockchainData.license.type)}</span>
+                      </div>
+                    )}
+
+                    {blockchainData.derivation && (
+                      <div>
+                        <span className="text-slate-400">{derivativeRelation(blockchainData.derivation.derivativeType)}:</span>
+                        <span className="ml-2 text-slate-200 font-mono">
+                          {blockchainData.derivation.parentCreator
+                            ? `work by ${blockchainData.derivation.parentCreator.substring(0, 10)}...`
+                            : `${blockchainData.derivation.parentHash.substring(0, 16)}...`}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Licensed Reuse */}
+              {blockchainData && blockchainData.status === 'REPOST_DETECTED' && blockchainData.licensedReuse && (
+                <div className="p-4 bg-teal-500/10 border border-teal-500/30 rounded-lg space-y-3">
+                  <div className="flex items-center gap-2 text-teal-500 font-semibold">
+                    <span className="text-2xl">🤝</span>
+                    <span>Licensed Reuse</span>
+                  </div>
+
+                  <div className="space-y-2 text-sm">
+                    {blockchainData.licensePurchased ? (
+                      <p className="text-slate-300">
+                        This content matches a work by <span className="text-teal-400 font-mono">{blockchainData.originalCreator?.substring(0, 10)}...</span>.
+                        You hold a purchased license for it.
+                      </p>
+                    ) : (
+                      <p className="text-slate-300">
+                        This content matches a work by <span className="text-teal-400 font-mono">{blockchainData.originalCreator?.substring(0, 10)}...</span> licensed
+                        under <span className="font-semibold">{licenseLabel(blockchainData.license?.type)}</span>, which allows this reuse.
+                      </p>
+                    )}
+                    <div>
+                      <span className="text-slate-400">Match Type:</span>
+                      <span className="ml-2 text-teal-400 font-semibold">{blockchainData.matchType}</span>
+                    </div>
+                    <p className="text-xs text-slate-500 italic">
+                      Note: Your post is shown as licensed reuse and credits the original creator; it is not registered as a new asset.
+                    </p>
                   </div>
                 </div>
               )}
 
               {/* Repost Detection Alert */}
-              {blockchainData && blockchainData.status === 'REPOST_DETECTED' && (
+              {blockchainData && blockchainData.status === 'REPOST_DETECTED' && !blockchainData.licensedReuse && (
                 <div className="p-4 bg-amber-500/10 border border-amber-500/30 rounded-lg space-y-3">
                   <div className="flex items-center gap-2 text-amber-400 font-semibold">
                     <span className="text-2xl">⚠️</span>
@@ -751,6 +1042,11 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
                     <p className="text-slate-300">
                       This content matches existing on-chain content. Original creator: <span className="text-amber-400 font-mono">{blockchainData.originalCreator?.substring(0, 10)}...</span>
                     </p>
+                    {blockchainData.derivativeNotPermitted && (
+                      <p className="text-amber-300">
+                        The original's license does not permit derivatives, so this was not registered as one. Buy a license of it to register your work as a derivative.
+                      </p>
+                    )}
 
                     <div className="flex gap-4">
                       <div>
@@ -770,6 +1066,20 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
                       </div>
                     </div>
 
+                    {blockchainData.matches?.length > 1 && (
+                      <div>
+                        <span className="text-slate-400">Nearest Matches:</span>
+                        <ul className="mt-1 space-y-1">
+                          {blockchainData.matches.map((match) => (
+                            <li key={match.exactHash} className="p-2 bg-slate-800 rounded font-mono text-xs flex justify-between gap-2">
+                              <span className="text-amber-400 truncate">{match.creator}</span>
+                              <span className="text-amber-300 whitespace-nowrap">{match.matchType} • {match.similarity}%</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
                     <div>
                       <span className="text-slate-400">Your Upload Media CID:</span>
                       <div className="mt-1 p-2 bg-slate-800 rounded font-mono text-xs break-all text-purple-400">
@@ -788,6 +1098,35 @@ function CreatePost({ isOpen, onClose, onPostCreated }) {
                     <p className="text-xs text-slate-500 italic">
                       Note: Your file was uploaded to IPFS but not registered as a new asset on the blockchain.
                     </p>
+
+                    {/* Paid license of the original */}
+                    {licenseOffer && !licensePurchaseTx && (
+                      <div className="p-3 bg-teal-500/10 border border-teal-500/30 rounded-lg flex items-center justify-between gap-3">
+                        <span className="text-slate-300 text-sm">
+                          The creator sells reuse licenses for <span className="font-semibold text-teal-400">{licenseOffer.formattedPrice} {licenseOffer.symbol}</span>
+                        </span>
+                        <button
+                          onClick={handlePurchaseLicense}
+                          disabled={purchasingLicense}
+                          className="px-4 py-2 bg-teal-600 hover:bg-teal-700 disabled:opacity-50 text-white rounded-lg text-sm font-semibold whitespace-nowrap"
+                        >
+                          {purchasingLicense ? "Confirm in MetaMask..." : "🤝 Buy a license"}
+                        </button>
+                      </div>
+                    )}
+                    {licensePurchaseTx && (
+                      <div className="p-3 bg-teal-500/10 border border-teal-500/30 rounded-lg text-sm text-teal-400">
+                        ✓ License purchased. Your post will be shown as licensed reuse once the purchase is indexed.
+                        <a
+                          href={`https://amoy.polygonscan.com/tx/${licensePurchaseTx}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="block text-xs mt-1 hover:text-teal-300"
+                        >
+                          View on PolygonScan →
+                        </a>
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
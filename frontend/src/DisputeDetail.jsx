@@ -0,0 +1,350 @@
+import { useParams, Link } from "react-router-dom";
+import { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import axios from "axios";
+import {
+  getDisputeOnChain,
+  getDisputeHistory,
+  getCurrentWalletAddress,
+  isArbitrator,
+  submitEvidenceOnChain,
+  resolveDisputeOnChain,
+  appealDisputeOnChain,
+  finalizeDisputeOnChain,
+} from "./utils/blockchain";
+import { RULING_OPTIONS, disputeStatusLabel, rulingLabel, deadlineLabel, disputeActions } from "./utils/disputes";
+
+const API_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+const EVENT_LABELS = {
+  DisputeRaised: "Dispute raised",
+  EvidenceSubmitted: "Evidence submitted",
+  DisputeResolved: "Ruling",
+  DisputeAppealed: "Ruling appealed",
+  DisputeFinalized: "Dispute finalized",
+};
+
+/**
+ * Load a dispute, its event history, the disputed work (from the post store)
+ * and what the connected wallet may do with it
+ */
+async function loadDispute(disputeId) {
+  const [dispute, history, account] = await Promise.all([
+    getDisputeOnChain(disputeId),
+    getDisputeHistory(disputeId),
+    getCurrentWalletAddress(),
+  ]);
+
+  let work = null;
+  try {
+    const { data } = await axios.get(`${API_URL}/assets/${dispute.videoHash.replace(/^0x/, '')}/lineage`);
+    work = data.success ? data.asset : null;
+  } catch (err) {
+    console.warn(`[DISPUTE] Could not load disputed work ${dispute.videoHash}:`, err.message);
+  }
+
+  return { dispute, history, work, account, arbitrator: await isArbitrator(account) };
+}
+
+function DisputeDetail() {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [version, setVersion] = useState(0); // Bumped to reload after a transaction
+  const [pendingAction, setPendingAction] = useState(null);
+  const [actionError, setActionError] = useState("");
+  const [evidenceCid, setEvidenceCid] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    loadDispute(Number(id))
+      .then((loaded) => !cancelled && setData(loaded))
+      .catch((err) => {
+        console.error("Error loading dispute:", err);
+        if (!cancelled) setError(err.reason || err.message || "Failed to load dispute");
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [id, version]);
+
+  // Send one of the dispute transactions, then reload the dispute
+  const runAction = async (action, send) => {
+    setPendingAction(action);
+    setActionError("");
+    try {
+      await send();
+      setVersion((current) => current + 1);
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const truncateAddress = (address) => {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+  };
+
+  const formatTime = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+  // "accuser" / "creator" / "arbitrator" for an address in the history
+  const partyRole = (address) => {
+    if (address?.toLowerCase() === data.dispute.accuser.toLowerCase()) return "accuser";
+    if (address?.toLowerCase() === data.dispute.creator.toLowerCase()) return "creator";
+    return "arbitrator";
+  };
+
+  const dispute = data?.dispute;
+  const actions = dispute ? disputeActions(dispute, data.account, data.arbitrator) : null;
+
+  return (
+    <div className="min-h-screen bg-slate-50 relative overflow-hidden" style={{ fontFamily: "'JetBrains Mono', monospace" }}>
+      {/* Animated Background */}
+      <div className="absolute inset-0 overflow-hidden pointer-events-none">
+        <div className="absolute top-[-10%] left-[-5%] w-[500px] h-[500px] rounded-full bg-gradient-to-br from-blue-400/20 to-purple-400/15 blur-[80px] animate-blob" />
+        <div className="absolute top-[20%] right-[-10%] w-[400px] h-[400px] rounded-full bg-gradient-to-br from-purple-400/15 to-blue-400/10 blur-[80px] animate-blob animation-delay-2000" />
+        <div className="absolute bottom-[-5%] left-[30%] w-[450px] h-[450px] rounded-full bg-gradient-to-br from-blue-500/15 to-violet-400/10 blur-[80px] animate-blob animation-delay-4000" />
+      </div>
+
+      {/* Navigation Bar */}
+      <nav className="bg-white/80 backdrop-blur-md border-b border-slate-200 p-4 relative z-10">
+        <div className="max-w-4xl mx-auto flex items-center justify-between">
+          <Link to="/feed" className="text-blue-600 hover:text-blue-700 font-medium">
+            ← Back to Feed
+          </Link>
+          <h1 className="text-xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+            BlockPost
+          </h1>
+          <Link to="/arbitration" className="text-blue-600 hover:text-blue-700 font-medium">
+            Arbitration →
+          </Link>
+        </div>
+      </nav>
+
+      <main className="max-w-4xl mx-auto p-4 md:p-6 relative z-10">
+        {loading && !data ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+          </div>
+        ) : error || !dispute ? (
+          <div className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-3xl p-12 text-center shadow-card">
+            <div className="text-6xl mb-4">⚖️</div>
+            <h2 className="text-2xl font-bold mb-2 text-slate-900">Dispute Not Found</h2>
+            <p className="text-slate-600 mb-6">
+              {error || `No dispute #${id}`}
+            </p>
+            <Link
+              to="/feed"
+              className="inline-block px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 rounded-xl font-medium transition-all hover:scale-105 shadow-lg text-white"
+            >
+              Back to Feed
+            </Link>
+          </div>
+        ) : (
+          <>
+            {/* Dispute Header */}
+            <div className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-3xl p-6 md:p-8 mb-6 shadow-card">
+              <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+                <h2 className="text-3xl font-bold text-slate-900">Dispute #{dispute.disputeId}</h2>
+                <div className="flex items-center gap-2">
+                  <span className="px-3 py-1 rounded-full text-xs font-semibold border bg-blue-50 text-blue-700 border-blue-200">
+                    {disputeStatusLabel(dispute.status)}
+                  </span>
+                  {dispute.ruling !== 'NONE' && (
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${
+                      dispute.ruling === 'REJECTED'
+                        ? "bg-green-50 text-green-700 border-green-200"
+                        : "bg-red-50 text-red-700 border-red-200"
+                    }`}>
+                      {rulingLabel(dispute.ruling)}
+                    </span>
+                  )}
+                  {dispute.status === 'FINALIZED' && dispute.ruling === 'NONE' && (
+                    <span className="px-3 py-1 rounded-full text-xs font-semibold border bg-slate-50 text-slate-600 border-slate-200">
+                      {rulingLabel('NONE')}
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              <p className="text-slate-700 mb-6 whitespace-pre-wrap">{dispute.reason}</p>
+
+              <dl className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div>
+                  <dt className="text-slate-500">Accuser</dt>
+                  <dd className="font-mono text-slate-900">{truncateAddress(dispute.accuser)}</dd>
+                </div>
+                <div>
+                  <dt className="text-slate-500">Creator</dt>
+                  <dd className="font-mono text-slate-900">{truncateAddress(dispute.creator)}</dd>
+                </div>
+                <div>
+                  <dt className="text-slate-500">Stake</dt>
+                  <dd className="text-slate-900">{ethers.formatEther(dispute.stake)} MATIC</dd>
+                </div>
+                <div>
+                  <dt className="text-slate-500">Raised</dt>
+                  <dd className="text-slate-900">{formatTime(dispute.timestamp)}</dd>
+                </div>
+                {deadlineLabel(dispute.status) && (
+                  <div>
+                    <dt className="text-slate-500">{deadlineLabel(dispute.status)}</dt>
+                    <dd className="text-slate-900">{formatTime(dispute.deadline)}</dd>
+                  </div>
+                )}
+                {dispute.appellant !== ethers.ZeroAddress && (
+                  <div>
+                    <dt className="text-slate-500">Appealed by</dt>
+                    <dd className="font-mono text-slate-900">{partyRole(dispute.appellant)} ({truncateAddress(dispute.appellant)})</dd>
+                  </div>
+                )}
+                <div className="md:col-span-2">
+                  <dt className="text-slate-500">Disputed work</dt>
+                  <dd className="text-slate-900">
+                    {data.work ? (
+                      <a href={data.work.mediaGatewayUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                        {data.work.caption || `${data.work.assetType} post`} →
+                      </a>
+                    ) : (
+                      <span className="font-mono break-all">{dispute.videoHash}</span>
+                    )}
+                  </dd>
+                </div>
+              </dl>
+            </div>
+
+            {/* Actions */}
+            {(actions.canSubmitEvidence || actions.canResolve || actions.canAppeal || actions.canFinalize) && (
+              <div className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-3xl p-6 mb-6 shadow-card space-y-4">
+                <h3 className="text-xl font-bold text-slate-900">Actions</h3>
+                {actionError && (
+                  <div className="p-3 bg-red-50 border border-red-200 rounded-xl text-red-600 text-sm">
+                    {actionError}
+                  </div>
+                )}
+
+                {actions.canResolve && (
+                  <div>
+                    <p className="text-sm text-slate-600 mb-2">
+                      {dispute.status === 'APPEALED'
+                        ? 'Rule on the appeal (final)'
+                        : 'Rule on the dispute (the losing party may appeal once)'}
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      {RULING_OPTIONS.filter((option) => option.ruling !== 'NONE').map((option) => (
+                        <button
+                          key={option.ruling}
+                          onClick={() => runAction(option.ruling, () => resolveDisputeOnChain(dispute.disputeId, option.ruling))}
+                          disabled={pendingAction !== null}
+                          title={option.description}
+                          className="px-4 py-2 bg-slate-50 hover:bg-slate-100 border border-slate-200 text-slate-700 rounded-xl text-sm font-semibold disabled:opacity-50"
+                        >
+                          {pendingAction === option.ruling ? 'Confirm in MetaMask...' : option.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {actions.canAppeal && (
+                  <button
+                    onClick={() => runAction('appeal', () => appealDisputeOnChain(dispute.disputeId))}
+                    disabled={pendingAction !== null}
+                    className="px-4 py-2 bg-amber-500 hover:bg-amber-600 disabled:bg-slate-300 rounded-xl text-sm font-semibold text-white"
+                  >
+                    {pendingAction === 'appeal' ? 'Confirm in MetaMask...' : `Appeal (stakes ${ethers.formatEther(dispute.stake)} MATIC)`}
+                  </button>
+                )}
+
+                {actions.canFinalize && (
+                  <button
+                    onClick={() => runAction('finalize', () => finalizeDisputeOnChain(dispute.disputeId))}
+                    disabled={pendingAction !== null}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 rounded-xl text-sm font-semibold text-white"
+                  >
+                    {pendingAction === 'finalize' ? 'Confirm in MetaMask...' : 'Finalize dispute'}
+                  </button>
+                )}
+
+                {actions.canSubmitEvidence && (
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={evidenceCid}
+                      onChange={(e) => setEvidenceCid(e.target.value)}
+                      disabled={pendingAction !== null}
+                      className="flex-1 px-4 py-2 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-900 font-mono text-sm disabled:opacity-50"
+                      placeholder="IPFS CID of more evidence"
+                    />
+                    <button
+                      onClick={() => runAction('evidence', async () => {
+                        await submitEvidenceOnChain(dispute.disputeId, evidenceCid.trim());
+                        setEvidenceCid("");
+                      })}
+                      disabled={pendingAction !== null || !evidenceCid.trim()}
+                      className="px-4 py-2 bg-slate-50 hover:bg-slate-100 border border-slate-200 text-slate-700 rounded-xl text-sm font-semibold disabled:opacity-50"
+                    >
+                      {pendingAction === 'evidence' ? 'Confirm in MetaMask...' : 'Add evidence'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* History */}
+            <div>
+              <h3 className="text-2xl font-bold mb-4 text-slate-900">History</h3>
+              {data.history.length === 0 ? (
+                <div className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-3xl p-12 text-center shadow-card">
+                  <p className="text-slate-600 text-lg">No events found</p>
+                </div>
+              ) : (
+                <ol className="space-y-3">
+                  {data.history.map((entry) => (
+                    <li
+                      key={`${entry.txHash}-${entry.event}`}
+                      className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-xl p-4 shadow-soft"
+                    >
+                      <div className="flex items-center justify-between flex-wrap gap-2 mb-1">
+                        <span className="font-semibold text-slate-900">
+                          {EVENT_LABELS[entry.event]}
+                          {entry.ruling && `: ${rulingLabel(entry.ruling)}`}
+                        </span>
+                        <span className="text-xs text-slate-500">
+                          {entry.timestamp ? formatTime(entry.timestamp) : `Block ${entry.blockNumber}`}
+                        </span>
+                      </div>
+                      {entry.party && (
+                        <p className="text-sm text-slate-600">
+                          By the {partyRole(entry.party)} <span className="font-mono">{truncateAddress(entry.party)}</span>
+                          {entry.stake && ` · staked ${entry.stake} MATIC`}
+                        </p>
+                      )}
+                      {entry.evidenceCid && (
+                        <a
+                          href={`${API_URL}/ipfs/${entry.evidenceCid}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-sm text-blue-600 hover:underline font-mono break-all"
+                        >
+                          📎 {entry.evidenceCid}
+                        </a>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default DisputeDetail;
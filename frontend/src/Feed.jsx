@@ -6,6 +6,29 @@ import { firestoreOperations } from "./firebase/firestoreRefs";
 import { ethers } from "ethers";
 import axios from "axios";
 import CreatePost from "./CreatePost";
+import RaiseDispute from "./RaiseDispute";
+import { verifyRawCid } from "./utils/cid";
+import { parseMetadata } from "./utils/metadata";
+import { LICENSE_OPTIONS, licenseLabel } from "./utils/license";
+import { setLicenseOnChain, setLicensePriceOnChain } from "./utils/blockchain";
+import { derivativeRelation } from "./utils/provenance";
+
+/**
+ * Parent of a derivative work (nearest ancestor in its lineage) with its creator's profile
+ */
+async function fetchParentWork(API_URL, exactHash) {
+  try {
+    const { data } = await axios.get(`${API_URL}/assets/${exactHash}/lineage`);
+    const parent = data.ancestors?.[0];
+    if (!parent) return null;
+
+    const userResult = await firestoreOperations.getUserByWallet(parent.creator);
+    return { ...parent, username: userResult.success ? userResult.data?.username : null };
+  } catch (err) {
+    console.warn(`[FEED] Could not load lineage of ${exactHash}:`, err.message);
+    return null;
+  }
+}
 
 function Feed() {
   const navigate = useNavigate();
@@ -19,6 +42,8 @@ function Feed() {
   const [isCreatePostOpen, setIsCreatePostOpen] = useState(false);
   const [stats, setStats] = useState({ total: 0, verified: 0, reposts: 0 });
   const [walletAccount, setWalletAccount] = useState(null);
+  const [licenseUpdating, setLicenseUpdating] = useState(null); // post id
+  const [disputingPost, setDisputingPost] = useState(null);
 
   useEffect(() => {
     // Load stored wallet account from localStorage
@@ -91,11 +116,31 @@ function Feed() {
         const assetsWithMetadata = await Promise.all(
           response.data.assets.map(async (asset) => {
             try {
-              console.log(`[FEED] Fetching metadata for ${asset.id} from ${asset.metadataGatewayUrl}`);
-              // Fetch metadata JSON from IPFS
-              const metadataResponse = await axios.get(asset.metadataGatewayUrl);
-              console.log(`[FEED] Metadata received for ${asset.id}:`, metadataResponse.data);
-              const metadata = metadataResponse.data;
+              // Backend proxy first (gateway pool + verified cache), the public gateway as a fallback
+              const metadataUrls = [`${API_URL}/ipfs/${asset.metadataCid}`, asset.metadataGatewayUrl];
+              let metadataBytes = null;
+              for (const url of metadataUrls) {
+                try {
+                  console.log(`[FEED] Fetching metadata for ${asset.id} from ${url}`);
+                  const metadataResponse = await axios.get(url, { responseType: 'arraybuffer' });
+                  metadataBytes = metadataResponse.data;
+                  break;
+                } catch (err) {
+                  console.warn(`[FEED] Metadata fetch from ${url} failed:`, err.message);
+                }
+              }
+              if (!metadataBytes) {
+                throw new Error(`Metadata ${asset.metadataCid} unavailable`);
+              }
+              // Check the metadata JSON against its CID
+              if (await verifyRawCid(metadataBytes, asset.metadataCid) === false) {
+                throw new Error(`Metadata does not match CID ${asset.metadataCid}`);
+              }
+              const metadata = parseMetadata(metadataBytes);
+              if (metadata.mediaCid !== asset.mediaCid) {
+                throw new Error(`Metadata does not reference media ${asset.mediaCid}`);
+              }
+              console.log(`[FEED] Metadata received for ${asset.id}:`, metadata);
               
               // Fetch user info from Firestore if wallet address exists
               let userInfo = null;
@@ -116,16 +161,24 @@ function Feed() {
                 creator: metadata.creator
               });
               
+              // Remixes, reactions and edits link to the work they derive from
+              const parentWork = asset.derivation ? await fetchParentWork(API_URL, asset.hashes.exactHash) : null;
+              
               return {
                 ...asset,
+                exactHash: asset.hashes.exactHash,
+                mediaUrl: `${API_URL}/ipfs/${asset.mediaCid}`,
                 metadata,
-                userInfo
+                userInfo,
+                parentWork
               };
             } catch (err) {
               console.error(`[FEED] Failed to fetch metadata for ${asset.id}:`, err);
               // Return asset without metadata if fetch fails
               return {
                 ...asset,
+                exactHash: asset.hashes.exactHash,
+                mediaUrl: `${API_URL}/ipfs/${asset.mediaCid}`,
                 metadata: {
                   creator: 'Unknown',
                   createdAt: asset.timestamp,
@@ -142,7 +195,8 @@ function Feed() {
         // Calculate real stats
         const totalPosts = assetsWithMetadata.length;
         const verifiedOriginals = assetsWithMetadata.filter(p => p.status === 'ORIGINAL').length;
-        const repostCount = assetsWithMetadata.filter(p => p.status === 'REPOST_DETECTED').length;
+        // Licensed reuse is permitted by the original's terms, not a detected repost
+        const repostCount = assetsWithMetadata.filter(p => p.status === 'REPOST_DETECTED' && !p.repost?.licensedReuse).length;
         
         setStats({
           total: totalPosts,
@@ -360,6 +414,44 @@ function Feed() {
     }
   };
 
+  // Change the license of one of the connected wallet's originals (setLicense);
+  // the backend picks the new terms up from the LicenseSet event
+  const handleChangeLicense = async (post, type) => {
+    let license = { type };
+    if (type === 'CUSTOM') {
+      const termsCid = window.prompt('IPFS CID of your license terms:');
+      if (!termsCid?.trim()) return;
+      license = { type, termsCid: termsCid.trim() };
+    }
+
+    setLicenseUpdating(post.id);
+    try {
+      await setLicenseOnChain(post.exactHash, license);
+      setPosts((current) => current.map((p) => (p.id === post.id ? { ...p, license } : p)));
+    } catch (error) {
+      alert(`Failed to change license: ${error.message}`);
+    } finally {
+      setLicenseUpdating(null);
+    }
+  };
+
+  // Offer paid reuse licenses for one of the connected wallet's originals (setLicensePrice);
+  // a price of 0 stops selling
+  const handleSetLicensePrice = async (post) => {
+    const price = window.prompt('License price in MATIC (0 to stop selling):');
+    if (price === null || !price.trim()) return;
+
+    setLicenseUpdating(post.id);
+    try {
+      await setLicensePriceOnChain(post.exactHash, price.trim());
+      alert(Number(price) > 0 ? `Reuse licenses now cost ${price.trim()} MATIC` : 'Reuse licenses are no longer for sale');
+    } catch (error) {
+      alert(`Failed to set license price: ${error.message}`);
+    } finally {
+      setLicenseUpdating(null);
+    }
+  };
+
   const truncateAddress = (address) => {
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
   };
@@ -440,6 +532,20 @@ function Feed() {
             <span className="font-medium">Profile</span>
           </NavLink>
 
+          <NavLink
+            to="/arbitration"
+            className={({ isActive }) =>
+              `flex items-center gap-3 px-4 py-3 rounded-xl transition-all ${
+                isActive
+                  ? "bg-blue-600 text-white shadow-lg"
+                  : "text-slate-700 hover:bg-slate-100"
+              }`
+            }
+          >
+            <span className="text-xl">⚖️</span>
+            <span className="font-medium">Arbitration</span>
+          </NavLink>
+
           <a
             href="#"
             className="flex items-center gap-3 px-4 py-3 rounded-xl text-slate-700 hover:bg-slate-100 transition-all"
@@ -544,8 +650,21 @@ function Feed() {
                     key={post.id}
                     className="bg-white/90 backdrop-blur-sm border border-slate-200 rounded-2xl shadow-lg hover:shadow-xl transition-all"
                   >
+                    {/* Licensed Reuse Banner */}
+                    {post.status === 'REPOST_DETECTED' && post.repost?.licensedReuse && (
+                      <div className="mb-4 p-3 bg-teal-500/10 border border-teal-500/30 rounded-lg">
+                        <div className="flex items-center gap-2 text-teal-600 text-sm font-semibold">
+                          <span>🤝</span>
+                          <span>Licensed reuse of content by {truncateAddress(post.repost.originalCreator)}</span>
+                        </div>
+                        <div className="text-xs text-slate-400 mt-1">
+                          {post.repost.licensePurchased ? 'Purchased license' : licenseLabel(post.repost.license?.type)} • {post.repost.matchType}
+                        </div>
+                      </div>
+                    )}
+
                     {/* Repost Banner */}
-                    {post.status === 'REPOST_DETECTED' && post.repost && (
+                    {post.status === 'REPOST_DETECTED' && post.repost && !post.repost.licensedReuse && (
                       <div className="mb-4 p-3 bg-amber-500/10 border border-amber-500/30 rounded-lg">
                         <div className="flex items-center gap-2 text-amber-400 text-sm font-semibold">
                           <span>⚠️</span>
@@ -614,6 +733,30 @@ function Feed() {
                         </div>
                         {/* Asset Type Badge */}
                         <div className="flex items-center gap-2">
+                          {post.metadata?.signedByCreator && post.metadata.creator?.toLowerCase() === post.walletAddress?.toLowerCase() && (
+                            <span
+                              className="px-2 py-1 bg-emerald-50 text-emerald-600 rounded-lg text-xs font-semibold flex items-center gap-1"
+                              title="The metadata carries an EIP-712 signature by the creator's wallet"
+                            >
+                              ✍️ Signed by creator
+                            </span>
+                          )}
+                          {post.txStatus === 'pending' && (
+                            <span
+                              className="px-2 py-1 bg-amber-50 text-amber-600 rounded-lg text-xs font-semibold flex items-center gap-1"
+                              title="The registration transaction has not been mined yet"
+                            >
+                              ⏳ Registration pending
+                            </span>
+                          )}
+                          {(post.txStatus === 'failed' || post.txStatus === 'replaced') && (
+                            <span
+                              className="px-2 py-1 bg-red-50 text-red-600 rounded-lg text-xs font-semibold flex items-center gap-1"
+                              title="The registration transaction did not go through; this post is not registered on-chain"
+                            >
+                              ⚠️ Registration {post.txStatus}
+                            </span>
+                          )}
                           {post.assetType === 'video' && (
                             <span className="px-2 py-1 bg-blue-50 text-blue-600 rounded-lg text-xs font-semibold flex items-center gap-1">
                               🎥 Video
@@ -651,7 +794,7 @@ function Feed() {
                       <div className="mb-4 bg-slate-100 rounded-xl overflow-hidden border border-slate-200 shadow-inner">
                         {post.assetType === 'video' && (
                           <video
-                            src={post.mediaGatewayUrl}
+                            src={post.mediaUrl}
                             controls
                             className="w-full max-h-96 object-contain bg-black"
                             preload="metadata"
@@ -661,7 +804,7 @@ function Feed() {
                         )}
                         {post.assetType === 'image' && (
                           <img
-                            src={post.mediaGatewayUrl}
+                            src={post.mediaUrl}
                             alt={post.metadata?.title || post.metadata?.fileName || 'Image'}
                             className="w-full max-h-96 object-contain"
                           />
@@ -678,7 +821,7 @@ function Feed() {
                               </div>
                             </div>
                             <audio
-                              src={post.mediaGatewayUrl}
+                              src={post.mediaUrl}
                               controls
                               className="w-full"
                             >
@@ -712,12 +855,92 @@ function Feed() {
                               <span>Original</span>
                             </span>
                           )}
-                          {post.status === 'REPOST_DETECTED' && (
+                          {post.derivation && (
+                            <span className="px-2 py-1 bg-indigo-50 text-indigo-600 rounded-lg text-xs font-semibold flex items-center gap-1">
+                              <span>🎛️</span>
+                              <span>{derivativeRelation(post.derivation.derivativeType)}</span>
+                              {post.parentWork?.username ? (
+                                <Link to={`/user/${post.parentWork.username}`} className="hover:underline">
+                                  @{post.parentWork.username}
+                                </Link>
+                              ) : post.parentWork ? (
+                                <span className="font-mono">{truncateAddress(post.parentWork.creator)}</span>
+                              ) : (
+                                <span>a registered work</span>
+                              )}
+                            </span>
+                          )}
+                          {post.revoked ? (
+                            <span className="px-3 py-1.5 rounded-lg text-xs font-bold bg-gradient-to-r from-red-500 to-rose-500 text-white shadow-md flex items-center gap-1" title="Registration revoked by an upheld dispute">
+                              <span>⛔</span>
+                              <span>Revoked</span>
+                            </span>
+                          ) : post.disputed && (
+                            <span className="px-3 py-1.5 rounded-lg text-xs font-bold bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-md flex items-center gap-1" title="An open copyright dispute targets this post">
+                              <span>⚖️</span>
+                              <span>Disputed</span>
+                            </span>
+                          )}
+                          {post.status === 'REPOST_DETECTED' && post.repost?.licensedReuse && (
+                            <span className="px-3 py-1.5 rounded-lg text-xs font-bold bg-gradient-to-r from-teal-500 to-cyan-500 text-white shadow-md flex items-center gap-1">
+                              <span>🤝</span>
+                              <span>Licensed reuse</span>
+                            </span>
+                          )}
+                          {post.status === 'REPOST_DETECTED' && !post.repost?.licensedReuse && (
                             <span className="px-3 py-1.5 rounded-lg text-xs font-bold bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-md flex items-center gap-1">
                               <span>⚠</span>
                               <span>Repost</span>
                             </span>
                           )}
+                          {post.status === 'ORIGINAL' && post.license && (
+                            walletAccount && post.exactHash && walletAccount.toLowerCase() === post.walletAddress?.toLowerCase() ? (
+                              <select
+                                value={post.license.type}
+                                onChange={(e) => handleChangeLicense(post, e.target.value)}
+                                disabled={licenseUpdating === post.id}
+                                className="px-2 py-1 bg-slate-50 border border-slate-200 text-slate-600 rounded-lg text-xs font-semibold disabled:opacity-50"
+                                title="Change the license of your work (on-chain transaction)"
+                              >
+                                {LICENSE_OPTIONS.map((option) => (
+                                  <option key={option.type} value={option.type}>⚖️ {option.label}</option>
+                                ))}
+                              </select>
+                            ) : post.license.termsCid ? (
+                              <a
+                                href={`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001'}/ipfs/${post.license.termsCid}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="px-2 py-1 bg-slate-50 hover:bg-slate-100 text-slate-600 rounded-lg text-xs font-semibold"
+                                title="View the license terms on IPFS"
+                              >
+                                ⚖️ {licenseLabel(post.license.type)}
+                              </a>
+                            ) : (
+                              <span className="px-2 py-1 bg-slate-50 text-slate-600 rounded-lg text-xs font-semibold">
+                                ⚖️ {licenseLabel(post.license.type)}
+                              </span>
+                            )
+                          )}
+                          {post.status === 'ORIGINAL' && walletAccount && post.exactHash && walletAccount.toLowerCase() === post.walletAddress?.toLowerCase() && (
+                            <button
+                              onClick={() => handleSetLicensePrice(post)}
+                              disabled={licenseUpdating === post.id}
+                              className="px-2 py-1 bg-slate-50 hover:bg-slate-100 border border-slate-200 text-slate-600 rounded-lg text-xs font-semibold disabled:opacity-50"
+                              title="Sell reuse licenses for your work (on-chain transaction)"
+                            >
+                              💰 Sell licenses
+                            </button>
+                          )}
+                          {post.status === 'ORIGINAL' && !post.revoked && walletAccount && post.walletAddress && walletAccount.toLowerCase() !== post.walletAddress.toLowerCase() && (
+                            <button
+                              onClick={() => setDisputingPost(post)}
+                              className="px-2 py-1 bg-slate-50 hover:bg-slate-100 border border-slate-200 text-slate-600 rounded-lg text-xs font-semibold"
+                              title="Claim this post copies your work (staked on-chain dispute)"
+                            >
+                              ⚖️ Dispute this post
+                            </button>
+                          )}
                           <span className="text-xs text-slate-500 flex items-center gap-1">
                             <span className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></span>
                             <span className="font-medium">Verified via VideoGuard</span>
@@ -847,6 +1070,13 @@ function Feed() {
         onClose={() => setIsCreatePostOpen(false)}
         onPostCreated={fetchPosts}
       />
+
+      {/* Dispute Modal */}
+      <RaiseDispute
+        post={disputingPost}
+        evidencePosts={posts.filter((p) => walletAccount && p.walletAddress?.toLowerCase() === walletAccount.toLowerCase())}
+        onClose={() => setDisputingPost(null)}
+      />
     </div>
   );
 }
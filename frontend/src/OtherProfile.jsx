@@ -81,6 +81,7 @@ function OtherProfile() {
       EXACT_DUPLICATE: "bg-red-50 text-red-700 border-red-200",
       VISUAL_MATCH: "bg-amber-50 text-amber-700 border-amber-200",
       AUDIO_MATCH: "bg-purple-50 text-purple-700 border-purple-200",
+      TEXT_MATCH: "bg-sky-50 text-sky-700 border-sky-200",
     };
 
     const labels = {
@@ -88,6 +89,7 @@ function OtherProfile() {
       EXACT_DUPLICATE: "Exact duplicate detected",
       VISUAL_MATCH: "Visual match (pHash)",
       AUDIO_MATCH: "Audio match",
+      TEXT_MATCH: "Text match (SimHash)",
     };
 
     return (
@@ -3,6 +3,7 @@ import { Link, useNavigate } from "react-router-dom";
 import { auth } from "./firebase/config";
 import { firestoreOperations } from "./firebase/firestoreRefs";
 import { ethers } from "ethers";
+import { getPendingRoyalties, withdrawRoyalties } from "./utils/blockchain";
 
 function Profile() {
   const navigate = useNavigate();
@@ -17,6 +18,8 @@ function Profile() {
   const [connectingWallet, setConnectingWallet] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
+  const [royalties, setRoyalties] = useState(null); // MATIC owed from license sales
+  const [withdrawing, setWithdrawing] = useState(false);
 
   useEffect(() => {
     // Check if user is authenticated (either Firebase Auth or wallet login)
@@ -104,6 +107,28 @@ function Profile() {
     }
   }, [navigate]);
 
+  // Royalties are held by the contract until the creator withdraws them
+  useEffect(() => {
+    if (!userData?.walletLinked || !window.ethereum) return;
+    getPendingRoyalties(userData.walletAddress)
+      .then(setRoyalties)
+      .catch((royaltyError) => console.error('Error loading royalties:', royaltyError));
+  }, [userData?.walletLinked, userData?.walletAddress]);
+
+  const handleWithdrawRoyalties = async () => {
+    setWithdrawing(true);
+    setError("");
+    try {
+      await withdrawRoyalties();
+      setRoyalties("0.0");
+      setSuccess("Royalties withdrawn to your wallet");
+    } catch (withdrawError) {
+      setError(withdrawError.message);
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
   const fetchUserData = async () => {
     try {
       // Check if this is a wallet-based login
@@ -477,6 +502,25 @@ function Profile() {
           </div>
         )}
 
+        {/* Royalties Section */}
+        {userData.walletLinked && royalties !== null && (
+          <div className="bg-white/80 backdrop-blur-sm border border-slate-200 rounded-3xl p-6 mb-6 shadow-card flex items-center justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-bold mb-1 text-slate-900">License royalties</h3>
+              <p className="text-slate-600 text-sm">
+                <span className="font-semibold text-slate-900">{royalties} MATIC</span> from reuse licenses of your works
+              </p>
+            </div>
+            <button
+              onClick={handleWithdrawRoyalties}
+              disabled={withdrawing || Number(royalties) === 0}
+              className="px-6 py-3 bg-gradient-to-r from-teal-500 to-cyan-500 hover:from-teal-600 hover:to-cyan-600 disabled:from-slate-200 disabled:to-slate-200 disabled:cursor-not-allowed rounded-xl font-semibold transition-all shadow-lg text-white"
+            >
+              {withdrawing ? "Withdrawing..." : "Withdraw"}
+            </button>
+          </div>
+        )}
+
         {/* Posts Section */}
         <div>
           <h3 className="text-2xl font-bold mb-4 text-slate-900">Your posts</h3>
@@ -0,0 +1,142 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { getDisputeStake, raiseDisputeOnChain } from "./utils/blockchain";
+
+/**
+ * "Dispute this post" dialog: stakes disputeStake on a copyright claim
+ * against a registered original (raiseDispute) and opens the new dispute
+ *
+ * @param {object|null} post - Disputed post (null: closed)
+ * @param {Array} evidencePosts - The connected wallet's own posts, offered as evidence
+ */
+function RaiseDispute({ post, evidencePosts = [], onClose }) {
+  const navigate = useNavigate();
+  const [reason, setReason] = useState("");
+  const [evidenceCid, setEvidenceCid] = useState("");
+  const [stake, setStake] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!post) return;
+    setReason("");
+    setEvidenceCid("");
+    setError("");
+    getDisputeStake()
+      .then(setStake)
+      .catch((stakeError) => console.warn('[DISPUTE] Could not read dispute stake:', stakeError.message));
+  }, [post]);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError("");
+    try {
+      const { disputeId } = await raiseDisputeOnChain(post.exactHash, reason.trim(), evidenceCid.trim());
+      onClose();
+      navigate(`/disputes/${disputeId}`);
+    } catch (disputeError) {
+      setError(disputeError.message || "Raising dispute failed");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!post) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/30 backdrop-blur-sm flex items-center justify-center z-50 p-4" style={{ fontFamily: "'JetBrains Mono', monospace" }}>
+      <div className="bg-white border border-slate-200 rounded-3xl max-w-lg w-full max-h-[90vh] overflow-y-auto shadow-card">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-slate-200">
+          <h2 className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+            Dispute this post
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={submitting}
+            className="text-slate-500 hover:text-slate-700 disabled:opacity-50 disabled:cursor-not-allowed text-2xl font-bold"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-xl text-red-600 text-sm">
+              {error}
+            </div>
+          )}
+
+          <p className="text-slate-600 text-sm">
+            Claim that <span className="font-semibold">{post.metadata?.title || 'this post'}</span> copies your work.
+            An arbitrator rules within the resolution period; the losing party may appeal once.
+          </p>
+
+          {/* Reason */}
+          <div>
+            <label className="block text-sm font-medium mb-2 text-slate-700">
+              Reason
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={submitting}
+              rows="3"
+              className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-900 resize-none disabled:opacity-50"
+              placeholder="Why is this post not the creator's work?"
+            />
+          </div>
+
+          {/* Evidence */}
+          <div>
+            <label className="block text-sm font-medium mb-2 text-slate-700">
+              Evidence
+            </label>
+            {evidencePosts.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => setEvidenceCid(e.target.value)}
+                disabled={submitting}
+                className="mb-2 w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-900 disabled:opacity-50"
+              >
+                <option value="">Use one of your posts...</option>
+                {evidencePosts.map((evidencePost) => (
+                  <option key={evidencePost.id} value={evidencePost.metadataCid}>
+                    {evidencePost.metadata?.title || evidencePost.assetType} · {new Date(evidencePost.timestamp).toLocaleDateString()}
+                  </option>
+                ))}
+              </select>
+            )}
+            <input
+              type="text"
+              value={evidenceCid}
+              onChange={(e) => setEvidenceCid(e.target.value)}
+              disabled={submitting}
+              className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-slate-900 font-mono text-sm disabled:opacity-50"
+              placeholder="IPFS CID of your evidence"
+            />
+            <p className="text-xs text-slate-500 mt-1">
+              Both parties can add more evidence until the dispute is final
+            </p>
+          </div>
+
+          <div className="p-3 bg-amber-50 border border-amber-200 rounded-xl text-amber-700 text-xs">
+            Raising a dispute stakes {stake ? `${stake} MATIC` : 'the dispute stake'}. It is refunded unless the
+            arbitrator rejects your claim, in which case it goes to the creator.
+          </div>
+
+          <button
+            onClick={handleSubmit}
+            disabled={submitting || !reason.trim() || !evidenceCid.trim()}
+            className="w-full py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:bg-slate-300 disabled:cursor-not-allowed rounded-xl font-semibold transition-all hover:scale-105 shadow-lg text-white"
+          >
+            {submitting ? 'Confirm in MetaMask...' : 'Raise dispute'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RaiseDispute;
@@ -5,10 +5,14 @@
 
 import { ethers } from 'ethers';
 import contractABI from '../VideoGuardContract.json';
+import { DEFAULT_LICENSE, licenseFromChain, licenseToChain } from './license';
+import { derivativeToChain } from './provenance';
+import { RULING_OPTIONS, disputeFromChain, rulingToChain } from './disputes';
 
 const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS;
 const POLYGON_RPC = import.meta.env.VITE_POLYGON_RPC;
 const CHAIN_ID = parseInt(import.meta.env.VITE_CHAIN_ID || '80002');
+const DISPUTE_PAGE_SIZE = 20; // getDisputeInfo calls per listDisputesOnChain page
 
 /**
  * Connect to MetaMask and get signer
@@ -99,10 +103,32 @@ export function getContract(signerOrProvider) {
   return contract;
 }
 
+// On-chain digest prefix of each full fingerprint prefix
+const FINGERPRINT_DIGEST_PREFIXES = { 'tv1:': 'tv1k:', 'cp1:': 'cp1k:' };
+
+/**
+ * Fingerprint string stored in and looked up on the contract
+ * Temporal video signatures ("tv1:...") and audio fingerprints ("cp1:...")
+ * are stored as a keccak256 digest, like the backend does (blockchain.ts
+ * chainFingerprint): re-encodes and clips are matched by the backend's
+ * similarity index, not on-chain
+ */
+export function chainFingerprint(fingerprint) {
+  for (const [prefix, digestPrefix] of Object.entries(FINGERPRINT_DIGEST_PREFIXES)) {
+    if (fingerprint.startsWith(prefix)) {
+      return digestPrefix + ethers.id(fingerprint).slice(2);
+    }
+  }
+  return fingerprint;
+}
+
 /**
  * Register asset on blockchain via MetaMask
+ * Works under a license other than all rights reserved are registered with
+ * registerVideoWithLicense, and remixes, reactions and edits (derivation:
+ * { parentHash, derivativeType }) with registerDerivative
  */
-export async function registerAssetOnChain(exactHash, perceptualHash, audioHash, ipfsCid) {
+export async function registerAssetOnChain(exactHash, perceptualHash, audioHash, ipfsCid, license = DEFAULT_LICENSE, derivation = null) {
   try {
     const { signer, address } = await connectWallet();
     console.log('[BLOCKCHAIN] Connected wallet:', address);
@@ -118,18 +144,28 @@ export async function registerAssetOnChain(exactHash, perceptualHash, audioHash,
       exactHash: normalizedHash.substring(0, 10) + '...',
       perceptualHash: perceptualHash.substring(0, 16) + '...',
       audioHash: audioHash.substring(0, 16) + '...',
-      ipfsCid
+      ipfsCid,
+      license: license.type,
+      derivativeOf: derivation?.parentHash
     });
     
     console.log('[BLOCKCHAIN] Sending transaction via MetaMask...');
     
     // Call contract function - MetaMask will popup
-    const tx = await contract.registerVideo(
-      normalizedHash,
-      perceptualHash,
-      audioHash,
-      ipfsCid
-    );
+    perceptualHash = chainFingerprint(perceptualHash);
+    audioHash = chainFingerprint(audioHash);
+    let tx;
+    if (derivation) {
+      const parentHash = derivation.parentHash.startsWith('0x') ? derivation.parentHash : `0x${derivation.parentHash}`;
+      tx = await contract.registerDerivative(
+        normalizedHash, parentHash, perceptualHash, audioHash, ipfsCid,
+        derivativeToChain(derivation.derivativeType), licenseToChain(license)
+      );
+    } else if (license.type === DEFAULT_LICENSE.type) {
+      tx = await contract.registerVideo(normalizedHash, perceptualHash, audioHash, ipfsCid);
+    } else {
+      tx = await contract.registerVideoWithLicense(normalizedHash, perceptualHash, audioHash, ipfsCid, licenseToChain(license));
+    }
     
     console.log('[BLOCKCHAIN] Transaction sent:', tx.hash);
     console.log('[BLOCKCHAIN] Waiting for confirmation...');
@@ -167,32 +203,39 @@ export async function registerAssetOnChain(exactHash, perceptualHash, audioHash,
 
 /**
  * Detect if asset is a repost
+ * detectRepost is a read-only (view) lookup; the backend records matched
+ * reposts on-chain (recordRepost) when the post is registered
  */
 export async function detectRepost(exactHash, perceptualHash, audioHash) {
   try {
-    // Get wallet signer for contract call
-    const { signer } = await connectWallet();
-    const contract = getContract(signer);
+    // View call: a provider is enough, nothing is signed or sent
+    const { provider } = await connectWallet();
+    const contract = getContract(provider);
     
     // Normalize exact hash
     const normalizedHash = exactHash.startsWith('0x') ? exactHash : `0x${exactHash}`;
     
     console.log('[BLOCKCHAIN] Checking for duplicates...');
     
-    // Call contract view function (even view functions need signer with ethers v6)
     const result = await contract.detectRepost(
       normalizedHash,
-      perceptualHash,
-      audioHash
+      chainFingerprint(perceptualHash),
+      chainFingerprint(audioHash)
     );
     
     console.log('[BLOCKCHAIN] Detection result:', result);
     
+    const isDuplicate = result.isRepost;
+
+    // On-chain layers compare exact strings, so any match is a 100% match
     return {
-      isDuplicate: result.isRepost || result[0] || false,
-      originalCreator: result.originalCreator || result[1] || ethers.ZeroAddress,
-      matchType: result.matchType || result[3] || 'NEW_ASSET',
-      originalIpfsHash: result.originalIpfsHash || result[2] || ''
+      isDuplicate,
+      originalCreator: result.originalCreator,
+      matchType: isDuplicate ? result.matchType : 'NEW_ASSET',
+      originalIpfsHash: result.originalIpfsHash,
+      originalHash: result.originalHash,
+      license: isDuplicate ? licenseFromChain(result.license) : DEFAULT_LICENSE,
+      confidence: isDuplicate ? 100 : 0
     };
     
   } catch (error) {
@@ -202,11 +245,364 @@ export async function detectRepost(exactHash, perceptualHash, audioHash) {
       isDuplicate: false,
       originalCreator: ethers.ZeroAddress,
       matchType: 'NEW_ASSET',
-      originalIpfsHash: ''
+      originalIpfsHash: '',
+      originalHash: ethers.ZeroHash,
+      license: DEFAULT_LICENSE,
+      confidence: 0
     };
   }
 }
 
+/**
+ * Change the license of an asset the connected wallet registered
+ * @returns {Promise<string>} Transaction hash once confirmed
+ */
+export async function setLicenseOnChain(exactHash, license) {
+  try {
+    const { signer } = await connectWallet();
+    const contract = getContract(signer);
+    const normalizedHash = exactHash.startsWith('0x') ? exactHash : `0x${exactHash}`;
+
+    console.log('[BLOCKCHAIN] Setting license:', license.type);
+    const tx = await contract.setLicense(normalizedHash, licenseToChain(license));
+    const receipt = await tx.wait(1);
+    console.log('[BLOCKCHAIN] ✓ License set in tx', receipt.hash);
+    return receipt.hash;
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] Setting license failed:', error);
+    if (error.code === 4001 || error.message?.includes('user rejected')) {
+      throw new Error('Transaction rejected by user');
+    }
+    throw new Error(error.reason || error.shortMessage || error.message || 'Setting license failed');
+  }
+}
+
+// ERC-20 functions used to pay for token-priced licenses
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+function blockchainErrorMessage(error, fallback) {
+  if (error.code === 4001 || error.code === 'ACTION_REJECTED' || error.message?.includes('user rejected')) {
+    return 'Transaction rejected by user';
+  }
+  if (error.code === 'INSUFFICIENT_FUNDS') {
+    return 'Insufficient MATIC for this transaction';
+  }
+  return error.reason || error.shortMessage || error.message || fallback;
+}
+
+/**
+ * Read the reuse license offer of a registered asset
+ * @returns {Promise<object|null>} { token, price, symbol, decimals, formattedPrice }, or null if not for sale
+ */
+export async function getLicenseOffer(exactHash) {
+  const { provider } = await connectWallet();
+  const contract = getContract(provider);
+  const normalizedHash = exactHash.startsWith('0x') ? exactHash : `0x${exactHash}`;
+
+  const offer = await contract.licenseOffers(normalizedHash);
+  if (offer.price === 0n) return null;
+
+  let symbol = 'MATIC';
+  let decimals = 18;
+  if (offer.token !== ethers.ZeroAddress) {
+    const token = new ethers.Contract(offer.token, ERC20_ABI, provider);
+    [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  }
+
+  return {
+    token: offer.token,
+    price: offer.price,
+    symbol,
+    decimals: Number(decimals),
+    formattedPrice: ethers.formatUnits(offer.price, decimals),
+  };
+}
+
+/**
+ * Whether the connected wallet may register derivatives of an asset
+ * (its license permits them, the wallet bought a reuse license, or it is the creator)
+ */
+export async function canDeriveFrom(parentHash) {
+  const { provider, address } = await connectWallet();
+  const contract = getContract(provider);
+  const normalizedHash = parentHash.startsWith('0x') ? parentHash : `0x${parentHash}`;
+  return contract.canDeriveFrom(normalizedHash, address);
+}
+
+/**
+ * Buy a reuse license of an asset at its current price
+ * Token-priced offers are approved first (a second wallet prompt)
+ * @returns {Promise<string>} Purchase transaction hash once confirmed
+ */
+export async function purchaseLicenseOnChain(exactHash) {
+  try {
+    const { signer, address } = await connectWallet();
+    const contract = getContract(signer);
+    const normalizedHash = exactHash.startsWith('0x') ? exactHash : `0x${exactHash}`;
+
+    const offer = await contract.licenseOffers(normalizedHash);
+    if (offer.price === 0n) {
+      throw new Error('This content is not licensed for sale');
+    }
+
+    let tx;
+    if (offer.token === ethers.ZeroAddress) {
+      tx = await contract.purchaseLicense(normalizedHash, { value: offer.price });
+    } else {
+      const token = new ethers.Contract(offer.token, ERC20_ABI, signer);
+      if ((await token.allowance(address, CONTRACT_ADDRESS)) < offer.price) {
+        console.log('[BLOCKCHAIN] Approving license payment...');
+        await (await token.approve(CONTRACT_ADDRESS, offer.price)).wait(1);
+      }
+      tx = await contract.purchaseLicense(normalizedHash);
+    }
+
+    console.log('[BLOCKCHAIN] License purchase sent:', tx.hash);
+    const receipt = await tx.wait(1);
+    console.log('[BLOCKCHAIN] ✓ License purchased in tx', receipt.hash);
+    return receipt.hash;
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] License purchase failed:', error);
+    throw new Error(blockchainErrorMessage(error, 'License purchase failed'));
+  }
+}
+
+/**
+ * Offer reuse licenses of an asset the connected wallet registered
+ * @param {string} price - Price in MATIC ("0" stops sales)
+ * @returns {Promise<string>} Transaction hash once confirmed
+ */
+export async function setLicensePriceOnChain(exactHash, price) {
+  try {
+    const { signer } = await connectWallet();
+    const contract = getContract(signer);
+    const normalizedHash = exactHash.startsWith('0x') ? exactHash : `0x${exactHash}`;
+
+    const tx = await contract.setLicensePrice(normalizedHash, ethers.ZeroAddress, ethers.parseEther(price));
+    const receipt = await tx.wait(1);
+    console.log('[BLOCKCHAIN] ✓ License price set in tx', receipt.hash);
+    return receipt.hash;
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] Setting license price failed:', error);
+    throw new Error(blockchainErrorMessage(error, 'Setting license price failed'));
+  }
+}
+
+/**
+ * Royalties from license sales owed to an account, in MATIC
+ */
+export async function getPendingRoyalties(address) {
+  const { provider } = await connectWallet();
+  const amount = await getContract(provider).pendingWithdrawals(address, ethers.ZeroAddress);
+  return ethers.formatEther(amount);
+}
+
+/**
+ * Withdraw the connected wallet's MATIC royalties
+ * @returns {Promise<string>} Transaction hash once confirmed
+ */
+export async function withdrawRoyalties() {
+  try {
+    const { signer } = await connectWallet();
+    const tx = await getContract(signer).withdraw(ethers.ZeroAddress);
+    const receipt = await tx.wait(1);
+    console.log('[BLOCKCHAIN] ✓ Royalties withdrawn in tx', receipt.hash);
+    return receipt.hash;
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] Withdrawal failed:', error);
+    throw new Error(blockchainErrorMessage(error, 'Withdrawal failed'));
+  }
+}
+
+/**
+ * Stake required to raise (or appeal) a dispute, in MATIC
+ */
+export async function getDisputeStake() {
+  const { provider } = await connectWallet();
+  return ethers.formatEther(await getContract(provider).disputeStake());
+}
+
+/**
+ * Dispute a registered asset, staking disputeStake
+ * @param {string} evidenceCid - IPFS CID of the accuser's evidence
+ * @returns {Promise<object>} { txHash, disputeId } once confirmed
+ */
+export async function raiseDisputeOnChain(exactHash, reason, evidenceCid) {
+  try {
+    const { signer } = await connectWallet();
+    const contract = getContract(signer);
+    const normalizedHash = exactHash.startsWith('0x') ? exactHash : `0x${exactHash}`;
+
+    const stake = await contract.disputeStake();
+    const tx = await contract.raiseDispute(normalizedHash, reason, evidenceCid, { value: stake });
+    const receipt = await tx.wait(1);
+
+    const raised = receipt.logs
+      .map((log) => contract.interface.parseLog(log))
+      .find((event) => event?.name === 'DisputeRaised');
+    return { txHash: receipt.hash, disputeId: Number(raised.args.disputeId) };
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] Raising dispute failed:', error);
+    throw new Error(blockchainErrorMessage(error, 'Raising dispute failed'));
+  }
+}
+
+/**
+ * Read a dispute
+ * @returns {Promise<object>} See disputeFromChain
+ */
+export async function getDisputeOnChain(disputeId) {
+  const { provider } = await connectWallet();
+  return disputeFromChain(disputeId, await getContract(provider).getDisputeInfo(disputeId));
+}
+
+/**
+ * Read a page of disputes, newest first
+ * @param {number|null} before - Only disputes with a lower ID (null: start at the newest)
+ * @returns {Promise<object>} { disputes, nextBefore } (nextBefore is null on the last page)
+ */
+export async function listDisputesOnChain(before = null, limit = DISPUTE_PAGE_SIZE) {
+  const { provider } = await connectWallet();
+  const contract = getContract(provider);
+  const end = before ?? Number(await contract.disputeCount());
+  const start = Math.max(0, end - limit);
+
+  const ids = Array.from({ length: end - start }, (_, index) => end - 1 - index);
+  const records = await Promise.all(ids.map((id) => contract.getDisputeInfo(id)));
+  return {
+    disputes: records.map((record, index) => disputeFromChain(ids[index], record)),
+    nextBefore: start > 0 ? start : null,
+  };
+}
+
+/**
+ * Events of a dispute in chain order
+ * @returns {Promise<Array>} { event, blockNumber, txHash, timestamp, ...event values }
+ */
+export async function getDisputeHistory(disputeId) {
+  const { provider } = await connectWallet();
+  const contract = getContract(provider);
+  const fromBlock = contractABI.deploymentBlock || 0;
+
+  const logs = (await Promise.all([
+    contract.queryFilter(contract.filters.DisputeRaised(disputeId), fromBlock),
+    contract.queryFilter(contract.filters.EvidenceSubmitted(disputeId), fromBlock),
+    contract.queryFilter(contract.filters.DisputeResolved(disputeId), fromBlock),
+    contract.queryFilter(contract.filters.DisputeAppealed(disputeId), fromBlock),
+    contract.queryFilter(contract.filters.DisputeFinalized(disputeId), fromBlock),
+  ])).flat().sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const blockNumbers = [...new Set(logs.map((log) => log.blockNumber))];
+  const blocks = new Map(await Promise.all(
+    blockNumbers.map(async (blockNumber) => [blockNumber, await provider.getBlock(blockNumber)])
+  ));
+
+  return logs.map((log) => {
+    const { args } = log;
+    const entry = {
+      event: log.eventName,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      timestamp: blocks.get(log.blockNumber)?.timestamp,
+    };
+    switch (log.eventName) {
+      case 'DisputeRaised':
+        return { ...entry, party: args.accuser, reason: args.reason, evidenceCid: args.evidenceCid, stake: ethers.formatEther(args.stake) };
+      case 'EvidenceSubmitted':
+        return { ...entry, party: args.party, evidenceCid: args.evidenceCid };
+      case 'DisputeResolved':
+        return { ...entry, party: args.resolver, ruling: RULING_OPTIONS[Number(args.ruling)].ruling };
+      case 'DisputeAppealed':
+        return { ...entry, party: args.appellant, stake: ethers.formatEther(args.stake) };
+      default:
+        return { ...entry, ruling: RULING_OPTIONS[Number(args.ruling)].ruling };
+    }
+  });
+}
+
+/**
+ * Add evidence to a dispute the connected wallet is a party to
+ * @returns {Promise<string>} Transaction hash once confirmed
+ */
+export async function submitEvidenceOnChain(disputeId, evidenceCid) {
+  try {
+    const { signer } = await connectWallet();
+    const tx = await getContract(signer).submitEvidence(disputeId, evidenceCid);
+    const receipt = await tx.wait(1);
+    return receipt.hash;
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] Submitting evidence failed:', error);
+    throw new Error(blockchainErrorMessage(error, 'Submitting evidence failed'));
+  }
+}
+
+/**
+ * Rule on a dispute (arbitrators only)
+ * @param {string} ruling - REJECTED, TRANSFER_OWNERSHIP or REVOKE
+ * @returns {Promise<string>} Transaction hash once confirmed
+ */
+export async function resolveDisputeOnChain(disputeId, ruling) {
+  try {
+    const { signer } = await connectWallet();
+    const tx = await getContract(signer).resolveDispute(disputeId, rulingToChain(ruling));
+    const receipt = await tx.wait(1);
+    return receipt.hash;
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] Resolving dispute failed:', error);
+    throw new Error(blockchainErrorMessage(error, 'Resolving dispute failed'));
+  }
+}
+
+/**
+ * Appeal a ruling against the connected wallet, staking the dispute's stake
+ * @returns {Promise<string>} Transaction hash once confirmed
+ */
+export async function appealDisputeOnChain(disputeId) {
+  try {
+    const { signer } = await connectWallet();
+    const contract = getContract(signer);
+    const dispute = await contract.getDisputeInfo(disputeId);
+    const tx = await contract.appealDispute(disputeId, { value: dispute.stake });
+    const receipt = await tx.wait(1);
+    return receipt.hash;
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] Appeal failed:', error);
+    throw new Error(blockchainErrorMessage(error, 'Appeal failed'));
+  }
+}
+
+/**
+ * Settle a dispute whose deadline has passed
+ * @returns {Promise<string>} Transaction hash once confirmed
+ */
+export async function finalizeDisputeOnChain(disputeId) {
+  try {
+    const { signer } = await connectWallet();
+    const tx = await getContract(signer).finalizeDispute(disputeId);
+    const receipt = await tx.wait(1);
+    return receipt.hash;
+  } catch (error) {
+    console.error('[BLOCKCHAIN ERROR] Finalizing dispute failed:', error);
+    throw new Error(blockchainErrorMessage(error, 'Finalizing dispute failed'));
+  }
+}
+
+/**
+ * Whether an account may rule on disputes (an arbitrator or the admin)
+ */
+export async function isArbitrator(address) {
+  if (!address) return false;
+  const { provider } = await connectWallet();
+  const contract = getContract(provider);
+  const [arbitrator, admin] = await Promise.all([contract.arbitrators(address), contract.admin()]);
+  return arbitrator || admin.toLowerCase() === address.toLowerCase();
+}
+
 /**
  * Get current wallet address
  */
@@ -0,0 +1,51 @@
+/**
+ * CID Utilities
+ * Verifies content fetched from IPFS gateways against its CID, so a gateway
+ * cannot substitute other bytes (e.g. rewrite the creator in metadata JSON)
+ */
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// CIDv1, raw codec, sha2-256, 32-byte digest
+const RAW_SHA256_PREFIX = [0x01, 0x55, 0x12, 0x20];
+
+function decodeBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Check content against a single-block CIDv1 (bafkrei...)
+ *
+ * Metadata JSON always fits in one block; larger content is a DAG whose
+ * root cannot be checked without the full IPFS chunking (the backend's
+ * GET /posts/:id/verify does that).
+ *
+ * @param {ArrayBuffer} content - Fetched bytes
+ * @param {string} cid - Expected CID
+ * @returns {Promise<boolean|null>} true/false, or null if the CID is not a raw single-block CID
+ */
+export async function verifyRawCid(content, cid) {
+  if (!cid?.startsWith('b')) return null;
+
+  const bytes = decodeBase32(cid.slice(1));
+  if (!bytes || bytes.length !== RAW_SHA256_PREFIX.length + 32
+    || RAW_SHA256_PREFIX.some((byte, i) => bytes[i] !== byte)) {
+    return null;
+  }
+
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', content));
+  return digest.every((byte, i) => byte === bytes[RAW_SHA256_PREFIX.length + i]);
+}
@@ -0,0 +1,99 @@
+/**
+ * Dispute Utilities
+ * Staked copyright disputes (VideoGuard.raiseDispute): an arbitrator rules,
+ * the losing party may appeal once, and anyone finalizes a dispute whose
+ * deadline has passed
+ */
+
+// In VideoGuard.DisputeStatus order: the on-chain value is the index
+export const DISPUTE_STATUSES = [
+  { status: 'OPEN', label: 'Awaiting ruling' },
+  { status: 'RESOLVED', label: 'Ruled (appealable)' },
+  { status: 'APPEALED', label: 'Appealed' },
+  { status: 'FINALIZED', label: 'Final' },
+];
+
+// In VideoGuard.Ruling order; NONE is never chosen by an arbitrator
+export const RULING_OPTIONS = [
+  { ruling: 'NONE', label: 'Expired without ruling' },
+  { ruling: 'REJECTED', label: 'Rejected', description: 'The claim is frivolous: the accuser loses their stake' },
+  { ruling: 'TRANSFER_OWNERSHIP', label: 'Transfer ownership', description: 'The accuser becomes the registered creator' },
+  { ruling: 'REVOKE', label: 'Revoke registration', description: 'The registration is revoked and no longer matched; the rightful owner can register the video again' },
+];
+
+/**
+ * Display label for a dispute status
+ */
+export function disputeStatusLabel(status) {
+  return DISPUTE_STATUSES.find((option) => option.status === status)?.label || status;
+}
+
+/**
+ * Display label for a ruling
+ */
+export function rulingLabel(ruling) {
+  return RULING_OPTIONS.find((option) => option.ruling === ruling)?.label || ruling;
+}
+
+/**
+ * What a dispute's deadline is in its status (null once finalized)
+ */
+export function deadlineLabel(status) {
+  if (status === 'RESOLVED') return 'Appeal window closes';
+  if (status === 'FINALIZED') return null;
+  return 'Ruling due';
+}
+
+/**
+ * VideoGuard.Ruling value of a ruling
+ */
+export function rulingToChain(ruling) {
+  return RULING_OPTIONS.findIndex((option) => option.ruling === ruling);
+}
+
+/**
+ * Convert a contract DisputeRecord tuple
+ */
+export function disputeFromChain(disputeId, record) {
+  return {
+    disputeId: Number(disputeId),
+    accuser: record.accuser,
+    creator: record.creator,
+    videoHash: record.targetVideoHash,
+    reason: record.reason,
+    evidenceCid: record.evidenceCid,
+    stake: record.stake,
+    timestamp: Number(record.timestamp),
+    status: DISPUTE_STATUSES[Number(record.status)].status,
+    ruling: RULING_OPTIONS[Number(record.ruling)].ruling,
+    resolver: record.resolver,
+    deadline: Number(record.deadline),
+    appellant: record.appellant,
+  };
+}
+
+/**
+ * What an account can do with a dispute right now
+ * (mirrors the checks of the contract's dispute functions)
+ * @param {object} dispute - From disputeFromChain
+ * @param {string|null} account - Connected wallet
+ * @param {boolean} isArbitrator - The account may rule on disputes
+ * @param {number} now - Current time in seconds
+ */
+export function disputeActions(dispute, account, isArbitrator, now = Math.floor(Date.now() / 1000)) {
+  const wallet = account?.toLowerCase();
+  const isAccuser = wallet === dispute.accuser.toLowerCase();
+  const isCreator = wallet === dispute.creator.toLowerCase();
+  const beforeDeadline = now <= dispute.deadline;
+  const finalized = dispute.status === 'FINALIZED';
+  const losingParty = dispute.ruling === 'REJECTED' ? dispute.accuser : dispute.creator;
+
+  return {
+    canSubmitEvidence: Boolean(wallet) && (isAccuser || isCreator) && !finalized,
+    canResolve: isArbitrator && !isAccuser && !isCreator && beforeDeadline
+      && (dispute.status === 'OPEN'
+        || (dispute.status === 'APPEALED' && wallet !== dispute.resolver.toLowerCase())),
+    canAppeal: dispute.status === 'RESOLVED' && beforeDeadline && wallet === losingParty.toLowerCase(),
+    canFinalize: !finalized && !beforeDeadline,
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * License Utilities
+ * Reuse terms creators attach to registered works (VideoGuard.LicenseType).
+ * A match against a licensed original is shown as licensed reuse, not a repost
+ */
+
+// In VideoGuard.LicenseType order: the on-chain value is the index
+export const LICENSE_OPTIONS = [
+  { type: 'ALL_RIGHTS_RESERVED', label: 'All rights reserved' },
+  { type: 'CC0', label: 'CC0 (public domain)' },
+  { type: 'CC_BY', label: 'CC BY' },
+  { type: 'CC_BY_SA', label: 'CC BY-SA' },
+  { type: 'CC_BY_NC', label: 'CC BY-NC' },
+  { type: 'CC_BY_NC_SA', label: 'CC BY-NC-SA' },
+  { type: 'CC_BY_ND', label: 'CC BY-ND' },
+  { type: 'CC_BY_NC_ND', label: 'CC BY-NC-ND' },
+  { type: 'CUSTOM', label: 'Custom terms' },
+];
+
+export const DEFAULT_LICENSE = { type: 'ALL_RIGHTS_RESERVED' };
+
+/**
+ * Display label for a license type
+ */
+export function licenseLabel(type) {
+  return LICENSE_OPTIONS.find((option) => option.type === type)?.label || type;
+}
+
+/**
+ * Convert a contract License tuple ({ licenseType, termsCid })
+ */
+export function licenseFromChain(license) {
+  const type = LICENSE_OPTIONS[Number(license.licenseType)]?.type || DEFAULT_LICENSE.type;
+  return type === 'CUSTOM' ? { type, termsCid: license.termsCid } : { type };
+}
+
+/**
+ * Contract License tuple for a license
+ */
+export function licenseToChain(license = DEFAULT_LICENSE) {
+  return {
+    licenseType: LICENSE_OPTIONS.findIndex((option) => option.type === license.type),
+    termsCid: license.termsCid || '',
+  };
+}
+
+/**
+ * Whether an original's license allows a match to be reposted
+ * (same rules as the backend's license module)
+ * @param {object} license - The original's license
+ * @param {string} matchType - EXACT_DUPLICATE, VISUAL_MATCH, AUDIO_MATCH or TEXT_MATCH
+ */
+export function permitsReuse(license, matchType) {
+  switch (license?.type) {
+    case 'CC0':
+    case 'CC_BY':
+    case 'CC_BY_SA':
+    case 'CC_BY_NC':
+    case 'CC_BY_NC_SA':
+      return true;
+    case 'CC_BY_ND':
+    case 'CC_BY_NC_ND':
+      return matchType === 'EXACT_DUPLICATE';
+    default:
+      return false;
+  }
+}
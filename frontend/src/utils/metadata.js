@@ -0,0 +1,149 @@
+/**
+ * Post Metadata Utilities
+ * Reads post metadata JSON (blockpost.metadata/v1, or the unversioned
+ * format written before it) into the flat shape the feed renders, checks
+ * creator signatures (EIP-712) and signs metadata during uploads
+ */
+
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { connectWallet } from './blockchain';
+import { getAwaitedInput } from './uploadJobs';
+import { authHeader } from './walletAuth';
+
+export const METADATA_SCHEMA = 'blockpost.metadata/v1';
+
+// Must match AUTHORSHIP_TYPES in the backend's post-metadata.ts
+const AUTHORSHIP_TYPES = {
+  PostAuthorship: [
+    { name: 'exactHash', type: 'bytes32' },
+    { name: 'perceptualHash', type: 'string' },
+    { name: 'audioHash', type: 'string' },
+    { name: 'mediaCid', type: 'string' },
+    { name: 'title', type: 'string' },
+    { name: 'createdAt', type: 'string' }
+  ]
+};
+
+const text = (value) => (typeof value === 'string' && value.trim() !== '' ? value : null);
+
+/**
+ * Check a v1 document's creator signature
+ * @returns {boolean} false if unsigned
+ * @throws {Error} If the signature was not made by creator.address
+ */
+function verifyAuthorship(document) {
+  const { authorship, content } = document;
+  if (!authorship) return false;
+
+  const domain = { name: 'BlockPost', version: '1', chainId: authorship.chainId };
+  const message = {
+    exactHash: `0x${content.hashes.sha256}`,
+    perceptualHash: content.signature.perceptualHash ?? '',
+    audioHash: content.signature.audioHash ?? '',
+    mediaCid: content.cid,
+    title: document.title ?? '',
+    createdAt: document.createdAt
+  };
+
+  let signer = null;
+  try {
+    signer = ethers.verifyTypedData(domain, AUTHORSHIP_TYPES, message, authorship.signature);
+  } catch {
+    // Malformed signature
+  }
+  if (!signer || signer.toLowerCase() !== document.creator.address.toLowerCase()) {
+    throw new Error('Metadata signature was not made by its creator');
+  }
+  return true;
+}
+
+/**
+ * Parse a metadata document
+ * @param {ArrayBuffer} bytes - Metadata JSON as fetched from IPFS
+ * @returns {object} { schema, creator, creatorName, creatorUsername, createdAt, title,
+ *   description, assetType, mediaCid, mimeType, fileName, fileSize, exactHash,
+ *   perceptualHash, audioHash, imageFingerprint, signedByCreator }
+ * @throws {Error} If the document is not JSON, has an unknown schema, lacks the media CID
+ *   or carries a forged creator signature
+ */
+export function parseMetadata(bytes) {
+  const document = JSON.parse(new TextDecoder().decode(bytes));
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('Metadata is not a JSON object');
+  }
+
+  let metadata;
+  if (document.schema === METADATA_SCHEMA) {
+    const { creator = {}, content = {} } = document;
+    metadata = {
+      schema: document.schema,
+      creator: text(creator.address),
+      creatorName: text(creator.name),
+      creatorUsername: text(creator.username),
+      createdAt: text(document.createdAt),
+      title: text(document.title),
+      description: text(document.description),
+      assetType: content.assetType,
+      mediaCid: text(content.cid),
+      mimeType: text(content.mimeType),
+      fileName: text(content.fileName),
+      fileSize: content.size,
+      exactHash: text(content.hashes?.sha256),
+      perceptualHash: text(content.signature?.perceptualHash),
+      audioHash: text(content.signature?.audioHash),
+      imageFingerprint: text(content.signature?.imageFingerprint),
+      signedByCreator: verifyAuthorship(document)
+    };
+  } else if (document.schema === undefined) {
+    metadata = {
+      schema: null,
+      creator: text(document.creator) || text(document.walletAddress),
+      creatorName: text(document.creatorName),
+      creatorUsername: text(document.creatorUsername),
+      createdAt: text(document.createdAt) || text(document.timestamp),
+      title: text(document.title),
+      description: text(document.description) || text(document.caption),
+      assetType: document.assetType,
+      mediaCid: text(document.mediaCid) || text(document.fileCid),
+      mimeType: text(document.mediaMimeType) || text(document.mimeType),
+      fileName: text(document.fileName),
+      fileSize: document.fileSize,
+      exactHash: text(document.exactHash),
+      perceptualHash: text(document.perceptualHash),
+      audioHash: text(document.audioHash),
+      imageFingerprint: text(document.imageFingerprint),
+      signedByCreator: false
+    };
+  } else {
+    throw new Error(`Unsupported metadata schema ${JSON.stringify(document.schema)}`);
+  }
+
+  if (!metadata.mediaCid) {
+    throw new Error('Metadata has no media CID');
+  }
+  return metadata;
+}
+
+/**
+ * Sign an upload's metadata with the connected wallet and hand the
+ * signature to the waiting upload job (declining publishes it unsigned)
+ * @param {string} apiUrl - Backend base URL
+ * @param {string} jobId - Upload job waiting for `metadata-signature`
+ * @param {object} session - Wallet session from getWalletSession
+ * @returns {Promise<boolean>} Whether the metadata was signed
+ */
+export async function signUploadMetadata(apiUrl, jobId, session) {
+  const typedData = await getAwaitedInput(apiUrl, jobId, session); // { domain, types, message }
+  const { signer } = await connectWallet();
+
+  let signature = null;
+  try {
+    signature = await signer.signTypedData(typedData.domain, typedData.types, typedData.message);
+  } catch (error) {
+    console.warn('[UPLOAD] Metadata signature declined:', error.message);
+  }
+
+  await axios.post(`${apiUrl}/jobs/${jobId}/signature`, { signature }, { headers: authHeader(session) });
+  return signature !== null;
+}
@@ -0,0 +1,26 @@
+/**
+ * Provenance Utilities
+ * Derivative works (VideoGuard.registerDerivative) credit the work they
+ * derive from; the backend's /assets/:hash/lineage walks the resulting graph
+ */
+
+// In VideoGuard.DerivativeType order: the on-chain value is the index
+export const DERIVATIVE_OPTIONS = [
+  { type: 'REMIX', label: 'Remix', relation: 'Remix of' },
+  { type: 'REACTION', label: 'Reaction', relation: 'Reaction to' },
+  { type: 'EDIT', label: 'Edit', relation: 'Edit of' },
+];
+
+/**
+ * "Remix of" / "Reaction to" / "Edit of" for a derivative type
+ */
+export function derivativeRelation(type) {
+  return DERIVATIVE_OPTIONS.find((option) => option.type === type)?.relation || 'Derived from';
+}
+
+/**
+ * VideoGuard.DerivativeType value of a derivative type
+ */
+export function derivativeToChain(type) {
+  return DERIVATIVE_OPTIONS.findIndex((option) => option.type === type);
+}
@@ -0,0 +1,122 @@
+/**
+ * Relayer Utilities
+ * Gasless registration: the connected wallet signs an EIP-712 RegisterVideo
+ * message and the backend relayer submits it (registerVideoFor), so the
+ * creator owns the asset on-chain without paying gas
+ */
+
+import axios from 'axios';
+import { connectWallet } from './blockchain';
+import { getAwaitedInput } from './uploadJobs';
+import { authHeader } from './walletAuth';
+
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Thrown when the backend has gasless registration turned off
+ */
+export class RelayerDisabledError extends Error {
+  constructor() {
+    super('Gasless registration is disabled');
+    this.name = 'RelayerDisabledError';
+  }
+}
+
+/**
+ * Sign registration typed data ({ domain, types, message }) with the connected wallet
+ * @returns {Promise<string|null>} Signature, or null if the creator declined
+ */
+async function signRegistration(typedData) {
+  const { signer } = await connectWallet();
+  try {
+    return await signer.signTypedData(typedData.domain, typedData.types, typedData.message);
+  } catch (error) {
+    console.warn('[RELAYER] Registration signature declined:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Poll a backend transaction until it is mined
+ * @returns {Promise<object>} The confirmed transaction summary
+ * @throws {Error} If it reverted or was replaced
+ */
+async function waitForTransaction(apiUrl, statusUrl) {
+  for (;;) {
+    const { data } = await axios.get(`${apiUrl}${statusUrl}`);
+    const { transaction } = data;
+    if (transaction.status === 'confirmed') return transaction;
+    if (transaction.status !== 'pending') {
+      throw new Error(`Registration transaction ${transaction.status}: ${transaction.error || 'unknown reason'}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Register an asset through the backend relayer
+ * @param {string} apiUrl - Backend base URL
+ * @param {object} session - Wallet session from getWalletSession
+ * @param {object} [license] - License to register the asset under (part of the signed message)
+ * @returns {Promise<object>} { txHash, blockNumber, gasUsed, contractAddress } as from registerAssetOnChain
+ * @throws {RelayerDisabledError} If the backend does not relay registrations
+ * @throws {Error} If the creator declined to sign or the relayer refused the registration
+ */
+export async function registerAssetGasless(apiUrl, session, exactHash, perceptualHash, audioHash, ipfsCid, license) {
+  const asset = {
+    exactHash,
+    perceptualHash,
+    audioHash,
+    ipfsCid,
+    licenseType: license?.type,
+    licenseTermsCid: license?.termsCid
+  };
+  const headers = authHeader(session);
+
+  try {
+    const { data: prepared } = await axios.post(`${apiUrl}/relay/registration/prepare`, asset, { headers });
+
+    const signature = await signRegistration(prepared.typedData);
+    if (!signature) {
+      throw new Error('Registration rejected by user');
+    }
+
+    console.log('[RELAYER] Submitting signed registration...');
+    const { data } = await axios.post(`${apiUrl}/relay/registration`, {
+      ...asset,
+      deadline: prepared.typedData.message.deadline,
+      signature
+    }, { headers });
+
+    // The backend re-sends stuck transactions with higher fees; txHash follows the latest
+    console.log('[RELAYER] Transaction sent:', data.transaction.txHash);
+    const transaction = await waitForTransaction(apiUrl, data.statusUrl);
+
+    console.log('[RELAYER] ✓ Registered in tx', transaction.txHash);
+    return {
+      txHash: transaction.txHash,
+      blockNumber: transaction.blockNumber,
+      gasUsed: transaction.gasUsed,
+      contractAddress: transaction.contractAddress
+    };
+  } catch (error) {
+    if (error.response?.status === 503 && !error.response.data?.code) {
+      throw new RelayerDisabledError();
+    }
+    throw new Error(error.response?.data?.error || error.message || 'Gasless registration failed');
+  }
+}
+
+/**
+ * Sign the registration an upload job is waiting for (`registration-signature`)
+ * and hand it to the job; declining fails the registration
+ * @param {string} apiUrl - Backend base URL
+ * @param {string} jobId - Upload job waiting for `registration-signature`
+ * @param {object} session - Wallet session from getWalletSession
+ * @returns {Promise<boolean>} Whether the registration was signed
+ */
+export async function signUploadRegistration(apiUrl, jobId, session) {
+  const signature = await signRegistration(await getAwaitedInput(apiUrl, jobId, session));
+  await axios.post(`${apiUrl}/jobs/${jobId}/signature`, { signature }, { headers: authHeader(session) });
+  return signature !== null;
+}
@@ -0,0 +1,84 @@
+/**
+ * Upload Job Utilities
+ * Follows backend upload jobs (hashing, IPFS, detection, registration)
+ * via Server-Sent Events, falling back to polling GET /jobs/:id
+ */
+
+import axios from 'axios';
+import { authHeader } from './walletAuth';
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Wait for an upload job to finish
+ * @param {string} apiUrl - Backend base URL
+ * @param {string} jobId - Job ID returned by POST /upload
+ * @param {(job: object) => void} onUpdate - Called with every job state update
+ * @returns {Promise<object>} The job result (same shape as the former /upload response)
+ */
+export function waitForUploadJob(apiUrl, jobId, onUpdate) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let pollTimer = null;
+
+    const handle = (job) => {
+      if (settled) return;
+      onUpdate?.(job);
+
+      if (job.status === 'completed') {
+        settled = true;
+        resolve(job.result);
+      } else if (job.status === 'failed') {
+        settled = true;
+        reject(new Error(job.error || 'Upload processing failed'));
+      }
+    };
+
+    const poll = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/jobs/${jobId}`);
+        handle(response.data.job);
+      } catch (error) {
+        settled = true;
+        reject(new Error(error.response?.data?.error || error.message));
+        return;
+      }
+      if (!settled) {
+        pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+      }
+    };
+
+    if (typeof EventSource === 'undefined') {
+      poll();
+      return;
+    }
+
+    const events = new EventSource(`${apiUrl}/jobs/${jobId}/events`);
+
+    events.addEventListener('job', (event) => {
+      handle(JSON.parse(event.data));
+      if (settled) events.close();
+    });
+
+    events.onerror = () => {
+      // Stream unavailable (proxy, dropped connection): switch to polling
+      events.close();
+      if (!settled && !pollTimer) {
+        console.warn('[UPLOAD] Job event stream unavailable, polling instead');
+        poll();
+      }
+    };
+  });
+}
+
+/**
+ * Read what an upload job is waiting for (only the wallet that queued it may)
+ * @param {string} apiUrl - Backend base URL
+ * @param {string} jobId - Job ID returned by POST /upload
+ * @param {object} session - Wallet session from getWalletSession
+ * @returns {Promise<object>} The awaited input's payload (e.g. typed data to sign)
+ */
+export async function getAwaitedInput(apiUrl, jobId, session) {
+  const response = await axios.get(`${apiUrl}/jobs/${jobId}/awaiting`, { headers: authHeader(session) });
+  return response.data.awaiting.payload;
+}
@@ -0,0 +1,85 @@
+/**
+ * Wallet Auth Utilities
+ * Signs in to the backend with the connected wallet (Sign-In with Ethereum)
+ * and caches the session token for write endpoints (/upload, /register-post)
+ */
+
+import axios from 'axios';
+import { connectWallet } from './blockchain';
+
+const CHAIN_ID = parseInt(import.meta.env.VITE_CHAIN_ID || '80002');
+const STORAGE_KEY = 'blockpost.walletSession';
+
+// Renew tokens this long before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+function loadSession(address) {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    if (session
+      && session.address.toLowerCase() === address.toLowerCase()
+      && Date.parse(session.expiresAt) - EXPIRY_MARGIN_MS > Date.now()) {
+      return session;
+    }
+  } catch {
+    // Missing or corrupt entry, sign in again
+  }
+  return null;
+}
+
+/**
+ * Build an EIP-4361 sign-in message
+ */
+function buildSignInMessage(address, nonce) {
+  return [
+    `${window.location.host} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to BlockPost to publish content from this wallet.',
+    '',
+    `URI: ${window.location.origin}`,
+    'Version: 1',
+    `Chain ID: ${CHAIN_ID}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Get a backend session token for the connected wallet, asking the wallet
+ * to sign a sign-in message if there is no valid cached token
+ * @param {string} apiUrl - Backend base URL
+ * @returns {Promise<{token: string, address: string, expiresAt: string}>}
+ */
+export async function getWalletSession(apiUrl) {
+  const { signer, address } = await connectWallet();
+
+  const cached = loadSession(address);
+  if (cached) return cached;
+
+  console.log('[AUTH] Signing in with wallet', address);
+  const { data: nonceData } = await axios.get(`${apiUrl}/auth/nonce`);
+  const message = buildSignInMessage(address, nonceData.nonce);
+  const signature = await signer.signMessage(message);
+
+  const { data } = await axios.post(`${apiUrl}/auth/verify`, { message, signature });
+  const session = { token: data.token, address: data.address, expiresAt: data.expiresAt };
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+
+  console.log('[AUTH] ✓ Signed in until', session.expiresAt);
+  return session;
+}
+
+/**
+ * Forget the cached session (e.g. after the backend answered 401)
+ */
+export function clearWalletSession() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Authorization header for a session
+ */
+export function authHeader(session) {
+  return { Authorization: `Bearer ${session.token}` };
+}